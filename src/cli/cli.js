@@ -40,6 +40,13 @@ import { detectProject } from './commands/detectProject.js';
 import { runDoctor } from './commands/doctor.js';
 import { runReconTool } from './commands/recon.js';
 import { runTokenTools } from './commands/trainTokens.js';
+import { restoreSnapshot } from './commands/restoreSnapshot.js';
+import { manageCache } from './commands/manageCache.js';
+import { verifySnapshot } from './commands/verifySnapshot.js';
+import { gcSnapshots } from './commands/gcSnapshots.js';
+import { listSnapshots } from './commands/listSnapshots.js';
+import { diffSnapshots } from './commands/diffSnapshots.js';
+import { watchSnapshot } from './commands/watchSnapshot.js';
 
 // Legacy command shims: translate old positional commands to JSON payloads
 // so internal callers (mcp-eck-core.js) keep working after the JSON migration.
@@ -49,17 +56,20 @@ const LEGACY_COMMANDS = {
     const base = baseIdx !== -1 && args[baseIdx + 1] ? args[baseIdx + 1] : undefined;
     return { name: 'eck_update_auto', arguments: { fail: args.includes('--fail') || args.includes('-f'), base } };
   },
-  'snapshot':    () => ({ name: 'eck_snapshot', arguments: {} }),
+  'snapshot':    (args) => ({ name: 'eck_snapshot', arguments: { lineNumbers: args.includes('--lines'), gitMeta: args.includes('--git-meta'), recentHistory: args.includes('--history') || undefined, minify: args.includes('--drop-debug') ? { dropDebug: true } : args.includes('--minify') } }),
   'update':      (args) => {
     const baseIdx = args.indexOf('--base');
     const base = baseIdx !== -1 && args[baseIdx + 1] ? args[baseIdx + 1] : undefined;
-    return { name: 'eck_update', arguments: { fail: args.includes('--fail') || args.includes('-f'), base } };
+    return { name: 'eck_update', arguments: { fail: args.includes('--fail') || args.includes('-f'), base, lineNumbers: args.includes('--lines'), gitMeta: args.includes('--git-meta') } };
   },
   'setup-mcp':   (args) => ({ name: 'eck_setup_mcp', arguments: { opencode: args.includes('--opencode'), both: args.includes('--both') } }),
   'detect':      () => ({ name: 'eck_detect', arguments: {} }),
   'doctor':      () => ({ name: 'eck_doctor', arguments: {} }),
-  'scout':       (args) => ({ name: 'eck_scout', arguments: { depth: args[0] !== undefined ? parseInt(args[0], 10) : 0 } }),
-  'fetch':       (args) => ({ name: 'eck_fetch', arguments: { patterns: args } }),
+  'scout':       (args) => {
+    const depth = args.find(a => !a.startsWith('--'));
+    return { name: 'eck_scout', arguments: { depth: depth !== undefined ? parseInt(depth, 10) : 0, lineNumbers: args.includes('--lines') } };
+  },
+  'fetch':       (args) => ({ name: 'eck_fetch', arguments: { patterns: args.filter(a => a !== '--lines'), lineNumbers: args.includes('--lines') } }),
   'link':        (args) => ({ name: 'eck_snapshot', arguments: { isLinkedProject: true, linkDepth: args[0] !== undefined ? parseInt(args[0], 10) : 0 } }),
   'profile':     (args) => args[0] ? ({ name: 'eck_snapshot', arguments: { profile: args.join(',') } }) : ({ name: 'eck_snapshot', arguments: { profile: true } }),
   'booklm':      () => ({ name: 'eck_snapshot', arguments: { notebooklm: 'scout' } }),
@@ -70,6 +80,42 @@ const LEGACY_COMMANDS = {
     return { name: 'eck_snapshot', arguments: { notebooklm: 'hybrid' } };
   },
   'telemetry':   (args) => ({ name: 'eck_telemetry', arguments: { action: args[0] } }),
+  'cache':       (args) => ({ name: 'eck_cache', arguments: { action: args[0] } }),
+  'list':        (args) => ({ name: 'eck_list_snapshots', arguments: { format: args.includes('--json') ? 'json' : 'table', kind: args.find(a => !a.startsWith('--')) } }),
+  'gc':          (args) => {
+    const [action, snapshot] = args.filter(a => !a.startsWith('--'));
+    return { name: 'eck_gc', arguments: { action, snapshot, dryRun: args.includes('--dry-run') } };
+  },
+  'diff':        (args) => {
+    const contextIdx = args.indexOf('--context');
+    const positional = args.filter((a, i) => !a.startsWith('--') && args[i - 1] !== '--context');
+    return { name: 'eck_snapshot_diff', arguments: { a: positional[0], b: positional[1], context: contextIdx !== -1 ? args[contextIdx + 1] : undefined } };
+  },
+  'watch':       (args) => {
+    const debounceIdx = args.indexOf('--debounce');
+    return { name: 'eck_watch', arguments: { debounce: debounceIdx !== -1 ? args[debounceIdx + 1] : undefined, lineNumbers: args.includes('--lines') } };
+  },
+  'verify':      (args) => ({ name: 'eck_verify', arguments: { snapshot: args.find(a => !a.startsWith('--')), tree: !args.includes('--no-tree') } }),
+  'restore':     (args) => {
+    const flagValue = (flag) => {
+      const idx = args.indexOf(flag);
+      return idx !== -1 && args[idx + 1] ? args[idx + 1] : undefined;
+    };
+    const valueFlags = ['--conflict', '--include', '--exclude'];
+    const positional = args.filter((a, i) => !a.startsWith('--') && !valueFlags.includes(args[i - 1]));
+    return {
+      name: 'eck_restore',
+      arguments: {
+        snapshot: positional[0],
+        target: positional[1],
+        dryRun: args.includes('--dry-run'),
+        force: args.includes('--force'),
+        conflict: flagValue('--conflict'),
+        include: flagValue('--include'),
+        exclude: flagValue('--exclude')
+      }
+    };
+  },
 };
 
 export function run() {
@@ -91,10 +137,17 @@ eck-snapshot (v${pkg.version}) - AI-Native Repository Context Tool.
 
 [AI AGENTS: PURE JSON/MCP INTERFACE ACTIVE]
 This CLI is designed to be operated by AI agents using JSON payloads.
-  - eck_snapshot    : { profile, skeleton, jas, link, linkDepth }
-  - eck_update      : Delta snapshot
-  - eck_scout       : { depth: 0-9 }
-  - eck_fetch       : { patterns: [] }
+  - eck_snapshot    : { profile, skeleton, jas, link, linkDepth, budget, format: md|json|jsonl|xml, anchorMode: auto|shadow|commit, ref, noCache, maxChunkTokens, order: scan|deps, reproducible, lineNumbers, gitMeta, recentHistory, minify: true|{ dropDebug }, generatedFiles: exclude|stub|keep, oversizedFiles: skip|head-tail|skeleton|outline, dataSummaries: true|false|{ minSize, patterns }, lockfileSummaries: true|false, assetInventory: true|false|{ maxEntries }, notebooks: strip|text|false }
+  - eck_update      : Delta snapshot { base: <file>|<hash>|latest-full|up-<n>, format: md|xml, anchorMode, lineNumbers, gitMeta }
+  - eck_watch       : Keep .eck/lastsnapshot/ fresh, one JSON line per regeneration, never commits { debounce: <ms>, base, format: md|xml, lineNumbers, gitMeta }
+  - eck_scout       : { depth: 0-9, lineNumbers }
+  - eck_fetch       : { patterns: [], lineNumbers }
+  - eck_restore     : { snapshot, target, include, exclude, dryRun, conflict, force }
+  - eck_cache       : Content cache { action: stats|prune|clear }
+  - eck_verify      : Check a reproducible snapshot { snapshot, manifest, tree }
+  - eck_snapshot_diff : Compare two snapshot files without git { a, b: <file>|latest-full|up-<n>, context, output }
+  - eck_list_snapshots : Snapshot catalog { format: table|json, kind: full|update|link|scout|fetch }
+  - eck_gc          : Retention for .eck/snapshots|scouts|links { action: run|pin|unpin, dryRun, snapshot }
   - eck_setup_mcp   : Configure MCP servers
   - eck_detect      : Detect project type
   - eck_doctor      : Health check
@@ -103,8 +156,12 @@ This CLI is designed to be operated by AI agents using JSON payloads.
 Ranked by frequency of use:
 
   1. eck-snapshot snapshot          Full project snapshot
+                                     --git-meta : Last commit, author, age, churn and lines per file
+                                     --history : Recent commits and most changed directories in the header
+                                     --minify : Strip comments, license headers and blank lines (--drop-debug: also debug logging)
   2. eck-snapshot update            Delta update (changed files only)
                                      --base <snapshot.md> : Compare against an old snapshot file
+                                     --base latest-full | up-2 : Compare against a catalog entry
   3. eck-snapshot profile [name]    Snapshot filtered by profile (from .eck/profiles.json)
                                      No arg = list available profiles
                                      Example: eck-snapshot profile backend
@@ -116,6 +173,8 @@ Ranked by frequency of use:
                                       6: Skeleton + docs
                                       7-9: Full content (500, 1000, unlimited)
   5. eck-snapshot fetch <glob>      Fetch specific files (e.g., "src/**/*.js")
+                                     --lines : Prefix lines with source line numbers
+                                     (also for snapshot, update and scout)
   6. eck-snapshot link [0-9]        Linked companion snapshot (same depths)
   7. eck-snapshot booklm            Export for NotebookLM (Scout - fetch generator)
   8. eck-snapshot notelm            Export for NotebookLM (Architect - experimental)
@@ -125,6 +184,16 @@ Ranked by frequency of use:
  10. eck-snapshot setup-mcp         Configure AI agents (Claude Code, OpenCode)
  10. eck-snapshot detect            Detect project type and active filters
  11. eck-snapshot doctor            Check project health and stubs
+ 12. eck-snapshot restore <snap.md> [dir]  Write files from a snapshot back to disk
+                                     --dry-run : List actions without writing
+                                     --conflict overwrite|skip|backup (default: backup)
+                                     --include/--exclude <glob>, --force (write skeleton/truncated/redacted)
+ 13. eck-snapshot cache [stats|prune|clear]  Inspect or clean the content cache (.eck/cache/)
+ 14. eck-snapshot verify <snap.md>  Check a reproducible snapshot against its .sha256.json manifest
+                                     and the working tree (--no-tree : snapshot integrity only)
+ 15. eck-snapshot gc [--dry-run]    Delete old snapshots, scouts and links per the retention policy
+       eck-snapshot gc pin <snap.md>  Exempt a snapshot from retention (unpin to undo)
+ 16. eck-snapshot list [kind] [--json]  Catalog of stored snapshots, links and scouts
 
 [FEEDBACK]
   eck-snapshot -e "message"     Send feedback/ideas to developers (read by AI)
@@ -248,6 +317,27 @@ Ranked by frequency of use:
           case 'eck_fetch':
             await runReconTool(payload);
             break;
+          case 'eck_restore':
+            await restoreSnapshot(cwd, args);
+            break;
+          case 'eck_cache':
+            await manageCache(cwd, args);
+            break;
+          case 'eck_verify':
+            await verifySnapshot(cwd, args);
+            break;
+          case 'eck_gc':
+            await gcSnapshots(cwd, args);
+            break;
+          case 'eck_list_snapshots':
+            await listSnapshots(cwd, args);
+            break;
+          case 'eck_snapshot_diff':
+            await diffSnapshots(cwd, args);
+            break;
+          case 'eck_watch':
+            await watchSnapshot(cwd, args);
+            break;
           case 'eck_train_tokens':
           case 'eck_token_stats':
             await runTokenTools(payload);
@@ -13,17 +13,35 @@ import chalk from 'chalk';
 import {
   parseSize, formatSize, matchesPattern, checkGitRepository,
   scanDirectoryRecursively, loadGitignore, readFileWithSizeCheck,
-  generateDirectoryTree, loadConfig, displayProjectInfo, loadProjectEckManifest,
+  generateDirectoryTree, generateDirectoryTreeFromPaths, loadConfig, displayProjectInfo, loadProjectEckManifest,
   ensureSnapshotsInGitignore, initializeEckManifest, generateTimestamp,
-  getShortRepoName, SecretScanner, getProjectFiles, readMlModelMetadata
+  getShortRepoName, SecretScanner, getProjectFiles
 } from '../../utils/fileUtils.js';
 import { detectProjectType, getProjectSpecificFiltering, getAllDetectedTypes } from '../../utils/projectDetector.js';
 import { estimateTokensWithPolynomial, generateTrainingCommand } from '../../utils/tokenEstimator.js';
 import { loadSetupConfig, getProfile } from '../../config.js';
 import { applyProfileFilter } from '../../utils/fileUtils.js';
-import { saveGitAnchor } from '../../utils/gitUtils.js';
+import { saveGitAnchor, resolveAnchorMode, createShadowAnchor, resolveGitRef, listFilesAtRef, readFileAtRef, readFileHeadAtRef } from '../../utils/gitUtils.js';
 import { skeletonize } from '../../core/skeletonizer.js';
+import { addLineNumbers, identityLineMap } from '../../core/lineNumbers.js';
+import { minify, recordMinifySavings, formatMinifyReport } from '../../core/minifier.js';
+import { resolveNotebookSettings, isNotebookPath, convertNotebook } from '../../core/notebook.js';
+import { loadFileHistory, describeFileHistory, formatFileHistory } from '../../utils/fileHistory.js';
+import { resolveRecentHistorySettings, loadRecentHistory } from '../../utils/recentHistory.js';
+import { resolveGeneratedFilesPolicy, detectGeneratedFile, isKeptGeneratedFile, formatGeneratedStub } from '../../utils/generatedFiles.js';
+import { resolveOversizedPolicy, oversizedModeFor, linesOfFile, linesOfText, renderOversizedFile } from '../../utils/oversizedFiles.js';
+import { resolveDataSummarySettings, shouldSummarizeDataFile, chunksOfFile, summarizeDataFile } from '../../utils/dataSummary.js';
+import { resolveLockfileSettings, findLockfiles, summarizeLockfile } from '../../utils/lockfileSummary.js';
+import { readMlModelMetadata, formatMlModelMetadata, ML_REF_HEAD_BYTES } from '../../utils/mlMetadata.js';
+import { resolveAssetInventorySettings, describeAssetFile, describeAssetBuffer, formatAssetInventory, ASSET_REF_HEAD_BYTES } from '../../utils/assetInventory.js';
 import { getDepthConfig } from '../../core/depthConfig.js';
+import { applyTokenBudget, estimateTextTokens, formatBudgetReport } from '../../core/tokenBudget.js';
+import { orderByDependencyImportance } from '../../core/dependencyGraph.js';
+import { renderJsonl, renderJsonBundle, renderXmlSnapshot } from '../../utils/snapshotFormats.js';
+import { openContentCache, statCacheKey } from '../../utils/contentCache.js';
+import { enforceRetention } from '../../utils/retention.js';
+import { recordCatalogEntry } from '../../utils/snapshotCatalog.js';
+import { sha256, buildManifestEntries, computeRootHash, buildSnapshotManifest, MANIFEST_SUFFIX } from '../../utils/snapshotManifest.js';
 import { updateClaudeMd } from '../../utils/claudeMdGenerator.js';
 import { generateOpenCodeAgents } from '../../utils/opencodeAgentsGenerator.js';
 import { ensureProjectMcpConfig, ensureProjectOpenCodeConfig, ensureProjectCodexConfig } from './setupMcp.js';
@@ -283,6 +301,28 @@ async function estimateProjectTokens(projectPath, config, projectTypes = null) {
   return { estimatedTokens, totalSize, includedFiles };
 }
 
+const ML_EXTENSIONS = ['.safetensors', '.onnx', '.pt', '.pth', '.h5', '.pb', '.bin', '.ckpt', '.gguf'];
+
+/**
+ * Why the ignore rules leave a path out of the snapshot, or null if it is included.
+ * @returns {{counter: string, reason: string}|null} counter is the stats field the exclusion counts towards
+ */
+function getIgnoreReason(normalizedPath, config, gitignore) {
+  // Skip all hidden directories and files (starting with '.')
+  if (isHiddenPath(normalizedPath)) return { counter: 'ignoredFiles', reason: 'Hidden directories/files' };
+  if (config.dirsToIgnore.some(dir => normalizedPath.startsWith(dir))) return { counter: 'ignoredFiles', reason: 'Directory ignore patterns' };
+  if (gitignore.ignores(normalizedPath)) return { counter: 'ignoredFiles', reason: 'Gitignore rules' };
+
+  // Binary files are skipped, except ML models we want to peek into
+  const fileExtension = path.extname(normalizedPath);
+  if (isBinaryPath(normalizedPath) && !ML_EXTENSIONS.includes(fileExtension.toLowerCase())) {
+    return { counter: 'binaryFiles', reason: 'Binary files' };
+  }
+  if (config.extensionsToIgnore.includes(fileExtension)) return { counter: 'excludedFiles', reason: `File extension filter (${fileExtension})`, byExtension: true };
+  if (matchesPattern(normalizedPath, config.filesToIgnore)) return { counter: 'excludedFiles', reason: 'File pattern filter' };
+  return null;
+}
+
 async function processProjectFiles(repoPath, options, config, projectTypes = null) {
   // Merge project-specific filtering rules for ALL detected types (polyglot monorepo support)
   if (projectTypes) {
@@ -304,30 +344,49 @@ async function processProjectFiles(repoPath, options, config, projectTypes = nul
     excludedFiles: 0,
     binaryFiles: 0,
     oversizedFiles: 0,
+    generatedFiles: 0,
     ignoredFiles: 0,
     totalSize: 0,
     processedSize: 0,
     secretsRedacted: 0,
     errors: [],
     skipReasons: new Map(),
-    skippedFilesDetails: new Map()
+    skippedFilesDetails: new Map(),
+    minifySavings: new Map(),
+    assets: []
   };
+  const minifyOptions = typeof options.minify === 'object' && options.minify !== null ? options.minify : {};
 
   try {
     process.chdir(repoPath);
 
+    // Ref snapshots list files and sizes from the commit instead of the working tree
+    let refFiles = null;
+    if (options.refHash) {
+      console.log(`🏷️  Reading files from git ref ${options.ref} (${options.refHash.substring(0, 7)})...`);
+      refFiles = await listFilesAtRef(repoPath, options.refHash);
+    }
+
     console.log('🔍 Scanning repository...');
-    let allFiles = await getProjectFiles(repoPath, config);
+    // The extension filter is applied below, so the files it drops can still reach the asset inventory and data summaries
+    let allFiles = await getProjectFiles(repoPath, { ...config, extensionsToIgnore: [] }, refFiles ? [...refFiles.keys()] : null);
 
     // Filter the raw file list immediately so ignored files don't show up in the Tree
     if (config.filesToIgnore && config.filesToIgnore.length > 0) {
       allFiles = allFiles.filter(file => !matchesPattern(file, config.filesToIgnore));
     }
 
+    let filterResult = null;
     if (options.profile) {
       console.log(`Applying profile filter: '${options.profile}'...`);
-      const filterResult = await applyProfileFilter(allFiles, options.profile, repoPath);
+      filterResult = await applyProfileFilter(allFiles, options.profile, repoPath);
       allFiles = filterResult.files;
+    }
+    const hasIgnoredExtension = file => config.extensionsToIgnore.includes(path.extname(file));
+    const extensionIgnoredFiles = allFiles.filter(hasIgnoredExtension);
+    allFiles = allFiles.filter(file => !hasIgnoredExtension(file));
+
+    if (filterResult) {
       console.log(`Filtered down to ${allFiles.length} files based on profile rules.`);
       if (allFiles.length === 0) {
         // Build helpful error message
@@ -346,18 +405,41 @@ async function processProjectFiles(repoPath, options, config, projectTypes = nul
         throw new Error(errorMsg);
       }
     }
+    // Reproducible snapshots must not depend on directory listing order
+    if (options.reproducible) {
+      allFiles.sort();
+      extensionIgnoredFiles.sort();
+    }
+
     const gitignore = await loadGitignore(repoPath);
     stats.totalFiles = allFiles.length;
 
     console.log(`📊 Found ${stats.totalFiles} files`);
 
+    // Extension-ignored files stay out of the tree and the file count. Binaries among them are still listed
+    // in the asset inventory, and data files big enough for a summary are processed as summaries only
+    const inventoryCandidates = [];
+    const summaryCandidates = [];
+    for (const filePath of extensionIgnoredFiles) {
+      const ignored = getIgnoreReason(filePath.replace(/\\/g, '/'), config, gitignore);
+      if (ignored?.counter === 'binaryFiles' && config.assetInventory) {
+        inventoryCandidates.push(filePath);
+      } else if (ignored?.byExtension && config.dataSummaries) {
+        const fileSize = refFiles ? refFiles.get(filePath).size : (await fs.stat(path.join(repoPath, filePath)).catch(() => null))?.size;
+        if (fileSize !== undefined && shouldSummarizeDataFile(filePath.replace(/\\/g, '/'), fileSize, config.dataSummaries)) {
+          summaryCandidates.push(filePath);
+        }
+      }
+    }
+
     const progressBar = new SingleBar({
       format: '📄 Processing |{bar}| {percentage}% | {value}/{total} files | {filename}',
       barCompleteChar: '\u2588',
       barIncompleteChar: '\u2591',
       hideCursor: true
     }, Presets.rect);
-    progressBar.start(allFiles.length, 0);
+    const filesToProcess = [...allFiles, ...summaryCandidates];
+    progressBar.start(filesToProcess.length, 0);
 
     const trackSkippedFile = (filePath, reason) => {
       if (!stats.skippedFilesDetails.has(reason)) {
@@ -367,117 +449,254 @@ async function processProjectFiles(repoPath, options, config, projectTypes = nul
       stats.skipReasons.set(reason, (stats.skipReasons.get(reason) || 0) + 1);
     };
 
+    const contentCache = config.contentCache !== false && !options.noCache ? await openContentCache(repoPath) : null;
+
+    // Per-file git metadata for the separators, from one git log pass
+    let fileHistory = null;
+    let historyTime = null;
+    if (options.gitMeta) {
+      fileHistory = await loadFileHistory(repoPath, {
+        ref: options.refHash || 'HEAD',
+        paths: filesToProcess.map(file => file.replace(/\\/g, '/'))
+      });
+      // Reproducible snapshots measure ages from the commit, not the wall clock
+      historyTime = options.reproducible && fileHistory.headTime ? fileHistory.headTime : Math.floor(Date.now() / 1000);
+    }
+
+    const recordAsset = async (filePath) => {
+      const normalizedPath = filePath.replace(/\\/g, '/');
+      const refEntry = refFiles ? refFiles.get(filePath) : null;
+      stats.assets.push(refEntry
+        ? await describeAssetBuffer(await readFileHeadAtRef(repoPath, options.refHash, filePath, ASSET_REF_HEAD_BYTES), refEntry.size, normalizedPath)
+        : await describeAssetFile(path.join(repoPath, filePath), normalizedPath));
+    };
+
     const limit = pLimit(config.concurrency);
     const processFile = async (filePath, index) => {
       const normalizedPath = filePath.replace(/\\/g, '/');
       progressBar.update(index + 1, { filename: normalizedPath.slice(0, 50) });
 
       try {
-        // Skip all hidden directories and files (starting with '.')
-        if (isHiddenPath(normalizedPath)) {
-          stats.ignoredFiles++;
-          trackSkippedFile(normalizedPath, 'Hidden directories/files');
+        const ignored = getIgnoreReason(normalizedPath, config, gitignore);
+        // Summary candidates are left out by extension: they are included as a summary or not at all
+        if (ignored && !ignored.byExtension) {
+          stats[ignored.counter]++;
+          trackSkippedFile(normalizedPath, ignored.reason);
+          // Binaries are listed in the asset inventory instead (fileFiltering.assetInventory)
+          if (ignored.counter === 'binaryFiles' && config.assetInventory) await recordAsset(filePath);
           return null;
         }
 
-        // Check if file should be ignored by directory patterns
-        if (config.dirsToIgnore.some(dir => normalizedPath.startsWith(dir))) {
-          stats.ignoredFiles++;
-          trackSkippedFile(normalizedPath, 'Directory ignore patterns');
-          return null;
+        const isMlModel = ML_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
+
+        // Read file with size check
+        const fullPath = path.join(repoPath, filePath);
+        const refEntry = refFiles ? refFiles.get(filePath) : null;
+        const fileStats = refEntry ? null : await fs.stat(fullPath);
+        const fileSize = refEntry ? refEntry.size : fileStats.size;
+
+        // Large data files are replaced by their schema and a few samples (fileFiltering.dataSummaries).
+        // Files that do not parse as their format fall through to the normal pipeline
+        let dataSummary = null;
+        if (!isMlModel && shouldSummarizeDataFile(normalizedPath, fileSize, config.dataSummaries)) {
+          const chunks = refEntry ? [await readFileAtRef(repoPath, options.refHash, filePath)] : chunksOfFile(fullPath);
+          dataSummary = await summarizeDataFile(chunks, normalizedPath, fileSize, config.dataSummaries);
         }
+        // A summary candidate that does not parse stays ignored, as if it had never been scanned
+        if (ignored && !dataSummary) return null;
+        stats.totalSize += fileSize;
 
-        // Check gitignore patterns
-        if (gitignore.ignores(normalizedPath)) {
-          stats.ignoredFiles++;
-          trackSkippedFile(normalizedPath, 'Gitignore rules');
+        // Oversized files are skipped or sampled according to setup.json oversizedFiles
+        const maxFileSize = parseSize(config.maxFileSize);
+        const oversizedMode = !isMlModel && !dataSummary && fileSize > maxFileSize ? oversizedModeFor(normalizedPath, config.oversizedFiles) : null;
+        if (oversizedMode === 'skip') {
+          stats.oversizedFiles++;
+          trackSkippedFile(normalizedPath, `File too large (${formatSize(fileSize)} > ${formatSize(maxFileSize)})`);
           return null;
         }
 
-        const mlExt = path.extname(filePath).toLowerCase();
-        const ML_EXTENSIONS = ['.safetensors', '.onnx', '.pt', '.pth', '.h5', '.pb', '.bin', '.ckpt', '.gguf'];
-        const isMlModel = ML_EXTENSIONS.includes(mlExt);
+        // Unchanged files come from the content cache (already redacted, skeletons per mode).
+        // Summaries and sampled oversized files depend on settings, so they are always rendered afresh
+        const useCache = contentCache && !oversizedMode && !dataSummary;
+        const cacheKey = useCache ? (refEntry ? `blob:${refEntry.blob}` : statCacheKey(fileStats)) : null;
+        const cached = useCache ? await contentCache.get(normalizedPath, cacheKey) : null;
+        const variants = { ...(cached?.variants || {}) };
+        let cacheDirty = useCache && !cached;
 
-        // Check if binary file (bypass if it's an ML model we want to peek into)
-        if (isBinaryPath(filePath) && !isMlModel) {
-          stats.binaryFiles++;
-          trackSkippedFile(normalizedPath, 'Binary files');
-          return null;
-        }
+        let content;
+        let sourceHash = null;
+        let secretsFound = [];
+        let oversized = null;
+        if (cached) {
+          content = cached.content;
+          sourceHash = cached.sourceHash || null;
+          secretsFound = cached.secrets || [];
+        } else {
+          if (dataSummary) {
+            content = dataSummary;
+          } else if (oversizedMode) {
+            const lines = refEntry ? linesOfText(await readFileAtRef(repoPath, options.refHash, filePath)) : linesOfFile(fullPath);
+            oversized = await renderOversizedFile(lines, normalizedPath, oversizedMode, config.oversizedFiles, {
+              size: fileSize,
+              maxSize: maxFileSize,
+              preserveDocs: options.preserveDocs !== false
+            });
+            content = oversized.body;
+          } else if (isMlModel) {
+            content = refEntry
+              ? await formatMlModelMetadata(await readFileHeadAtRef(repoPath, options.refHash, filePath, ML_REF_HEAD_BYTES), fileSize, normalizedPath)
+              : await readMlModelMetadata(fullPath);
+          } else {
+            content = refEntry
+              ? await readFileAtRef(repoPath, options.refHash, filePath)
+              : await readFileWithSizeCheck(fullPath, maxFileSize);
+            // Hash of the source as read, before redaction, for integrity manifests
+            sourceHash = sha256(content);
+          }
 
-        // Check extensions and file patterns
-        const fileExtension = path.extname(filePath);
-        if (config.extensionsToIgnore.includes(fileExtension)) {
-          stats.excludedFiles++;
-          trackSkippedFile(normalizedPath, `File extension filter (${fileExtension})`);
-          return null;
+          // Security scan for secrets
+          if (config.security?.scanForSecrets !== false) {
+            const scanResult = SecretScanner.redact(content, normalizedPath);
+            if (scanResult.found.length > 0) {
+              secretsFound = scanResult.found;
+              content = scanResult.content;
+            }
+          }
         }
 
-        if (matchesPattern(normalizedPath, config.filesToIgnore)) {
-          stats.excludedFiles++;
-          trackSkippedFile(normalizedPath, 'File pattern filter');
+        // Notebook JSON has long base64 output lines; notebooks are converted below instead
+        const isNotebook = !!config.notebooks && !dataSummary && !oversized && isNotebookPath(normalizedPath);
+
+        // Generated and minified files are excluded or replaced by a stub (setup.json generatedFiles)
+        const generatedFiles = config.generatedFiles;
+        const generated = !isMlModel && !isNotebook && generatedFiles.action !== 'keep' ? detectGeneratedFile(normalizedPath, content) : null;
+        const stubGenerated = generated && !isKeptGeneratedFile(normalizedPath, generatedFiles);
+        if (stubGenerated && generatedFiles.action === 'exclude') {
+          if (cacheDirty) {
+            await contentCache.set(normalizedPath, cacheKey, { content, sourceHash, secrets: secretsFound, variants });
+          }
+          stats.generatedFiles++;
+          trackSkippedFile(normalizedPath, `Generated file (${generated.generator})`);
           return null;
         }
 
-        // Read file with size check
-        const fullPath = path.join(repoPath, filePath);
-        const fileStats = await fs.stat(fullPath);
-        stats.totalSize += fileStats.size;
+        if (secretsFound.length > 0) {
+          stats.secretsRedacted += secretsFound.length;
+          console.log(chalk.yellow(`\n  ⚠️  Security: Found ${secretsFound.join(', ')} in ${normalizedPath}. Redacting...`));
+        }
 
-        const maxFileSize = parseSize(config.maxFileSize);
-        let content;
+        stats.includedFiles++;
 
-        if (isMlModel) {
-          content = await readMlModelMetadata(fullPath);
-        } else {
-          if (fileStats.size > maxFileSize) {
-            stats.oversizedFiles++;
-            trackSkippedFile(normalizedPath, `File too large (${formatSize(fileStats.size)} > ${formatSize(maxFileSize)})`);
-            return null;
-          }
-          content = await readFileWithSizeCheck(fullPath, maxFileSize);
+        let mode = dataSummary ? 'data-summary' : oversized ? oversized.mode : 'full';
+        const sourceContent = content;
+        if (stubGenerated) {
+          content = formatGeneratedStub(generated, content);
+          mode = 'generated';
         }
 
-        // Security scan for secrets
-        if (config.security?.scanForSecrets !== false) {
-          const scanResult = SecretScanner.redact(content, normalizedPath);
-          if (scanResult.found.length > 0) {
-            stats.secretsRedacted += scanResult.found.length;
-            console.log(chalk.yellow(`\n  ⚠️  Security: Found ${scanResult.found.join(', ')} in ${normalizedPath}. Redacting...`));
-            content = scanResult.content;
+        // Notebooks become percent-format scripts; skeleton depths apply to their code cells (fileFiltering.notebooks)
+        let notebook = null;
+        if (isNotebook) {
+          const isFocused = options.focus && micromatch.isMatch(normalizedPath, options.focus);
+          const skeleton = options.skeleton && !isFocused ? { preserveDocs: options.preserveDocs !== false } : null;
+          notebook = await convertNotebook(content, config.notebooks, { skeleton });
+          if (notebook) {
+            content = notebook.body;
+            mode = 'notebook';
           }
         }
 
-        stats.includedFiles++;
+        // Keep the redacted source so the token budget can re-render the file at lower depths
+        // (stubs and sampled oversized files stay as they are)
+        const rawContent = (options.budget || options.lineNumbers) && mode === 'full' ? content : undefined;
+
+        // Source line of each body line, tracked only for lineNumbers
+        let lineMap = null;
+        if (options.lineNumbers) {
+          // Summary lines are not source lines and get no numbers
+          lineMap = stubGenerated ? [null] : oversized ? oversized.lineMap : dataSummary || notebook ? [] : identityLineMap(content);
+        }
 
         // Apply skeletonization if enabled
-        if (options.skeleton) {
+        if (options.skeleton && mode === 'full') {
           // Check if file should be focused (kept full)
           const isFocused = options.focus && micromatch.isMatch(normalizedPath, options.focus);
           if (!isFocused) {
-            content = await skeletonize(content, normalizedPath, { preserveDocs: options.preserveDocs !== false });
+            mode = options.preserveDocs !== false ? 'skeleton+docs' : 'skeleton';
+            const lineMapVariant = `${mode}#lines`;
+            if (variants[mode] !== undefined && (!lineMap || variants[lineMapVariant])) {
+              content = variants[mode];
+              if (lineMap) lineMap = variants[lineMapVariant];
+            } else {
+              const skeleton = await skeletonize(content, normalizedPath, { preserveDocs: options.preserveDocs !== false, lineMap: !!lineMap });
+              if (lineMap) {
+                content = skeleton.code;
+                lineMap = variants[lineMapVariant] = skeleton.lineMap;
+              } else {
+                content = skeleton;
+              }
+              variants[mode] = content;
+              cacheDirty = !!contentCache;
+            }
           }
         }
 
+        // Minify files that are still shown in full
+        if (options.minify && mode === 'full' && !isMlModel) {
+          const variant = minifyOptions.dropDebug ? 'minify+nodebug' : 'minify';
+          const lineMapVariant = `${variant}#lines`;
+          let minified;
+          if (variants[variant] !== undefined && (!lineMap || variants[lineMapVariant])) {
+            minified = { code: variants[variant], lineMap: variants[lineMapVariant] };
+          } else {
+            minified = await minify(content, normalizedPath, minifyOptions);
+            variants[variant] = minified.code;
+            if (lineMap) variants[lineMapVariant] = minified.lineMap;
+            cacheDirty = !!contentCache;
+          }
+          recordMinifySavings(stats.minifySavings, normalizedPath, content, minified.code);
+          content = minified.code;
+          if (lineMap) lineMap = minified.lineMap;
+          mode = 'minified';
+        }
+
+        if (cacheDirty) {
+          await contentCache.set(normalizedPath, cacheKey, { content: sourceContent, sourceHash, secrets: secretsFound, variants });
+        }
+
         let outputBody = content;
 
         // Apply max-lines-per-file truncation if specified
         if (options.maxLinesPerFile && options.maxLinesPerFile > 0) {
           const lines = outputBody.split('\n');
           if (lines.length > options.maxLinesPerFile) {
+            if (mode === 'full') mode = 'truncated';
             outputBody = lines.slice(0, options.maxLinesPerFile).join('\n') +
               `\n\n[... truncated ${lines.length - options.maxLinesPerFile} lines ...]`;
+            if (lineMap) lineMap = lineMap.slice(0, options.maxLinesPerFile);
           }
         }
 
-        const formattedContent = `--- File: /${normalizedPath} ---\n\n${outputBody}\n\n`;
+        if (lineMap) outputBody = addLineNumbers(outputBody, lineMap);
+
+        const git = fileHistory ? describeFileHistory(fileHistory, normalizedPath, sourceContent, historyTime) : undefined;
+        if (git && oversized) git.lines = oversized.totalLines;
+        const separator = `--- File: /${normalizedPath} ---${git ? ` ${formatFileHistory(git)}` : ''}`;
+        const formattedContent = `${separator}\n\n${outputBody}\n\n`;
         const finalSize = Buffer.byteLength(formattedContent, 'utf-8');
         stats.processedSize += finalSize;
 
         return {
           content: formattedContent,
           path: normalizedPath,
-          size: finalSize
+          size: finalSize,
+          body: outputBody,
+          mode,
+          originalSize: fileSize,
+          sourceHash,
+          rawContent,
+          separator,
+          git
         };
       } catch (error) {
         stats.errors.push(`${normalizedPath}: ${error.message}`);
@@ -486,10 +705,20 @@ async function processProjectFiles(repoPath, options, config, projectTypes = nul
       }
     };
 
-    const results = await Promise.all(allFiles.map((fp, index) => limit(() => processFile(fp, index))));
+    const results = await Promise.all(filesToProcess.map((fp, index) => limit(() => processFile(fp, index))));
     progressBar.stop();
+    for (const filePath of inventoryCandidates) await recordAsset(filePath);
+
+    if (contentCache) {
+      console.log(chalk.gray(`♻️  Content cache: ${contentCache.hits} reused, ${contentCache.misses} processed`));
+    }
 
     const successfulFileObjects = results.filter(Boolean);
+
+    // Lockfiles are hard-ignored; their summaries are added as synthetic files (fileFiltering.lockfileSummaries)
+    if (config.lockfileSummaries) {
+      successfulFileObjects.push(...await summarizeLockfiles(repoPath, options, config, refFiles, stats));
+    }
     const contentArray = successfulFileObjects.map(f => f.content);
 
     // Return all processed data instead of writing file
@@ -499,7 +728,8 @@ async function processProjectFiles(repoPath, options, config, projectTypes = nul
       successfulFileObjects,
       allFiles,
       originalCwd,
-      repoPath
+      repoPath,
+      isIncludedPath: (normalizedPath) => !getIgnoreReason(normalizedPath, config, gitignore)
     };
 
   } finally {
@@ -508,10 +738,73 @@ async function processProjectFiles(repoPath, options, config, projectTypes = nul
 }
 
 /**
- * Groups files by directory and packs them into chunks of a given maximum size.
- * Preserves directory locality for better RAG retrieval in NotebookLM.
+ * Synthetic file objects with the summaries of the repository's lockfiles.
+ * Lockfiles are found among all tracked files (or the files at the ref), before the hard-ignore filter;
+ * outside git only the project root is checked.
+ * @returns {Promise<Array<object>>}
+ */
+async function summarizeLockfiles(repoPath, options, config, refFiles, stats) {
+  let candidates;
+  if (refFiles) {
+    candidates = [...refFiles.keys()];
+  } else if (await checkGitRepository(repoPath)) {
+    const { stdout } = await execa('git', ['ls-files'], { cwd: repoPath });
+    candidates = stdout.split('\n').filter(Boolean);
+  } else {
+    candidates = (await fs.readdir(repoPath, { withFileTypes: true })).filter(e => e.isFile()).map(e => e.name);
+  }
+  let lockfiles = findLockfiles(candidates, config.dirsToIgnore);
+  if (options.profile && lockfiles.length > 0) {
+    lockfiles = (await applyProfileFilter(lockfiles, options.profile, repoPath)).files;
+  }
+
+  const readText = (filePath) => (refFiles
+    ? (refFiles.has(filePath) ? readFileAtRef(repoPath, options.refHash, filePath) : Promise.resolve(null))
+    : fs.readFile(path.join(repoPath, filePath), 'utf-8')).catch(() => null);
+
+  const fileObjects = [];
+  for (const lockfile of lockfiles) {
+    const summary = await summarizeLockfile(lockfile, readText, config.lockfileSummaries);
+    if (!summary) {
+      stats.errors.push(`${lockfile}: lockfile could not be parsed, summary skipped`);
+      continue;
+    }
+    // Summary lines are not lockfile lines and get no numbers
+    const body = options.lineNumbers ? addLineNumbers(summary, []) : summary;
+    const separator = `--- File: /${lockfile} ---`;
+    const content = `${separator}\n\n${body}\n\n`;
+    const size = Buffer.byteLength(content, 'utf-8');
+    stats.includedFiles++;
+    stats.processedSize += size;
+    fileObjects.push({
+      content,
+      path: lockfile,
+      size,
+      body,
+      mode: 'lockfile-summary',
+      originalSize: refFiles ? refFiles.get(lockfile).size : (await fs.stat(path.join(repoPath, lockfile))).size,
+      sourceHash: null,
+      rawContent: undefined,
+      separator
+    });
+  }
+  if (fileObjects.length > 0) {
+    console.log(chalk.blue(`🔒 Summarized ${fileObjects.length} lockfile${fileObjects.length === 1 ? '' : 's'}: ${fileObjects.map(f => f.path).join(', ')}`));
+  }
+  return fileObjects;
+}
+
+/**
+ * Groups files by directory and packs them into chunks without exceeding a size limit.
+ * Preserves directory locality for better RAG retrieval and readable part files.
+ * Within a chunk, files keep their incoming order (e.g. `order: deps`).
+ * @param {Array<object>} successfulFileObjects
+ * @param {number|function(number): number} maxChunkSize - Limit, or a limit per chunk index
+ * @param {function(object): number} [sizeOf] - Size of one file (bytes by default)
+ * @returns {Array<{size: number, contentArray: string[], files: Array<object>}>}
  */
-function packFilesForNotebookLM(successfulFileObjects, maxChunkSizeBytes = 2.5 * 1024 * 1024) {
+function packFilesByDirectory(successfulFileObjects, maxChunkSize, sizeOf = f => f.size) {
+  const limitFor = typeof maxChunkSize === 'function' ? maxChunkSize : () => maxChunkSize;
   const dirGroups = new Map();
 
   for (const fileObj of successfulFileObjects) {
@@ -519,43 +812,109 @@ function packFilesForNotebookLM(successfulFileObjects, maxChunkSizeBytes = 2.5 *
     if (!dirGroups.has(dir)) dirGroups.set(dir, { size: 0, files: [] });
     const group = dirGroups.get(dir);
     group.files.push(fileObj);
-    group.size += fileObj.size;
+    group.size += sizeOf(fileObj);
   }
 
   const sortedDirs = Array.from(dirGroups.keys()).sort();
   const chunks = [];
-  let currentChunk = { size: 0, contentArray: [] };
+  const newChunk = () => ({ size: 0, contentArray: [], files: [] });
+  const addFile = (chunk, fileObj) => {
+    chunk.contentArray.push(fileObj.content);
+    chunk.files.push(fileObj);
+    chunk.size += sizeOf(fileObj);
+  };
+  let currentChunk = newChunk();
+
+  // Room in an empty chunk from here on: the first chunk may have less (it carries the header)
+  const emptyLimit = () => Math.max(limitFor(chunks.length), limitFor(chunks.length + 1));
+  // Overflowing items move to a new chunk. An empty chunk only keeps one when the next chunk
+  // has no more room either, i.e. the item is too large for any chunk
+  const needsNewChunk = (size) => currentChunk.size + size > limitFor(chunks.length)
+    && (currentChunk.files.length > 0 || limitFor(chunks.length + 1) > limitFor(chunks.length));
+  const startNewChunk = () => {
+    chunks.push(currentChunk);
+    currentChunk = newChunk();
+  };
 
   for (const dir of sortedDirs) {
     const group = dirGroups.get(dir);
 
-    if (group.size > maxChunkSizeBytes) {
+    if (group.size > emptyLimit()) {
       // Directory too large — pack files individually
       for (const fileObj of group.files) {
-        if (currentChunk.size + fileObj.size > maxChunkSizeBytes && currentChunk.contentArray.length > 0) {
-          chunks.push(currentChunk);
-          currentChunk = { size: 0, contentArray: [] };
-        }
-        currentChunk.contentArray.push(fileObj.content);
-        currentChunk.size += fileObj.size;
+        if (needsNewChunk(sizeOf(fileObj))) startNewChunk();
+        addFile(currentChunk, fileObj);
       }
-    } else if (currentChunk.size + group.size <= maxChunkSizeBytes) {
-      // Directory fits in current chunk
-      for (const f of group.files) currentChunk.contentArray.push(f.content);
-      currentChunk.size += group.size;
     } else {
-      // Start a new chunk
-      chunks.push(currentChunk);
-      currentChunk = { size: 0, contentArray: [] };
-      for (const f of group.files) currentChunk.contentArray.push(f.content);
-      currentChunk.size += group.size;
+      // Keep the directory together, in a new chunk if it does not fit the current one
+      if (needsNewChunk(group.size)) startNewChunk();
+      for (const f of group.files) addFile(currentChunk, f);
     }
   }
 
   if (currentChunk.contentArray.length > 0) chunks.push(currentChunk);
+
+  const incomingIndex = new Map(successfulFileObjects.map((f, i) => [f, i]));
+  for (const chunk of chunks) {
+    chunk.files.sort((a, b) => incomingIndex.get(a) - incomingIndex.get(b));
+    chunk.contentArray = chunk.files.map(f => f.content);
+  }
   return chunks;
 }
 
+/**
+ * Renders the table of contents repeated in every part of a chunked snapshot.
+ * Lists directories rather than files so it stays compact on large repos.
+ */
+function formatPartsToc(chunks, currentIndex) {
+  let toc = `## 📑 Table of Contents\n\n| Part | Directories | Files |\n|------|-------------|-------|\n`;
+  chunks.forEach((chunk, i) => {
+    const dirs = [...new Set(chunk.files.map(f => (f.path.includes('/') ? f.path.substring(0, f.path.lastIndexOf('/')) : './')))];
+    const label = i === currentIndex ? `**${i + 1}** ⬅️` : `${i + 1}`;
+    toc += `| ${label} | ${dirs.map(d => `\`${d}\``).join(', ')} | ${chunk.files.length} |\n`;
+  });
+  return toc + '\n';
+}
+
+/**
+ * Splits a Markdown snapshot into parts of at most `maxChunkTokens` (estimated) each.
+ * Part 1 carries the full AI header and directory tree; every part repeats a compact
+ * banner and the table of contents.
+ * @param {object} params - { header, treeSection, fileObjects, maxChunkTokens, title }
+ * @returns {Array<{content: string, files: Array<object>}>} Content of each part and the files it holds
+ */
+function splitSnapshotIntoParts({ header, treeSection, fileObjects, maxChunkTokens, title }) {
+  const filesWithContent = fileObjects.filter(f => f.content);
+  const banner = (i, n) => `# 📦 ${title} — PART ${i + 1} OF ${n}\n\nThis snapshot is split into ${n} parts. Part 1 holds the instructions and the directory tree; use the table of contents to find the part holding a file.\n\n`;
+  const firstPartOverhead = estimateTextTokens(header + treeSection);
+  if (firstPartOverhead >= maxChunkTokens) {
+    throw new Error(`maxChunkTokens (${maxChunkTokens}) is smaller than the snapshot header and tree (~${firstPartOverhead} tokens). Raise it or pass "noTree": true.`);
+  }
+
+  const pack = (tocReserve) => packFilesByDirectory(
+    filesWithContent,
+    (index) => maxChunkTokens - tocReserve - (index === 0 ? firstPartOverhead : 0),
+    f => estimateTextTokens(f.content)
+  );
+
+  // The TOC size depends on the packing, so pack once with an estimate and again if it was too low
+  let tocReserve = estimateTextTokens(banner(0, 99) + formatPartsToc([{ files: filesWithContent }], -1)) + 50;
+  let chunks = pack(tocReserve);
+  const actualReserve = estimateTextTokens(banner(0, chunks.length) + formatPartsToc(chunks, 0));
+  if (actualReserve > tocReserve) {
+    tocReserve = actualReserve;
+    chunks = pack(tocReserve);
+  }
+
+  return chunks.map((chunk, i) => {
+    const intro = banner(i, chunks.length) + formatPartsToc(chunks, i);
+    const content = i === 0
+      ? header + '\n\n' + intro + treeSection + chunk.contentArray.join('')
+      : intro + chunk.contentArray.join('');
+    return { content, files: chunk.files };
+  });
+}
+
 export async function createRepoSnapshot(repoPath, options) {
   // Handle linked/scout project depth settings before processing
   if (options.isLinkedProject || (options.notebooklm && options.linkDepth !== undefined)) {
@@ -619,9 +978,26 @@ export async function createRepoSnapshot(repoPath, options) {
       }
     }
 
-    // Auto-commit unstaged changes if in a git repo
+    // Snapshot of a git ref: resolve it up front, the working tree is not read or anchored
+    if (options.ref) {
+      options.refHash = await resolveGitRef(repoPath, options.ref);
+    }
+
+    // Anchor uncommitted work: a shadow commit under refs/eck/anchors/, or a real auto-commit.
+    // Reproducible snapshots always use a deterministic shadow anchor (auto-commits carry a timestamp).
     const isGitRepo = await checkGitRepository(repoPath);
-    if (isGitRepo) {
+    const anchorOptions = options.reproducible ? { ...options, anchorMode: 'shadow' } : options;
+    const anchorMode = isGitRepo && !options.refHash ? await resolveAnchorMode(repoPath, anchorOptions) : null;
+    let shadowAnchor = null;
+    if (anchorMode === 'shadow') {
+      spinner.text = 'Capturing working tree in a shadow commit...';
+      try {
+        shadowAnchor = await createShadowAnchor(repoPath, { deterministic: !!options.reproducible });
+        spinner.info(`Shadow anchor saved: ${shadowAnchor.ref} (${shadowAnchor.hash.substring(0, 7)}). HEAD and staging area untouched.`);
+      } catch (e) {
+        spinner.warn(`Shadow anchor failed: ${e.message}`);
+      }
+    } else if (anchorMode === 'commit') {
       spinner.text = 'Checking for unstaged changes...';
       try {
         const { stdout: status } = await execa('git', ['status', '--porcelain'], { cwd: repoPath });
@@ -660,7 +1036,13 @@ export async function createRepoSnapshot(repoPath, options) {
       ...setupConfig.performance,
       defaultFormat: setupConfig.output?.defaultFormat || 'md',
       aiHeaderEnabled: setupConfig.aiInstructions?.header?.defaultEnabled ?? true,
-      ...options // Command-line options have the final say
+      ...options, // Command-line options have the final say
+      generatedFiles: resolveGeneratedFilesPolicy(setupConfig.generatedFiles, options.generatedFiles),
+      oversizedFiles: resolveOversizedPolicy(setupConfig.oversizedFiles, options.oversizedFiles),
+      dataSummaries: resolveDataSummarySettings(setupConfig.fileFiltering?.dataSummaries, options.dataSummaries),
+      lockfileSummaries: resolveLockfileSettings(setupConfig.fileFiltering?.lockfileSummaries, options.lockfileSummaries),
+      assetInventory: resolveAssetInventorySettings(setupConfig.fileFiltering?.assetInventory, options.assetInventory),
+      notebooks: resolveNotebookSettings(setupConfig.fileFiltering?.notebooks, options.notebooks)
     };
 
     // Detect architect modes
@@ -670,11 +1052,12 @@ export async function createRepoSnapshot(repoPath, options) {
 
     // If NOT in Junior Architect mode, hide JA-specific documentation to prevent context pollution
     if (!options.withJa && !isJas && !isJao && !isJaz) {
-      if (!config.filesToIgnore) config.filesToIgnore = [];
-      config.filesToIgnore.push(
+      // Copy instead of push: the array is shared with the cached setup.json config
+      config.filesToIgnore = [
+        ...(config.filesToIgnore || []),
         'COMMANDS_REFERENCE.md',
         'codex_delegation_snapshot.md'
-      );
+      ];
     }
 
     // Apply defaults for options that may not be provided via command line
@@ -719,7 +1102,8 @@ export async function createRepoSnapshot(repoPath, options) {
       // --- Common Data ---
       const timestamp = generateTimestamp();
       const repoName = path.basename(processedRepoPath);
-      const gitHash = await getGitCommitHash(processedRepoPath);
+      const anchorHash = options.refHash || shadowAnchor?.hash;
+      const gitHash = anchorHash ? anchorHash.substring(0, 7) : await getGitCommitHash(processedRepoPath);
       const fileExtension = options.format || config.defaultFormat || 'md';
       const outputPath = options.output || path.resolve(originalCwd, config.output);
       await fs.mkdir(outputPath, { recursive: true });
@@ -728,7 +1112,65 @@ export async function createRepoSnapshot(repoPath, options) {
       let directoryTree = '';
       if (shouldIncludeTree) {
         console.log('🌳 Generating directory tree...');
-        directoryTree = await generateDirectoryTree(processedRepoPath, '', allFiles, 0, config.maxDepth || 10, config);
+        // Reproducible trees list only the snapshot's files, not whatever else is on disk (.eck/, build output)
+        directoryTree = options.refHash || options.reproducible
+          ? generateDirectoryTreeFromPaths(allFiles, config.maxDepth || 10)
+          : await generateDirectoryTree(processedRepoPath, '', allFiles, 0, config.maxDepth || 10, config);
+      }
+
+      // Load manifest for headers
+      const eckManifest = await loadProjectEckManifest(processedRepoPath);
+      const isGitRepo = await checkGitRepository(processedRepoPath);
+
+      // Optional "Recent Commits" header section, counting only files the snapshot includes
+      const historySettings = resolveRecentHistorySettings(setupConfig.recentHistory, options.recentHistory);
+      const recentHistory = historySettings && isGitRepo && !options.isLinkedProject
+        ? await loadRecentHistory(processedRepoPath, historySettings, {
+            isIncluded: result.isIncludedPath,
+            ref: options.refHash || 'HEAD',
+            reproducible: options.reproducible
+          })
+        : null;
+
+      // --- Token Budget: downgrade least important files until the snapshot fits ---
+      let budgetReport = null;
+      if (options.budget && !options.skipContent) {
+        const budget = parseInt(options.budget, 10);
+        if (!Number.isFinite(budget) || budget <= 0) {
+          throw new Error(`Invalid budget: "${options.budget}". Expected a positive token count.`);
+        }
+        const headerPreview = options.isLinkedProject ? '' : await generateEnhancedAIHeader(
+          { stats, repoName, mode: 'file', eckManifest, recentHistory, options: { ...options, agent: false, jas: isJas, jao: isJao, jaz: isJaz }, repoPath: processedRepoPath },
+          isGitRepo
+        );
+        let startDepth = 9;
+        if (options.skeleton) startDepth = options.preserveDocs !== false ? 6 : 5;
+        else if (options.isLinkedProject && options.linkDepth !== undefined) startDepth = parseInt(options.linkDepth, 10);
+
+        console.log(chalk.blue(`🎯 Fitting snapshot into ${budget.toLocaleString()} tokens...`));
+        budgetReport = await applyTokenBudget(successfulFileObjects, budget, {
+          overheadTokens: estimateTextTokens(headerPreview) + estimateTextTokens(directoryTree),
+          startDepth,
+          focus: options.focus,
+          lineNumbers: options.lineNumbers
+        });
+        contentArray = successfulFileObjects.filter(f => f.content).map(f => f.content);
+        stats.processedSize = successfulFileObjects.reduce((sum, f) => sum + f.size, 0);
+
+        const msg = `   ~${budgetReport.initialTokens.toLocaleString()} → ~${budgetReport.finalTokens.toLocaleString()} tokens, ${budgetReport.degraded.length} files downgraded`;
+        console.log(budgetReport.fits ? chalk.green(msg) : chalk.yellow(`${msg} (still over budget even at tree-only)`));
+      }
+
+      // --- Ordering: entry points and heavily imported modules lead, tests trail ---
+      if (options.order && options.order !== 'scan') {
+        if (options.order !== 'deps') {
+          throw new Error(`Invalid order: "${options.order}". Expected "scan" or "deps".`);
+        }
+        const { ordered, entryPoints } = orderByDependencyImportance(successfulFileObjects);
+        successfulFileObjects = ordered;
+        contentArray = successfulFileObjects.filter(f => f.content).map(f => f.content);
+        const shownEntries = entryPoints.slice(0, 5).join(', ') + (entryPoints.length > 5 ? ', ...' : '');
+        console.log(chalk.blue(`🧭 Ordered ${successfulFileObjects.length} files by dependency importance${entryPoints.length ? ` (entry points: ${shownEntries})` : ''}`));
       }
 
       // Calculate included file stats by extension
@@ -745,10 +1187,6 @@ export async function createRepoSnapshot(repoPath, options) {
       // Calculate Top 10 Largest Files
       const largestFiles = [...successfulFileObjects].sort((a, b) => b.size - a.size).slice(0, 10);
 
-      // Load manifest for headers
-      const eckManifest = await loadProjectEckManifest(processedRepoPath);
-      const isGitRepo = await checkGitRepository(processedRepoPath);
-
       // --- BRANCH 1: Generate Snapshot File (ALWAYS) ---
       let architectFilePath = null;
       let jaFilePath = null;
@@ -759,7 +1197,7 @@ export async function createRepoSnapshot(repoPath, options) {
         console.log(chalk.blue(`\n📚 Packing project for NotebookLM (${mode.toUpperCase()} Mode)...`));
 
         // If options.skipContent is true (Depth 0), chunks will be empty, only part0_BRAIN is generated
-        const chunks = options.skipContent ? [] : packFilesForNotebookLM(successfulFileObjects);
+        const chunks = options.skipContent ? [] : packFilesByDirectory(successfulFileObjects, 2.5 * 1024 * 1024);
         const shortRepoName = getShortRepoName(repoName);
         const absPath = processedRepoPath.replace(/\\/g, '/');
         const filePrefix = mode; // e.g. hybrid, link, scout
@@ -866,19 +1304,31 @@ export async function createRepoSnapshot(repoPath, options) {
           console.log(`2. No new System Prompt is needed. The primary project's prompt already handles ${mode} files.`);
         }
 
-        await saveGitAnchor(processedRepoPath);
+        // A ref snapshot is a look at history: the anchor keeps pointing at the working snapshot
+        if (!options.refHash) await saveGitAnchor(processedRepoPath, anchorHash);
+        await enforceRetention(processedRepoPath);
         return;
       }
 
       // --- Standard Snapshot Mode ---
-      let fileBody = '';
-      if (directoryTree) {
-        fileBody += `\n## Directory Structure\n\n\`\`\`\n${directoryTree}\`\`\`\n\n`;
-      }
+      const treeSection = directoryTree ? `\n## Directory Structure\n\n\`\`\`\n${directoryTree}\`\`\`\n\n` : '';
+      let fileBody = treeSection;
       if (!options.skipContent) {
         fileBody += contentArray.join('');
       }
 
+      let maxChunkTokens = null;
+      if (options.maxChunkTokens) {
+        maxChunkTokens = parseInt(options.maxChunkTokens, 10);
+        if (!Number.isFinite(maxChunkTokens) || maxChunkTokens <= 0) {
+          throw new Error(`Invalid maxChunkTokens: "${options.maxChunkTokens}". Expected a positive token count.`);
+        }
+        if (fileExtension !== 'md') {
+          console.log(chalk.yellow(`⚠️  maxChunkTokens applies to Markdown output only; writing a single ${fileExtension} file.`));
+          maxChunkTokens = null;
+        }
+      }
+
       // Helper to write snapshot file
       const writeSnapshot = async (suffix, isAgentMode) => {
         let header = '';
@@ -895,16 +1345,37 @@ export async function createRepoSnapshot(repoPath, options) {
             header += `*(Source code omitted due to linkDepth=0. Directory structure only.)*\n\n`;
           }
         } else {
-          const opts = { ...options, agent: false, jas: isJas, jao: isJao, jaz: isJaz };
-          header = await generateEnhancedAIHeader({ stats, repoName, mode: 'file', eckManifest, options: opts, repoPath: processedRepoPath }, isGitRepo);
+          const opts = { ...options, agent: false, jas: isJas, jao: isJao, jaz: isJaz, skeleton: options.skeleton || budgetReport?.usedSkeleton };
+          header = await generateEnhancedAIHeader({ stats, repoName, gitHash, mode: 'file', eckManifest, recentHistory, options: opts, repoPath: processedRepoPath }, isGitRepo);
+        }
+
+        if (options.refHash) {
+          header += `\n\n> 🏷️ **Git ref snapshot:** file contents come from \`${options.ref}\` (commit \`${options.refHash.substring(0, 7)}\`), not the working tree.\n`;
+        }
+
+        if (budgetReport) {
+          header += formatBudgetReport(budgetReport);
+        }
+
+        if (options.minify && stats.minifySavings.size > 0) {
+          header += formatMinifyReport(stats.minifySavings);
+        }
+
+        if (stats.assets.length > 0) {
+          header += formatAssetInventory(stats.assets, config.assetInventory);
         }
 
         // Compact filename format
         const shortHash = gitHash ? gitHash.substring(0, 7) : '';
         const shortRepoName = getShortRepoName(repoName);
 
-        let fname = options.isLinkedProject ? `link_${shortRepoName}${timestamp}` : `eck${shortRepoName}${timestamp}`;
+        // Reproducible names are content-addressed: the root hash replaces the timestamp
+        const manifestFiles = options.skipContent ? [] : successfulFileObjects;
+        const rootHash = options.reproducible ? computeRootHash(buildManifestEntries(manifestFiles)) : null;
+        const nameStamp = rootHash ? '' : timestamp;
+        let fname = options.isLinkedProject ? `link_${shortRepoName}${nameStamp}` : `eck${shortRepoName}${nameStamp}`;
         if (shortHash) fname += `_${shortHash}`;
+        if (rootHash) fname += `_r${rootHash.substring(0, 12)}`;
 
         // Add mode suffix
         if (options.skeleton) {
@@ -913,14 +1384,88 @@ export async function createRepoSnapshot(repoPath, options) {
           fname += suffix;
         }
 
-        const fullContent = header + fileBody;
-        const sizeKB = Math.max(1, Math.round(Buffer.byteLength(fullContent, 'utf-8') / 1024));
-        fname += `_${sizeKB}kb.${fileExtension}`;
-        const fpath = path.join(outputPath, fname);
-        await fs.writeFile(fpath, fullContent);
-        const approxTokens = Math.round(fullContent.length / 4);
-        const tokensStr = approxTokens < 1000 ? `${approxTokens}` : `${(approxTokens / 1000).toFixed(1)}k`;
-        console.log(`📄 Generated Snapshot: ${fname} (${sizeKB} KB | ~${tokensStr} tokens)`);
+        let fullContent = header + fileBody;
+        if (fileExtension === 'jsonl') {
+          fullContent = renderJsonl(options.skipContent ? [] : successfulFileObjects);
+        } else if (fileExtension === 'json') {
+          fullContent = renderJsonBundle({
+            repoName,
+            gitHash,
+            header,
+            tree: directoryTree,
+            stats,
+            fileObjects: options.skipContent ? [] : successfulFileObjects,
+            extra: {
+              ...(budgetReport ? { budget: budgetReport } : {}),
+              ...(stats.assets.length > 0 ? { assets: [...stats.assets].sort((a, b) => a.path.localeCompare(b.path)) } : {})
+            },
+            reproducible: !!options.reproducible
+          });
+        } else if (fileExtension === 'xml') {
+          fullContent = renderXmlSnapshot({
+            header,
+            tree: directoryTree,
+            fileObjects: options.skipContent ? [] : successfulFileObjects
+          });
+        }
+        // Split into part files when the snapshot must fit a smaller context window
+        let outputs = [{
+          content: fullContent,
+          partSuffix: '',
+          files: options.skipContent ? [] : successfulFileObjects.filter(f => f.content)
+        }];
+        if (maxChunkTokens && !options.skipContent && estimateTextTokens(fullContent) > maxChunkTokens) {
+          const parts = splitSnapshotIntoParts({
+            header,
+            treeSection,
+            fileObjects: successfulFileObjects,
+            maxChunkTokens,
+            title: `${repoName} snapshot${shortHash ? ` (${shortHash})` : ''}`
+          });
+          outputs = parts.map(({ content, files }, i) => ({ content, files, partSuffix: `_part${i + 1}of${parts.length}` }));
+          console.log(chalk.blue(`✂️  Split into ${parts.length} parts of ≤ ~${maxChunkTokens.toLocaleString()} tokens`));
+        }
+
+        const baseName = fname;
+        for (const output of outputs) {
+          const sizeKB = Math.max(1, Math.round(Buffer.byteLength(output.content, 'utf-8') / 1024));
+          output.fname = `${baseName}${output.partSuffix}_${sizeKB}kb.${fileExtension}`;
+          output.fpath = path.join(outputPath, output.fname);
+          output.sizeKB = sizeKB;
+          await fs.writeFile(output.fpath, output.content);
+          const approxTokens = Math.round(output.content.length / 4);
+          const tokensStr = approxTokens < 1000 ? `${approxTokens}` : `${(approxTokens / 1000).toFixed(1)}k`;
+          console.log(`📄 Generated Snapshot: ${output.fname} (${sizeKB} KB | ~${tokensStr} tokens)`);
+          if (maxChunkTokens && outputs.length > 1 && approxTokens > maxChunkTokens) {
+            console.log(chalk.yellow(`   ⚠️  Over the chunk limit: a single file in this part is larger than ${maxChunkTokens.toLocaleString()} tokens.`));
+          }
+        }
+
+        // Integrity manifest next to the snapshot, checked by eck_verify
+        if (rootHash) {
+          const manifest = buildSnapshotManifest({
+            outputs,
+            fileObjects: manifestFiles,
+            format: fileExtension,
+            gitHash: anchorHash || gitHash
+          });
+          const manifestName = outputs.length === 1
+            ? outputs[0].fname.replace(/\.[^.]+$/, MANIFEST_SUFFIX)
+            : `${baseName}${MANIFEST_SUFFIX}`;
+          await fs.writeFile(path.join(outputPath, manifestName), JSON.stringify(manifest, null, 2) + '\n');
+          console.log(chalk.gray(`🔏 Integrity manifest: ${manifestName} (root ${rootHash.substring(0, 12)})`));
+        }
+
+        await recordCatalogEntry(processedRepoPath, {
+          path: outputs[0].fpath,
+          kind: options.isLinkedProject ? 'link' : 'full',
+          anchor: anchorHash || gitHash || null,
+          profile: options.profile || null,
+          depth: options.isLinkedProject ? (options.linkDepth ?? 0) : null,
+          files: manifestFiles.filter(f => f.content).length,
+          tokens: outputs.reduce((sum, o) => sum + estimateTextTokens(o.content), 0),
+          format: fileExtension
+        });
 
         // --- FEATURE: Active Snapshot ---
         if (!isAgentMode) {
@@ -929,26 +1474,30 @@ export async function createRepoSnapshot(repoPath, options) {
               // Link snapshots go to .eck/links/
               const linksDir = path.join(originalCwd, '.eck', 'links');
               await fs.mkdir(linksDir, { recursive: true });
-              await fs.writeFile(path.join(linksDir, fname), fullContent);
-              const approxTokens = Math.round(fullContent.length / 4);
-              const tokensStr = approxTokens < 1000 ? `${approxTokens}` : `${(approxTokens / 1000).toFixed(1)}k`;
-              console.log(chalk.cyan(`🔗 Link saved to .eck/links/${fname}`));
-              console.log(chalk.gray(`   Size: ${sizeKB} KB | ~${tokensStr} tokens`));
-            } else {
-              // Main snapshots go to .eck/lastsnapshot/
+              for (const { fname: outName, content, sizeKB } of outputs) {
+                await fs.writeFile(path.join(linksDir, outName), content);
+                const approxTokens = Math.round(content.length / 4);
+                const tokensStr = approxTokens < 1000 ? `${approxTokens}` : `${(approxTokens / 1000).toFixed(1)}k`;
+                console.log(chalk.cyan(`🔗 Link saved to .eck/links/${outName}`));
+                console.log(chalk.gray(`   Size: ${sizeKB} KB | ~${tokensStr} tokens`));
+              }
+            } else if (!options.refHash) {
+              // Main snapshots go to .eck/lastsnapshot/ (ref snapshots leave the active one alone)
               const snapDir = path.join(originalCwd, '.eck', 'lastsnapshot');
               await fs.mkdir(snapDir, { recursive: true });
 
               // Clean up OLD snapshots (keep AnswerToSA.md)
               const existingFiles = await fs.readdir(snapDir);
               for (const file of existingFiles) {
-                if ((file.startsWith('eck') && file.endsWith('.md')) || file === 'answer.md') {
+                if ((file.startsWith('eck') && /\.(md|json|jsonl|xml)$/.test(file)) || file === 'answer.md') {
                   await fs.unlink(path.join(snapDir, file));
                 }
               }
 
-              await fs.writeFile(path.join(snapDir, fname), fullContent);
-              console.log(chalk.cyan(`📋 Active snapshot updated in .eck/lastsnapshot/: ${fname}`));
+              for (const { fname: outName, content } of outputs) {
+                await fs.writeFile(path.join(snapDir, outName), content);
+                console.log(chalk.cyan(`📋 Active snapshot updated in .eck/lastsnapshot/: ${outName}`));
+              }
             }
           } catch (e) {
             // Non-critical failure
@@ -957,6 +1506,7 @@ export async function createRepoSnapshot(repoPath, options) {
         }
         // --------------------------------------------
 
+        const fpath = outputs[0].fpath;
         return fpath;
       };
 
@@ -978,18 +1528,24 @@ export async function createRepoSnapshot(repoPath, options) {
         }
       }
 
-      // Save git anchor for future delta updates
-      await saveGitAnchor(processedRepoPath);
+      // Save git anchor for future delta updates. A ref snapshot leaves the anchor and update counter
+      // of the working snapshot alone; `eck_update --base <ref snapshot>` diffs against the ref instead
+      if (!options.refHash) await saveGitAnchor(processedRepoPath, anchorHash);
+
+      // Drop old snapshots, links and shadow anchors per the retention policy
+      await enforceRetention(options.isLinkedProject ? originalCwd : processedRepoPath);
 
       // Reset update counter for sequential tracking
-      try {
-        const counterPath = path.join(processedRepoPath, '.eck', 'update_seq');
-        await fs.mkdir(path.dirname(counterPath), { recursive: true });
-        // Format: HASH:COUNT
-        const shortHash = gitHash ? gitHash.substring(0, 7) : 'nohash';
-        await fs.writeFile(counterPath, `${shortHash}:0`);
-      } catch (e) {
-        // Non-critical, continue
+      if (!options.refHash) {
+        try {
+          const counterPath = path.join(processedRepoPath, '.eck', 'update_seq');
+          await fs.mkdir(path.dirname(counterPath), { recursive: true });
+          // Format: HASH:COUNT
+          const shortHash = gitHash ? gitHash.substring(0, 7) : 'nohash';
+          await fs.writeFile(counterPath, `${shortHash}:0`);
+        } catch (e) {
+          // Non-critical, continue
+        }
       }
 
       // --- BRANCH 2: Update CLAUDE.md (JAS / JAO / Default) ---
@@ -1083,7 +1639,7 @@ export async function createRepoSnapshot(repoPath, options) {
       }
 
       // Excluded/Skipped Files Section
-      const hasExcludedContent = stats.excludedFiles > 0 || stats.binaryFiles > 0 || stats.oversizedFiles > 0 || stats.ignoredFiles > 0 || stats.errors.length > 0;
+      const hasExcludedContent = stats.excludedFiles > 0 || stats.binaryFiles > 0 || stats.oversizedFiles > 0 || stats.generatedFiles > 0 || stats.ignoredFiles > 0 || stats.errors.length > 0;
       if (hasExcludedContent) {
         console.log('\n🚫 Excluded/Skipped Files:');
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -1098,6 +1654,9 @@ export async function createRepoSnapshot(repoPath, options) {
       if (stats.oversizedFiles > 0) {
         console.log(`📏 Oversized files skipped: ${stats.oversizedFiles}`);
       }
+      if (stats.generatedFiles > 0) {
+        console.log(`🏭 Generated files skipped: ${stats.generatedFiles}`);
+      }
       if (stats.ignoredFiles > 0) {
         console.log(`🙈 Ignored files: ${stats.ignoredFiles}`);
       }
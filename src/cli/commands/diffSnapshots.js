@@ -0,0 +1,183 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import {
+  parseSnapshotContent,
+  generateTimestamp,
+  getShortRepoName,
+  ensureSnapshotsInGitignore
+} from '../../utils/fileUtils.js';
+import { isCatalogReference, resolveCatalogReference } from '../../utils/snapshotCatalog.js';
+import { unifiedHunks } from '../../utils/textDiff.js';
+import { stripLineNumbers } from '../../core/lineNumbers.js';
+import { getDepthConfig } from '../../core/depthConfig.js';
+
+/**
+ * Depth mode of one file body, from the marker it starts with or the snapshot-wide mode.
+ * Markers are the same ones eck_restore refuses.
+ * @param {string} body - File body without line numbers
+ * @param {object} snapshot - { skeleton, minified, budgetModes } from readSnapshot
+ * @param {string} filePath
+ */
+function detectDepthMode(body, snapshot, filePath) {
+  if (body.trim() === '[FILE DELETED]') return 'deleted';
+  if (body.startsWith('[ML MODEL')) return 'ml-model';
+  if (body.startsWith('[GENERATED FILE')) return 'generated';
+  if (body.startsWith('[OVERSIZED FILE')) return 'oversized';
+  if (body.startsWith('[DATA SUMMARY')) return 'data-summary';
+  if (body.startsWith('[LOCKFILE SUMMARY')) return 'lockfile-summary';
+  if (body.startsWith('[NOTEBOOK')) return 'notebook';
+  if (snapshot.budgetModes.has(filePath)) return snapshot.budgetModes.get(filePath);
+  if (/\[\.\.\. truncated \d+ lines \.\.\.\]|\/\/ \.\.\. truncated \(\d+ more lines\)/.test(body)) return 'truncated';
+  if (/\/\* \.\.\. \*\/|\/\/ \[Skeleton (?:parse )?error/.test(body)) return 'skeleton';
+  if (snapshot.skeleton) return 'skeleton';
+  if (snapshot.minified) return 'minified';
+  return 'full';
+}
+
+/**
+ * Resolves a snapshot path or catalog reference (`latest-full`, `up-2`) and parses its files.
+ * @returns {Promise<{name: string, files: Map<string, {body: string, mode: string}>}>}
+ */
+async function readSnapshot(repoPath, ref) {
+  const snapshotPath = isCatalogReference(ref)
+    ? path.resolve(repoPath, (await resolveCatalogReference(repoPath, ref)).entry.path)
+    : path.resolve(repoPath, ref);
+  const content = await fs.readFile(snapshotPath, 'utf-8');
+  const parsed = parseSnapshotContent(content);
+  if (parsed.length === 0) {
+    throw new Error(`No "--- File: /path ---" sections found in ${path.basename(snapshotPath)}. eck_snapshot_diff compares Markdown snapshots.`);
+  }
+
+  // Mode markers and the budget table are read from the header only: file bodies may quote them
+  const header = content.slice(0, content.search(/^--- File: \//m));
+  // Files the token budget downgraded are listed in the header's budget table
+  const budgetModes = new Map();
+  for (const [, filePath, depth] of header.matchAll(/^\| `(.+?)` \| (\d) \| .+ \|$/gm)) {
+    budgetModes.set(filePath, getDepthConfig(depth).mode);
+  }
+  const snapshot = {
+    skeleton: header.includes('SKELETON MODE ACTIVE'),
+    minified: header.includes('## 🗜️ Minified Snapshot'),
+    budgetModes
+  };
+  const hasLineNumbers = header.includes('LINE NUMBERS ACTIVE');
+
+  const files = new Map();
+  for (const file of parsed) {
+    const body = hasLineNumbers ? stripLineNumbers(file.content) : file.content;
+    files.set(file.path, { body, mode: detectDepthMode(body, snapshot, file.path) });
+  }
+  return { name: path.basename(snapshotPath), files };
+}
+
+// Fence longer than any backtick run in the hunks, so embedded ``` blocks cannot close it
+function fenced(text, language) {
+  const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${language}\n${text}\n${fence}`;
+}
+
+/**
+ * eck_snapshot_diff: compares two snapshot files without git. Writes a delta document listing
+ * added, removed and modified files with unified hunks, and marks files captured at different depths.
+ * @param {string} repoPath - Working directory used to resolve paths and catalog references
+ * @param {object} args - { a, b, context, output }
+ */
+export async function diffSnapshots(repoPath, args = {}) {
+  if (!args.a || !args.b) {
+    console.log(chalk.red('❌ Error: eck_snapshot_diff requires two snapshots, "a" (old) and "b" (new).'));
+    console.log(chalk.yellow(`Example: eck-snapshot '{"name": "eck_snapshot_diff", "arguments": {"a": "latest-full", "b": "../fork/.eck/snapshots/eckFORK26-01-01_12-00_abc1234_120kb.md"}}'`));
+    return;
+  }
+  const context = args.context === undefined ? 3 : parseInt(args.context, 10);
+  if (!Number.isInteger(context) || context < 0) {
+    throw new Error(`Invalid context: "${args.context}". Expected a number of lines (0 or more).`);
+  }
+
+  const a = await readSnapshot(repoPath, args.a);
+  const b = await readSnapshot(repoPath, args.b);
+  console.log(chalk.blue(`🔀 Comparing ${a.name} (${a.files.size} files) → ${b.name} (${b.files.size} files)`));
+
+  const report = { added: [], removed: [], modified: [], depthChanged: [], unchanged: 0, output: null };
+  const fileList = [];
+  const sections = [];
+
+  const paths = [...new Set([...a.files.keys(), ...b.files.keys()])].sort();
+  for (const filePath of paths) {
+    const before = a.files.get(filePath);
+    const after = b.files.get(filePath);
+
+    if (!before) {
+      const { hunks, added } = unifiedHunks('', after.body, context);
+      report.added.push(filePath);
+      fileList.push(`- \`${filePath}\` (Added, +${added})`);
+      sections.push(`### ➕ \`${filePath}\`\n\n${fenced(`--- /dev/null\n+++ b/${filePath}\n${hunks}`, 'diff')}`);
+      continue;
+    }
+    if (!after) {
+      report.removed.push(filePath);
+      fileList.push(`- \`${filePath}\` (Removed)`);
+      continue;
+    }
+    if (before.body === after.body) {
+      report.unchanged++;
+      continue;
+    }
+
+    const { hunks, added, removed } = unifiedHunks(before.body, after.body, context);
+    const depthNote = before.mode !== after.mode ? ` ⚠️ depth ${before.mode} → ${after.mode}` : '';
+    report.modified.push(filePath);
+    if (depthNote) report.depthChanged.push({ path: filePath, from: before.mode, to: after.mode });
+    fileList.push(`- \`${filePath}\` (Modified, +${added} −${removed})${depthNote}`);
+    sections.push(`### ✏️ \`${filePath}\`${depthNote}\n\n${fenced(`--- a/${filePath}\n+++ b/${filePath}\n${hunks}`, 'diff')}`);
+  }
+
+  const changed = report.added.length + report.removed.length + report.modified.length;
+  if (changed === 0) {
+    console.log(chalk.green(`✅ No differences: both snapshots contain the same ${report.unchanged} files.`));
+    return report;
+  }
+
+  const header = [
+    '# 🔀 SNAPSHOT DIFF',
+    '',
+    `**A (old):** \`${a.name}\` · ${a.files.size} files`,
+    `**B (new):** \`${b.name}\` · ${b.files.size} files`,
+    `**Generated:** \`${new Date().toLocaleString()}\``,
+    '',
+    'The hunks below turn A into B. Removed files are listed without content.',
+    ...(report.depthChanged.length > 0
+      ? ['Files marked ⚠️ were captured at different depths (for example full vs skeleton), so part of their diff reflects the rendering, not an edit.']
+      : []),
+    '',
+    `## 📝 Changed Files (${report.added.length} added, ${report.removed.length} removed, ${report.modified.length} modified, ${report.unchanged} unchanged)`,
+    '',
+    ...fileList,
+    '',
+    '---',
+    ''
+  ].join('\n');
+  const fullContent = header + '\n' + sections.join('\n\n') + '\n';
+
+  let outputPath;
+  if (args.output) {
+    outputPath = path.resolve(repoPath, args.output);
+  } else {
+    const sizeKB = Math.max(1, Math.round(Buffer.byteLength(fullContent, 'utf-8') / 1024));
+    const outputFilename = `eck${getShortRepoName(path.basename(repoPath))}${generateTimestamp()}_diff_${sizeKB}kb.md`;
+    outputPath = path.join(repoPath, '.eck', 'diffs', outputFilename);
+    await ensureSnapshotsInGitignore(repoPath);
+  }
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, fullContent);
+  report.output = outputPath;
+
+  console.log(chalk.green(`✅ Snapshot diff written: ${path.relative(repoPath, outputPath)}`));
+  console.log(chalk.gray(`   +${report.added.length} added, −${report.removed.length} removed, ~${report.modified.length} modified, ${report.unchanged} unchanged`));
+  if (report.depthChanged.length > 0) {
+    console.log(chalk.yellow(`   ⚠️  ${report.depthChanged.length} modified files were captured at different depths:`));
+    report.depthChanged.forEach(d => console.log(chalk.yellow(`   - ${d.path} (${d.from} → ${d.to})`)));
+  }
+  return report;
+}
@@ -0,0 +1,48 @@
+import chalk from 'chalk';
+import { applyRetention, setPinned, loadPins } from '../../utils/retention.js';
+import { formatSize } from '../../utils/fileUtils.js';
+
+const GC_ACTIONS = ['run', 'pin', 'unpin'];
+
+/**
+ * eck_gc: applies the retention policy to .eck/snapshots, .eck/scouts and .eck/links,
+ * or pins/unpins a snapshot so it is never deleted.
+ * @param {string} repoPath
+ * @param {object} args - { action: 'run' | 'pin' | 'unpin', dryRun, snapshot }
+ */
+export async function gcSnapshots(repoPath, args = {}) {
+  const action = args.action || 'run';
+  if (!GC_ACTIONS.includes(action)) {
+    throw new Error(`Invalid gc action: "${action}". Expected one of: ${GC_ACTIONS.join(', ')}.`);
+  }
+
+  if (action === 'pin' || action === 'unpin') {
+    if (!args.snapshot) {
+      console.log(chalk.red(`❌ Error: eck_gc ${action} requires a "snapshot" path in arguments.`));
+      return;
+    }
+    const id = await setPinned(repoPath, args.snapshot, action === 'pin');
+    console.log(chalk.green(action === 'pin' ? `📌 Pinned ${id} (exempt from retention).` : `📍 Unpinned ${id}.`));
+    return;
+  }
+
+  const result = await applyRetention(repoPath, { dryRun: !!args.dryRun });
+  const { policy } = result;
+  const keepLast = Object.entries(policy.keepLast).map(([kind, n]) => `${kind} ${n}`).join(', ');
+  console.log(chalk.cyan(`\n🗑️  Retention${args.dryRun ? ' (dry run)' : ''}: keep last ${keepLast} | max ${policy.maxTotalSize || '∞'} | max age ${policy.maxAgeDays || '∞'} days\n`));
+
+  if (result.removed.length === 0) {
+    console.log(chalk.green(`   Nothing to delete (${result.kept.length} snapshots kept, ${(await loadPins(repoPath)).length} pinned).`));
+  } else {
+    for (const unit of result.removed) {
+      const fileCount = unit.files.length > 1 ? ` (${unit.files.length} files)` : '';
+      console.log(`   ${args.dryRun ? 'would delete' : 'deleted'}  ${unit.id}${fileCount}  ${chalk.gray(`${formatSize(unit.size)}, ${unit.reason}`)}`);
+    }
+    const verb = args.dryRun ? 'Would free' : 'Freed';
+    console.log(chalk.green(`\n   ${verb} ${formatSize(result.freedBytes)} from ${result.removed.length} snapshots; ${result.kept.length} kept.`));
+  }
+
+  if (result.anchorRefs.length > 0) {
+    console.log(chalk.gray(`   ${args.dryRun ? 'Would prune' : 'Pruned'} ${result.anchorRefs.length} shadow anchor refs (keeping the newest ${policy.anchorRefs}).`));
+  }
+}
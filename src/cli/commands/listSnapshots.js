@@ -0,0 +1,56 @@
+import path from 'path';
+import chalk from 'chalk';
+import { buildSnapshotCatalog } from '../../utils/snapshotCatalog.js';
+
+const LIST_FORMATS = ['table', 'json'];
+
+function formatTokens(tokens) {
+  if (tokens === null || tokens === undefined) return '-';
+  return tokens < 1000 ? `${tokens}` : `${(tokens / 1000).toFixed(1)}k`;
+}
+
+/**
+ * eck_list_snapshots: catalog of snapshots in .eck/snapshots, .eck/links and .eck/scouts.
+ * @param {string} repoPath
+ * @param {object} args - { format: 'table' | 'json', kind }
+ */
+export async function listSnapshots(repoPath, args = {}) {
+  const format = args.format || 'table';
+  if (!LIST_FORMATS.includes(format)) {
+    throw new Error(`Invalid format: "${format}". Expected one of: ${LIST_FORMATS.join(', ')}.`);
+  }
+
+  let entries = await buildSnapshotCatalog(repoPath);
+  if (args.kind) entries = entries.filter(e => e.kind === args.kind);
+
+  if (format === 'json') {
+    console.log(JSON.stringify(entries, null, 2));
+    return entries;
+  }
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow('ℹ️  No snapshots stored yet. Run eck-snapshot snapshot first.'));
+    return entries;
+  }
+
+  const rows = entries.map(e => [
+    e.createdAt.replace('T', ' ').substring(0, 16),
+    e.kind,
+    e.anchor ? e.anchor.substring(0, 7) : '-',
+    e.seq ?? '-',
+    e.profile || '-',
+    e.depth ?? '-',
+    e.files ?? '-',
+    formatTokens(e.tokens),
+    path.basename(e.path) + (e.parts > 1 ? ` (+${e.parts - 1} parts)` : '')
+  ].map(String));
+  const headers = ['Created', 'Kind', 'Anchor', 'Seq', 'Profile', 'Depth', 'Files', 'Tokens', 'File'];
+  const widths = headers.map((h, i) => Math.max(h.length, ...rows.map(r => r[i].length)));
+  const line = cells => cells.map((c, i) => (i === cells.length - 1 ? c : c.padEnd(widths[i]))).join('  ');
+
+  console.log(chalk.cyan(`\n🗂️  Snapshot Catalog (${entries.length})\n`));
+  console.log(chalk.bold(line(headers)));
+  rows.forEach(r => console.log(line(r)));
+  console.log(chalk.gray(`\nUse as a base: eck-snapshot update --base latest-full | up-<n> | <file>`));
+  return entries;
+}
@@ -0,0 +1,46 @@
+import chalk from 'chalk';
+import { getCacheStats, pruneContentCache, clearContentCache } from '../../utils/contentCache.js';
+import { formatSize } from '../../utils/fileUtils.js';
+
+const CACHE_ACTIONS = ['stats', 'prune', 'clear'];
+
+/**
+ * eck_cache: inspect, prune or clear the content cache in .eck/cache/.
+ * @param {string} repoPath
+ * @param {object} args - { action: 'stats' | 'prune' | 'clear' }
+ */
+export async function manageCache(repoPath, args = {}) {
+  const action = args.action || 'stats';
+  if (!CACHE_ACTIONS.includes(action)) {
+    throw new Error(`Invalid cache action: "${action}". Expected one of: ${CACHE_ACTIONS.join(', ')}.`);
+  }
+
+  if (action === 'clear') {
+    await clearContentCache(repoPath);
+    console.log(chalk.green('🧹 Content cache cleared (.eck/cache/).'));
+    return;
+  }
+
+  if (action === 'prune') {
+    const { removed, kept } = await pruneContentCache(repoPath);
+    console.log(chalk.green(`✂️  Pruned ${removed} stale entries, kept ${kept}.`));
+    return;
+  }
+
+  const cacheStats = await getCacheStats(repoPath);
+  if (!cacheStats.meta) {
+    console.log(chalk.yellow('ℹ️  No content cache yet. It is created on the next eck_snapshot run.'));
+    return;
+  }
+
+  console.log(chalk.cyan('\n♻️  Content Cache (.eck/cache/)\n'));
+  console.log(`   Entries:     ${cacheStats.entries}`);
+  console.log(`   Size:        ${formatSize(cacheStats.bytes)}`);
+  console.log(`   Created:     ${cacheStats.meta.createdAt}`);
+  console.log(`   Skeletonizer: v${cacheStats.meta.skeletonizerVersion}`);
+  const variantList = Object.entries(cacheStats.variants).map(([mode, count]) => `${mode}: ${count}`).join(', ');
+  console.log(`   Skeletons:   ${variantList || 'none'}`);
+  console.log(cacheStats.upToDate
+    ? chalk.green('   Status:      up to date')
+    : chalk.yellow('   Status:      stale (setup.json filters or skeletonizer changed). It will be rebuilt on the next snapshot.'));
+}
@@ -11,13 +11,17 @@ import {
   loadGitignore,
   getProjectFiles,
   matchesPattern,
-  ensureSnapshotsInGitignore,
-  readMlModelMetadata
+  ensureSnapshotsInGitignore
 } from '../../utils/fileUtils.js';
+import { readMlModelMetadata } from '../../utils/mlMetadata.js';
 import { detectProjectType, getProjectSpecificFiltering, getAllDetectedTypes } from '../../utils/projectDetector.js';
 import { loadSetupConfig } from '../../config.js';
 import { getDepthConfig, DEPTH_SCALE } from '../../core/depthConfig.js';
 import { skeletonize } from '../../core/skeletonizer.js';
+import { resolveNotebookSettings, isNotebookPath, convertNotebook } from '../../core/notebook.js';
+import { addLineNumbers, identityLineMap, LINE_NUMBERS_NOTICE } from '../../core/lineNumbers.js';
+import { enforceRetention } from '../../utils/retention.js';
+import { recordCatalogEntry } from '../../utils/snapshotCatalog.js';
 
 export async function runReconTool(payload) {
   const toolName = payload.name;
@@ -25,17 +29,17 @@ export async function runReconTool(payload) {
 
   if (toolName === 'eck_scout') {
     const depth = args.depth !== undefined ? parseInt(args.depth, 10) : 0;
-    await runScout(depth);
+    await runScout(depth, { lineNumbers: !!args.lineNumbers });
   } else if (toolName === 'eck_fetch') {
     if (!args.patterns || !Array.isArray(args.patterns)) {
       console.log(chalk.red('❌ Error: eck_fetch requires an array of "patterns" in arguments.'));
       return;
     }
-    await runFetch(args.patterns);
+    await runFetch(args.patterns, { lineNumbers: !!args.lineNumbers });
   }
 }
 
-async function runScout(depth = 0) {
+async function runScout(depth = 0, options = {}) {
   const depthCfg = getDepthConfig(depth);
   const depthInfo = DEPTH_SCALE[depth] || DEPTH_SCALE[0];
   console.log(chalk.blue(`🕵️ Scouting repository (depth ${depth}: ${depthInfo.mode})...`));
@@ -80,9 +84,10 @@ async function runScout(depth = 0) {
 
     // Build file contents section if depth > 0
     let fileContentSection = '';
+    let processedCount = 0;
     if (!depthCfg.skipContent) {
       const maxFileSize = parseSize(config.maxFileSize || '10MB');
-      let processedCount = 0;
+      const notebookSettings = resolveNotebookSettings(setupConfig.fileFiltering?.notebooks);
 
       for (const file of allFiles) {
         try {
@@ -97,9 +102,19 @@ async function runScout(depth = 0) {
             content = await readFileWithSizeCheck(fullPath, maxFileSize);
           }
 
+          // Notebooks become percent-format scripts, with the depth's skeleton applied to code cells
+          const notebook = notebookSettings && isNotebookPath(file)
+            ? await convertNotebook(content, notebookSettings, { skeleton: depthCfg.skeleton ? { preserveDocs: depthCfg.preserveDocs !== false } : null })
+            : null;
+
           // Apply skeletonization
-          if (depthCfg.skeleton) {
-            content = await skeletonize(content, file, { preserveDocs: depthCfg.preserveDocs !== false });
+          let lineMap = options.lineNumbers ? (notebook ? [] : identityLineMap(content)) : null;
+          if (notebook) {
+            content = notebook.body;
+          } else if (depthCfg.skeleton) {
+            const skeleton = await skeletonize(content, file, { preserveDocs: depthCfg.preserveDocs !== false, lineMap: !!lineMap });
+            if (lineMap) ({ code: content, lineMap } = skeleton);
+            else content = skeleton;
           }
 
           // Apply line truncation
@@ -108,9 +123,12 @@ async function runScout(depth = 0) {
             if (lines.length > depthCfg.maxLinesPerFile) {
               content = lines.slice(0, depthCfg.maxLinesPerFile).join('\n');
               content += `\n// ... truncated (${lines.length - depthCfg.maxLinesPerFile} more lines)`;
+              if (lineMap) lineMap = lineMap.slice(0, depthCfg.maxLinesPerFile);
             }
           }
 
+          if (lineMap) content = addLineNumbers(content, lineMap);
+
           fileContentSection += `--- File: /${file} ---\n\n\`\`\`\n${content}\n\`\`\`\n\n`;
           processedCount++;
         } catch (e) {
@@ -168,6 +186,7 @@ ${directoryTree}
 `;
 
     if (fileContentSection) {
+      if (options.lineNumbers) outputContent += `\n${LINE_NUMBERS_NOTICE}\n`;
       outputContent += `\n## File Contents (depth ${depth}: ${depthInfo.mode})\n\n${fileContentSection}`;
     }
 
@@ -183,12 +202,14 @@ ${directoryTree}
 
     console.log(chalk.green(`✅ Scout complete. Saved to: .eck/scouts/${filename}`));
     console.log(chalk.gray(`   Size: ${sizeStr} | ~${tokensStr} tokens`));
+    await recordCatalogEntry(repoPath, { path: outputPath, kind: 'scout', depth, files: processedCount, tokens: approxTokens, format: 'md' });
+    await enforceRetention(repoPath);
   } catch (error) {
     console.error(chalk.red(`❌ Scout failed: ${error.message}`));
   }
 }
 
-async function runFetch(patterns) {
+async function runFetch(patterns, options = {}) {
   console.log(chalk.blue(`🚚 Fetching files matching patterns: ${patterns.join(', ')}...`));
   try {
     const repoPath = process.cwd();
@@ -254,6 +275,7 @@ async function runFetch(patterns) {
     let fileContentStr = '';
     let fetchedCount = 0;
     const maxFileSize = parseSize(config.maxFileSize || '10MB');
+    const notebookSettings = resolveNotebookSettings(setupConfig.fileFiltering?.notebooks);
 
     for (const file of matchedFiles) {
       try {
@@ -268,6 +290,12 @@ async function runFetch(patterns) {
           content = await readFileWithSizeCheck(fullPath, maxFileSize);
         }
 
+        const notebook = notebookSettings && isNotebookPath(file) ? await convertNotebook(content, notebookSettings) : null;
+        if (notebook) content = notebook.body;
+
+        // Notebook lines are not lines of the .ipynb file and get no numbers
+        if (options.lineNumbers) content = addLineNumbers(content, notebook ? [] : undefined);
+
         fileContentStr += `--- File: /${file} ---\n\n\`\`\`\n${content}\n\`\`\`\n\n`;
         fetchedCount++;
       } catch (e) {
@@ -286,7 +314,7 @@ async function runFetch(patterns) {
     const finalContent = `# ⚠️ SCOUT FETCH RESULTS: [${repoName}]
 
 Here are the file contents you requested from the external repository. Use this to inform your work on your primary project.
-${missedWarning}
+${missedWarning}${options.lineNumbers ? `\n${LINE_NUMBERS_NOTICE}\n` : ''}
 ${fileContentStr}
 `;
 
@@ -302,6 +330,8 @@ ${fileContentStr}
 
     console.log(chalk.green(`✅ Fetched ${fetchedCount} files. Saved to: .eck/scouts/${filename}`));
     console.log(chalk.gray(`   Size: ${sizeStr} | ~${tokensStr} tokens`));
+    await recordCatalogEntry(repoPath, { path: outputPath, kind: 'fetch', files: fetchedCount, tokens: approxTokens, format: 'md' });
+    await enforceRetention(repoPath);
   } catch (error) {
     console.error(chalk.red(`❌ Fetch failed: ${error.message}`));
   }
@@ -0,0 +1,150 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import {
+  parseSnapshotContent,
+  filterFilesToRestore,
+  validateFilePaths,
+  generateTimestamp
+} from '../../utils/fileUtils.js';
+import { stripLineNumbers } from '../../core/lineNumbers.js';
+
+const CONFLICT_POLICIES = ['overwrite', 'skip', 'backup'];
+
+/**
+ * Detects content that is not a faithful copy of the original file.
+ * Writing it back would silently corrupt the working tree.
+ * @param {string} content - File body taken from the snapshot
+ * @param {boolean} snapshotIsSkeleton - True if the snapshot header announces skeleton mode
+ * @param {boolean} snapshotIsMinified - True if the snapshot header has the minification report
+ * @returns {string|null} Reason for refusing the file, or null if it is safe to write
+ */
+function detectUnsafeContent(content, snapshotIsSkeleton, snapshotIsMinified) {
+  if (content.trim() === '[FILE DELETED]') return 'deleted in snapshot';
+  if (/\[REDACTED_[A-Z_]+\]/.test(content)) return 'contains redacted secrets';
+  if (content.startsWith('[ML MODEL')) return 'ML model metadata only';
+  if (content.startsWith('[GENERATED FILE')) return 'generated file stub';
+  if (content.startsWith('[OVERSIZED FILE')) return 'oversized file sample';
+  if (content.startsWith('[DATA SUMMARY')) return 'data file summary';
+  if (content.startsWith('[LOCKFILE SUMMARY')) return 'lockfile summary';
+  if (content.startsWith('[NOTEBOOK')) return 'notebook converted to script';
+  if (/\[\.\.\. truncated \d+ lines \.\.\.\]|\/\/ \.\.\. truncated \(\d+ more lines\)/.test(content)) return 'truncated';
+  if (/\/\* \.\.\. \*\/|\/\/ \[Skeleton (?:parse )?error/.test(content)) return 'skeletonized';
+  if (snapshotIsSkeleton && /^\s*\.\.\.\s*$/m.test(content)) return 'skeletonized';
+  // Comments and blank lines were stripped without a marker in the body
+  if (snapshotIsMinified) return 'minified';
+  return null;
+}
+
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Writes the file sections of a snapshot back into a directory.
+ * Uses the parse/filter/validate helpers from fileUtils.js.
+ *
+ * @param {string} repoPath - Working directory used to resolve relative paths
+ * @param {object} options - { snapshot, target, include, exclude, dryRun, conflict, force }
+ */
+export async function restoreSnapshot(repoPath, options = {}) {
+  if (!options.snapshot) {
+    console.log(chalk.red('❌ Error: eck_restore requires a "snapshot" path in arguments.'));
+    console.log(chalk.yellow(`Example: eck-snapshot '{"name": "eck_restore", "arguments": {"snapshot": ".eck/snapshots/eckSNAOT26-01-01_12-00_abc1234_120kb.md", "target": "./restored"}}'`));
+    return;
+  }
+
+  const conflict = options.conflict || 'backup';
+  if (!CONFLICT_POLICIES.includes(conflict)) {
+    throw new Error(`Invalid conflict policy: "${conflict}". Expected one of: ${CONFLICT_POLICIES.join(', ')}.`);
+  }
+
+  const snapshotPath = path.resolve(repoPath, options.snapshot);
+  const targetDir = path.resolve(repoPath, options.target || '.');
+  const content = await fs.readFile(snapshotPath, 'utf-8');
+
+  const allFiles = parseSnapshotContent(content);
+  if (allFiles.length === 0) {
+    console.log(chalk.yellow(`⚠️ No "--- File: /path ---" sections found in ${path.basename(snapshotPath)}.`));
+    return;
+  }
+
+  // Line-numbered snapshots (lineNumbers: true) are restored without the number prefixes
+  const snapshotHasLineNumbers = content.includes('LINE NUMBERS ACTIVE');
+  const files = filterFilesToRestore(allFiles, options)
+    .map(file => (snapshotHasLineNumbers ? { ...file, content: stripLineNumbers(file.content) } : file));
+  const invalidFiles = validateFilePaths(files, targetDir);
+  const snapshotIsSkeleton = content.includes('SKELETON MODE ACTIVE');
+  const snapshotIsMinified = content.includes('## 🗜️ Minified Snapshot');
+
+  console.log(chalk.blue(`♻️  Restoring ${files.length} of ${allFiles.length} files from ${path.basename(snapshotPath)}`));
+  console.log(chalk.gray(`   Target: ${targetDir} | Conflict policy: ${conflict}${options.dryRun ? ' | DRY RUN' : ''}`));
+
+  const report = { written: [], skipped: [], backedUp: [], deleted: [], refused: [], invalid: invalidFiles };
+  const backupSuffix = `.${generateTimestamp()}.bak`;
+
+  for (const file of files) {
+    if (invalidFiles.includes(file.path)) continue;
+
+    const destPath = path.join(targetDir, file.path);
+    const unsafeReason = detectUnsafeContent(file.content, snapshotIsSkeleton, snapshotIsMinified);
+    const isDeletion = unsafeReason === 'deleted in snapshot';
+
+    if (unsafeReason && !options.force) {
+      report.refused.push(`${file.path} (${unsafeReason})`);
+      continue;
+    }
+
+    const exists = await pathExists(destPath);
+    if (exists && conflict === 'skip') {
+      report.skipped.push(file.path);
+      continue;
+    }
+
+    if (options.dryRun) {
+      if (exists && conflict === 'backup') report.backedUp.push(file.path);
+      if (!isDeletion) report.written.push(file.path);
+      else if (exists) report.deleted.push(file.path);
+      continue;
+    }
+
+    if (exists && conflict === 'backup') {
+      await fs.copyFile(destPath, destPath + backupSuffix);
+      report.backedUp.push(file.path);
+    }
+
+    // A forced [FILE DELETED] entry replays the deletion instead of writing the marker
+    if (isDeletion) {
+      if (exists) {
+        await fs.unlink(destPath);
+        report.deleted.push(file.path);
+      }
+      continue;
+    }
+
+    await fs.mkdir(path.dirname(destPath), { recursive: true });
+    await fs.writeFile(destPath, file.content, 'utf-8');
+    report.written.push(file.path);
+  }
+
+  const verb = options.dryRun ? 'Would write' : 'Written';
+  const printGroup = (label, list, color) => {
+    if (list.length === 0) return;
+    console.log(color(`\n${label} (${list.length}):`));
+    list.forEach(item => console.log(`   • ${item}`));
+  };
+
+  printGroup(`📝 ${verb}`, report.written, chalk.green);
+  printGroup(`🗑️  ${options.dryRun ? 'Would delete' : 'Deleted'}`, report.deleted, chalk.green);
+  printGroup(`📦 ${options.dryRun ? 'Would back up' : 'Backed up'} (*${backupSuffix})`, report.backedUp, chalk.cyan);
+  printGroup('⏭️  Skipped (already exist)', report.skipped, chalk.gray);
+  printGroup('🛑 Refused (pass "force": true to write anyway)', report.refused, chalk.yellow);
+  printGroup('❌ Invalid paths (never written)', report.invalid, chalk.red);
+
+  console.log(chalk.green(`\n✅ Restore ${options.dryRun ? 'dry run ' : ''}complete: ${report.written.length} written, ${report.deleted.length} deleted, ${report.skipped.length} skipped, ${report.refused.length} refused.`));
+}
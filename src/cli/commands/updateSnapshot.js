@@ -3,14 +3,21 @@ import path from 'path';
 import ora from 'ora';
 import chalk from 'chalk';
 import isBinaryPath from 'is-binary-path';
-import { getGitAnchor, getChangedFiles } from '../../utils/gitUtils.js';
+import { getGitAnchor, getChangedFiles, resolveAnchorMode, createShadowAnchor, createShadowCommit, resolveGitRef } from '../../utils/gitUtils.js';
 import { loadSetupConfig } from '../../config.js';
-import { readFileWithSizeCheck, parseSize, formatSize, matchesPattern, loadGitignore, generateTimestamp, getShortRepoName, ensureSnapshotsInGitignore, readMlModelMetadata } from '../../utils/fileUtils.js';
+import { enforceRetention } from '../../utils/retention.js';
+import { recordCatalogEntry, isCatalogReference, resolveCatalogReference } from '../../utils/snapshotCatalog.js';
+import { readFileWithSizeCheck, parseSize, formatSize, matchesPattern, loadGitignore, generateTimestamp, getShortRepoName, ensureSnapshotsInGitignore } from '../../utils/fileUtils.js';
+import { readMlModelMetadata } from '../../utils/mlMetadata.js';
 import { detectProjectType, getProjectSpecificFiltering } from '../../utils/projectDetector.js';
 import { execa } from 'execa';
 import { fileURLToPath } from 'url';
 import { pushTelemetry } from '../../utils/telemetry.js';
 import { syncTokenWeights } from '../../utils/tokenEstimator.js';
+import { renderXmlSnapshot } from '../../utils/snapshotFormats.js';
+import { addLineNumbers, LINE_NUMBERS_NOTICE } from '../../core/lineNumbers.js';
+import { resolveNotebookSettings, isNotebookPath, convertNotebook } from '../../core/notebook.js';
+import { loadFileHistory, describeFileHistory, formatFileHistory, GIT_META_NOTICE } from '../../utils/fileHistory.js';
 
 // Mirror the same hidden-path guard used in createSnapshot.js
 function isHiddenPath(filePath) {
@@ -34,25 +41,102 @@ async function autoCommit(repoPath) {
   }
 }
 
+/**
+ * Makes uncommitted work visible to the diff according to the anchor mode.
+ * Shadow mode diffs against a shadow anchor of the working tree instead of committing;
+ * the ref keeps it alive so the update can later serve as a base (`--base up-N`).
+ * @returns {Promise<{target: string, didCommit: boolean, anchorMode: string}>} Diff target and what happened
+ */
+async function captureWorkingTree(repoPath, options) {
+  const anchorMode = await resolveAnchorMode(repoPath, options);
+  if (anchorMode === 'shadow') {
+    try {
+      return { target: (await createShadowAnchor(repoPath)).hash, didCommit: false, anchorMode };
+    } catch (e) {
+      // Fall back to committed changes only
+      return { target: 'HEAD', didCommit: false, anchorMode };
+    }
+  }
+  return { target: 'HEAD', didCommit: await autoCommit(repoPath), anchorMode };
+}
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-function resolveBaseHash(base) {
+/**
+ * Resolves `--base`: a catalog reference (latest-full, up-2, ...), a snapshot filename or a commit hash.
+ */
+async function resolveBaseHash(repoPath, base) {
   if (!base) return null;
-  const basename = path.basename(base, '.md');
+  if (isCatalogReference(base)) return (await resolveCatalogReference(repoPath, base)).hash;
+  const basename = path.basename(base, path.extname(base));
   const match = basename.match(/_([0-9a-f]{7,40})_/);
   if (match) return match[1];
   if (/^[0-9a-f]{7,40}$/i.test(base)) return base;
-  throw new Error(`Invalid --base value: "${base}". Expected a snapshot filename or a git commit hash.`);
+  throw new Error(`Invalid --base value: "${base}". Expected a snapshot filename, a git commit hash, latest-full or up-<n>.`);
 }
 
-// Shared logic to generate the snapshot content string
-async function generateSnapshotContent(repoPath, changedFiles, anchor, config, gitignore) {
-  let contentOutput = '';
-  let includedCount = 0;
-  const fileList = [];
+/**
+ * Full hash of the commit an update captured, recorded in the catalog.
+ */
+async function resolveDiffHead(repoPath, diffTarget) {
+  try {
+    return await resolveGitRef(repoPath, diffTarget);
+  } catch (e) {
+    return null;
+  }
+}
+
+const ML_EXTENSIONS = ['.safetensors', '.onnx', '.pt', '.pth', '.h5', '.pb', '.bin', '.ckpt', '.gguf'];
+
+/**
+ * True if an update leaves the file out: hidden paths, binaries (except ML models), ignored
+ * directories, files and extensions, and .gitignore. Mirrors the filters of createSnapshot.js.
+ * @param {string} normalizedPath - Repo-relative path with forward slashes
+ */
+export function isExcludedFromUpdate(normalizedPath, config, gitignore) {
+  if (isHiddenPath(normalizedPath)) return true;
+  const isMlModel = ML_EXTENSIONS.includes(path.extname(normalizedPath).toLowerCase());
+  if (isBinaryPath(normalizedPath) && !isMlModel) return true;
+
+  const cleanDirsToIgnore = (config.dirsToIgnore || []).map(d => d.replace(/\/$/, ''));
+  if (normalizedPath.split('/').slice(0, -1).some(part => cleanDirsToIgnore.includes(part))) return true;
 
-  // Include Agent Report if it exists and hasn't been embedded yet
+  const fileExt = path.extname(normalizedPath);
+  // Use matchesPattern (glob support) instead of exact includes() — mirrors createSnapshot.js
+  if (config.filesToIgnore && matchesPattern(normalizedPath, config.filesToIgnore)) return true;
+  if (fileExt && config.extensionsToIgnore?.includes(fileExt)) return true;
+  return gitignore.ignores(normalizedPath);
+}
+
+/**
+ * setup.json file filtering merged with the detected project type's filters.
+ * @param {object} [overrides] - Command arguments that override setup.json values
+ */
+export async function loadUpdateConfig(repoPath, overrides = {}) {
+  const setupConfig = await loadSetupConfig();
+  let config = { ...setupConfig.fileFiltering, ...setupConfig.performance, ...overrides };
+
+  // Detect project type and merge project-specific filters
+  const projectDetection = await detectProjectType(repoPath);
+  if (projectDetection.type) {
+    const projectSpecific = await getProjectSpecificFiltering(projectDetection.type);
+    config = {
+      ...config,
+      dirsToIgnore: [...(config.dirsToIgnore || []), ...(projectSpecific.dirsToIgnore || [])],
+      filesToIgnore: [...(config.filesToIgnore || []), ...(projectSpecific.filesToIgnore || [])],
+      extensionsToIgnore: [...(config.extensionsToIgnore || []), ...(projectSpecific.extensionsToIgnore || [])]
+    };
+  }
+  return config;
+}
+
+/**
+ * Reads the execution agent's report (.eck/lastsnapshot/AnswerToSA.md) once: it is marked as
+ * embedded and prepended to .eck/JOURNAL.md, so the next update does not repeat it.
+ * @returns {Promise<string|null>} Report text, or null if there is none or it was embedded before
+ */
+async function consumeAgentReport(repoPath) {
   let agentReport = null;
   const reportPath = path.join(repoPath, '.eck', 'lastsnapshot', 'AnswerToSA.md');
   const lockPath = path.join(repoPath, '.eck', 'lastsnapshot', 'AnswerToSA.lock');
@@ -94,37 +178,51 @@ async function generateSnapshotContent(repoPath, changedFiles, anchor, config, g
     // File not found or locked by another process
     try { await fs.rmdir(lockPath); } catch (_) {} 
   }
+  return agentReport;
+}
 
-  const cleanDirsToIgnore = (config.dirsToIgnore || []).map(d => d.replace(/\/$/, ''));
-
-  for (const filePath of changedFiles) {
-    const normalizedPath = filePath.replace(/\\/g, '/');
+/**
+ * Replaces the active snapshot in .eck/lastsnapshot/ (older snapshots and answer.md are removed).
+ * @returns {Promise<boolean>} False if it could not be written (non-critical)
+ */
+async function replaceActiveSnapshot(repoPath, outputFilename, fullContent) {
+  try {
+    const snapDir = path.join(repoPath, '.eck', 'lastsnapshot');
+    await fs.mkdir(snapDir, { recursive: true });
+
+    // 1. Clean up OLD snapshots
+    const existingFiles = await fs.readdir(snapDir);
+    for (const file of existingFiles) {
+      if ((file.startsWith('eck') && /\.(md|json|jsonl|xml)$/.test(file)) || file === 'answer.md') {
+        await fs.unlink(path.join(snapDir, file));
+      }
+    }
 
-    // Skip hidden paths (.idea/, .vscode/, etc.) — mirrors createSnapshot.js
-    if (isHiddenPath(normalizedPath)) continue;
+    // 2. Save new file
+    await fs.writeFile(path.join(snapDir, outputFilename), fullContent);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
 
-    const mlExt = path.extname(filePath).toLowerCase();
-    const ML_EXTENSIONS = ['.safetensors', '.onnx', '.pt', '.pth', '.h5', '.pb', '.bin', '.ckpt', '.gguf'];
-    const isMlModel = ML_EXTENSIONS.includes(mlExt);
+// Shared logic to generate the snapshot content string
+async function generateSnapshotContent(repoPath, changedFiles, anchor, config, gitignore, format = 'md', { lineNumbers = false, gitMeta = false, includeAgentReport = true } = {}) {
+  const documents = [];
+  let includedCount = 0;
+  const fileList = [];
 
-    // Skip binary files — mirrors createSnapshot.js
-    if (isBinaryPath(filePath) && !isMlModel) continue;
+  const agentReport = includeAgentReport ? await consumeAgentReport(repoPath) : null;
 
-    const pathParts = normalizedPath.split('/');
-    let isIgnoredDir = false;
-    for (let i = 0; i < pathParts.length - 1; i++) {
-      if (cleanDirsToIgnore.includes(pathParts[i])) {
-        isIgnoredDir = true;
-        break;
-      }
-    }
-    if (isIgnoredDir) continue;
+  // config.notebooks is the setup.json section, or the eck_update argument that overrides it
+  const notebookSettings = typeof config.notebooks === 'object' ? resolveNotebookSettings(config.notebooks) : resolveNotebookSettings({}, config.notebooks);
+  const fileHistory = gitMeta ? await loadFileHistory(repoPath, { paths: changedFiles.map(file => file.replace(/\\/g, '/')) }) : null;
+  const now = Math.floor(Date.now() / 1000);
 
-    const fileExt = path.extname(filePath);
-    // Use matchesPattern (glob support) instead of exact includes() — mirrors createSnapshot.js
-    if (config.filesToIgnore && matchesPattern(normalizedPath, config.filesToIgnore)) continue;
-    if (fileExt && config.extensionsToIgnore?.includes(fileExt)) continue;
-    if (gitignore.ignores(normalizedPath)) continue;
+  for (const filePath of changedFiles) {
+    const normalizedPath = filePath.replace(/\\/g, '/');
+    if (isExcludedFromUpdate(normalizedPath, config, gitignore)) continue;
+    const isMlModel = ML_EXTENSIONS.includes(path.extname(filePath).toLowerCase());
 
     try {
       const fullPath = path.join(repoPath, filePath);
@@ -133,7 +231,7 @@ async function generateSnapshotContent(repoPath, changedFiles, anchor, config, g
       try {
         await fs.access(fullPath);
       } catch (accessErr) {
-        contentOutput += `--- File: /${normalizedPath} ---\n\n[FILE DELETED]\n\n`;
+        documents.push({ path: normalizedPath, body: '[FILE DELETED]' });
         fileList.push(`- ${normalizedPath} (Deleted)`);
         includedCount++;
         continue;
@@ -146,7 +244,10 @@ async function generateSnapshotContent(repoPath, changedFiles, anchor, config, g
           content = await readFileWithSizeCheck(fullPath, parseSize(config.maxFileSize));
       }
 
-      contentOutput += `--- File: /${normalizedPath} ---\n\n${content}\n\n`;
+      const git = fileHistory ? describeFileHistory(fileHistory, normalizedPath, content, now) : undefined;
+      const notebook = notebookSettings && isNotebookPath(normalizedPath) ? await convertNotebook(content, notebookSettings) : null;
+      if (notebook) content = notebook.body;
+      documents.push({ path: normalizedPath, body: lineNumbers ? addLineNumbers(content, notebook ? [] : undefined) : content, git });
       fileList.push(`- ${normalizedPath} (Modified/Added)`);
       includedCount++;
     } catch (e) { /* Skip */ }
@@ -169,10 +270,16 @@ async function generateSnapshotContent(repoPath, changedFiles, anchor, config, g
     .replace('{{timestamp}}', new Date().toLocaleString())
     .replace('{{fileList}}', fileList.join('\n'));
 
-  header = header + '\n' + reportSection;
+  header = header + '\n' + reportSection +
+    (lineNumbers ? LINE_NUMBERS_NOTICE + '\n\n' : '') +
+    (gitMeta ? GIT_META_NOTICE + '\n\n' : '');
+
+  const fullContent = format === 'xml'
+    ? renderXmlSnapshot({ header, tree: null, fileObjects: documents })
+    : header + documents.map(doc => `--- File: /${doc.path} ---${doc.git ? ` ${formatFileHistory(doc.git)}` : ''}\n\n${doc.body}\n\n`).join('');
 
   return {
-    fullContent: header + contentOutput,
+    fullContent,
     includedCount,
     anchor,
     agentReport
@@ -183,18 +290,21 @@ export async function updateSnapshot(repoPath, options) {
   const spinner = ora('Generating update snapshot...').start();
   try {
     const isCustomBase = !!options.base;
-    const anchor = resolveBaseHash(options.base) || await getGitAnchor(repoPath);
+    const anchor = await resolveBaseHash(repoPath, options.base) || await getGitAnchor(repoPath);
 
     if (!anchor) {
       throw new Error('No snapshot anchor found. Run a full snapshot first: eck-snapshot snapshot');
     }
 
-    // Auto-commit any uncommitted changes so they appear in the diff
-    let didCommit = false;
+    // Capture uncommitted changes (shadow commit or auto-commit) so they appear in the diff
+    let diffTarget = 'HEAD';
     if (!options.fail) {
-      didCommit = await autoCommit(repoPath);
-      if (didCommit) {
+      const captured = await captureWorkingTree(repoPath, options);
+      diffTarget = captured.target;
+      if (captured.didCommit) {
         spinner.info('Auto-committed uncommitted changes.');
+      } else if (captured.anchorMode === 'shadow') {
+        spinner.info('Captured working tree in a shadow commit (HEAD untouched).');
       }
     } else {
       spinner.info('Fail flag passed: skipping auto-commit.');
@@ -206,30 +316,21 @@ export async function updateSnapshot(repoPath, options) {
 
     spinner.start('Generating update snapshot...');
 
-    const changedFiles = await getChangedFiles(repoPath, anchor, options.fail);
+    const changedFiles = await getChangedFiles(repoPath, anchor, options.fail, diffTarget);
     if (changedFiles.length === 0) {
       spinner.succeed('No changes detected since last full snapshot.');
       return;
     }
 
-    const setupConfig = await loadSetupConfig();
-    let config = { ...setupConfig.fileFiltering, ...setupConfig.performance, ...options };
-
-    // Detect project type and merge project-specific filters
-    const projectDetection = await detectProjectType(repoPath);
-    if (projectDetection.type) {
-      const projectSpecific = await getProjectSpecificFiltering(projectDetection.type);
-      config = {
-        ...config,
-        dirsToIgnore: [...(config.dirsToIgnore || []), ...(projectSpecific.dirsToIgnore || [])],
-        filesToIgnore: [...(config.filesToIgnore || []), ...(projectSpecific.filesToIgnore || [])],
-        extensionsToIgnore: [...(config.extensionsToIgnore || []), ...(projectSpecific.extensionsToIgnore || [])]
-      };
-    }
+    const config = await loadUpdateConfig(repoPath, options);
 
     const gitignore = await loadGitignore(repoPath);
 
-    const { fullContent, includedCount, agentReport } = await generateSnapshotContent(repoPath, changedFiles, anchor, config, gitignore);
+    const format = options.format === 'xml' ? 'xml' : 'md';
+    const { fullContent, includedCount, agentReport } = await generateSnapshotContent(repoPath, changedFiles, anchor, config, gitignore, format, {
+      lineNumbers: !!options.lineNumbers,
+      gitMeta: !!options.gitMeta
+    });
 
     // Determine sequence number
     let seqStr = 'custom';
@@ -253,7 +354,7 @@ export async function updateSnapshot(repoPath, options) {
     const timestamp = generateTimestamp();
     const shortRepoName = getShortRepoName(path.basename(repoPath));
     const sizeKB = Math.max(1, Math.round(Buffer.byteLength(fullContent, 'utf-8') / 1024));
-    const outputFilename = `eck${shortRepoName}${timestamp}_${anchor.substring(0, 7)}_up${seqStr}_${sizeKB}kb.md`;
+    const outputFilename = `eck${shortRepoName}${timestamp}_${anchor.substring(0, 7)}_up${seqStr}_${sizeKB}kb.${format}`;
     const outputPath = path.join(repoPath, '.eck', 'snapshots', outputFilename);
 
     await fs.mkdir(path.dirname(outputPath), { recursive: true });
@@ -261,27 +362,22 @@ export async function updateSnapshot(repoPath, options) {
     await fs.writeFile(outputPath, fullContent);
 
     spinner.succeed(`Update snapshot created: .eck/snapshots/${outputFilename}`);
+    await recordCatalogEntry(repoPath, {
+      path: outputPath,
+      kind: 'update',
+      anchor,
+      head: await resolveDiffHead(repoPath, diffTarget),
+      seq: isCustomBase ? null : parseInt(seqStr, 10),
+      files: includedCount,
+      tokens: Math.round(fullContent.length / 4),
+      format
+    });
+    await enforceRetention(repoPath);
 
     // --- FEATURE: Active Snapshot (.eck/lastsnapshot/) ---
-    try {
-      const snapDir = path.join(repoPath, '.eck', 'lastsnapshot');
-      await fs.mkdir(snapDir, { recursive: true });
-
-      // 1. Clean up OLD snapshots
-      const existingFiles = await fs.readdir(snapDir);
-      for (const file of existingFiles) {
-        if ((file.startsWith('eck') && file.endsWith('.md')) || file === 'answer.md') {
-          await fs.unlink(path.join(snapDir, file));
-        }
-      }
-
-      // 2. Save new file
-      await fs.writeFile(path.join(snapDir, outputFilename), fullContent);
+    if (await replaceActiveSnapshot(repoPath, outputFilename, fullContent)) {
       console.log(chalk.cyan(`📋 Active snapshot updated in .eck/lastsnapshot/: ${outputFilename}`));
-    } catch (e) {
-      // Non-critical failure
     }
-    // --------------------------------------------
 
     // Check if agent report was included
     if (agentReport) {
@@ -302,42 +398,34 @@ export async function updateSnapshot(repoPath, options) {
 export async function updateSnapshotJson(repoPath, options = {}) {
   try {
     const isCustomBase = !!options.base;
-    const anchor = resolveBaseHash(options.base) || await getGitAnchor(repoPath);
+    const anchor = await resolveBaseHash(repoPath, options.base) || await getGitAnchor(repoPath);
     
     if (!anchor) {
       console.log(JSON.stringify({ status: "error", message: "No snapshot anchor found" }));
       return;
     }
 
-    // Auto-commit any uncommitted changes
+    // Capture uncommitted changes (agent runs default to auto-commit)
+    let diffTarget = 'HEAD';
     if (!options.fail) {
-      await autoCommit(repoPath);
+      diffTarget = (await captureWorkingTree(repoPath, { agentRun: true, ...options })).target;
     }
 
-    const changedFiles = await getChangedFiles(repoPath, anchor, !!options.fail);
+    const changedFiles = await getChangedFiles(repoPath, anchor, !!options.fail, diffTarget);
     if (changedFiles.length === 0) {
       console.log(JSON.stringify({ status: "no_changes", message: "No changes detected" }));
       return;
     }
 
-    const setupConfig = await loadSetupConfig();
-    let config = { ...setupConfig.fileFiltering, ...setupConfig.performance };
-
-    // Detect project type and merge project-specific filters
-    const projectDetection = await detectProjectType(repoPath);
-    if (projectDetection.type) {
-      const projectSpecific = await getProjectSpecificFiltering(projectDetection.type);
-      config = {
-        ...config,
-        dirsToIgnore: [...(config.dirsToIgnore || []), ...(projectSpecific.dirsToIgnore || [])],
-        filesToIgnore: [...(config.filesToIgnore || []), ...(projectSpecific.filesToIgnore || [])],
-        extensionsToIgnore: [...(config.extensionsToIgnore || []), ...(projectSpecific.extensionsToIgnore || [])]
-      };
-    }
+    const config = await loadUpdateConfig(repoPath);
 
     const gitignore = await loadGitignore(repoPath);
 
-    const { fullContent, includedCount, agentReport } = await generateSnapshotContent(repoPath, changedFiles, anchor, config, gitignore);
+    const format = options.format === 'xml' ? 'xml' : 'md';
+    const { fullContent, includedCount, agentReport } = await generateSnapshotContent(repoPath, changedFiles, anchor, config, gitignore, format, {
+      lineNumbers: !!options.lineNumbers,
+      gitMeta: !!options.gitMeta
+    });
 
     let seqStr = 'custom';
     if (!isCustomBase) {
@@ -360,31 +448,26 @@ export async function updateSnapshotJson(repoPath, options = {}) {
     const timestamp = generateTimestamp();
     const shortRepoName = getShortRepoName(path.basename(repoPath));
     const sizeKB = Math.max(1, Math.round(Buffer.byteLength(fullContent, 'utf-8') / 1024));
-    const outputFilename = `eck${shortRepoName}${timestamp}_${anchor.substring(0, 7)}_up${seqStr}_${sizeKB}kb.md`;
+    const outputFilename = `eck${shortRepoName}${timestamp}_${anchor.substring(0, 7)}_up${seqStr}_${sizeKB}kb.${format}`;
     const outputPath = path.join(repoPath, '.eck', 'snapshots', outputFilename);
     await fs.mkdir(path.dirname(outputPath), { recursive: true });
     await ensureSnapshotsInGitignore(repoPath);
     await fs.writeFile(outputPath, fullContent);
+    await recordCatalogEntry(repoPath, {
+      path: outputPath,
+      kind: 'update',
+      anchor,
+      head: await resolveDiffHead(repoPath, diffTarget),
+      seq: isCustomBase ? null : parseInt(seqStr, 10),
+      files: includedCount,
+      tokens: Math.round(fullContent.length / 4),
+      format
+    });
+    // Quiet: stdout of this command is parsed as JSON
+    await enforceRetention(repoPath, { quiet: true });
 
     // --- FEATURE: Active Snapshot (.eck/lastsnapshot/) ---
-    try {
-      const snapDir = path.join(repoPath, '.eck', 'lastsnapshot');
-      await fs.mkdir(snapDir, { recursive: true });
-
-      // 1. Clean up OLD snapshots
-      const existingFiles = await fs.readdir(snapDir);
-      for (const file of existingFiles) {
-        if ((file.startsWith('eck') && file.endsWith('.md')) || file === 'answer.md') {
-          await fs.unlink(path.join(snapDir, file));
-        }
-      }
-
-      // 2. Save new file
-      await fs.writeFile(path.join(snapDir, outputFilename), fullContent);
-    } catch (e) {
-      // Non-critical failure
-    }
-    // --------------------------------------------
+    await replaceActiveSnapshot(repoPath, outputFilename, fullContent);
 
     console.log(JSON.stringify({
       status: "success",
@@ -401,3 +484,53 @@ export async function updateSnapshotJson(repoPath, options = {}) {
     console.log(JSON.stringify({ status: "error", message: error.message }));
   }
 }
+
+/**
+ * Regenerates the delta snapshot in .eck/lastsnapshot/ only, for eck_watch. Never commits:
+ * the working tree is captured in a dangling shadow commit without a ref. Nothing is added to
+ * .eck/snapshots, the catalog or the update sequence, and the agent report is left for eck_update.
+ * @param {string} repoPath
+ * @param {object} options - { base, format, lineNumbers, gitMeta }
+ * @param {object} filters - { config, gitignore } from loadUpdateConfig and loadGitignore
+ * @returns {Promise<object>} Status record: { status: success|no_changes|error, ... }
+ */
+export async function refreshActiveSnapshot(repoPath, options, { config, gitignore }) {
+  const anchor = await resolveBaseHash(repoPath, options.base) || await getGitAnchor(repoPath);
+  if (!anchor) {
+    return { status: 'error', message: 'No snapshot anchor found. Run a full snapshot first: eck-snapshot snapshot' };
+  }
+
+  const target = await createShadowCommit(repoPath);
+  const changedFiles = await getChangedFiles(repoPath, anchor, false, target);
+  const format = options.format === 'xml' ? 'xml' : 'md';
+  const { fullContent, includedCount } = changedFiles.length === 0
+    ? { includedCount: 0 }
+    : await generateSnapshotContent(repoPath, changedFiles, anchor, config, gitignore, format, {
+      lineNumbers: !!options.lineNumbers,
+      gitMeta: !!options.gitMeta,
+      includeAgentReport: false
+    });
+  const timestamp = generateTimestamp();
+  if (includedCount === 0) {
+    // A delta from an earlier regeneration would now describe edits that were reverted
+    const snapDir = path.join(repoPath, '.eck', 'lastsnapshot');
+    const stale = (await fs.readdir(snapDir).catch(() => [])).filter(file => /^eck.*_watch_\d+kb\.(md|xml)$/.test(file));
+    await Promise.all(stale.map(file => fs.unlink(path.join(snapDir, file)).catch(() => {})));
+    return { status: 'no_changes', anchor: anchor.substring(0, 7), timestamp };
+  }
+
+  const sizeKB = Math.max(1, Math.round(Buffer.byteLength(fullContent, 'utf-8') / 1024));
+  const outputFilename = `eck${getShortRepoName(path.basename(repoPath))}${timestamp}_${anchor.substring(0, 7)}_watch_${sizeKB}kb.${format}`;
+  await ensureSnapshotsInGitignore(repoPath);
+  if (!(await replaceActiveSnapshot(repoPath, outputFilename, fullContent))) {
+    return { status: 'error', message: 'Could not write .eck/lastsnapshot/' };
+  }
+  return {
+    status: 'success',
+    snapshot_file: `.eck/lastsnapshot/${outputFilename}`,
+    files_count: includedCount,
+    anchor: anchor.substring(0, 7),
+    tokens: Math.round(fullContent.length / 4),
+    timestamp
+  };
+}
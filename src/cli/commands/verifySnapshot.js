@@ -0,0 +1,127 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import {
+  MANIFEST_SUFFIX,
+  sha256,
+  computeRootHash,
+  extractEmbeddedBodies
+} from '../../utils/snapshotManifest.js';
+
+async function readIfExists(filePath) {
+  try {
+    return await fs.readFile(filePath, 'utf-8');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Finds the manifest for a snapshot: `<name>.sha256.json` for single files,
+ * `<base>.sha256.json` (without `_partXofN_<kb>kb`) for split snapshots.
+ */
+async function locateManifest(snapshotPath) {
+  if (snapshotPath.endsWith(MANIFEST_SUFFIX)) return snapshotPath;
+  const dir = path.dirname(snapshotPath);
+  const name = path.basename(snapshotPath).replace(/\.[^.]+$/, '');
+  const candidates = [name, name.replace(/_part\d+of\d+_\d+kb$/, '')];
+  for (const candidate of candidates) {
+    const manifestPath = path.join(dir, candidate + MANIFEST_SUFFIX);
+    if (await readIfExists(manifestPath) !== null) return manifestPath;
+  }
+  return null;
+}
+
+/**
+ * eck_verify: checks a reproducible snapshot against its .sha256.json manifest
+ * (tampered parts and file bodies) and against the working tree (drifted files).
+ * Sets a non-zero exit code when anything does not match.
+ * @param {string} repoPath - Repository whose working tree is compared
+ * @param {object} args - { snapshot, manifest, tree: false to skip the working-tree check }
+ */
+export async function verifySnapshot(repoPath, args = {}) {
+  if (!args.snapshot && !args.manifest) {
+    console.log(chalk.red('❌ Error: eck_verify requires a "snapshot" (or "manifest") path in arguments.'));
+    console.log(chalk.yellow(`Example: eck-snapshot '{"name": "eck_verify", "arguments": {"snapshot": ".eck/snapshots/eckSNAOT_abc1234_r0123456789ab_120kb.md"}}'`));
+    return;
+  }
+
+  const manifestPath = args.manifest
+    ? path.resolve(repoPath, args.manifest)
+    : await locateManifest(path.resolve(repoPath, args.snapshot));
+  if (!manifestPath) {
+    throw new Error(`No ${MANIFEST_SUFFIX} manifest found for ${args.snapshot}. Manifests are written by eck_snapshot with "reproducible": true.`);
+  }
+
+  const manifest = JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+  if (manifest.format !== 'eck-snapshot/manifest') {
+    throw new Error(`${path.basename(manifestPath)} is not an eck-snapshot manifest.`);
+  }
+
+  console.log(chalk.blue(`🔏 Verifying ${manifest.parts.map(p => p.file).join(', ')}`));
+  console.log(chalk.gray(`   Manifest: ${path.basename(manifestPath)} | Root: ${manifest.rootHash.substring(0, 12)}${manifest.gitHash ? ` | Commit: ${manifest.gitHash.substring(0, 7)}` : ''}`));
+
+  const report = { manifestIntact: true, parts: [], tampered: [], modified: [], missing: [] };
+
+  // The manifest itself must be self-consistent, otherwise its hashes prove nothing
+  const entries = Object.entries(manifest.files)
+    .map(([filePath, entry]) => ({ path: filePath, source: entry.source, content: entry.content }))
+    .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+  report.manifestIntact = computeRootHash(entries) === manifest.rootHash;
+
+  const partContents = [];
+  for (const part of manifest.parts) {
+    const content = await readIfExists(path.join(path.dirname(manifestPath), part.file));
+    partContents.push(content);
+    const status = content === null ? 'missing' : sha256(content) === part.sha256 ? 'ok' : 'modified';
+    report.parts.push({ file: part.file, status });
+  }
+
+  // Per-file check pinpoints which embedded files were edited when a part hash fails
+  const bodies = extractEmbeddedBodies(manifest, partContents);
+  for (const [filePath, entry] of Object.entries(manifest.files)) {
+    if (entry.content === null) continue;
+    const body = bodies.get(filePath);
+    if (body === undefined || sha256(body) !== entry.content) report.tampered.push(filePath);
+  }
+
+  if (args.tree !== false) {
+    for (const [filePath, entry] of Object.entries(manifest.files)) {
+      if (!entry.source) continue;
+      const current = await readIfExists(path.join(repoPath, filePath));
+      if (current === null) {
+        report.missing.push(filePath);
+      } else if (sha256(current) !== entry.source) {
+        report.modified.push(filePath);
+      }
+    }
+  }
+
+  console.log(report.manifestIntact
+    ? chalk.green('   ✅ Manifest root hash matches its entries')
+    : chalk.red('   ❌ Manifest was edited: root hash does not match its entries'));
+  for (const part of report.parts) {
+    if (part.status === 'ok') console.log(chalk.green(`   ✅ ${part.file}`));
+    else console.log(chalk.red(`   ❌ ${part.file} (${part.status})`));
+  }
+
+  const listFiles = (label, files, color) => {
+    if (files.length === 0) return;
+    console.log(color(`\n${label} (${files.length}):`));
+    files.sort().forEach(f => console.log(color(`   - ${f}`)));
+  };
+  listFiles('Tampered in snapshot', report.tampered, chalk.red);
+  listFiles('Modified in working tree since snapshot', report.modified, chalk.yellow);
+  listFiles('Missing from working tree', report.missing, chalk.yellow);
+
+  const snapshotOk = report.manifestIntact && report.parts.every(p => p.status === 'ok') && report.tampered.length === 0;
+  const treeOk = report.modified.length === 0 && report.missing.length === 0;
+  if (snapshotOk && treeOk) {
+    console.log(chalk.green(`\n✅ Snapshot intact${args.tree !== false ? ' and working tree unchanged' : ''} (${Object.keys(manifest.files).length} files).`));
+  } else {
+    console.log(chalk[snapshotOk ? 'yellow' : 'red'](`\n${snapshotOk ? '⚠️  Snapshot intact, but the working tree has drifted.' : '❌ Snapshot does not match its manifest.'}`));
+    process.exitCode = 1;
+  }
+
+  return report;
+}
@@ -0,0 +1,167 @@
+import fs from 'fs/promises';
+import { watch } from 'fs';
+import path from 'path';
+import { checkGitRepository, loadGitignore } from '../../utils/fileUtils.js';
+import { isExcludedFromUpdate, loadUpdateConfig, refreshActiveSnapshot } from './updateSnapshot.js';
+
+const DEFAULT_DEBOUNCE_MS = 1000;
+// Paths listed per status line; the rest are only counted
+const MAX_REPORTED_PATHS = 50;
+
+function printStatus(record) {
+  console.log(JSON.stringify(record));
+}
+
+/**
+ * eck_watch: keeps .eck/lastsnapshot/ fresh while you work. Watches the project with fs.watch,
+ * debounces bursts of changes and regenerates the delta snapshot against the current anchor.
+ * Never commits. Prints one JSON line per regeneration (for editor plugins) and stops on SIGINT.
+ * @param {string} repoPath
+ * @param {object} args - { debounce (ms), base, format: md|xml, lineNumbers, gitMeta }
+ * @returns {Promise<{regenerations: number}>} Resolves once the watcher has stopped
+ */
+export async function watchSnapshot(repoPath, args = {}) {
+  const debounce = args.debounce === undefined ? DEFAULT_DEBOUNCE_MS : parseInt(args.debounce, 10);
+  if (!Number.isInteger(debounce) || debounce < 0) {
+    throw new Error(`Invalid debounce: "${args.debounce}". Expected milliseconds (0 or more).`);
+  }
+  if (!(await checkGitRepository(repoPath))) {
+    printStatus({ status: 'error', message: 'eck_watch needs a git repository: deltas are computed against the snapshot anchor commit' });
+    return { regenerations: 0 };
+  }
+
+  const filters = { config: await loadUpdateConfig(repoPath, args), gitignore: await loadGitignore(repoPath) };
+  const cleanDirsToIgnore = (filters.config.dirsToIgnore || []).map(d => d.replace(/\/$/, ''));
+  // .eck/ is where regenerations are written, so watching it would loop
+  const isIgnoredDir = relDir => relDir.split('/').some(part => part.startsWith('.') || cleanDirsToIgnore.includes(part))
+    || filters.gitignore.ignores(`${relDir}/`);
+
+  const watchers = new Map();
+  const pending = new Set();
+  let timer = null;
+  let running = null;
+  let rerun = false;
+  let stopping = false;
+  let regenerations = 0;
+
+  const unwatch = relDir => {
+    for (const [dir, watcher] of watchers) {
+      if (dir === relDir || dir.startsWith(`${relDir}/`)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+  };
+
+  async function regenerate(trigger) {
+    if (running) {
+      rerun = true;
+      return;
+    }
+    const changed = [...pending].sort();
+    pending.clear();
+    running = (async () => {
+      let record;
+      try {
+        record = await refreshActiveSnapshot(repoPath, args, filters);
+      } catch (e) {
+        record = { status: 'error', message: e.message };
+      }
+      regenerations++;
+      printStatus({
+        ...record,
+        trigger,
+        changed_paths: changed.slice(0, MAX_REPORTED_PATHS),
+        ...(changed.length > MAX_REPORTED_PATHS ? { changed_paths_omitted: changed.length - MAX_REPORTED_PATHS } : {})
+      });
+    })();
+    await running;
+    running = null;
+    if (rerun && !stopping) {
+      rerun = false;
+      await regenerate('change');
+    }
+  }
+
+  // Timer and fs.watch callbacks cannot await, so their failures are reported here instead of going unhandled
+  const reportError = e => printStatus({ status: 'error', message: e.message });
+
+  const schedule = () => {
+    if (stopping) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => regenerate('change').catch(reportError), debounce);
+  };
+
+  async function onEvent(relDir, filename) {
+    if (stopping) return;
+    if (!filename) {
+      // Some platforms omit the name: something in this directory changed
+      schedule();
+      return;
+    }
+    const relPath = relDir ? `${relDir}/${filename}` : String(filename);
+    if (relPath === '.gitignore') {
+      filters.gitignore = await loadGitignore(repoPath);
+      schedule();
+      return;
+    }
+
+    const stats = await fs.stat(path.join(repoPath, relPath)).catch(() => null);
+    // A deleted directory reports itself by name to its own watcher; the parent reports the deletion
+    if (!stats && relDir && filename === path.basename(relDir) && !(await fs.stat(path.join(repoPath, relDir)).catch(() => null))) {
+      unwatch(relDir);
+      return;
+    }
+    if (stats?.isDirectory()) {
+      if (isIgnoredDir(relPath)) return;
+      await watchTree(relPath);
+    } else {
+      if (!stats && watchers.has(relPath)) unwatch(relPath);
+      if (isExcludedFromUpdate(relPath, filters.config, filters.gitignore)) return;
+    }
+    pending.add(relPath);
+    schedule();
+  }
+
+  async function watchTree(relDir) {
+    if (stopping || watchers.has(relDir)) return;
+    const absDir = path.join(repoPath, relDir);
+    try {
+      const watcher = watch(absDir, (eventType, filename) => onEvent(relDir, filename).catch(reportError));
+      // Deleted directories error out on some platforms
+      watcher.on('error', () => unwatch(relDir));
+      watchers.set(relDir, watcher);
+    } catch (e) {
+      return;
+    }
+    const entries = await fs.readdir(absDir, { withFileTypes: true }).catch(() => []);
+    for (const entry of entries) {
+      const child = relDir ? `${relDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory() && !isIgnoredDir(child)) await watchTree(child);
+    }
+  }
+
+  // Handlers go in first so a SIGINT during the startup regeneration also stops cleanly
+  const stopped = new Promise(resolve => {
+    const stop = async () => {
+      if (stopping) return;
+      stopping = true;
+      process.off('SIGINT', stop);
+      process.off('SIGTERM', stop);
+      clearTimeout(timer);
+      for (const watcher of watchers.values()) watcher.close();
+      watchers.clear();
+      if (running) await running;
+      printStatus({ status: 'stopped', regenerations });
+      resolve();
+    };
+    process.on('SIGINT', stop);
+    process.on('SIGTERM', stop);
+  });
+
+  await watchTree('');
+  await regenerate('startup');
+  await stopped;
+
+  return { regenerations };
+}
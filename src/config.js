@@ -102,6 +102,20 @@ export async function getProfile(profileName, repoPath) {
   return allProfiles[profileName] || null;
 }
 
+/**
+ * Loads per-project settings from .eck/config.json (e.g. { "anchorMode": "shadow" }).
+ * Returns an empty object when the file is missing or invalid.
+ */
+export async function loadProjectConfig(repoPath) {
+  const projectConfigPath = path.join(repoPath, '.eck', 'config.json');
+  try {
+    return JSON.parse(await fs.readFile(projectConfigPath, 'utf-8'));
+  } catch (e) {
+    // No project config, which is fine.
+    return {};
+  }
+}
+
 // Fallback default config for backwards compatibility
 export const DEFAULT_CONFIG = {
   smartModeTokenThreshold: 200000,
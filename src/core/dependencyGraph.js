@@ -0,0 +1,286 @@
+import path from 'path';
+import { parse } from '@babel/parser';
+import _traverse from '@babel/traverse';
+const traverse = _traverse.default || _traverse;
+import { scoreFileImportance } from './tokenBudget.js';
+
+/**
+ * Import graph and dependency-based ordering of snapshot files.
+ * Models attend most to the start of the context, so entry points and heavily
+ * imported core modules should come first and tests/fixtures last.
+ */
+
+const JS_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.mts', '.cts'];
+const ENTRY_NAME = /^(index|main|app|cli|server|__main__|lib)\.[^.]+$/;
+const TEST_LIKE = /(^|\/)(tests?|__tests__|specs?|__mocks__|mocks?|fixtures?|e2e|testdata|examples?|samples?)\/|[._-](test|spec)\.[^.]+$|(^|\/)test_[^/]*\.py$|_test\.go$/;
+
+/**
+ * Extracts raw import specifiers from JS/TS source using the Babel parser.
+ */
+function extractJsImports(content) {
+  const specs = [];
+  let ast;
+  try {
+    ast = parse(content, {
+      sourceType: 'module',
+      plugins: ['typescript', 'jsx', 'decorators-legacy'],
+      errorRecovery: true
+    });
+  } catch (e) {
+    return specs;
+  }
+
+  traverse(ast, {
+    ImportDeclaration(p) { specs.push(p.node.source.value); },
+    ExportNamedDeclaration(p) { if (p.node.source) specs.push(p.node.source.value); },
+    ExportAllDeclaration(p) { specs.push(p.node.source.value); },
+    CallExpression(p) {
+      const { callee, arguments: args } = p.node;
+      const isRequire = callee.type === 'Identifier' && callee.name === 'require';
+      const isDynamicImport = callee.type === 'Import';
+      if ((isRequire || isDynamicImport) && args[0]?.type === 'StringLiteral') {
+        specs.push(args[0].value);
+      }
+    }
+  });
+  return specs;
+}
+
+function extractPythonImports(content) {
+  const specs = [];
+  for (const match of content.matchAll(/^\s*from\s+([.\w]+)\s+import\s+([\w*, ()]+)/gm)) {
+    specs.push(match[1]);
+    // `from pkg import a` may import the submodule pkg/a.py (unresolvable names are dropped later)
+    const separator = match[1].endsWith('.') ? '' : '.';
+    for (const name of match[2].replace(/[()]/g, '').split(',')) {
+      const imported = name.trim().split(/\s+as\s+/)[0];
+      if (imported && imported !== '*') specs.push(match[1] + separator + imported);
+    }
+  }
+  for (const match of content.matchAll(/^\s*import\s+([\w., ]+)/gm)) {
+    for (const name of match[1].split(',')) specs.push(name.trim().split(/\s+as\s+/)[0]);
+  }
+  return specs;
+}
+
+function extractGoImports(content) {
+  const specs = [];
+  for (const match of content.matchAll(/^import\s+(?:\w+\s+)?"([^"]+)"/gm)) specs.push(match[1]);
+  for (const block of content.matchAll(/^import\s*\(([\s\S]*?)\)/gm)) {
+    for (const match of block[1].matchAll(/"([^"]+)"/g)) specs.push(match[1]);
+  }
+  return specs;
+}
+
+function extractRustImports(content) {
+  const specs = [];
+  for (const match of content.matchAll(/^\s*(?:pub(?:\([^)]*\))?\s+)?mod\s+(\w+)\s*;/gm)) specs.push(`mod:${match[1]}`);
+  for (const match of content.matchAll(/^\s*(?:pub(?:\([^)]*\))?\s+)?use\s+((?:crate|super|self)(?:::\w+)+)/gm)) specs.push(match[1]);
+  return specs;
+}
+
+/**
+ * Resolves one import specifier to a file in the snapshot, or null for external packages.
+ * @param {string} spec - Raw specifier from the source
+ * @param {string} fromPath - Importing file (repo-relative)
+ * @param {object} index - { fileSet, bySuffix, goDirBySuffix } from buildPathIndex
+ */
+function resolveImport(spec, fromPath, index) {
+  const { fileSet } = index;
+  const ext = path.extname(fromPath);
+  const dir = path.posix.dirname(fromPath);
+  const firstExisting = (candidates) => candidates.find(c => fileSet.has(c)) || null;
+
+  if (JS_EXTENSIONS.includes(ext)) {
+    if (!spec.startsWith('.')) return null;
+    const base = path.posix.normalize(path.posix.join(dir, spec));
+    // TS sources often import './x.js' while the file on disk is './x.ts'
+    const stripped = base.replace(/\.(js|mjs|cjs|jsx)$/, '');
+    return firstExisting([
+      base,
+      ...JS_EXTENSIONS.map(e => base + e),
+      ...JS_EXTENSIONS.map(e => stripped + e),
+      ...JS_EXTENSIONS.map(e => `${base}/index${e}`)
+    ]);
+  }
+
+  if (ext === '.py') {
+    const leadingDots = spec.match(/^\.*/)[0].length;
+    const modulePath = spec.slice(leadingDots).replace(/\./g, '/');
+    let baseDir = '';
+    if (leadingDots > 0) {
+      baseDir = dir;
+      for (let i = 1; i < leadingDots; i++) baseDir = path.posix.dirname(baseDir);
+    }
+    const joined = path.posix.normalize(path.posix.join(baseDir || '.', modulePath || '.'));
+    const direct = firstExisting([`${joined}.py`, `${joined}/__init__.py`]);
+    if (direct || leadingDots > 0) return direct;
+    // Absolute imports may live under a source root such as src/
+    return index.bySuffix.get(`${modulePath}.py`) || index.bySuffix.get(`${modulePath}/__init__.py`) || null;
+  }
+
+  if (ext === '.go') {
+    // Match the package directory by path suffix (module prefix is unknown)
+    const parts = spec.split('/');
+    for (let i = 0; i < parts.length; i++) {
+      const match = index.goDirBySuffix.get(parts.slice(i).join('/'));
+      if (match) return match;
+    }
+    return null;
+  }
+
+  if (ext === '.rs') {
+    if (spec.startsWith('mod:')) {
+      const name = spec.slice(4);
+      const modDir = /^(main|lib|mod)\.rs$/.test(path.posix.basename(fromPath))
+        ? dir
+        : path.posix.join(dir, path.posix.basename(fromPath, '.rs'));
+      return firstExisting([path.posix.join(modDir, `${name}.rs`), path.posix.join(modDir, name, 'mod.rs')]);
+    }
+    const segments = spec.split('::');
+    const root = segments.shift();
+    let baseDir;
+    if (root === 'crate') {
+      const crateRootIdx = fromPath.lastIndexOf('src/');
+      baseDir = crateRootIdx === -1 ? dir : fromPath.slice(0, crateRootIdx + 3);
+    } else {
+      baseDir = root === 'super' ? path.posix.dirname(dir) : dir;
+    }
+    // Longest module path that exists wins (`crate::a::b::Item` → src/a/b.rs or src/a.rs)
+    for (let n = segments.length; n > 0; n--) {
+      const modPath = path.posix.join(baseDir, ...segments.slice(0, n));
+      const match = firstExisting([`${modPath}.rs`, `${modPath}/mod.rs`]);
+      if (match) return match;
+    }
+    return null;
+  }
+
+  return null;
+}
+
+/**
+ * Indexes paths by every trailing segment sequence, so absolute Python imports and
+ * Go package paths resolve without scanning the whole file list per import.
+ */
+function buildPathIndex(paths) {
+  const bySuffix = new Map();
+  const goDirBySuffix = new Map();
+  for (const filePath of [...paths].sort()) {
+    const parts = filePath.split('/');
+    for (let i = 0; i < parts.length; i++) {
+      const suffix = parts.slice(i).join('/');
+      if (!bySuffix.has(suffix)) bySuffix.set(suffix, filePath);
+    }
+    if (filePath.endsWith('.go') && !filePath.endsWith('_test.go')) {
+      const dirParts = parts.slice(0, -1);
+      for (let i = 0; i < dirParts.length; i++) {
+        const suffix = dirParts.slice(i).join('/');
+        if (!goDirBySuffix.has(suffix)) goDirBySuffix.set(suffix, filePath);
+      }
+    }
+  }
+  return { fileSet: new Set(paths), bySuffix, goDirBySuffix };
+}
+
+/**
+ * Extracts import specifiers for any supported language.
+ * @returns {string[]}
+ */
+export function extractImports(content, filePath) {
+  const ext = path.extname(filePath);
+  if (JS_EXTENSIONS.includes(ext)) return extractJsImports(content);
+  if (ext === '.py') return extractPythonImports(content);
+  if (ext === '.go') return extractGoImports(content);
+  if (ext === '.rs') return extractRustImports(content);
+  return [];
+}
+
+/**
+ * Builds the internal import graph of a set of files.
+ * @param {Array<{path: string, content: string}>} files
+ * @returns {Map<string, Set<string>>} path → paths it imports (only files in the set)
+ */
+export function buildImportGraph(files) {
+  const index = buildPathIndex(files.map(f => f.path));
+  const graph = new Map();
+  for (const file of files) {
+    const targets = new Set();
+    for (const spec of extractImports(file.content || '', file.path)) {
+      const resolved = resolveImport(spec, file.path, index);
+      if (resolved && resolved !== file.path) targets.add(resolved);
+    }
+    graph.set(file.path, targets);
+  }
+  return graph;
+}
+
+/**
+ * Ranks modules by how central they are: rank flows from importers to what they import.
+ */
+function computeModuleRank(graph, iterations = 20, damping = 0.85) {
+  const nodes = [...graph.keys()];
+  const n = nodes.length || 1;
+  let rank = new Map(nodes.map(node => [node, 1 / n]));
+
+  for (let i = 0; i < iterations; i++) {
+    const next = new Map(nodes.map(node => [node, (1 - damping) / n]));
+    for (const node of nodes) {
+      const targets = graph.get(node);
+      if (targets.size === 0) continue;
+      const share = damping * rank.get(node) / targets.size;
+      for (const target of targets) next.set(target, next.get(target) + share);
+    }
+    rank = next;
+  }
+  return rank;
+}
+
+function countReachable(graph, start) {
+  const seen = new Set();
+  const stack = [...graph.get(start)];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (seen.has(node) || node === start) continue;
+    seen.add(node);
+    stack.push(...graph.get(node));
+  }
+  return seen.size;
+}
+
+/**
+ * Orders file objects by dependency importance:
+ * entry points (by how much they reach) → imported core modules (by rank) →
+ * other files (by path heuristics) → tests, fixtures and examples.
+ * @param {Array<object>} fileObjects - { path, rawContent?, body } from processProjectFiles
+ * @returns {{ordered: Array<object>, entryPoints: string[]}}
+ */
+export function orderByDependencyImportance(fileObjects) {
+  const graph = buildImportGraph(fileObjects.map(f => ({ path: f.path, content: f.rawContent ?? f.body ?? '' })));
+  const rank = computeModuleRank(graph);
+  const inDegree = new Map(fileObjects.map(f => [f.path, 0]));
+  for (const targets of graph.values()) {
+    for (const target of targets) inDegree.set(target, inDegree.get(target) + 1);
+  }
+
+  const ranked = fileObjects.map(f => {
+    const isTest = TEST_LIKE.test(f.path.toLowerCase());
+    const imports = graph.get(f.path).size;
+    const isEntry = !isTest && imports > 0 &&
+      (ENTRY_NAME.test(path.posix.basename(f.path)) || inDegree.get(f.path) === 0);
+    let group = 2;
+    let score = scoreFileImportance(f.path);
+    if (isTest) {
+      group = 3;
+    } else if (isEntry) {
+      group = 0;
+      score = countReachable(graph, f.path);
+    } else if (inDegree.get(f.path) > 0) {
+      group = 1;
+      score = rank.get(f.path);
+    }
+    return { file: f, group, score };
+  });
+
+  ranked.sort((a, b) => a.group - b.group || b.score - a.score || a.file.path.localeCompare(b.file.path));
+  return { ordered: ranked.map(r => r.file), entryPoints: ranked.filter(r => r.group === 0).map(r => r.file.path) };
+}
@@ -0,0 +1,49 @@
+/**
+ * Line-numbered file bodies (`lineNumbers: true`).
+ *
+ * Every line is prefixed with its line number in the source file, right-aligned: `  12 | code`.
+ * Lines that do not exist in the source (skeleton placeholders, truncation notes) get a blank
+ * number, so a model can only cite lines that are really there. eck_restore strips the prefixes.
+ */
+
+const NUMBERED_LINE = /^ *\d* \| /;
+
+/**
+ * Line map of text that is shown unchanged: output line i is source line i + 1.
+ * @param {string} text
+ * @returns {Array<number>}
+ */
+export function identityLineMap(text) {
+  return text.split('\n').map((_, i) => i + 1);
+}
+
+/**
+ * Prefixes every line of a file body with its source line number.
+ * @param {string} body - File body as it appears in the snapshot
+ * @param {Array<number|null>} [lineMap] - Source line of each body line (1-based, null for inserted lines).
+ *   Lines past the end of the map are treated as inserted.
+ * @returns {string}
+ */
+export function addLineNumbers(body, lineMap = identityLineMap(body)) {
+  const trailingNewline = body.endsWith('\n');
+  const lines = (trailingNewline ? body.slice(0, -1) : body).split('\n');
+  const width = String(lineMap.reduce((max, n) => (n > max ? n : max), 1)).length;
+  const numbered = lines.map((line, i) => `${String(lineMap[i] ?? '').padStart(width)} | ${line}`);
+  return numbered.join('\n') + (trailingNewline ? '\n' : '');
+}
+
+/**
+ * Reverses addLineNumbers.
+ * @param {string} body
+ * @returns {string}
+ */
+export function stripLineNumbers(body) {
+  return body.split('\n').map(line => line.replace(NUMBERED_LINE, '')).join('\n');
+}
+
+/** Header note for snapshots with numbered bodies; eck_restore detects it. */
+export const LINE_NUMBERS_NOTICE = `### 🔢 LINE NUMBERS ACTIVE
+
+Every line of a file body starts with its line number in the source file: \`  42 | code\`.
+Lines without a number (\`/* ... */\`, \`...\`, truncation notes) do not exist in the source.
+Cite code as \`path/to/file.js:42\`. The numbers are not part of the files: never copy them into code you write.`;
@@ -0,0 +1,323 @@
+import path from 'path';
+import { parse } from '@babel/parser';
+import _traverse from '@babel/traverse';
+const traverse = _traverse.default || _traverse;
+import { getTreeSitterLanguage } from './skeletonizer.js';
+import { estimateTextTokens } from './tokenBudget.js';
+
+/**
+ * Token-saving middle ground between full content and skeleton (`minify: true`).
+ *
+ * Strips non-doc comments and license headers, trailing whitespace and blank-line runs, and
+ * optionally debug output (`console.log`, `print`). Code is never reformatted: removed text is
+ * cut out of the original source, so every remaining line is a real source line.
+ * Comments are found with Babel for JS/TS, tree-sitter where available, and a string-aware
+ * scanner otherwise.
+ */
+
+// Bump whenever minified output changes: cached renderings in .eck/cache/ are dropped on mismatch
+export const MINIFIER_VERSION = 1;
+
+const JS_FILE = /\.(js|jsx|ts|tsx|mjs|cjs)$/;
+const COMMENT_SYNTAX = {
+  c: ['.java', '.kt', '.kts', '.c', '.h', '.cpp', '.hpp', '.cc', '.cs', '.go', '.rs', '.swift', '.scala', '.dart', '.groovy', '.gradle', '.php', '.scss', '.less'],
+  hash: ['.py', '.pyi', '.rb', '.sh', '.bash', '.zsh', '.yaml', '.yml', '.toml', '.r', '.pl', '.ex', '.exs'],
+  css: ['.css']
+};
+const DEBUG_METHODS = ['log', 'debug', 'trace', 'dir'];
+
+// Comments that change how tools treat the code: kept like doc comments
+const DIRECTIVE_COMMENT = /^(?:\/\/\/?|\/\*|#)\s*(?:@ts-|eslint|prettier-ignore|istanbul|jshint|global\s|@jsx|@flow|webpack|@vite-ignore|[#@]__PURE__|<reference|go:|\+build|nolint|noqa|type:|pragma|pylint|mypy|fmt:|isort|-\*-)/;
+const LICENSE_COMMENT = /copyright|licen[cs]e|spdx-license/i;
+const GO_DECLARATION = /^\s*(?:func|type|var|const|package)\b/;
+
+function commentSyntax(ext) {
+  return Object.keys(COMMENT_SYNTAX).find(syntax => COMMENT_SYNTAX[syntax].includes(ext)) || null;
+}
+
+/**
+ * Skips a quoted string starting at `start`. Single and double quoted strings end at the
+ * line end; an unterminated quote is an apostrophe (Rust lifetime, shell word), not a string.
+ * @returns {number} Offset after the string
+ */
+function skipString(content, start) {
+  const quote = content[start];
+  for (let i = start + 1; i < content.length; i++) {
+    const ch = content[i];
+    if (ch === '\\') {
+      i++;
+      continue;
+    }
+    if (ch === quote) return i + 1;
+    if (ch === '\n' && quote !== '`') break;
+  }
+  return start + 1;
+}
+
+/**
+ * String-aware comment scanner for languages without a parser here.
+ * @param {string} content
+ * @param {string} syntax - c (// and block comments), hash (#) or css (block comments only)
+ * @returns {Array<{start: number, end: number}>}
+ */
+function scanComments(content, syntax) {
+  const comments = [];
+  let i = 0;
+  while (i < content.length) {
+    const ch = content[i];
+    // `#` starts a comment only at the start of a word (not in `$#` or `${#var}`)
+    const lineComment = syntax === 'c' ? content.startsWith('//', i) : syntax === 'hash' && ch === '#' && (i === 0 || /\s/.test(content[i - 1]));
+    if (lineComment) {
+      const end = content.indexOf('\n', i);
+      comments.push({ start: i, end: end === -1 ? content.length : end });
+      i = end === -1 ? content.length : end;
+    } else if (syntax !== 'hash' && content.startsWith('/*', i)) {
+      const end = content.indexOf('*/', i + 2);
+      comments.push({ start: i, end: end === -1 ? content.length : end + 2 });
+      i = end === -1 ? content.length : end + 2;
+    } else if (syntax === 'hash' && (content.startsWith('"""', i) || content.startsWith("'''", i))) {
+      const end = content.indexOf(content.substr(i, 3), i + 3);
+      i = end === -1 ? content.length : end + 3;
+    } else if (ch === '"' || ch === "'" || ch === '`') {
+      i = skipString(content, i);
+    } else {
+      i++;
+    }
+  }
+  return comments;
+}
+
+async function collectTreeSitterComments(content, filePath) {
+  const treeSitter = await getTreeSitterLanguage(filePath);
+  if (!treeSitter) return null;
+  try {
+    const parser = new treeSitter.Parser();
+    parser.setLanguage(treeSitter.language);
+    const comments = [];
+    const visit = (node) => {
+      if (node.type.includes('comment')) {
+        comments.push({ start: node.startIndex, end: node.endIndex });
+        return;
+      }
+      for (let i = 0; i < node.childCount; i++) visit(node.child(i));
+    };
+    visit(parser.parse(content).rootNode);
+    return comments;
+  } catch (e) {
+    return null;
+  }
+}
+
+function isWholeLine(content, start, end) {
+  const lineStart = content.lastIndexOf('\n', start - 1) + 1;
+  const lineEnd = content.indexOf('\n', end);
+  return !content.slice(lineStart, start).trim() && !content.slice(end, lineEnd === -1 ? content.length : lineEnd).trim();
+}
+
+/**
+ * Comments and (with dropDebug) console debug statements of a JS/TS file, or null if Babel fails.
+ */
+function collectJsRanges(content, dropDebug) {
+  let ast;
+  try {
+    ast = parse(content, {
+      sourceType: 'module',
+      plugins: ['typescript', 'jsx', 'decorators-legacy'],
+      errorRecovery: true
+    });
+  } catch (e) {
+    return null;
+  }
+  const comments = (ast.comments || []).map(c => ({ start: c.start, end: c.end }));
+  const debug = [];
+  if (dropDebug) {
+    traverse(ast, {
+      ExpressionStatement(nodePath) {
+        const { expression, start, end } = nodePath.node;
+        const callee = expression.type === 'CallExpression' ? expression.callee : null;
+        const isConsoleCall = callee?.type === 'MemberExpression' && callee.object.name === 'console' &&
+          DEBUG_METHODS.includes(callee.property.name);
+        // Only statements in a statement list: `if (x) console.log(y);` must keep its body
+        if (isConsoleCall && nodePath.listKey === 'body' && isWholeLine(content, start, end)) {
+          debug.push({ start, end });
+        }
+      }
+    });
+  }
+  return { comments, debug };
+}
+
+/**
+ * Single-line `print(...)` statements of a Python file. A print that is the only statement
+ * of its block is kept, so the block never ends up empty.
+ */
+function findPythonDebugRanges(content) {
+  const lines = content.split('\n');
+  const offsets = [];
+  lines.reduce((offset, line) => (offsets.push(offset), offset + line.length + 1), 0);
+  const removed = new Set();
+  const indentOf = (line) => line.length - line.trimStart().length;
+  const isCode = (line) => line.trim() && !line.trim().startsWith('#');
+
+  lines.forEach((line, i) => {
+    if (!/^\s*print\(.*\)\s*(#.*)?$/.test(line)) return;
+    const code = line.replace(/#.*$/, '');
+    if (code.split('(').length !== code.split(')').length) return; // Continues on the next line
+    let prev = i - 1;
+    while (prev >= 0 && (!isCode(lines[prev]) || removed.has(prev))) prev--;
+    let next = i + 1;
+    while (next < lines.length && !isCode(lines[next])) next++;
+    const opensBlock = prev >= 0 && lines[prev].replace(/#.*$/, '').trimEnd().endsWith(':');
+    if (!opensBlock || (next < lines.length && indentOf(lines[next]) === indentOf(line))) {
+      removed.add(i);
+    }
+  });
+  return [...removed].map(i => ({ start: offsets[i], end: offsets[i] + lines[i].length }));
+}
+
+/**
+ * Offset of the first code after leading comments (license headers live before it).
+ */
+function firstCodeOffset(content, comments) {
+  let pos = content.startsWith('#!') ? content.indexOf('\n') + 1 || content.length : 0;
+  for (const comment of comments) {
+    while (pos < content.length && /\s/.test(content[pos])) pos++;
+    if (comment.start < pos) continue;
+    if (comment.start !== pos) break;
+    pos = comment.end;
+  }
+  while (pos < content.length && /\s/.test(content[pos])) pos++;
+  return pos;
+}
+
+function isGoDocComment(content, comment) {
+  const lines = content.slice(comment.end).split('\n').slice(1);
+  for (const line of lines) {
+    if (line.trim().startsWith('//')) continue;
+    return GO_DECLARATION.test(line);
+  }
+  return false;
+}
+
+/**
+ * Doc comments, directives and shebangs are kept; license headers and everything else go.
+ */
+function keepComment(content, comment, ext, codeStart) {
+  const text = content.slice(comment.start, comment.end);
+  if (comment.start === 0 && text.startsWith('#!')) return true;
+  if (comment.start < codeStart && LICENSE_COMMENT.test(text)) return false;
+  if (DIRECTIVE_COMMENT.test(text)) return true;
+  if (/^\/\*\*[^/]/.test(text) || text.startsWith('///')) return true;
+  if (ext === '.rs' && (text.startsWith('//!') || text.startsWith('/*!'))) return true;
+  if (ext === '.go' && text.startsWith('//')) return isGoDocComment(content, comment);
+  return false;
+}
+
+/**
+ * Cuts ranges out of the content, then strips trailing whitespace, drops lines that only held
+ * removed text and collapses blank-line runs.
+ */
+function applyRemovals(content, ranges) {
+  ranges.sort((a, b) => a.start - b.start);
+  let stripped = '';
+  let pos = 0;
+  for (const range of ranges) {
+    if (range.end <= pos) continue; // Inside a range already removed
+    const start = Math.max(range.start, pos);
+    // Newlines stay, so stripped line i is still source line i + 1
+    stripped += content.slice(pos, start) + content.slice(start, range.end).replace(/[^\n]/g, '');
+    pos = range.end;
+  }
+  stripped += content.slice(pos);
+
+  const trailingNewline = content.endsWith('\n');
+  const sourceLines = content.split('\n');
+  const lines = stripped.split('\n');
+  if (trailingNewline) lines.pop();
+
+  const result = [];
+  const lineMap = [];
+  let previousBlank = true; // Also drops blank lines at the start of the file
+  lines.forEach((rawLine, i) => {
+    const line = rawLine.replace(/\s+$/, '');
+    if (!line) {
+      if (sourceLines[i].trim() || previousBlank) return;
+      previousBlank = true;
+    } else {
+      previousBlank = false;
+    }
+    result.push(line);
+    lineMap.push(i + 1);
+  });
+  while (result.length > 0 && !result[result.length - 1]) {
+    result.pop();
+    lineMap.pop();
+  }
+
+  return { code: result.join('\n') + (trailingNewline && result.length > 0 ? '\n' : ''), lineMap };
+}
+
+/**
+ * Minifies a file for the snapshot.
+ * @param {string} content - Redacted source
+ * @param {string} filePath - Path used to pick the comment syntax
+ * @param {object} [options] - { dropDebug: also remove console.log/debug/trace/dir and print() lines }
+ * @returns {Promise<{code: string, lineMap: Array<number>}>} lineMap[i] is the source line of output line i
+ */
+export async function minify(content, filePath, options = {}) {
+  const ext = path.extname(filePath).toLowerCase();
+  let comments = null;
+  let debug = [];
+
+  if (JS_FILE.test(ext)) {
+    const ranges = collectJsRanges(content, options.dropDebug);
+    if (ranges) ({ comments, debug } = ranges);
+  }
+  const syntax = JS_FILE.test(ext) ? 'c' : commentSyntax(ext);
+  if (!comments && syntax) {
+    comments = (await collectTreeSitterComments(content, filePath)) || scanComments(content, syntax);
+  }
+  if (options.dropDebug && (ext === '.py' || ext === '.pyi')) {
+    debug = findPythonDebugRanges(content);
+  }
+
+  comments = (comments || []).sort((a, b) => a.start - b.start);
+  const codeStart = firstCodeOffset(content, comments);
+  const removals = comments.filter(c => !keepComment(content, c, ext, codeStart));
+  return applyRemovals(content, [...removals, ...debug]);
+}
+
+/**
+ * Adds one file to the per-type savings shown in the snapshot header.
+ * @param {Map<string, object>} savings - File type → { files, before, after } in estimated tokens
+ */
+export function recordMinifySavings(savings, filePath, before, after) {
+  const type = path.extname(filePath).toLowerCase() || path.basename(filePath);
+  if (!savings.has(type)) savings.set(type, { files: 0, before: 0, after: 0 });
+  const entry = savings.get(type);
+  entry.files++;
+  entry.before += estimateTextTokens(before);
+  entry.after += estimateTextTokens(after);
+}
+
+/**
+ * Renders the savings as a Markdown section for the snapshot header.
+ * eck_restore refuses files of snapshots carrying this section.
+ */
+export function formatMinifyReport(savings) {
+  const rows = [...savings.entries()]
+    .map(([type, s]) => ({ type, ...s }))
+    .sort((a, b) => (b.before - b.after) - (a.before - a.after) || a.type.localeCompare(b.type));
+  const before = rows.reduce((sum, r) => sum + r.before, 0);
+  const after = rows.reduce((sum, r) => sum + r.after, 0);
+  const percent = (b, a) => (b > 0 ? `${Math.round(((b - a) / b) * 100)}%` : '0%');
+
+  let section = `\n\n## 🗜️ Minified Snapshot\n\n`;
+  section += `Non-doc comments, license headers, trailing whitespace and blank-line runs were removed. `;
+  section += `Saved ~${(before - after).toLocaleString()} tokens (${percent(before, after)}).\n\n`;
+  section += `| Type | Files | Tokens before | Tokens after | Saved |\n|------|-------|---------------|--------------|-------|\n`;
+  for (const r of rows) {
+    section += `| \`${r.type}\` | ${r.files} | ${r.before.toLocaleString()} | ${r.after.toLocaleString()} | ${percent(r.before, r.after)} |\n`;
+  }
+  return section + '\n';
+}
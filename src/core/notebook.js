@@ -0,0 +1,128 @@
+import { skeletonize } from './skeletonizer.js';
+
+/**
+ * Jupyter notebooks as percent-format scripts (`# %% [code]` / `# %% [markdown]`), the cell
+ * syntax of jupytext, VS Code and Spyder. The JSON envelope, execution counts, cell metadata and
+ * base64 outputs are dropped. With `outputs: "text"`, short text outputs are kept as comments
+ * under their cell.
+ *
+ * IPython magics (`%matplotlib`, `!pip`) are commented out so code cells stay valid source, which
+ * also lets skeleton depths apply to them.
+ */
+
+export const NOTEBOOK_OUTPUT_MODES = ['strip', 'text'];
+
+const DEFAULT_SETTINGS = { enabled: true, outputs: 'strip', maxOutputLines: 20 };
+
+const LANGUAGE_EXTENSIONS = {
+  python: '.py', r: '.r', julia: '.jl', javascript: '.js', typescript: '.ts', scala: '.scala', java: '.java',
+  kotlin: '.kt', rust: '.rs', go: '.go', 'c++': '.cpp', csharp: '.cs', 'c#': '.cs', ruby: '.rb', bash: '.sh'
+};
+const SLASH_COMMENT_LANGUAGES = new Set(['javascript', 'typescript', 'scala', 'java', 'kotlin', 'rust', 'go', 'c++', 'csharp', 'c#']);
+
+/**
+ * Effective settings: setup.json `fileFiltering.notebooks` < eck_snapshot `notebooks` argument
+ * (false to disable, an output mode, or an object).
+ * @returns {object|null} { outputs, maxOutputLines }, null when notebooks are included as raw JSON
+ */
+export function resolveNotebookSettings(setupSettings = {}, argument) {
+  const { _comment, ...fromSetup } = setupSettings;
+  const fromArgument = typeof argument === 'string' ? { outputs: argument } : (typeof argument === 'object' && argument !== null ? argument : {});
+  const settings = { ...DEFAULT_SETTINGS, ...fromSetup, ...fromArgument };
+  if (argument === false || (argument === undefined && !settings.enabled)) return null;
+  if (!NOTEBOOK_OUTPUT_MODES.includes(settings.outputs)) {
+    throw new Error(`Invalid notebooks outputs mode: "${settings.outputs}". Expected one of: ${NOTEBOOK_OUTPUT_MODES.join(', ')}.`);
+  }
+  return settings;
+}
+
+export function isNotebookPath(filePath) {
+  return /\.ipynb$/i.test(filePath);
+}
+
+// nbformat stores multi-line strings as arrays of lines
+function joinSource(source) {
+  return Array.isArray(source) ? source.join('') : (source || '');
+}
+
+function commentLines(text, comment) {
+  return text.split('\n').map(line => (line ? `${comment} ${line}` : comment));
+}
+
+/**
+ * Comments out IPython magics and shell escapes. A cell magic (`%%bash`) makes the whole cell foreign code.
+ */
+function commentMagics(code, comment) {
+  if (/^\s*%%/.test(code)) return commentLines(code, comment).join('\n');
+  return code.split('\n').map(line => (/^\s*[%!]/.test(line) ? `${comment} ${line}` : line)).join('\n');
+}
+
+function outputLines(output) {
+  if (output.output_type === 'stream') return joinSource(output.text).replace(/\n$/, '').split('\n');
+  if (output.output_type === 'error' || output.output_type === 'pyerr') return [`${output.ename}: ${output.evalue}`];
+  const data = output.data || {};
+  if (data['text/plain'] !== undefined) return joinSource(data['text/plain']).replace(/\n$/, '').split('\n');
+  const types = Object.keys(data);
+  return types.length > 0 ? [`[${types.join(', ')} omitted]`] : [];
+}
+
+function renderOutputs(outputs, comment, maxLines) {
+  const lines = outputs.flatMap(outputLines);
+  if (lines.length === 0) return [];
+  const shown = lines.slice(0, maxLines);
+  if (lines.length > maxLines) shown.push(`[... ${(lines.length - maxLines).toLocaleString()} more output lines]`);
+  return [`${comment} [output]`, ...shown.map(line => `${comment} ${line}`.trimEnd())];
+}
+
+/**
+ * Converts notebook JSON (nbformat 3 or 4) to a percent-format script.
+ * @param {string} content - The .ipynb file content
+ * @param {object} settings - Result of resolveNotebookSettings
+ * @param {object} [options] - { skeleton: { preserveDocs } to skeletonize code cells }
+ * @returns {Promise<{body: string, cells: number}|null>} null if the content is not a notebook
+ */
+export async function convertNotebook(content, settings, options = {}) {
+  let notebook;
+  try {
+    notebook = JSON.parse(content);
+  } catch (e) {
+    return null;
+  }
+  const cells = notebook?.cells || notebook?.worksheets?.[0]?.cells;
+  if (!Array.isArray(cells)) return null;
+
+  const metadata = notebook.metadata || {};
+  const language = String(metadata.kernelspec?.language || metadata.language_info?.name || metadata.language || 'python').toLowerCase();
+  const comment = SLASH_COMMENT_LANGUAGES.has(language) ? '//' : '#';
+  const extension = LANGUAGE_EXTENSIONS[language] || '.txt';
+
+  const blocks = [];
+  let codeCells = 0;
+  let textCells = 0;
+  let outputs = 0;
+  for (const cell of cells) {
+    const source = joinSource(cell.source ?? cell.input).replace(/\s+$/, '');
+    if (cell.cell_type === 'code') {
+      codeCells++;
+      outputs += (cell.outputs || []).length;
+      let code = language === 'python' ? commentMagics(source, comment) : source;
+      if (options.skeleton && code.trim()) {
+        code = await skeletonize(code, `cell${extension}`, { preserveDocs: options.skeleton.preserveDocs });
+      }
+      const rendered = settings.outputs === 'text' ? renderOutputs(cell.outputs || [], comment, settings.maxOutputLines) : [];
+      blocks.push([`${comment} %% [code]`, ...(code ? [code] : []), ...rendered].join('\n'));
+    } else {
+      textCells++;
+      // nbformat 3 heading cells become Markdown headings
+      const text = cell.cell_type === 'heading' ? `${'#'.repeat(cell.level || 1)} ${source}` : source;
+      const kind = cell.cell_type === 'raw' ? 'raw' : 'markdown';
+      blocks.push([`${comment} %% [${kind}]`, ...(text ? commentLines(text, comment) : [])].join('\n'));
+    }
+  }
+
+  const summary = [language, `${cells.length} cells (${codeCells} code, ${textCells} markdown/raw)`];
+  if (settings.outputs === 'strip') summary.push(outputs > 0 ? `${outputs} outputs stripped` : 'no outputs');
+  else summary.push(`text outputs up to ${settings.maxOutputLines} lines`);
+  if (options.skeleton) summary.push('code cells skeletonized');
+  return { body: [`[NOTEBOOK: ${summary.join(' · ')}]`, ...blocks].join('\n\n'), cells: cells.length };
+}
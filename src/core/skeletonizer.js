@@ -3,6 +3,10 @@ import _traverse from '@babel/traverse';
 const traverse = _traverse.default || _traverse;
 import _generate from '@babel/generator';
 const generate = _generate.default || _generate;
+import { identityLineMap } from './lineNumbers.js';
+
+// Bump whenever skeleton output changes: cached skeletons in .eck/cache/ are dropped on mismatch
+export const SKELETONIZER_VERSION = 1;
 
 // Lazy-load tree-sitter to avoid breaking when native bindings are unavailable
 let Parser = null;
@@ -60,21 +64,39 @@ const languages = {
     '.go': () => Go
 };
 
+/**
+ * Tree-sitter parser class and grammar for a file, or null when tree-sitter or the grammar is unavailable.
+ * @param {string} filePath
+ * @returns {Promise<{Parser: Function, language: object}|null>}
+ */
+export async function getTreeSitterLanguage(filePath) {
+    const ext = filePath.substring(filePath.lastIndexOf('.'));
+    if (!languages[ext] || !(await loadTreeSitter())) return null;
+    const language = languages[ext]();
+    return Parser && language ? { Parser, language } : null;
+}
+
 /**
  * Strips implementation details from code.
  * @param {string} content - Full file content
  * @param {string} filePath - File path to determine language
  * @param {object} [options] - Options
  * @param {boolean} [options.preserveDocs=true] - Keep JSDoc/docstrings (depth 6) or strip them (depth 5)
- * @returns {Promise<string>} - Skeletonized code
+ * @param {boolean} [options.lineMap=false] - Return `{ code, lineMap }` instead of the code, where lineMap[i]
+ *   is the 1-based source line of output line i, or null for lines the skeletonizer inserted
+ * @returns {Promise<string|{code: string, lineMap: Array<number|null>}>} - Skeletonized code
  */
 export async function skeletonize(content, filePath, options = {}) {
-    if (!content) return content;
+    if (!content) return options.lineMap ? { code: content, lineMap: identityLineMap(content || '') } : content;
     const preserveDocs = options.preserveDocs !== undefined ? options.preserveDocs : true;
+    const result = await skeletonizeWithLineMap(content, filePath, preserveDocs, !!options.lineMap);
+    return options.lineMap ? result : result.code;
+}
 
+async function skeletonizeWithLineMap(content, filePath, preserveDocs, trackLines) {
     // 1. JS/TS Strategy (Babel is better for JS ecosystem)
     if (/\.(js|jsx|ts|tsx|mjs|cjs)$/.test(filePath)) {
-        return skeletonizeJs(content, preserveDocs);
+        return skeletonizeJs(content, preserveDocs, trackLines);
     }
 
     // 2. Tree-sitter Strategy (Python, Java, Kotlin, C, Rust, Go)
@@ -96,7 +118,7 @@ export async function skeletonize(content, filePath, options = {}) {
     return skeletonizeRegex(content, filePath.substring(filePath.lastIndexOf('.')), preserveDocs);
 }
 
-function skeletonizeJs(content, preserveDocs = true) {
+function skeletonizeJs(content, preserveDocs = true, trackLines = false) {
     try {
         const ast = parse(content, {
             sourceType: 'module',
@@ -127,11 +149,44 @@ function skeletonizeJs(content, preserveDocs = true) {
             ClassMethod: emptyBody
         });
 
-        const output = generate(ast, {}, content);
-        return output.code;
+        const output = generate(ast, trackLines ? { sourceMaps: true, sourceFileName: 'source' } : {}, content);
+        return {
+            code: output.code,
+            lineMap: trackLines ? lineMapFromMappings(output.code, content, output.rawMappings) : null
+        };
     } catch (e) {
-        return content + '\n// [Skeleton parse error]';
+        return { code: content + '\n// [Skeleton parse error]', lineMap: [...identityLineMap(content), null] };
+    }
+}
+
+/**
+ * Source line of each generated line, from Babel's source map: the original line of the
+ * first token printed on it. Comment continuation lines carry no mapping of their own and
+ * follow the line above when the text matches the source.
+ */
+function lineMapFromMappings(code, content, mappings = []) {
+    const codeLines = code.split('\n');
+    const sourceLines = content.split('\n');
+    const lineMap = codeLines.map(() => null);
+    const firstColumn = codeLines.map(() => Infinity);
+    for (const { generated, original } of mappings) {
+        if (!original) continue;
+        const i = generated.line - 1;
+        if (generated.column < firstColumn[i]) {
+            firstColumn[i] = generated.column;
+            lineMap[i] = original.line;
+        }
+    }
+    codeLines.forEach((line, i) => {
+        if (line.trim() === '/* ... */') lineMap[i] = null; // Placeholder for an emptied body
+    });
+    for (let i = 1; i < lineMap.length; i++) {
+        const next = lineMap[i - 1] + 1;
+        if (lineMap[i] === null && lineMap[i - 1] !== null && sourceLines[next - 1]?.trim() === codeLines[i].trim()) {
+            lineMap[i] = next;
+        }
     }
+    return lineMap;
 }
 
 function skeletonizeTreeSitter(content, language, ext, preserveDocs = true) {
@@ -214,22 +269,65 @@ function skeletonizeTreeSitter(content, language, ext, preserveDocs = true) {
         };
 
         visit(tree.rootNode);
-        replacements.sort((a, b) => b.start - a.start);
-
-        let currentContent = content;
-        for (const rep of replacements) {
-            currentContent = currentContent.substring(0, rep.start) + rep.text + currentContent.substring(rep.end);
-        }
+        const result = applyReplacements(content, replacements);
 
         // Clean up excessive blank lines from stripped comments
-        if (!preserveDocs) {
-            currentContent = currentContent.replace(/\n{3,}/g, '\n\n');
-        }
-
-        return currentContent;
+        return preserveDocs ? result : collapseBlankLines(result.code, result.lineMap);
     } catch (e) {
-        return content + `\n// [Skeleton error: ${e.message}]`;
+        return { code: content + `\n// [Skeleton error: ${e.message}]`, lineMap: [...identityLineMap(content), null] };
+    }
+}
+
+/**
+ * Applies non-overlapping { start, end, text } replacements, tracking the source line
+ * of every output line. Lines started inside a replacement text are inserted (null).
+ */
+function applyReplacements(content, replacements) {
+    const countNewlines = (text) => text.split('\n').length - 1;
+    const lineMap = [1];
+    let code = '';
+    let sourceLine = 1;
+    let pos = 0;
+
+    const copy = (text) => {
+        for (let n = countNewlines(text); n > 0; n--) lineMap.push(++sourceLine);
+        code += text;
+    };
+
+    for (const rep of [...replacements].sort((a, b) => a.start - b.start)) {
+        copy(content.substring(pos, rep.start));
+        for (let n = countNewlines(rep.text); n > 0; n--) lineMap.push(null);
+        code += rep.text;
+        sourceLine += countNewlines(content.substring(rep.start, rep.end));
+        pos = rep.end;
     }
+    copy(content.substring(pos));
+
+    return { code, lineMap };
+}
+
+/**
+ * Collapses runs of blank lines (`\n{3,}` to `\n\n`), dropping the removed lines from the line map.
+ */
+function collapseBlankLines(code, lineMap) {
+    const removed = new Set();
+    code.replace(/\n{3,}/g, (match, offset) => {
+        const firstLine = countLinesBefore(code, offset);
+        for (let i = firstLine + 2; i < firstLine + match.length; i++) removed.add(i);
+        return match;
+    });
+    return {
+        code: code.replace(/\n{3,}/g, '\n\n'),
+        lineMap: lineMap.filter((_, i) => !removed.has(i))
+    };
+}
+
+function countLinesBefore(text, offset) {
+    let count = 0;
+    for (let i = 0; i < offset; i++) {
+        if (text[i] === '\n') count++;
+    }
+    return count;
 }
 
 /**
@@ -252,6 +350,7 @@ function skeletonizeRegex(content, ext, preserveDocs = true) {
 function skeletonizeBraceRegex(content, ext, preserveDocs) {
     const lines = content.split('\n');
     const result = [];
+    const lineMap = [];
     let i = 0;
 
     // Patterns that indicate a function/method definition line
@@ -354,16 +453,18 @@ function skeletonizeBraceRegex(content, ext, preserveDocs) {
                 const signature = sigText.substring(0, braceIdx).trimEnd();
                 const indent = line.match(/^(\s*)/)[1];
                 result.push(signature + ' { /* ... */ }');
+                signature.split('\n').forEach((_, k) => lineMap.push(i + k + 1));
                 i = bodyEnd + 1;
                 continue;
             }
         }
 
         result.push(line);
+        lineMap.push(i + 1);
         i++;
     }
 
-    return result.join('\n');
+    return { code: result.join('\n'), lineMap };
 }
 
 /**
@@ -372,7 +473,12 @@ function skeletonizeBraceRegex(content, ext, preserveDocs) {
 function skeletonizePythonRegex(content, preserveDocs) {
     const lines = content.split('\n');
     const result = [];
+    const lineMap = [];
     let i = 0;
+    const emit = (index) => {
+        result.push(lines[index]);
+        lineMap.push(index + 1);
+    };
 
     while (i < lines.length) {
         const line = lines[i];
@@ -380,7 +486,7 @@ function skeletonizePythonRegex(content, preserveDocs) {
         const indent = line.length - trimmed.length;
 
         if (/^(async\s+)?def\s+/.test(trimmed) || /^class\s+/.test(trimmed)) {
-            result.push(line);
+            emit(i);
             i++;
 
             // Determine body indent (should be > current indent)
@@ -394,18 +500,18 @@ function skeletonizePythonRegex(content, preserveDocs) {
                     // Emit docstring lines
                     if (nextTrimmed.indexOf(quote, 3) > 0) {
                         // Single-line docstring
-                        result.push(lines[i]);
+                        emit(i);
                         i++;
                     } else {
                         // Multi-line docstring
-                        result.push(lines[i]);
+                        emit(i);
                         i++;
                         while (i < lines.length && !lines[i].trimStart().includes(quote)) {
-                            result.push(lines[i]);
+                            emit(i);
                             i++;
                         }
                         if (i < lines.length) {
-                            result.push(lines[i]); // closing quote line
+                            emit(i); // closing quote line
                             i++;
                         }
                     }
@@ -414,6 +520,7 @@ function skeletonizePythonRegex(content, preserveDocs) {
 
             // Add ... and skip body
             result.push(' '.repeat(bodyIndent) + '...');
+            lineMap.push(null);
 
             // Skip remaining body lines (lines with indent > current def indent)
             while (i < lines.length) {
@@ -430,11 +537,11 @@ function skeletonizePythonRegex(content, preserveDocs) {
             continue;
         }
 
-        result.push(line);
+        emit(i);
         i++;
     }
 
-    return result.join('\n');
+    return { code: result.join('\n'), lineMap };
 }
 
 /**
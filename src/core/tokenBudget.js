@@ -0,0 +1,165 @@
+import path from 'path';
+import micromatch from 'micromatch';
+import { getDepthConfig, DEPTH_SCALE } from './depthConfig.js';
+import { skeletonize } from './skeletonizer.js';
+import { addLineNumbers, identityLineMap } from './lineNumbers.js';
+
+/**
+ * Downgrade ladder used when a snapshot exceeds its token budget.
+ * full → 500 lines → skeleton+docs → skeleton → tree-only
+ */
+export const BUDGET_DEPTH_STEPS = [9, 7, 6, 5, 0];
+
+/**
+ * Same heuristic as the snapshot summary line (~4 chars per token).
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTextTokens(text) {
+  return Math.round((text || '').length / 4);
+}
+
+/**
+ * Scores how important a file is for an architect reading the snapshot.
+ * Higher scores are kept at full depth longest.
+ * @param {string} filePath - Normalized repo-relative path
+ * @returns {number} Importance score
+ */
+export function scoreFileImportance(filePath) {
+  const lower = filePath.toLowerCase();
+  const base = path.basename(lower);
+  let score = 100;
+
+  if (/(^|\/)(tests?|__tests__|specs?|__mocks__|mocks?|fixtures?|e2e|testdata)\//.test(lower) ||
+      /[._-](test|spec)\.[^.]+$/.test(base) || /^test_.*\.py$/.test(base)) {
+    score -= 50;
+  }
+  if (/(^|\/)(examples?|samples?|demos?|docs?|benchmarks?|vendor|third_party)\//.test(lower)) {
+    score -= 30;
+  }
+  if (/\.(md|mdx|txt|rst|adoc)$/.test(base)) score -= 20;
+  if (/^(index|main|app|cli|server|mod|lib|__init__)\.[^.]+$/.test(base)) score += 20;
+  if (/^(package\.json|cargo\.toml|go\.mod|pyproject\.toml|setup\.py|build\.gradle(\.kts)?)$/.test(base)) score += 15;
+
+  // Deeply nested files are usually implementation details
+  score -= (filePath.split('/').length - 1) * 3;
+  return score;
+}
+
+/**
+ * Renders raw (already redacted) file content at a depth level of the 0-9 scale.
+ * @param {object} [options] - { lineNumbers: prefix lines with their source line numbers }
+ * @returns {Promise<string|null>} Rendered body, or null for tree-only
+ */
+export async function renderAtDepth(content, filePath, depth, options = {}) {
+  const depthCfg = getDepthConfig(depth);
+  if (depthCfg.skipContent) return null;
+
+  let body = content;
+  let lineMap = options.lineNumbers ? identityLineMap(content) : null;
+  if (depthCfg.skeleton) {
+    const skeleton = await skeletonize(body, filePath, { preserveDocs: depthCfg.preserveDocs !== false, lineMap: !!lineMap });
+    if (lineMap) ({ code: body, lineMap } = skeleton);
+    else body = skeleton;
+  }
+  if (depthCfg.maxLinesPerFile && depthCfg.maxLinesPerFile > 0) {
+    const lines = body.split('\n');
+    if (lines.length > depthCfg.maxLinesPerFile) {
+      body = lines.slice(0, depthCfg.maxLinesPerFile).join('\n') +
+        `\n\n[... truncated ${lines.length - depthCfg.maxLinesPerFile} lines ...]`;
+      if (lineMap) lineMap = lineMap.slice(0, depthCfg.maxLinesPerFile);
+    }
+  }
+  return lineMap ? addLineNumbers(body, lineMap) : body;
+}
+
+/**
+ * Downgrades the least important files step by step until the snapshot fits the budget.
+ * Each round moves files (least important first) one rung down BUDGET_DEPTH_STEPS,
+ * so no file drops to tree-only while a less important one still has content.
+ *
+ * File objects must carry `rawContent` (post-redaction, pre-skeleton); they are updated in place.
+ *
+ * @param {Array<object>} fileObjects - { path, content, size, body, mode, rawContent } from processProjectFiles
+ * @param {number} budget - Target token count for the whole snapshot
+ * @param {object} [options]
+ * @param {number} [options.overheadTokens=0] - Tokens already spent on header and tree
+ * @param {number} [options.startDepth=9] - Depth the files were rendered at
+ * @param {string|string[]} [options.focus] - Globs that must never be downgraded
+ * @param {boolean} [options.lineNumbers] - Bodies are line-numbered
+ * @returns {Promise<object>} Budget report for the snapshot header
+ */
+export async function applyTokenBudget(fileObjects, budget, options = {}) {
+  const overheadTokens = options.overheadTokens || 0;
+  const startDepth = options.startDepth !== undefined ? options.startDepth : 9;
+  const steps = BUDGET_DEPTH_STEPS.filter(d => d < startDepth);
+
+  const entries = fileObjects
+    .filter(f => f.rawContent !== undefined && !(options.focus && micromatch.isMatch(f.path, options.focus)))
+    .map(f => ({ file: f, score: scoreFileImportance(f.path), tokens: estimateTextTokens(f.content), stepIndex: -1 }));
+
+  // Least important first; among equals, degrade the biggest first for the largest savings
+  entries.sort((a, b) => a.score - b.score || b.tokens - a.tokens);
+
+  const bodyTokens = () => fileObjects.reduce((sum, f) => sum + estimateTextTokens(f.content), 0);
+  let totalTokens = overheadTokens + bodyTokens();
+  const initialTokens = totalTokens;
+
+  for (let stepIndex = 0; stepIndex < steps.length && totalTokens > budget; stepIndex++) {
+    for (const entry of entries) {
+      if (totalTokens <= budget) break;
+      const body = await renderAtDepth(entry.file.rawContent, entry.file.path, steps[stepIndex], { lineNumbers: options.lineNumbers });
+      const separator = entry.file.separator || `--- File: /${entry.file.path} ---`;
+      const formatted = body === null ? '' : `${separator}\n\n${body}\n\n`;
+      const newTokens = estimateTextTokens(formatted);
+      // First downgrade also costs a row in the header's budget table
+      const rowTokens = entry.stepIndex === -1 ? estimateTextTokens(`| \`${entry.file.path}\` | 0 | Skeleton + docs |\n`) : 0;
+      if (newTokens + rowTokens >= entry.tokens) continue; // This rung saves nothing for this file
+
+      totalTokens -= entry.tokens - newTokens - rowTokens;
+      entry.tokens = newTokens;
+      entry.stepIndex = stepIndex;
+      entry.file.content = formatted;
+      entry.file.size = Buffer.byteLength(formatted, 'utf-8');
+      entry.file.body = body;
+      entry.file.mode = getDepthConfig(steps[stepIndex]).mode;
+      entry.file.budgetDepth = steps[stepIndex];
+    }
+  }
+
+  const degraded = entries
+    .filter(e => e.stepIndex !== -1)
+    .map(e => ({ path: e.file.path, depth: steps[e.stepIndex], mode: DEPTH_SCALE[steps[e.stepIndex]].mode }))
+    .sort((a, b) => a.depth - b.depth || a.path.localeCompare(b.path));
+
+  return {
+    budget,
+    initialTokens,
+    finalTokens: totalTokens,
+    fits: totalTokens <= budget,
+    degraded,
+    usedSkeleton: degraded.some(d => getDepthConfig(d.depth).skeleton)
+  };
+}
+
+/**
+ * Renders the budget report as a Markdown section for the snapshot header.
+ */
+export function formatBudgetReport(report) {
+  let section = `\n\n## 🎯 Token Budget\n\n`;
+  section += `- **Budget:** ${report.budget.toLocaleString()} tokens\n`;
+  section += `- **Before downgrading:** ~${report.initialTokens.toLocaleString()} tokens\n`;
+  section += `- **After downgrading:** ~${report.finalTokens.toLocaleString()} tokens${report.fits ? '' : ' (⚠️ still over budget)'}\n`;
+
+  if (report.degraded.length === 0) {
+    section += `\nAll files are included at their requested depth.\n\n`;
+    return section;
+  }
+
+  section += `\nThe following ${report.degraded.length} files were downgraded to fit. Request full content with \`eck_fetch\` if you need it:\n\n`;
+  section += `| File | Depth | Mode |\n|------|-------|------|\n`;
+  for (const d of report.degraded) {
+    section += `| \`${d.path}\` | ${d.depth} | ${d.mode} |\n`;
+  }
+  return section + '\n';
+}
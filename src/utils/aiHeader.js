@@ -2,6 +2,9 @@ import { loadSetupConfig, getAllProfiles } from '../config.js';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { LINE_NUMBERS_NOTICE } from '../core/lineNumbers.js';
+import { GIT_META_NOTICE } from './fileHistory.js';
+import { formatRecentHistory } from './recentHistory.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -671,7 +674,8 @@ const x = 1;
 
     const data = {
       ...context,
-      timestamp: new Date().toLocaleString(),
+      // Reproducible snapshots carry no wall-clock time: the commit identifies them
+      timestamp: context.options?.reproducible ? `commit ${context.gitHash || 'unknown'}` : new Date().toLocaleString(),
       architectPersona,
       agentDefinitions,
       hierarchicalWorkflow,
@@ -691,6 +695,14 @@ const x = 1;
       }
     }
 
+    if (context.options && context.options.lineNumbers) {
+      renderedTemplate += '\n\n' + LINE_NUMBERS_NOTICE + '\n\n';
+    }
+
+    if (context.options && context.options.gitMeta) {
+      renderedTemplate += '\n\n' + GIT_META_NOTICE + '\n\n';
+    }
+
     // Inject dynamic profile context if a profile is active
     if (context.options && context.options.profile && context.repoPath) {
       let metadataHeader = '\n\n## Partial Snapshot Context\n';
@@ -709,6 +721,11 @@ const x = 1;
       renderedTemplate = renderedTemplate.replace(/### /, metadataHeader + '\n### ');
     }
 
+    // Git history complements the journal, which agents often skip
+    if (context.recentHistory) {
+      renderedTemplate += formatRecentHistory(context.recentHistory);
+    }
+
     return renderedTemplate;
 
   } catch (error) {
@@ -718,7 +735,7 @@ const x = 1;
 
 # Snapshot for ${context.repoName || 'Project'}
 
-Generated: ${new Date().toISOString()}
+Generated: ${context.options?.reproducible ? `commit ${context.gitHash || 'unknown'}` : new Date().toISOString()}
 
 ---
 
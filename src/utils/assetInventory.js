@@ -0,0 +1,350 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { formatSize } from './fileUtils.js';
+
+/**
+ * Inventory of the binary files a snapshot leaves out (setup.json fileFiltering.assetInventory).
+ *
+ * Binaries cannot be shown, but knowing that `assets/logo.png` is a 512×512 PNG or that a font set
+ * exists helps the architect. Each binary gets its size and MIME type, plus what its header cheaply
+ * tells: image dimensions (PNG, JPEG, GIF, WebP, BMP, ICO), audio/video duration (WAV, FLAC, MP3,
+ * MP4/MOV/M4A) and archive entry counts (ZIP-based formats, tar).
+ */
+
+const DEFAULT_SETTINGS = { enabled: true, maxEntries: 500 };
+
+// Ref snapshots read blobs from git as a stream: headers beyond this are not inspected
+export const ASSET_REF_HEAD_BYTES = 256 * 1024;
+
+const MAX_TAR_ENTRIES = 10000;
+
+const MIME_TYPES = {
+  '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif', '.webp': 'image/webp',
+  '.bmp': 'image/bmp', '.ico': 'image/x-icon', '.tif': 'image/tiff', '.tiff': 'image/tiff', '.avif': 'image/avif',
+  '.heic': 'image/heic', '.psd': 'image/vnd.adobe.photoshop',
+  '.woff': 'font/woff', '.woff2': 'font/woff2', '.ttf': 'font/ttf', '.otf': 'font/otf', '.eot': 'application/vnd.ms-fontobject',
+  '.mp3': 'audio/mpeg', '.wav': 'audio/wav', '.ogg': 'audio/ogg', '.oga': 'audio/ogg', '.flac': 'audio/flac',
+  '.m4a': 'audio/mp4', '.aac': 'audio/aac', '.opus': 'audio/opus',
+  '.mp4': 'video/mp4', '.m4v': 'video/mp4', '.mov': 'video/quicktime', '.webm': 'video/webm', '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo', '.ogv': 'video/ogg',
+  '.zip': 'application/zip', '.jar': 'application/java-archive', '.war': 'application/java-archive',
+  '.apk': 'application/vnd.android.package-archive', '.whl': 'application/zip', '.nupkg': 'application/zip',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  '.tar': 'application/x-tar', '.gz': 'application/gzip', '.tgz': 'application/gzip', '.bz2': 'application/x-bzip2',
+  '.xz': 'application/x-xz', '.7z': 'application/x-7z-compressed', '.rar': 'application/vnd.rar',
+  '.pdf': 'application/pdf', '.wasm': 'application/wasm', '.exe': 'application/vnd.microsoft.portable-executable',
+  '.dll': 'application/vnd.microsoft.portable-executable', '.so': 'application/x-sharedlib', '.dylib': 'application/x-mach-binary',
+  '.sqlite': 'application/vnd.sqlite3', '.db': 'application/vnd.sqlite3'
+};
+
+/**
+ * Effective settings: setup.json `fileFiltering.assetInventory` < eck_snapshot `assetInventory`
+ * argument (false to disable, true or an object).
+ * @returns {object|null} null when the inventory is disabled
+ */
+export function resolveAssetInventorySettings(setupSettings = {}, argument) {
+  const { _comment, ...fromSetup } = setupSettings;
+  const fromArgument = typeof argument === 'object' && argument !== null ? argument : {};
+  const settings = { ...DEFAULT_SETTINGS, ...fromSetup, ...fromArgument };
+  if (argument === false || (argument !== true && !settings.enabled)) return null;
+  return settings;
+}
+
+// --- Images ---
+
+async function jpegDimensions(read) {
+  // Walk the marker segments (EXIF thumbnails may come first) up to the start of frame
+  for (let offset = 2; ;) {
+    const marker = await read(offset, 9);
+    if (marker.length < 4 || marker[0] !== 0xff) return null;
+    const type = marker[1];
+    // SOF0–SOF15 carry the frame size; C4 (DHT), C8 (JPG) and CC (DAC) share the range but do not
+    if (type >= 0xc0 && type <= 0xcf && type !== 0xc4 && type !== 0xc8 && type !== 0xcc) {
+      return marker.length < 9 ? null : { width: marker.readUInt16BE(7), height: marker.readUInt16BE(5) };
+    }
+    offset += 2 + marker.readUInt16BE(2);
+  }
+}
+
+async function imageDimensions(head, read) {
+  if (head.length >= 24 && head.readUInt32BE(0) === 0x89504e47) {
+    return { width: head.readUInt32BE(16), height: head.readUInt32BE(20) };
+  }
+  if (head.length >= 10 && head.toString('latin1', 0, 4) === 'GIF8') {
+    return { width: head.readUInt16LE(6), height: head.readUInt16LE(8) };
+  }
+  if (head.length >= 4 && head[0] === 0xff && head[1] === 0xd8) {
+    return jpegDimensions(read);
+  }
+  if (head.length >= 30 && head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP') {
+    const chunk = head.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ') return { width: head.readUInt16LE(26) & 0x3fff, height: head.readUInt16LE(28) & 0x3fff };
+    if (chunk === 'VP8L') {
+      const bits = head.readUInt32LE(21);
+      return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') return { width: head.readUIntLE(24, 3) + 1, height: head.readUIntLE(27, 3) + 1 };
+  }
+  if (head.length >= 26 && head.toString('latin1', 0, 2) === 'BM') {
+    return { width: head.readInt32LE(18), height: Math.abs(head.readInt32LE(22)) };
+  }
+  if (head.length >= 8 && head.readUInt32BE(0) === 0x00000100) {
+    // ICO: size of the first image; 0 means 256
+    return { width: head[6] || 256, height: head[7] || 256, images: head.readUInt16LE(4) };
+  }
+  return null;
+}
+
+// --- Audio and video ---
+
+function wavDuration(head) {
+  if (head.length < 12 || head.toString('latin1', 0, 4) !== 'RIFF' || head.toString('latin1', 8, 12) !== 'WAVE') return null;
+  let byteRate = 0;
+  for (let offset = 12; offset + 8 <= head.length;) {
+    const id = head.toString('latin1', offset, offset + 4);
+    const size = head.readUInt32LE(offset + 4);
+    if (id === 'fmt ' && offset + 16 <= head.length) byteRate = head.readUInt32LE(offset + 16);
+    if (id === 'data') return byteRate > 0 ? size / byteRate : null;
+    offset += 8 + size + (size % 2);
+  }
+  return null;
+}
+
+function flacDuration(head) {
+  if (head.length < 26 || head.toString('latin1', 0, 4) !== 'fLaC') return null;
+  // STREAMINFO: 20-bit sample rate at byte 18, then channels, bits per sample and a 36-bit sample count
+  const sampleRate = (head[18] << 12) | (head[19] << 4) | (head[20] >> 4);
+  const samples = (head[21] & 0x0f) * 2 ** 32 + head.readUInt32BE(22);
+  return sampleRate > 0 && samples > 0 ? samples / sampleRate : null;
+}
+
+const MP3_BITRATES = {
+  // MPEG-1 Layer III and MPEG-2/2.5 Layer III, kbit/s
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+function mp3Duration(head, size) {
+  let offset = 0;
+  if (head.toString('latin1', 0, 3) === 'ID3' && head.length >= 10) {
+    // Syncsafe tag size
+    offset = 10 + ((head[6] << 21) | (head[7] << 14) | (head[8] << 7) | head[9]);
+  }
+  for (; offset + 4 <= head.length; offset++) {
+    if (head[offset] !== 0xff || (head[offset + 1] & 0xe6) !== 0xe2) continue; // Frame sync, Layer III
+    const versionBits = (head[offset + 1] >> 3) & 0x03;
+    if (versionBits === 1) continue;
+    const bitrate = MP3_BITRATES[versionBits === 3 ? 1 : 2][head[offset + 2] >> 4];
+    const sampleRate = MP3_SAMPLE_RATES[versionBits]?.[(head[offset + 2] >> 2) & 0x03];
+    if (!bitrate || !sampleRate) continue;
+    const samplesPerFrame = versionBits === 3 ? 1152 : 576;
+    // A Xing/Info frame holds the frame count (VBR files); otherwise assume a constant bitrate
+    const xing = head.indexOf('Xing', offset) !== -1 ? head.indexOf('Xing', offset) : head.indexOf('Info', offset);
+    if (xing !== -1 && xing < offset + 64 && xing + 12 <= head.length && (head.readUInt32BE(xing + 4) & 0x01)) {
+      return { seconds: (head.readUInt32BE(xing + 8) * samplesPerFrame) / sampleRate, estimated: false };
+    }
+    return { seconds: ((size - offset) * 8) / (bitrate * 1000), estimated: true };
+  }
+  return null;
+}
+
+/**
+ * Duration and video size from an ISO base media file (MP4, MOV, M4A): `moov/mvhd` and `moov/trak/tkhd`.
+ */
+async function isoMediaInfo(read, size) {
+  const boxes = async function* (start, end) {
+    for (let offset = start; offset + 8 <= end;) {
+      const header = await read(offset, 16);
+      if (header.length < 8) return;
+      let boxSize = header.readUInt32BE(0);
+      let headerSize = 8;
+      if (boxSize === 1 && header.length >= 16) {
+        boxSize = Number(header.readBigUInt64BE(8));
+        headerSize = 16;
+      } else if (boxSize === 0) {
+        boxSize = end - offset;
+      }
+      if (boxSize < headerSize) return;
+      yield { type: header.toString('latin1', 4, 8), start: offset + headerSize, end: offset + boxSize };
+      offset += boxSize;
+    }
+  };
+
+  const info = {};
+  for await (const box of boxes(0, size)) {
+    if (box.type !== 'moov') continue;
+    for await (const child of boxes(box.start, box.end)) {
+      if (child.type === 'mvhd') {
+        const mvhd = await read(child.start, 32);
+        const v1 = mvhd[0] === 1;
+        const timescale = mvhd.readUInt32BE(v1 ? 20 : 12);
+        const duration = v1 ? Number(mvhd.readBigUInt64BE(24)) : mvhd.readUInt32BE(16);
+        if (timescale > 0) info.seconds = duration / timescale;
+      } else if (child.type === 'trak' && !info.width) {
+        for await (const track of boxes(child.start, child.end)) {
+          if (track.type !== 'tkhd') continue;
+          const tkhd = await read(track.start, 92);
+          const sizeOffset = tkhd[0] === 1 ? 88 : 76;
+          if (tkhd.length < sizeOffset + 8) continue;
+          // 16.16 fixed point; audio tracks have 0×0
+          const width = tkhd.readUInt32BE(sizeOffset) >>> 16;
+          const height = tkhd.readUInt32BE(sizeOffset + 4) >>> 16;
+          if (width > 0 && height > 0) Object.assign(info, { width, height });
+        }
+      }
+    }
+    break;
+  }
+  return info.seconds !== undefined || info.width ? info : null;
+}
+
+// --- Archives ---
+
+async function zipEntryCount(read, size) {
+  // End of central directory record: within the last 64KB (comment) + 22 bytes
+  const tailLength = Math.min(size, 65557);
+  const tail = await read(size - tailLength, tailLength);
+  if (tail.length < tailLength) return null;
+  for (let i = tail.length - 22; i >= 0; i--) {
+    if (tail.readUInt32LE(i) !== 0x06054b50) continue;
+    const entries = tail.readUInt16LE(i + 10);
+    if (entries !== 0xffff) return entries;
+    // ZIP64: the locator just before points to the ZIP64 end record
+    if (i < 20 || tail.readUInt32LE(i - 20) !== 0x07064b50) return null;
+    const record = await read(Number(tail.readBigUInt64LE(i - 12)), 40);
+    return record.length === 40 ? Number(record.readBigUInt64LE(32)) : null;
+  }
+  return null;
+}
+
+async function tarEntryCount(read, size) {
+  let entries = 0;
+  for (let offset = 0; offset + 512 <= size && entries < MAX_TAR_ENTRIES;) {
+    const header = await read(offset, 512);
+    if (header.length < 512 || header[0] === 0) break;
+    const sizeField = header.toString('latin1', 124, 136).replace(/\0.*$/s, '').trim();
+    if (!/^[0-7]*$/.test(sizeField)) return entries > 0 ? entries : null; // Not a tar header
+    // Extended headers (x, g, L, K) describe the next entry
+    if (!'xgLK'.includes(String.fromCharCode(header[156]))) entries++;
+    const fileSize = parseInt(sizeField || '0', 8);
+    offset += 512 + Math.ceil(fileSize / 512) * 512;
+  }
+  return entries;
+}
+
+function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+async function inspect(read, filePath, size) {
+  const extension = path.extname(filePath).toLowerCase();
+  const head = await read(0, 4096);
+  const details = [];
+
+  const image = await imageDimensions(head, read);
+  if (image && image.width > 0 && image.height > 0) {
+    details.push(`${image.width}×${image.height}${image.images > 1 ? ` (${image.images} sizes)` : ''}`);
+  }
+
+  if (['.mp4', '.m4v', '.m4a', '.mov'].includes(extension) || head.toString('latin1', 4, 8) === 'ftyp') {
+    const media = await isoMediaInfo(read, size);
+    if (media?.width) details.push(`${media.width}×${media.height}`);
+    if (media?.seconds !== undefined) details.push(formatDuration(media.seconds));
+  } else {
+    const seconds = wavDuration(head) ?? flacDuration(head);
+    if (seconds !== null) details.push(formatDuration(seconds));
+    if (extension === '.mp3') {
+      // The first frame may follow a large ID3 tag with cover art
+      const mp3 = mp3Duration(await read(0, Math.min(size, ASSET_REF_HEAD_BYTES)), size);
+      if (mp3) details.push(`${mp3.estimated ? '~' : ''}${formatDuration(mp3.seconds)}`);
+    }
+  }
+
+  if (head.length >= 4 && head.readUInt32LE(0) === 0x04034b50) {
+    const entries = await zipEntryCount(read, size);
+    if (entries !== null) details.push(`${entries.toLocaleString()} entries`);
+  } else if (extension === '.tar') {
+    const entries = await tarEntryCount(read, size);
+    if (entries !== null) details.push(`${entries >= MAX_TAR_ENTRIES ? '≥' : ''}${entries.toLocaleString()} entries`);
+  }
+  return details.join(' · ');
+}
+
+function describe(filePath, size, details) {
+  return { path: filePath, size, mime: MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream', details };
+}
+
+/**
+ * Describes a binary file in the working tree.
+ * @param {string} fullPath - Absolute path
+ * @param {string} filePath - Normalized repo-relative path
+ * @returns {Promise<{path: string, size: number, mime: string, details: string}>}
+ */
+export async function describeAssetFile(fullPath, filePath) {
+  let fileHandle;
+  let size = 0;
+  try {
+    fileHandle = await fs.open(fullPath, 'r');
+    size = (await fileHandle.stat()).size;
+    const read = async (offset, length) => {
+      const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - offset)));
+      const { bytesRead } = await fileHandle.read(buffer, 0, buffer.length, offset);
+      return buffer.subarray(0, bytesRead);
+    };
+    return describe(filePath, size, await inspect(read, filePath, size));
+  } catch (error) {
+    return describe(filePath, size, '');
+  } finally {
+    if (fileHandle) await fileHandle.close();
+  }
+}
+
+/**
+ * Describes a binary file from its leading bytes (ref snapshots read up to ASSET_REF_HEAD_BYTES from git).
+ * Details stored past those bytes, such as a ZIP's central directory, are left out.
+ * @param {Buffer} head - Leading bytes of the file
+ * @param {number} size - Full size in bytes
+ * @param {string} filePath - Normalized repo-relative path
+ */
+export async function describeAssetBuffer(head, size, filePath) {
+  const read = async (offset, length) => (offset + length > head.length && head.length < size ? Buffer.alloc(0) : head.subarray(offset, offset + length));
+  try {
+    return describe(filePath, size, await inspect(read, filePath, size));
+  } catch (error) {
+    return describe(filePath, size, '');
+  }
+}
+
+/**
+ * Renders the "Asset Inventory" section, grouped by directory.
+ * @param {Array<object>} assets - From describeAssetFile / describeAssetBuffer
+ * @param {object} settings - Result of resolveAssetInventorySettings
+ */
+export function formatAssetInventory(assets, settings) {
+  const sorted = [...assets].sort((a, b) => a.path.localeCompare(b.path));
+  const totalSize = sorted.reduce((sum, a) => sum + a.size, 0);
+  const shown = sorted.slice(0, settings.maxEntries);
+
+  let section = `\n\n## 🖼️ Asset Inventory\n\n`;
+  section += `Binary files are not included in the snapshot. ${sorted.length.toLocaleString()} file${sorted.length === 1 ? '' : 's'}, ${formatSize(totalSize)}:\n`;
+  let directory = null;
+  for (const asset of shown) {
+    const dir = path.posix.dirname(asset.path);
+    if (dir !== directory) {
+      directory = dir;
+      section += `\n### \`${dir === '.' ? './' : `${dir}/`}\`\n\n| File | Size | Type | Details |\n|------|------|------|---------|\n`;
+    }
+    section += `| ${path.posix.basename(asset.path).replace(/\|/g, '\\|')} | ${formatSize(asset.size)} | ${asset.mime} | ${asset.details || '—'} |\n`;
+  }
+  if (sorted.length > shown.length) {
+    section += `\n… ${(sorted.length - shown.length).toLocaleString()} more binary files (fileFiltering.assetInventory.maxEntries)\n`;
+  }
+  return section + '\n';
+}
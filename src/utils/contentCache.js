@@ -0,0 +1,198 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { loadSetupConfig } from '../config.js';
+import { SKELETONIZER_VERSION } from '../core/skeletonizer.js';
+import { MINIFIER_VERSION } from '../core/minifier.js';
+import { ML_METADATA_VERSION } from './mlMetadata.js';
+
+/**
+ * Persistent per-file cache under .eck/cache/ so re-snapshotting only re-processes changed files.
+ *
+ * Each entry stores the post-redaction content of one file, the sha256 of its source and its skeleton and minified renderings,
+ * keyed by `size:mtime` for working-tree files or `blob:<hash>` for git ref snapshots.
+ * The whole cache is dropped when the fingerprint (setup.json filters, security settings,
+ * skeletonizer, minifier and ML metadata versions) changes.
+ */
+
+const CACHE_FORMAT_VERSION = 2;
+const CACHE_DIR = path.join('.eck', 'cache');
+const META_FILE = 'meta.json';
+const ENTRIES_DIR = 'files';
+
+/**
+ * Hashes everything that can change cached output.
+ * @returns {Promise<string>}
+ */
+export async function computeCacheFingerprint() {
+  const setupConfig = await loadSetupConfig();
+  return crypto.createHash('sha256').update(JSON.stringify({
+    format: CACHE_FORMAT_VERSION,
+    skeletonizer: SKELETONIZER_VERSION,
+    minifier: MINIFIER_VERSION,
+    mlMetadata: ML_METADATA_VERSION,
+    fileFiltering: setupConfig.fileFiltering || {},
+    security: setupConfig.security || {}
+  })).digest('hex');
+}
+
+/**
+ * Cache key for a working-tree file.
+ * @param {import('fs').Stats} fileStats
+ */
+export function statCacheKey(fileStats) {
+  return `${fileStats.size}:${Math.floor(fileStats.mtimeMs)}`;
+}
+
+function entryPath(cacheRoot, filePath) {
+  const id = crypto.createHash('sha1').update(filePath).digest('hex');
+  return path.join(cacheRoot, ENTRIES_DIR, id.slice(0, 2), `${id}.json`);
+}
+
+async function readMeta(cacheRoot) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(cacheRoot, META_FILE), 'utf-8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Opens the cache for a repository, clearing it first if the fingerprint changed.
+ * @param {string} repoPath
+ * @returns {Promise<object>} Cache handle with get/set and hit counters
+ */
+export async function openContentCache(repoPath) {
+  const cacheRoot = path.join(repoPath, CACHE_DIR);
+  const fingerprint = await computeCacheFingerprint();
+  const meta = await readMeta(cacheRoot);
+
+  if (!meta || meta.fingerprint !== fingerprint) {
+    await fs.rm(path.join(cacheRoot, ENTRIES_DIR), { recursive: true, force: true });
+    await fs.mkdir(cacheRoot, { recursive: true });
+    await fs.writeFile(path.join(cacheRoot, META_FILE), JSON.stringify({
+      fingerprint,
+      skeletonizerVersion: SKELETONIZER_VERSION,
+      createdAt: new Date().toISOString()
+    }, null, 2));
+  }
+
+  const cache = {
+    hits: 0,
+    misses: 0,
+
+    /**
+     * @returns {Promise<object|null>} { path, key, content, sourceHash, secrets, variants } or null on a miss
+     */
+    async get(filePath, key) {
+      try {
+        const entry = JSON.parse(await fs.readFile(entryPath(cacheRoot, filePath), 'utf-8'));
+        if (entry.path === filePath && entry.key === key) {
+          cache.hits++;
+          return entry;
+        }
+      } catch (e) {
+        // Missing or unreadable entry counts as a miss
+      }
+      cache.misses++;
+      return null;
+    },
+
+    /**
+     * Stores an entry. Failures are ignored: the cache is an optimization, never a requirement.
+     */
+    async set(filePath, key, { content, sourceHash = null, secrets = [], variants = {} }) {
+      const target = entryPath(cacheRoot, filePath);
+      try {
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, JSON.stringify({ path: filePath, key, content, sourceHash, secrets, variants }));
+      } catch (e) {
+        // Non-critical
+      }
+    }
+  };
+
+  return cache;
+}
+
+async function listEntryFiles(cacheRoot) {
+  const entriesRoot = path.join(cacheRoot, ENTRIES_DIR);
+  const files = [];
+  let buckets = [];
+  try {
+    buckets = await fs.readdir(entriesRoot);
+  } catch (e) {
+    return files;
+  }
+  for (const bucket of buckets) {
+    const names = await fs.readdir(path.join(entriesRoot, bucket)).catch(() => []);
+    for (const name of names) files.push(path.join(entriesRoot, bucket, name));
+  }
+  return files;
+}
+
+/**
+ * Summarizes the cache for `eck_cache`.
+ * @returns {Promise<object>} { entries, bytes, variants, meta, upToDate }
+ */
+export async function getCacheStats(repoPath) {
+  const cacheRoot = path.join(repoPath, CACHE_DIR);
+  const meta = await readMeta(cacheRoot);
+  const files = await listEntryFiles(cacheRoot);
+  const variants = {};
+  let bytes = 0;
+
+  for (const file of files) {
+    try {
+      const raw = await fs.readFile(file, 'utf-8');
+      bytes += Buffer.byteLength(raw, 'utf-8');
+      for (const mode of Object.keys(JSON.parse(raw).variants || {})) {
+        variants[mode] = (variants[mode] || 0) + 1;
+      }
+    } catch (e) { /* Skip corrupt entries */ }
+  }
+
+  return {
+    entries: files.length,
+    bytes,
+    variants,
+    meta,
+    upToDate: !!meta && meta.fingerprint === await computeCacheFingerprint()
+  };
+}
+
+/**
+ * Drops entries whose file was deleted or changed since it was cached.
+ * Entries from git ref snapshots (blob keys) are kept while the path still exists.
+ * @returns {Promise<{removed: number, kept: number}>}
+ */
+export async function pruneContentCache(repoPath) {
+  const cacheRoot = path.join(repoPath, CACHE_DIR);
+  let removed = 0;
+  let kept = 0;
+
+  for (const file of await listEntryFiles(cacheRoot)) {
+    let stale = true;
+    try {
+      const entry = JSON.parse(await fs.readFile(file, 'utf-8'));
+      const fileStats = await fs.stat(path.join(repoPath, entry.path));
+      stale = !entry.key.startsWith('blob:') && entry.key !== statCacheKey(fileStats);
+    } catch (e) {
+      // Corrupt entry or source file gone
+    }
+    if (stale) {
+      await fs.rm(file, { force: true });
+      removed++;
+    } else {
+      kept++;
+    }
+  }
+  return { removed, kept };
+}
+
+/**
+ * Deletes the whole cache directory.
+ */
+export async function clearContentCache(repoPath) {
+  await fs.rm(path.join(repoPath, CACHE_DIR), { recursive: true, force: true });
+}
@@ -0,0 +1,504 @@
+import fs from 'fs';
+import path from 'path';
+import micromatch from 'micromatch';
+import { formatSize, parseSize } from './fileUtils.js';
+
+/**
+ * Schema-and-sample summaries for large data files (setup.json fileFiltering.dataSummaries).
+ *
+ * Instead of megabytes of fixtures the snapshot shows the inferred structure: the JSON key tree
+ * with value types and array lengths, or CSV/TSV columns with their types, plus row counts and
+ * a few sample records. Files are read as a stream and only the samples are kept in memory.
+ * YAML is parsed one document at a time.
+ */
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  minSize: '256KB',
+  patterns: ['**/*.json', '**/*.csv', '**/*.tsv', '**/*.ndjson', '**/*.jsonl', '**/*.yaml', '**/*.yml'],
+  sampleRecords: 3
+};
+
+// Keys stored per object (maps keyed by id would otherwise grow without bound) and shown per object
+const MAX_STORED_KEYS = 200;
+const MAX_SHOWN_KEYS = 40;
+const MAX_SCHEMA_DEPTH = 8;
+const MAX_SAMPLE_LENGTH = 400;
+// Values materialized per sample record; the rest of a huge record is only typed
+const MAX_SAMPLE_VALUES = 200;
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+/**
+ * Effective settings: setup.json `fileFiltering.dataSummaries` < eck_snapshot `dataSummaries` argument
+ * (false to disable, true or an object).
+ * @returns {object|null} null when summaries are disabled
+ */
+export function resolveDataSummarySettings(setupSettings = {}, argument) {
+  const { _comment, ...fromSetup } = setupSettings;
+  const fromArgument = typeof argument === 'object' && argument !== null ? argument : {};
+  const settings = { ...DEFAULT_SETTINGS, ...fromSetup, ...fromArgument };
+  if (argument === false || (argument !== true && !settings.enabled)) return null;
+  return settings;
+}
+
+/**
+ * Whether a file gets a summary instead of its content.
+ */
+export function shouldSummarizeDataFile(filePath, fileSize, settings) {
+  return !!settings && fileSize >= parseSize(settings.minSize) && micromatch.isMatch(filePath, settings.patterns);
+}
+
+/**
+ * Text chunks of a working-tree file, read as a stream.
+ * @returns {AsyncIterable<string>}
+ */
+export function chunksOfFile(fullPath) {
+  return fs.createReadStream(fullPath, { encoding: 'utf-8', highWaterMark: 1024 * 1024 });
+}
+
+async function* splitLines(chunks) {
+  let rest = '';
+  for await (const chunk of chunks) {
+    const lines = (rest + chunk).split('\n');
+    rest = lines.pop();
+    for (const line of lines) yield line.replace(/\r$/, '');
+  }
+  if (rest) yield rest.replace(/\r$/, '');
+}
+
+// --- Schema inference -------------------------------------------------------
+
+function newNode() {
+  return { types: new Map(), keys: new Map(), extraKeys: 0, items: null, objects: 0, minLength: Infinity, maxLength: 0 };
+}
+
+function valueType(value) {
+  if (value === null) return 'null';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Builds a merged schema from parse events (startObject, key, value, …) and keeps the first
+ * elements of top-level arrays as sample records.
+ */
+class SchemaBuilder {
+  constructor(sampleRecords) {
+    this.root = newNode();
+    this.stack = [];
+    this.sampleRecords = sampleRecords;
+    this.samples = new Map(); // array path → { path, count, records }
+    this.sampleValues = 0;
+  }
+
+  childNode() {
+    const frame = this.stack[this.stack.length - 1];
+    if (!frame) return this.root;
+    if (frame.kind === 'array') {
+      frame.length++;
+      return (frame.node.items ||= newNode());
+    }
+    let child = frame.node.keys.get(frame.key);
+    if (!child) {
+      if (frame.node.keys.size >= MAX_STORED_KEYS) {
+        frame.node.extraKeys++;
+        return newNode(); // Typed but not kept
+      }
+      child = newNode();
+      frame.node.keys.set(frame.key, child);
+    }
+    return child;
+  }
+
+  // Path of the top-level array on top of the stack
+  arrayPath() {
+    if (this.stack.length <= 1) return '$';
+    return this.stack[0].kind === 'array' ? '$[*]' : `$.${this.stack[0].key}`;
+  }
+
+  // Sample records are the first elements of the root array or of arrays directly below the root
+  beginValue() {
+    const frame = this.stack[this.stack.length - 1];
+    const startsRecord = frame && frame.kind === 'array' && this.stack.length <= 2 &&
+      frame.length < this.sampleRecords && frame.sample === undefined;
+    if (startsRecord) this.sampleValues = 0;
+    return startsRecord || (frame?.sample !== undefined && this.sampleValues++ < MAX_SAMPLE_VALUES);
+  }
+
+  attach(value) {
+    const frame = this.stack[this.stack.length - 1];
+    if (!frame) return;
+    if (frame.sample !== undefined) {
+      if (frame.kind === 'array') frame.sample.push(value);
+      else frame.sample[frame.key] = value;
+    } else if (frame.kind === 'array' && this.stack.length <= 2) {
+      // A finished sample record of a top-level array
+      const arrayPath = this.arrayPath();
+      if (!this.samples.has(arrayPath)) this.samples.set(arrayPath, { path: arrayPath, count: 0, records: [] });
+      this.samples.get(arrayPath).records.push(value);
+    }
+  }
+
+  value(value) {
+    const sampled = this.beginValue();
+    const node = this.childNode();
+    const type = valueType(value);
+    node.types.set(type, (node.types.get(type) || 0) + 1);
+    if (sampled) this.attach(value);
+  }
+
+  key(name) {
+    this.stack[this.stack.length - 1].key = name;
+  }
+
+  start(kind) {
+    const sampled = this.beginValue();
+    const node = this.childNode();
+    node.types.set(kind, (node.types.get(kind) || 0) + 1);
+    if (kind === 'object') node.objects++;
+    this.stack.push({ kind, node, key: null, length: 0, sample: sampled ? (kind === 'array' ? [] : {}) : undefined });
+  }
+
+  end(kind) {
+    const samples = kind === 'array' && this.stack.length <= 2 ? this.samples.get(this.arrayPath()) : null;
+    const frame = this.stack.pop();
+    if (kind === 'array') {
+      frame.node.minLength = Math.min(frame.node.minLength, frame.length);
+      frame.node.maxLength = Math.max(frame.node.maxLength, frame.length);
+      if (samples) samples.count += frame.length;
+    }
+    if (frame.sample !== undefined) this.attach(frame.sample);
+  }
+
+  /** Feeds an already parsed value (NDJSON lines, YAML documents). */
+  walk(value) {
+    if (Array.isArray(value)) {
+      this.start('array');
+      value.forEach(item => this.walk(item));
+      this.end('array');
+    } else if (value instanceof Date) {
+      this.value(value.toISOString());
+    } else if (value !== null && typeof value === 'object') {
+      this.start('object');
+      for (const [k, v] of Object.entries(value)) {
+        this.key(k);
+        this.walk(v);
+      }
+      this.end('object');
+    } else {
+      this.value(value === undefined ? null : value);
+    }
+  }
+}
+
+/**
+ * Streaming JSON tokenizer feeding a SchemaBuilder. Throws on anything that is not plain JSON
+ * (comments, trailing garbage), so JSONC files fall back to the normal pipeline.
+ */
+async function parseJsonStream(chunks, builder) {
+  const containers = [];
+  let expectKey = false;
+  let string = null;
+  let escape = false;
+  let atom = '';
+
+  const emitAtom = () => {
+    if (atom === 'true' || atom === 'false') builder.value(atom === 'true');
+    else if (atom === 'null') builder.value(null);
+    else if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(atom)) builder.value(Number(atom));
+    else throw new Error(`Invalid JSON token: ${atom.slice(0, 20)}`);
+    atom = '';
+  };
+
+  for await (const chunk of chunks) {
+    let i = 0;
+    while (i < chunk.length) {
+      if (string !== null) {
+        // Copy up to the next quote or backslash in one step
+        if (escape) {
+          string += chunk[i++];
+          escape = false;
+          continue;
+        }
+        let stop = i;
+        while (stop < chunk.length && chunk[stop] !== '"' && chunk[stop] !== '\\') stop++;
+        string += chunk.slice(i, stop);
+        i = stop;
+        if (i >= chunk.length) break;
+        if (chunk[i] === '\\') {
+          string += '\\';
+          escape = true;
+          i++;
+          continue;
+        }
+        const text = JSON.parse(`"${string}"`);
+        string = null;
+        i++;
+        if (expectKey) builder.key(text);
+        else builder.value(text);
+        continue;
+      }
+
+      const c = chunk[i++];
+      if (/[\w.+-]/.test(c)) {
+        atom += c;
+        continue;
+      }
+      if (atom) emitAtom();
+      if (c === ' ' || c === '\n' || c === '\r' || c === '\t') continue;
+      const top = containers[containers.length - 1];
+      if (c === '"') {
+        string = '';
+      } else if (c === '{' || c === '[') {
+        const kind = c === '{' ? 'object' : 'array';
+        builder.start(kind);
+        containers.push(kind);
+        expectKey = kind === 'object';
+      } else if (c === '}' || c === ']') {
+        const kind = c === '}' ? 'object' : 'array';
+        if (containers.pop() !== kind) throw new Error('Mismatched brackets in JSON');
+        builder.end(kind);
+        expectKey = false;
+      } else if (c === ':' && top === 'object') {
+        expectKey = false;
+      } else if (c === ',' && top) {
+        expectKey = top === 'object';
+      } else {
+        throw new Error(`Unexpected character in JSON: ${c}`);
+      }
+    }
+  }
+  if (atom) emitAtom();
+  if (string !== null || containers.length > 0) throw new Error('Unexpected end of JSON');
+}
+
+// --- CSV / TSV --------------------------------------------------------------
+
+/**
+ * Splits one record into fields. A quote opens a quoted field only at the start of a field,
+ * so a stray quote inside a value (`5" screen`) is kept as text.
+ * @returns {{fields: string[], open: boolean}} open is true if the text ends inside a quoted field
+ */
+function parseCsvRecord(text, delimiter) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"' && field === '') {
+      quoted = true;
+    } else if (c === delimiter) {
+      fields.push(field);
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  fields.push(field);
+  return { fields, open: quoted };
+}
+
+function csvValueType(value) {
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  if (/^-?\d+$/.test(trimmed)) return 'integer';
+  if (/^-?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(trimmed)) return 'number';
+  if (/^(true|false)$/i.test(trimmed)) return 'boolean';
+  if (ISO_DATE.test(trimmed)) return 'date';
+  return 'string';
+}
+
+async function summarizeCsv(records, delimiter, settings) {
+  let header = null;
+  let columns = [];
+  let rows = 0;
+  const sampleLines = [];
+  let pending = null;
+
+  for await (const line of records) {
+    // A quoted field may span lines: keep reading until it is closed
+    const record = pending === null ? line : `${pending}\n${line}`;
+    const { fields, open } = parseCsvRecord(record, delimiter);
+    if (open) {
+      pending = record;
+      continue;
+    }
+    pending = null;
+    if (!record.trim()) continue;
+
+    if (!header) {
+      header = record;
+      columns = fields.map(name => ({ name: name.trim(), types: new Set(), empty: 0 }));
+      continue;
+    }
+    rows++;
+    if (sampleLines.length < settings.sampleRecords) sampleLines.push(clip(record));
+    fields.forEach((value, i) => {
+      const column = columns[i] || (columns[i] = { name: `column ${i + 1}`, types: new Set(), empty: 0 });
+      const type = csvValueType(value);
+      if (type) column.types.add(type);
+      else column.empty++;
+    });
+  }
+  if (!header) return null;
+
+  const lines = [`Columns (${columns.length}):`];
+  for (const column of columns) {
+    const types = [...column.types];
+    // Integers are numbers too
+    const merged = types.includes('number') ? types.filter(t => t !== 'integer') : types;
+    const label = merged.length > 0 ? merged.join(' | ') : 'empty';
+    lines.push(`  ${column.name}: ${label}${column.empty > 0 && merged.length > 0 ? ` (${column.empty.toLocaleString()} empty)` : ''}`);
+  }
+  lines.push('', `Sample rows (first ${sampleLines.length}):`, clip(header), ...sampleLines);
+  return { description: `${rows.toLocaleString()} rows · ${columns.length} columns`, lines };
+}
+
+// --- Rendering --------------------------------------------------------------
+
+function clip(text) {
+  return text.length > MAX_SAMPLE_LENGTH ? `${text.slice(0, MAX_SAMPLE_LENGTH)}…` : text;
+}
+
+function describeNode(node) {
+  const types = [...node.types.keys()];
+  return types.map(type => {
+    if (type !== 'array') return type;
+    const length = node.minLength === node.maxLength
+      ? node.maxLength.toLocaleString()
+      : `${node.minLength.toLocaleString()}–${node.maxLength.toLocaleString()}`;
+    return `array[${length}]${node.items ? ` of ${describeNode(node.items)}` : ''}`;
+  }).join(' | ');
+}
+
+// Keys of objects nested in arrays are shown under the array line
+function objectNodeOf(node) {
+  if (node.keys.size > 0 || node.extraKeys > 0) return node;
+  return node.items ? objectNodeOf(node.items) : null;
+}
+
+function renderSchema(name, node, indent, lines, depth) {
+  lines.push(`${indent}${name}: ${describeNode(node)}`);
+  const objectNode = objectNodeOf(node);
+  if (!objectNode) return;
+  if (depth >= MAX_SCHEMA_DEPTH) {
+    lines.push(`${indent}  …`);
+    return;
+  }
+  const keys = [...objectNode.keys.entries()];
+  for (const [key, child] of keys.slice(0, MAX_SHOWN_KEYS)) {
+    const seen = [...child.types.values()].reduce((sum, n) => sum + n, 0);
+    // Keys missing from some objects are optional
+    renderSchema(seen < objectNode.objects ? `${key}?` : key, child, `${indent}  `, lines, depth + 1);
+  }
+  const hidden = keys.length - MAX_SHOWN_KEYS + objectNode.extraKeys;
+  if (hidden > 0) lines.push(`${indent}  … ${hidden.toLocaleString()} more keys`);
+}
+
+function renderTree(builder, settings) {
+  const lines = ['Schema:'];
+  renderSchema('$', builder.root, '  ', lines, 0);
+
+  // The largest top-level array holds the records
+  const records = [...builder.samples.values()].sort((a, b) => b.count - a.count)[0];
+  let description = 'schema';
+  if (records) {
+    description = `${records.count.toLocaleString()} records in ${records.path}`;
+    const shown = records.records.slice(0, settings.sampleRecords);
+    lines.push('', `Sample records (${records.path}, first ${shown.length}):`);
+    for (const record of shown) lines.push(clip(JSON.stringify(record)));
+  }
+  return { description, lines };
+}
+
+/**
+ * Summarizes a data file.
+ * @param {AsyncIterable<string>|Array<string>} chunks - Text chunks (chunksOfFile, or [content] for git refs)
+ * @param {string} filePath - Normalized repo-relative path
+ * @param {number} fileSize - Size in bytes
+ * @param {object} settings - Result of resolveDataSummarySettings
+ * @returns {Promise<string|null>} Summary body, or null if the file does not parse (it is then shown as usual)
+ */
+export async function summarizeDataFile(chunks, filePath, fileSize, settings) {
+  const ext = path.extname(filePath).toLowerCase();
+  let format;
+  let summary;
+  try {
+    if (ext === '.csv' || ext === '.tsv') {
+      format = ext.slice(1).toUpperCase();
+      summary = await summarizeCsv(splitLines(chunks), ext === '.tsv' ? '\t' : ',', settings);
+    } else if (ext === '.ndjson' || ext === '.jsonl') {
+      format = 'NDJSON';
+      const builder = new SchemaBuilder(settings.sampleRecords);
+      builder.start('array');
+      for await (const line of splitLines(chunks)) {
+        if (line.trim()) builder.walk(JSON.parse(line));
+      }
+      builder.end('array');
+      summary = renderTree(builder, settings);
+    } else if (ext === '.yaml' || ext === '.yml') {
+      format = 'YAML';
+      summary = await summarizeYaml(chunks, settings);
+    } else {
+      format = 'JSON';
+      const builder = new SchemaBuilder(settings.sampleRecords);
+      await parseJsonStream(chunks, builder);
+      summary = renderTree(builder, settings);
+    }
+  } catch (e) {
+    return null;
+  }
+  if (!summary) return null;
+  const header = `[DATA SUMMARY: ${format} · ${formatSize(fileSize)} · ${summary.description} — schema and samples only]`;
+  return [header, '', ...summary.lines].join('\n');
+}
+
+async function summarizeYaml(chunks, settings) {
+  const yaml = await import('js-yaml');
+  const builder = new SchemaBuilder(settings.sampleRecords);
+  // A single document is the root; several become elements of a virtual root array.
+  // The first document waits until a second one shows which case it is
+  let first;
+  let documents = 0;
+  let current = [];
+  const flush = () => {
+    const text = current.join('\n');
+    current = [];
+    if (!text.trim()) return;
+    const document = yaml.load(text);
+    documents++;
+    if (documents === 1) {
+      first = document;
+      return;
+    }
+    if (documents === 2) {
+      builder.start('array');
+      builder.walk(first);
+      first = undefined;
+    }
+    builder.walk(document);
+  };
+  for await (const line of splitLines(chunks)) {
+    if (/^---(\s|$)/.test(line) || /^\.\.\.\s*$/.test(line)) flush();
+    else current.push(line);
+  }
+  flush();
+
+  if (documents === 0) return null;
+  if (documents === 1) {
+    builder.walk(first);
+    return renderTree(builder, settings);
+  }
+  builder.end('array');
+  return renderTree(builder, settings);
+}
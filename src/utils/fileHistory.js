@@ -0,0 +1,129 @@
+import readline from 'readline';
+import { execa } from 'execa';
+
+/**
+ * Per-file git metadata for snapshot separators (`gitMeta: true`):
+ * last commit, author, age, number of commits touching the file (churn) and line count.
+ *
+ * The history is read in one streamed `git log --name-only` pass instead of one git call per file.
+ */
+
+/** Header note explaining the enriched separators. */
+export const GIT_META_NOTICE = `### 🕰️ FILE HISTORY
+
+Each file separator ends with its git metadata in brackets: \`[last commit · author · age · commits · lines]\`.
+Many commits and a recent age mark hot code that is still changing; few commits and an old age mark stable core code.`;
+
+/** Commits whose changes count towards churn; older history is only read to date files not seen yet. */
+export const HISTORY_WINDOW = 2000;
+
+/**
+ * Reads the history of the given files in a single streamed git log pass.
+ * Churn is counted over the newest `maxCommits` commits. Reading stops there once every
+ * tracked path has its last commit, so large histories are never read or buffered in full.
+ * @param {string} repoPath
+ * @param {object} [options] - { ref: commit to read history from (default HEAD),
+ *   paths: repo-relative files that need metadata (default: only the window is read),
+ *   maxCommits: churn window (default HISTORY_WINDOW) }
+ * @returns {Promise<{files: Map<string, {commit: string, author: string, time: number, commits: number}>, headTime: number|null, truncated: boolean}>}
+ *   Paths are relative to repoPath; times are unix seconds. `truncated` means churn counts are lower bounds.
+ *   Empty outside a git repository.
+ */
+export async function loadFileHistory(repoPath, { ref = 'HEAD', paths = null, maxCommits = HISTORY_WINDOW } = {}) {
+  const files = new Map();
+  let headTime = null;
+  let truncated = false;
+
+  // Files still waiting for their last commit; untracked files never get one
+  let pending = new Set();
+  if (paths) {
+    try {
+      const { stdout } = await execa('git', ['-c', 'core.quotepath=off', 'ls-tree', '-r', '--name-only', ref], { cwd: repoPath, maxBuffer: 64 * 1024 * 1024 });
+      const tracked = new Set(stdout.split('\n'));
+      pending = new Set(paths.filter(p => tracked.has(p)));
+    } catch (e) {
+      return { files, headTime, truncated }; // Not a git repository, or no commits yet
+    }
+  }
+
+  const subprocess = execa('git', [
+    '-c', 'core.quotepath=off',
+    'log', '--format=%x00%H%x09%an%x09%at', '--name-only', '--no-renames', '--relative', ref, '--'
+  ], { cwd: repoPath, buffer: false });
+  let commitCount = 0;
+  let current = null;
+  try {
+    for await (const line of readline.createInterface({ input: subprocess.stdout, crlfDelay: Infinity })) {
+      if (line.startsWith('\0')) {
+        if (commitCount === maxCommits) {
+          truncated = true;
+          if (pending.size === 0) break;
+        }
+        commitCount++;
+        const [commit, author, time] = line.substring(1).split('\t');
+        current = { commit: commit.substring(0, 7), author, time: parseInt(time, 10) };
+        if (headTime === null) headTime = current.time;
+        continue;
+      }
+      if (!line || !current) continue;
+      // git log lists the newest commit first, so the first sighting is the last change
+      const entry = files.get(line);
+      if (entry) {
+        if (!truncated) entry.commits++;
+      } else if (!truncated || pending.has(line)) {
+        files.set(line, { ...current, commits: 1 });
+        pending.delete(line);
+      }
+    }
+  } finally {
+    subprocess.kill();
+    await subprocess.catch(() => {}); // Not a git repository, or no commits yet: nothing was read
+  }
+  return { files, headTime, truncated };
+}
+
+/**
+ * Human-readable age, e.g. "3 days ago".
+ * @param {number} seconds - Age in seconds
+ */
+export function formatAge(seconds) {
+  const units = [['year', 31536000], ['month', 2592000], ['day', 86400], ['hour', 3600], ['minute', 60]];
+  for (const [unit, size] of units) {
+    const count = Math.floor(seconds / size);
+    if (count >= 1) return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+  }
+  return 'just now';
+}
+
+/**
+ * Metadata of one file for its separator and structured records.
+ * @param {object} history - Result of loadFileHistory
+ * @param {string} filePath - Normalized repo-relative path
+ * @param {string} content - Source content, for the line count
+ * @param {number} referenceTime - Unix seconds ages are measured from
+ * @returns {{commit: string|null, author: string|null, age: string|null, commits: number, lines: number, truncated?: boolean}}
+ *   `truncated` marks churn counted over the history window only.
+ */
+export function describeFileHistory(history, filePath, content, referenceTime) {
+  const entry = history.files.get(filePath);
+  const lines = content ? content.split('\n').length - (content.endsWith('\n') ? 1 : 0) : 0;
+  if (!entry) return { commit: null, author: null, age: null, commits: 0, lines };
+  return {
+    commit: entry.commit,
+    author: entry.author,
+    age: formatAge(Math.max(0, referenceTime - entry.time)),
+    commits: entry.commits,
+    lines,
+    ...(history.truncated ? { truncated: true } : {})
+  };
+}
+
+/**
+ * Separator suffix, e.g. `[a1b2c3d · Jane Doe · 3 days ago · 12 commits · 140 lines]`.
+ * Churn over a truncated history reads as a lower bound (`12+ commits`).
+ */
+export function formatFileHistory(meta) {
+  const lines = `${meta.lines} line${meta.lines === 1 ? '' : 's'}`;
+  if (!meta.commit) return `[uncommitted · ${lines}]`;
+  return `[${meta.commit} · ${meta.author} · ${meta.age} · ${meta.commits}${meta.truncated ? '+' : ''} commit${meta.commits === 1 && !meta.truncated ? '' : 's'} · ${lines}]`;
+}
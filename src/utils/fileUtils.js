@@ -1,34 +1,6 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { execa } from 'execa';
-
-/**
- * Safely extracts metadata headers from Large ML models without loading them into memory.
- */
-export async function readMlModelMetadata(filePath) {
-  let fileHandle;
-  try {
-    fileHandle = await fs.open(filePath, 'r');
-    const stats = await fileHandle.stat();
-    const readSize = Math.min(stats.size, 4096); // Read only the first 4KB
-    const buffer = Buffer.alloc(readSize);
-    await fileHandle.read(buffer, 0, readSize, 0);
-
-    let text = buffer.toString('utf8');
-    // Extract printable characters, keeping JSON structure intact, remove binary gibberish
-    let cleanText = text.replace(/[^\x20-\x7E\n\r\t"{}\[\]:,]/g, '').trim();
-
-    if (cleanText.length > 2000) {
-      cleanText = cleanText.substring(0, 2000) + '\n...';
-    }
-
-    return `[ML MODEL METADATA EXTRACTED]\nSize: ${formatSize(stats.size)}\n\nHeader Preview:\n${cleanText}\n\n[... BINARY DATA TRUNCATED ...]`;
-  } catch (error) {
-    return `[ML MODEL - Could not extract metadata: ${error.message}]`;
-  } finally {
-    if (fileHandle) await fileHandle.close();
-  }
-}
 import ignore from 'ignore';
 import { detectProjectType, getProjectSpecificFiltering, getAllDetectedTypes } from './projectDetector.js';
 import { getProfile, loadSetupConfig } from '../config.js';
@@ -38,6 +10,8 @@ import { minimatch } from 'minimatch';
 // Global hard-ignore patterns (shared between git-based and scan-based file collection)
 const GLOBAL_HARD_IGNORE_DIRS = ['node_modules', '.git', '.idea', '.vscode', '.gradle', 'build', '__pycache__'];
 const GLOBAL_HARD_IGNORE_FILES = ['package-lock.json', 'yarn.lock', 'pnpm-lock.yaml', 'go.sum'];
+// Tool-internal directories under .eck/ that are neither scanned nor shown in the tree
+const ECK_INTERNAL_DIRS = ['.eck/cache'];
 
 /**
  * Scanner for detecting and redacting secrets (API keys, tokens)
@@ -243,6 +217,8 @@ export async function scanDirectoryRecursively(dirPath, config, relativeTo = dir
       const isEckDirectory = entry.name === '.eck' && entry.isDirectory();
       const isInsideEck = relativePath.startsWith('.eck/');
 
+      if (entry.isDirectory() && ECK_INTERNAL_DIRS.includes(relativePath)) continue;
+
       if (effectiveConfig.dirsToIgnore.some(dir =>
         entry.name === dir.replace('/', '') ||
         relativePath.startsWith(dir)
@@ -353,6 +329,7 @@ export async function generateDirectoryTree(dir, prefix = '', allFiles, depth =
       if (entry.isDirectory() && config.dirsToIgnore.some(d => entry.name === d.replace('/', ''))) continue;
       const fullPath = path.join(dir, entry.name);
       const relativePath = path.relative(process.cwd(), fullPath).replace(/\\/g, '/');
+      if (entry.isDirectory() && ECK_INTERNAL_DIRS.includes(relativePath)) continue;
 
       // FORCE VISIBILITY for .eck files in the tree
       // Even if they are gitignored (not in allFiles), we want the Architect to see they exist
@@ -393,9 +370,58 @@ export async function generateDirectoryTree(dir, prefix = '', allFiles, depth =
   }
 }
 
+/**
+ * Builds the same tree layout as generateDirectoryTree from a list of paths,
+ * for sources that are not on disk (e.g. a git ref).
+ * @param {string[]} files - Repo-relative file paths
+ * @param {number} [maxDepth=10]
+ * @returns {string}
+ */
+export function generateDirectoryTreeFromPaths(files, maxDepth = 10) {
+  const root = new Map();
+  for (const file of files) {
+    let node = root;
+    const parts = file.split('/');
+    parts.forEach((part, i) => {
+      if (i === parts.length - 1) {
+        node.set(part, null);
+      } else {
+        if (!(node.get(part) instanceof Map)) node.set(part, new Map());
+        node = node.get(part);
+      }
+    });
+  }
+
+  const render = (node, prefix, depth) => {
+    if (depth > maxDepth) return '';
+    const entries = [...node.entries()].sort(([aName, aChildren], [bName, bChildren]) => {
+      if (aChildren && !bChildren) return -1;
+      if (!aChildren && bChildren) return 1;
+      return aName.localeCompare(bName);
+    });
+
+    let tree = '';
+    entries.forEach(([name, children], i) => {
+      const isLast = i === entries.length - 1;
+      const connector = isLast ? '└── ' : '├── ';
+      if (children) {
+        tree += `${prefix}${connector}${name}/\n`;
+        tree += render(children, prefix + (isLast ? '    ' : '│   '), depth + 1);
+      } else {
+        tree += `${prefix}${connector}${name}\n`;
+      }
+    });
+    return tree;
+  };
+
+  return render(root, '', 0);
+}
+
 export function parseSnapshotContent(content) {
   const files = [];
-  const fileRegex = /--- File: \/(.+) ---/g;
+  // Separators are whole lines, so examples quoted inline in the header never match.
+  // Separators of gitMeta snapshots end with a `[commit · author · …]` suffix
+  const fileRegex = /^--- File: \/(.+) ---(?: \[[^\]\n]*\])?$/gm;
   const sections = content.split(fileRegex);
   
   for (let i = 1; i < sections.length; i += 2) {
@@ -415,31 +441,25 @@ export function parseSnapshotContent(content) {
   return files;
 }
 
+/**
+ * Filters parsed snapshot files by include/exclude globs.
+ * Bare filenames (no '/') are matched anywhere in the tree, like eck_fetch.
+ */
 export function filterFilesToRestore(files, options) {
   let filtered = files;
-  
+  const toGlobs = (patterns) => (Array.isArray(patterns) ? patterns : [patterns])
+    .map(p => (p.includes('/') ? p : `**/${p}`));
+
   if (options.include) {
-    const includePatterns = Array.isArray(options.include) ?
-      options.include : [options.include];
-    filtered = filtered.filter(file => 
-      includePatterns.some(pattern => {
-        const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-        return regex.test(file.path);
-      })
-    );
+    const includePatterns = toGlobs(options.include);
+    filtered = filtered.filter(file => micromatch.isMatch(file.path, includePatterns, { dot: true }));
   }
-  
+
   if (options.exclude) {
-    const excludePatterns = Array.isArray(options.exclude) ? 
-      options.exclude : [options.exclude];
-    filtered = filtered.filter(file => 
-      !excludePatterns.some(pattern => {
-        const regex = new RegExp(pattern.replace(/\*/g, '.*'));
-        return regex.test(file.path);
-      })
-    );
+    const excludePatterns = toGlobs(options.exclude);
+    filtered = filtered.filter(file => !micromatch.isMatch(file.path, excludePatterns, { dot: true }));
   }
-  
+
   return filtered;
 }
 
@@ -1055,12 +1075,16 @@ function isHiddenPath(filePath) {
 /**
  * Gets project files using git ls-files (preferred) or scanDirectoryRecursively as fallback.
  * Applies global hard-ignore filters and project-specific filtering.
+ * @param {string[]} [refFiles] - Paths listed at a git ref; when given they replace `git ls-files`
  */
-export async function getProjectFiles(projectPath, config) {
-  const isGitRepo = await checkGitRepository(projectPath);
+export async function getProjectFiles(projectPath, config, refFiles = null) {
+  const isGitRepo = refFiles !== null || await checkGitRepository(projectPath);
   if (isGitRepo) {
-    const { stdout } = await execa('git', ['ls-files'], { cwd: projectPath });
-    const gitFiles = stdout.split('\n').filter(Boolean);
+    let gitFiles = refFiles;
+    if (!gitFiles) {
+      const { stdout } = await execa('git', ['ls-files'], { cwd: projectPath });
+      gitFiles = stdout.split('\n').filter(Boolean);
+    }
 
     const dirsToIgnore = [...GLOBAL_HARD_IGNORE_DIRS, ...(config.dirsToIgnore || []).map(d => d.replace(/\/$/, ''))];
     const filesToIgnore = [...GLOBAL_HARD_IGNORE_FILES, ...(config.filesToIgnore || [])];
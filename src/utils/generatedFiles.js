@@ -0,0 +1,106 @@
+import micromatch from 'micromatch';
+
+/**
+ * Detection of generated and minified files (protobuf stubs, `*.min.js`, `// Code generated … DO NOT EDIT`).
+ * They are correct by construction and cost thousands of tokens, so snapshots exclude them or
+ * replace them with a one-line stub naming the generator.
+ *
+ * Three signals, checked in order: known generator file names, header markers in the first
+ * lines, and an average line length no hand-written file reaches.
+ */
+
+const DEFAULT_POLICY = { action: 'exclude', keep: [] };
+const ACTIONS = ['exclude', 'stub', 'keep'];
+
+const NAME_SIGNATURES = [
+  { pattern: /\.min\.(js|mjs|css)$/, generator: 'minifier' },
+  { pattern: /\.(js|css)\.map$/, generator: 'source map' },
+  { pattern: /_pb2(_grpc)?\.pyi?$|\.pb\.(go|cc|h|swift|dart)$|_(grpc_)?pb\.(js|d\.ts)$|\.pb(json|enum|server)?\.dart$/, generator: 'protoc' },
+  { pattern: /\.(g|freezed|gr)\.dart$/, generator: 'build_runner' },
+  { pattern: /\.designer\.cs$/i, generator: 'Visual Studio designer' },
+  { pattern: /\.g\.(cs|i\.cs)$/, generator: 'C# source generator' },
+  { pattern: /(^|\/)zz_generated\.[^/]*\.go$/, generator: 'Kubernetes code generator' }
+];
+
+// Checked against the comment lines at the top only: generators put their marker there,
+// while hand-written code may well contain these words in strings
+const HEADER_LINES = 25;
+const COMMENT_LINE = /^\s*(?:\/\/|\/\*|\*|#|<!--|--|;)/;
+const HEADER_MARKERS = [
+  { pattern: /Generated by the protocol buffer compiler/i, generator: 'protoc' },
+  { pattern: /^\/\/ Code generated (?:by (\S+) )?.*DO NOT EDIT/m, generator: 'Go code generator' },
+  { pattern: /<auto-generated[\s>]/i, generator: 'C# tool' },
+  { pattern: /@generated(?:\s+by\s+([\w@/.-]+))?/, generator: '@generated marker' },
+  { pattern: /\b(?:auto-?generated|automatically generated|generated automatically)\b(?:.*?\bby\s+([\w@/.-]+))?/i, generator: 'unknown generator' },
+  { pattern: /\bDO NOT EDIT\b/, generator: 'unknown generator' }
+];
+
+// Minified bundles: long lines throughout, not a single long literal in a normal file.
+// Prose is skipped: unwrapped paragraphs are long lines too
+const MIN_MINIFIED_SIZE = 2000;
+const MINIFIED_AVERAGE_LINE = 300;
+const PROSE_FILE = /\.(md|mdx|txt|rst|adoc|tex)$/i;
+
+/**
+ * Effective policy: setup.json `generatedFiles` < eck_snapshot `generatedFiles` argument
+ * (an action name or an object).
+ * @returns {{action: string, keep: Array<string>}}
+ */
+export function resolveGeneratedFilesPolicy(setupSettings = {}, argument) {
+  const { _comment, ...fromSetup } = setupSettings;
+  const fromArgument = typeof argument === 'string' ? { action: argument } : (argument || {});
+  const policy = { ...DEFAULT_POLICY, ...fromSetup, ...fromArgument };
+  if (!ACTIONS.includes(policy.action)) {
+    throw new Error(`Invalid generatedFiles action: "${policy.action}". Expected one of: ${ACTIONS.join(', ')}.`);
+  }
+  return policy;
+}
+
+function findHeaderMarker(content) {
+  const header = content.split('\n', HEADER_LINES).filter(line => COMMENT_LINE.test(line)).join('\n');
+  for (const marker of HEADER_MARKERS) {
+    const match = header.match(marker.pattern);
+    if (match) {
+      const generator = match[1] ? match[1].replace(/^["'`]+|["'`.,;:]+$/g, '') : marker.generator;
+      return { generator, evidence: match[0].replace(/^[\s/*#<!;-]+/, '').trim().slice(0, 80) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks whether a file was generated.
+ * @param {string} filePath - Normalized repo-relative path
+ * @param {string} content - File content
+ * @returns {{generator: string, evidence: string}|null} Generator name and what gave it away
+ */
+export function detectGeneratedFile(filePath, content) {
+  const signature = NAME_SIGNATURES.find(s => s.pattern.test(filePath));
+  if (signature) return { generator: signature.generator, evidence: 'file name' };
+  const marker = findHeaderMarker(content);
+  if (marker) return marker;
+
+  if (content.length >= MIN_MINIFIED_SIZE && !PROSE_FILE.test(filePath)) {
+    const lines = content.split('\n').filter(line => line.trim());
+    const average = Math.round(content.length / Math.max(lines.length, 1));
+    if (average >= MINIFIED_AVERAGE_LINE) {
+      return { generator: 'minifier', evidence: `average line length ${average}` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Whether the policy keeps a detected file anyway (`keep` globs).
+ */
+export function isKeptGeneratedFile(filePath, policy) {
+  return policy.keep.length > 0 && micromatch.isMatch(filePath, policy.keep);
+}
+
+/**
+ * One-line body that replaces a generated file with `action: "stub"`.
+ */
+export function formatGeneratedStub(detection, content) {
+  const lines = content.split('\n').length - (content.endsWith('\n') ? 1 : 0);
+  return `[GENERATED FILE: ${detection.generator} · ${lines} line${lines === 1 ? '' : 's'} · ${detection.evidence} — content omitted]`;
+}
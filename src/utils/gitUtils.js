@@ -1,35 +1,225 @@
-import fs from 'fs/promises';
-import path from 'path';
-import { execa } from 'execa';
-
-const ANCHOR_FILE = '.eck/anchor';
-
-export async function saveGitAnchor(repoPath) {
-  try {
-    const { stdout } = await execa('git', ['rev-parse', 'HEAD'], { cwd: repoPath });
-    const anchorPath = path.join(repoPath, ANCHOR_FILE);
-    await fs.mkdir(path.dirname(anchorPath), { recursive: true });
-    await fs.writeFile(anchorPath, stdout.trim());
-    // console.log(`⚓ Git anchor saved: ${stdout.trim().substring(0, 7)}`);
-  } catch (e) {
-    // Ignore if not a git repo
-  }
-}
-
-export async function getGitAnchor(repoPath) {
-  try {
-    const anchorPath = path.join(repoPath, ANCHOR_FILE);
-    return await fs.readFile(anchorPath, 'utf-8');
-  } catch (e) {
-    return null;
-  }
-}
-
-export async function getChangedFiles(repoPath, anchorHash, includeWorkingTree = false) {
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execa } from 'execa';
+import { loadSetupConfig, loadProjectConfig } from '../config.js';
+
+const ANCHOR_FILE = '.eck/anchor';
+const ANCHOR_REF_PREFIX = 'refs/eck/anchors/';
+const ANCHOR_MODES = ['shadow', 'commit'];
+
+// Shadow commits live outside the user's history, so they carry a fixed identity
+const SHADOW_IDENTITY = {
+  GIT_AUTHOR_NAME: 'eck-snapshot',
+  GIT_AUTHOR_EMAIL: 'eck-snapshot@localhost',
+  GIT_COMMITTER_NAME: 'eck-snapshot',
+  GIT_COMMITTER_EMAIL: 'eck-snapshot@localhost'
+};
+// Fixed author/committer date for reproducible shadow commits
+const REPRODUCIBLE_DATE = '2000-01-01T00:00:00+0000';
+
+/**
+ * Decides how a snapshot anchors uncommitted work.
+ * Priority: explicit option > .eck/config.json "anchorMode" > setup.json gitAnchor.mode.
+ * "auto" uses shadow commits for interactive (human) runs and real commits for agent runs.
+ * @param {string} repoPath
+ * @param {object} [options] - { anchorMode, agentRun }
+ * @returns {Promise<'shadow'|'commit'>}
+ */
+export async function resolveAnchorMode(repoPath, options = {}) {
+  const projectConfig = await loadProjectConfig(repoPath);
+  const setupConfig = await loadSetupConfig();
+  const mode = options.anchorMode || projectConfig.anchorMode || setupConfig.gitAnchor?.mode || 'auto';
+
+  if (mode === 'auto') {
+    return options.agentRun || !process.stdout.isTTY ? 'commit' : 'shadow';
+  }
+  if (!ANCHOR_MODES.includes(mode)) {
+    throw new Error(`Invalid anchorMode: "${mode}". Expected one of: auto, ${ANCHOR_MODES.join(', ')}.`);
+  }
+  return mode;
+}
+
+/**
+ * Captures the working tree (tracked and untracked, minus .gitignore) as a commit object
+ * without touching HEAD, the branch or the user's staging area.
+ * Works on a copy of the index so `git add -A` never affects the real one.
+ * With `deterministic`, the commit date is fixed (same state → same hash) and a clean
+ * working tree anchors to HEAD itself.
+ * @param {string} repoPath
+ * @param {object} [options] - { message, deterministic }
+ * @returns {Promise<string>} Full hash of the dangling commit
+ */
+export async function createShadowCommit(repoPath, { message = 'eck-snapshot: shadow anchor', deterministic = false } = {}) {
+  const { stdout: indexPath } = await execa('git', ['rev-parse', '--git-path', 'index'], { cwd: repoPath });
+  const tmpIndex = path.join(os.tmpdir(), `eck-index-${process.pid}-${Date.now()}`);
+  const env = { ...SHADOW_IDENTITY, GIT_INDEX_FILE: tmpIndex };
+  if (deterministic) {
+    env.GIT_AUTHOR_DATE = REPRODUCIBLE_DATE;
+    env.GIT_COMMITTER_DATE = REPRODUCIBLE_DATE;
+  }
+
+  try {
+    try {
+      // Starting from the real index keeps its stat cache, so `git add -A` stays fast
+      await fs.copyFile(path.resolve(repoPath, indexPath.trim()), tmpIndex);
+    } catch (e) {
+      // Fresh repo without an index
+    }
+    await execa('git', ['add', '-A'], { cwd: repoPath, env, timeout: 30000 });
+    const { stdout: tree } = await execa('git', ['write-tree'], { cwd: repoPath, env });
+
+    const parentArgs = [];
+    try {
+      const { stdout: head } = await execa('git', ['rev-parse', '--verify', '-q', 'HEAD'], { cwd: repoPath });
+      parentArgs.push('-p', head.trim());
+      if (deterministic) {
+        const { stdout: headTree } = await execa('git', ['rev-parse', 'HEAD^{tree}'], { cwd: repoPath });
+        if (headTree.trim() === tree.trim()) return head.trim();
+      }
+    } catch (e) {
+      // No commits yet: the shadow commit becomes a root commit
+    }
+
+    const { stdout: commit } = await execa('git', ['commit-tree', tree.trim(), ...parentArgs, '-m', message], { cwd: repoPath, env });
+    return commit.trim();
+  } finally {
+    await fs.rm(tmpIndex, { force: true });
+  }
+}
+
+/**
+ * Creates a shadow commit and pins it under the next free refs/eck/anchors/<n>,
+ * so the anchor survives `git gc` without appearing in any branch.
+ * @param {string} repoPath
+ * @param {object} [options] - Passed to createShadowCommit
+ * @returns {Promise<{hash: string, ref: string}>}
+ */
+export async function createShadowAnchor(repoPath, options = {}) {
+  const hash = await createShadowCommit(repoPath, options);
+  const [newest] = await listShadowAnchors(repoPath);
+  const ref = `${ANCHOR_REF_PREFIX}${(newest?.n || 0) + 1}`;
+  await execa('git', ['update-ref', ref, hash], { cwd: repoPath });
+  return { hash, ref };
+}
+
+/**
+ * Lists shadow anchors (refs/eck/anchors/<n>), newest (highest n) first.
+ * @returns {Promise<Array<{ref: string, n: number, hash: string}>>}
+ */
+export async function listShadowAnchors(repoPath) {
+  const { stdout } = await execa('git', ['for-each-ref', '--format=%(refname) %(objectname)', ANCHOR_REF_PREFIX], { cwd: repoPath });
+  return stdout.split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [ref, hash] = line.split(' ');
+      return { ref, n: parseInt(ref.slice(ANCHOR_REF_PREFIX.length), 10), hash };
+    })
+    .filter(anchor => Number.isFinite(anchor.n))
+    .sort((a, b) => b.n - a.n);
+}
+
+/**
+ * Deletes shadow anchor refs. Their commits become unreachable and are collected by `git gc`.
+ * @param {string[]} refs - Full ref names
+ */
+export async function deleteShadowAnchors(repoPath, refs) {
+  if (refs.length === 0) return;
+  const input = refs.map(ref => `delete ${ref}`).join('\n') + '\n';
+  await execa('git', ['update-ref', '--stdin'], { cwd: repoPath, input });
+}
+
+/**
+ * Resolves a branch, tag or commit-ish to its full commit hash.
+ */
+export async function resolveGitRef(repoPath, ref) {
+  try {
+    const { stdout } = await execa('git', ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], { cwd: repoPath });
+    return stdout.trim();
+  } catch (e) {
+    throw new Error(`Unknown git ref: "${ref}". Expected a branch, tag or commit hash.`);
+  }
+}
+
+/**
+ * Lists the files of a commit with their blob sizes and hashes, without checking it out.
+ * @returns {Promise<Map<string, {size: number, blob: string}>>} path → blob info
+ */
+export async function listFilesAtRef(repoPath, commitHash) {
+  const { stdout } = await execa('git', ['ls-tree', '-r', '-l', '-z', commitHash], { cwd: repoPath });
+  const files = new Map();
+  for (const entry of stdout.split('\0').filter(Boolean)) {
+    // "<mode> <type> <object> <size>\t<path>"
+    const tab = entry.indexOf('\t');
+    const [, type, blob, size] = entry.slice(0, tab).split(/\s+/);
+    if (type !== 'blob') continue; // Submodules have no content to read
+    files.set(entry.slice(tab + 1), { size: parseInt(size, 10), blob });
+  }
+  return files;
+}
+
+/**
+ * Reads a file as it was at a commit (`git show <commit>:<path>`).
+ */
+export async function readFileAtRef(repoPath, commitHash, filePath) {
+  const { stdout } = await execa('git', ['show', `${commitHash}:${filePath}`], { cwd: repoPath, stripFinalNewline: false });
+  return stdout;
+}
+
+/**
+ * Reads only the first bytes of a file at a commit, so large blobs (ML models) are never buffered.
+ * @returns {Promise<Buffer>}
+ */
+export async function readFileHeadAtRef(repoPath, commitHash, filePath, bytes) {
+  const subprocess = execa('git', ['cat-file', 'blob', `${commitHash}:${filePath}`], { cwd: repoPath, buffer: false, encoding: null });
+  const chunks = [];
+  let total = 0;
+  try {
+    for await (const chunk of subprocess.stdout) {
+      chunks.push(chunk);
+      total += chunk.length;
+      if (total >= bytes) break;
+    }
+  } finally {
+    subprocess.kill();
+    await subprocess.catch(() => {});
+  }
+  return Buffer.concat(chunks).subarray(0, bytes);
+}
+
+/**
+ * Records the anchor for delta updates. Defaults to HEAD; shadow mode and ref snapshots pass their own commit.
+ */
+export async function saveGitAnchor(repoPath, anchorHash = null) {
+  try {
+    let hash = anchorHash;
+    if (!hash) {
+      const { stdout } = await execa('git', ['rev-parse', 'HEAD'], { cwd: repoPath });
+      hash = stdout.trim();
+    }
+    const anchorPath = path.join(repoPath, ANCHOR_FILE);
+    await fs.mkdir(path.dirname(anchorPath), { recursive: true });
+    await fs.writeFile(anchorPath, hash);
+    // console.log(`⚓ Git anchor saved: ${stdout.trim().substring(0, 7)}`);
+  } catch (e) {
+    // Ignore if not a git repo
+  }
+}
+
+export async function getGitAnchor(repoPath) {
+  try {
+    const anchorPath = path.join(repoPath, ANCHOR_FILE);
+    return await fs.readFile(anchorPath, 'utf-8');
+  } catch (e) {
+    return null;
+  }
+}
+
+export async function getChangedFiles(repoPath, anchorHash, includeWorkingTree = false, target = 'HEAD') {
   try {
     const args = ['diff', '--name-only', anchorHash];
     if (!includeWorkingTree) {
-      args.push('HEAD');
+      args.push(target);
     }
     const { stdout } = await execa('git', args, { cwd: repoPath });
     return stdout.split('\n').filter(Boolean);
@@ -37,19 +227,19 @@ export async function getChangedFiles(repoPath, anchorHash, includeWorkingTree =
     throw new Error(`Failed to get git diff: ${e.message}`);
   }
 }
-
-export async function getGitDiffOutput(repoPath, anchorHash, excludeFiles = []) {
-  try {
-    const args = ['diff', anchorHash, 'HEAD'];
-    if (excludeFiles.length > 0) {
-      args.push('--');
-      for (const file of excludeFiles) {
-        args.push(`:(exclude)${file}`);
-      }
-    }
-    const { stdout } = await execa('git', args, { cwd: repoPath });
-    return stdout;
-  } catch (e) {
-    return '';
-  }
-}
+
+export async function getGitDiffOutput(repoPath, anchorHash, excludeFiles = []) {
+  try {
+    const args = ['diff', anchorHash, 'HEAD'];
+    if (excludeFiles.length > 0) {
+      args.push('--');
+      for (const file of excludeFiles) {
+        args.push(`:(exclude)${file}`);
+      }
+    }
+    const { stdout } = await execa('git', args, { cwd: repoPath });
+    return stdout;
+  } catch (e) {
+    return '';
+  }
+}
@@ -0,0 +1,375 @@
+import path from 'path';
+
+/**
+ * Compact summaries of dependency lockfiles (setup.json fileFiltering.lockfileSummaries).
+ *
+ * Lockfiles are hard-ignored because they are huge, but the exact resolved versions are what
+ * dependency bugs hinge on. Each lockfile is added to the snapshot as a synthetic file at its own
+ * path: a table of direct dependencies with requested and resolved versions, packages installed
+ * in several versions, and the total number of resolved packages.
+ *
+ * Covers npm (package-lock.json, npm-shrinkwrap.json), yarn (classic and berry), pnpm, Cargo.lock,
+ * poetry.lock and go.sum. Direct dependencies come from the manifest next to the lockfile.
+ */
+
+const DEFAULT_SETTINGS = { enabled: true, maxRows: 200, maxDuplicates: 30 };
+
+const NPM_DEPENDENCY_FIELDS = [
+  ['dependencies', 'prod'],
+  ['devDependencies', 'dev'],
+  ['optionalDependencies', 'optional'],
+  ['peerDependencies', 'peer']
+];
+
+/**
+ * Effective settings: setup.json `fileFiltering.lockfileSummaries` < eck_snapshot `lockfileSummaries`
+ * argument (false to disable, true or an object).
+ * @returns {object|null} null when summaries are disabled
+ */
+export function resolveLockfileSettings(setupSettings = {}, argument) {
+  const { _comment, ...fromSetup } = setupSettings;
+  const fromArgument = typeof argument === 'object' && argument !== null ? argument : {};
+  const settings = { ...DEFAULT_SETTINGS, ...fromSetup, ...fromArgument };
+  if (argument === false || (argument !== true && !settings.enabled)) return null;
+  return settings;
+}
+
+function versionRegistry() {
+  const packages = new Map();
+  return {
+    packages,
+    add(name, version) {
+      if (!name || !version) return;
+      if (!packages.has(name)) packages.set(name, new Set());
+      packages.get(name).add(version);
+    },
+    // The only installed version of a package, if there is exactly one
+    single(name) {
+      const versions = packages.get(name);
+      return versions && versions.size === 1 ? [...versions][0] : null;
+    }
+  };
+}
+
+function npmDirectDependencies(manifest, resolve) {
+  const direct = [];
+  for (const [field, type] of NPM_DEPENDENCY_FIELDS) {
+    for (const [name, requested] of Object.entries(manifest?.[field] || {})) {
+      direct.push({ name, requested, resolved: resolve(name, requested), type });
+    }
+  }
+  return direct;
+}
+
+function parseNpmLock(text, manifestText) {
+  const lock = JSON.parse(text);
+  const registry = versionRegistry();
+  if (lock.packages) {
+    // v2/v3: flat map of install paths; the last node_modules/ segment is the package name
+    for (const [key, entry] of Object.entries(lock.packages)) {
+      const at = key.lastIndexOf('node_modules/');
+      if (at === -1 || entry.link) continue; // Root and workspace packages
+      registry.add(key.slice(at + 'node_modules/'.length), entry.version);
+    }
+  } else {
+    // v1: nested dependency tree
+    const walk = (dependencies) => {
+      for (const [name, entry] of Object.entries(dependencies || {})) {
+        registry.add(name, entry.version);
+        walk(entry.dependencies);
+      }
+    };
+    walk(lock.dependencies);
+  }
+  const manifest = lock.packages?.[''] || (manifestText ? JSON.parse(manifestText) : null);
+  const resolve = (name) => lock.packages?.[`node_modules/${name}`]?.version ?? lock.dependencies?.[name]?.version ?? null;
+  return { format: `lockfileVersion ${lock.lockfileVersion || 1}`, registry, direct: npmDirectDependencies(manifest, resolve) };
+}
+
+function parseYarnLock(text, manifestText) {
+  const registry = versionRegistry();
+  const bySpecifier = new Map();
+  let specifiers = null;
+  for (const line of text.split('\n')) {
+    if (!line.trim() || line.startsWith('#')) continue;
+    if (!/^\s/.test(line)) {
+      // `"@babel/core@^7.0.0", "@babel/core@^7.1.0":` (berry: `"@babel/core@npm:^7.0.0":`)
+      specifiers = line.replace(/:\s*$/, '').split(/,\s*/).map(s => s.trim().replace(/^"|"$/g, ''));
+      continue;
+    }
+    const version = line.match(/^ {2}version:? "?([^"\s]+)"?/);
+    if (!version || !specifiers) continue;
+    for (const specifier of specifiers) {
+      const name = specifier.slice(0, specifier.indexOf('@', 1) === -1 ? undefined : specifier.indexOf('@', 1));
+      if (name === '__metadata' || /@(workspace|link|portal):/.test(specifier)) continue;
+      registry.add(name, version[1]);
+      bySpecifier.set(specifier, version[1]);
+    }
+    specifiers = null;
+  }
+  const berry = text.includes('__metadata:');
+  const manifest = manifestText ? JSON.parse(manifestText) : null;
+  const resolve = (name, range) => bySpecifier.get(`${name}@${range}`) ?? bySpecifier.get(`${name}@npm:${range}`) ?? registry.single(name);
+  return { format: berry ? 'berry' : 'v1', registry, direct: npmDirectDependencies(manifest, resolve) };
+}
+
+async function parsePnpmLock(text) {
+  const yaml = await import('js-yaml');
+  const lock = yaml.load(text) || {};
+  const registry = versionRegistry();
+  const slashKeys = parseFloat(lock.lockfileVersion) < 6;
+  for (const key of Object.keys(lock.packages || {})) {
+    const id = key.replace(/^\//, '').replace(/\(.*$/, ''); // Drop v6+ peer suffixes
+    if (slashKeys) {
+      // v5: /name/version_peers, /@scope/name/version
+      const segments = id.split('/');
+      const nameLength = segments[0].startsWith('@') ? 2 : 1;
+      registry.add(segments.slice(0, nameLength).join('/'), (segments[nameLength] || '').replace(/_.*$/, ''));
+    } else {
+      const at = id.lastIndexOf('@');
+      if (at > 0) registry.add(id.slice(0, at), id.slice(at + 1));
+    }
+  }
+
+  const cleanVersion = (version) => String(version).replace(/\(.*$/, '').replace(/_.*$/, '');
+  const direct = [];
+  // v6+: importers per workspace package; v5 single projects keep them at the top level
+  const importers = lock.importers || { '.': lock };
+  for (const [importer, project] of Object.entries(importers)) {
+    for (const [field, type] of NPM_DEPENDENCY_FIELDS) {
+      for (const [name, entry] of Object.entries(project[field] || {})) {
+        const requested = typeof entry === 'object' ? entry.specifier : project.specifiers?.[name];
+        const resolved = cleanVersion(typeof entry === 'object' ? entry.version : entry);
+        direct.push({ name, requested: requested || '—', resolved, type: importer === '.' ? type : `${type} · ${importer}` });
+      }
+    }
+  }
+  return { format: `lockfileVersion ${lock.lockfileVersion}`, registry, direct };
+}
+
+/**
+ * `[[package]]` tables of Cargo.lock and poetry.lock. Only flat keys and string arrays are read.
+ */
+function parseTomlPackages(text) {
+  const packages = [];
+  let current = null;
+  let arrayKey = null;
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (arrayKey) {
+      current[arrayKey].push(...[...line.matchAll(/"([^"]*)"/g)].map(m => m[1]));
+      if (line.startsWith(']')) arrayKey = null;
+      continue;
+    }
+    if (line === '[[package]]') {
+      current = {};
+      packages.push(current);
+      continue;
+    }
+    if (line.startsWith('[')) {
+      current = null; // [package.dependencies], [metadata], …
+      continue;
+    }
+    const entry = current && line.match(/^([\w.-]+)\s*=\s*(.*)$/);
+    if (!entry) continue;
+    const [, key, value] = entry;
+    if (value.startsWith('[')) {
+      current[key] = [...value.matchAll(/"([^"]*)"/g)].map(m => m[1]);
+      if (!value.includes(']')) arrayKey = key;
+    } else {
+      current[key] = value.replace(/^"|"$/g, '');
+    }
+  }
+  return packages;
+}
+
+function parseCargoLock(text) {
+  const registry = versionRegistry();
+  const packages = parseTomlPackages(text);
+  // Workspace members have no source; their dependencies are the direct ones
+  const members = packages.filter(p => !p.source);
+  for (const p of packages) {
+    if (p.source) registry.add(p.name, p.version);
+  }
+  const direct = new Map();
+  for (const member of members) {
+    for (const dependency of member.dependencies || []) {
+      const [name, version] = dependency.split(' ');
+      if (members.some(m => m.name === name)) continue; // Path dependency on another member
+      direct.set(name, { name, requested: '—', resolved: version || registry.single(name), type: members.length > 1 ? member.name : 'dependency' });
+    }
+  }
+  const version = text.match(/^version = (\d+)/m);
+  return { format: version ? `v${version[1]}` : 'v1', registry, direct: [...direct.values()] };
+}
+
+const normalizePythonName = (name) => name.toLowerCase().replace(/[-_.]+/g, '-');
+
+/**
+ * Direct dependencies declared in pyproject.toml: Poetry tables and PEP 621 `dependencies`.
+ */
+function parsePyprojectDependencies(text) {
+  const direct = [];
+  let group = null;
+  let inProjectArray = false;
+  for (const raw of text.split('\n')) {
+    const line = raw.trim();
+    if (inProjectArray) {
+      for (const m of line.matchAll(/"([^"]+)"/g)) {
+        const spec = m[1].match(/^([A-Za-z0-9][\w.-]*)\s*(?:\[[^\]]*\])?\s*(.*)$/);
+        if (spec) direct.push({ name: spec[1], requested: spec[2].replace(/;.*$/, '').trim() || '*', type: 'main' });
+      }
+      if (line.includes(']') && !line.match(/"[^"]*\][^"]*"/)) inProjectArray = false;
+      continue;
+    }
+    const table = line.match(/^\[(.+)\]$/);
+    if (table) {
+      const name = table[1].trim();
+      const groupMatch = name.match(/^tool\.poetry\.group\.([\w-]+)\.dependencies$/);
+      group = name === 'tool.poetry.dependencies' ? 'main'
+        : name === 'tool.poetry.dev-dependencies' ? 'dev'
+          : groupMatch ? groupMatch[1]
+            : name === 'project' ? 'project' : null;
+      continue;
+    }
+    if (group === 'project') {
+      if (/^dependencies\s*=\s*\[/.test(line)) {
+        inProjectArray = true;
+        // Single-line arrays are handled by the same branch
+        const rest = line.slice(line.indexOf('[') + 1);
+        for (const m of rest.matchAll(/"([^"]+)"/g)) {
+          const spec = m[1].match(/^([A-Za-z0-9][\w.-]*)\s*(?:\[[^\]]*\])?\s*(.*)$/);
+          if (spec) direct.push({ name: spec[1], requested: spec[2].replace(/;.*$/, '').trim() || '*', type: 'main' });
+        }
+        if (rest.includes(']')) inProjectArray = false;
+      }
+      continue;
+    }
+    const entry = group && line.match(/^"?([\w.-]+)"?\s*=\s*(.+)$/);
+    if (!entry || entry[1] === 'python') continue;
+    const version = entry[2].match(/^"([^"]*)"/) || entry[2].match(/version\s*=\s*"([^"]*)"/);
+    direct.push({ name: entry[1], requested: version ? version[1] : entry[2].slice(0, 40), type: group });
+  }
+  return direct;
+}
+
+function parsePoetryLock(text, manifestText) {
+  const registry = versionRegistry();
+  for (const p of parseTomlPackages(text)) registry.add(normalizePythonName(p.name), p.version);
+  const direct = manifestText
+    ? parsePyprojectDependencies(manifestText).map(d => ({ ...d, resolved: registry.single(normalizePythonName(d.name)) }))
+    : [];
+  const lockVersion = text.match(/^lock-version = "([^"]+)"/m);
+  return { format: lockVersion ? `lock-version ${lockVersion[1]}` : 'poetry', registry, direct };
+}
+
+function parseGoSum(text, manifestText) {
+  const registry = versionRegistry();
+  for (const line of text.split('\n')) {
+    const [module, version] = line.trim().split(/\s+/);
+    // `/go.mod` lines only hash the module's go.mod, the module itself was not downloaded
+    if (module && version && !version.endsWith('/go.mod')) registry.add(module, version);
+  }
+  const direct = [];
+  let inRequire = false;
+  for (const raw of (manifestText || '').split('\n')) {
+    const line = raw.trim();
+    if (/^require\s*\($/.test(line)) {
+      inRequire = true;
+      continue;
+    }
+    if (inRequire && line === ')') {
+      inRequire = false;
+      continue;
+    }
+    const requirement = inRequire ? line : line.match(/^require\s+(.+)$/)?.[1];
+    if (!requirement || requirement.startsWith('//')) continue;
+    const [module, version] = requirement.split(/\s+/);
+    if (!version || requirement.includes('// indirect')) continue;
+    direct.push({ name: module, requested: version, resolved: version, type: 'require' });
+  }
+  // go.sum keeps superseded versions; the build uses one version per module (minimal version selection)
+  const goVersion = (manifestText || '').match(/^go (\S+)/m);
+  return { format: goVersion ? `go ${goVersion[1]}` : 'go.sum', registry, direct, singleVersionBuild: true };
+}
+
+const LOCKFILES = {
+  'package-lock.json': { ecosystem: 'npm', manifest: 'package.json', parse: parseNpmLock },
+  'npm-shrinkwrap.json': { ecosystem: 'npm', manifest: 'package.json', parse: parseNpmLock },
+  'yarn.lock': { ecosystem: 'yarn', manifest: 'package.json', parse: parseYarnLock },
+  'pnpm-lock.yaml': { ecosystem: 'pnpm', manifest: null, parse: parsePnpmLock },
+  'Cargo.lock': { ecosystem: 'cargo', manifest: null, parse: parseCargoLock },
+  'poetry.lock': { ecosystem: 'poetry', manifest: 'pyproject.toml', parse: parsePoetryLock },
+  'go.sum': { ecosystem: 'go', manifest: 'go.mod', parse: parseGoSum }
+};
+
+/**
+ * Lockfiles among the repository's files, skipping vendored copies.
+ * @param {Array<string>} files - Repo-relative paths (git ls-files, or the files at a ref)
+ * @param {Array<string>} [dirsToIgnore] - Directory names that never hold project lockfiles
+ * @returns {Array<string>} Sorted paths
+ */
+export function findLockfiles(files, dirsToIgnore = []) {
+  const ignored = new Set(['node_modules', 'vendor', ...dirsToIgnore.map(d => d.replace(/\/$/, ''))]);
+  return files
+    .filter(file => LOCKFILES[path.posix.basename(file)])
+    .filter(file => !file.split('/').slice(0, -1).some(part => ignored.has(part) || part.startsWith('.')))
+    .sort();
+}
+
+function cell(text) {
+  return String(text ?? '—').replace(/\|/g, '\\|');
+}
+
+/**
+ * Summarizes one lockfile.
+ * @param {string} lockfilePath - Repo-relative path of the lockfile
+ * @param {function(string): Promise<string|null>} readText - Reads a repo-relative file, null if missing
+ * @param {object} settings - Result of resolveLockfileSettings
+ * @returns {Promise<string|null>} Summary body, or null if the lockfile cannot be parsed
+ */
+export async function summarizeLockfile(lockfilePath, readText, settings) {
+  const kind = LOCKFILES[path.posix.basename(lockfilePath)];
+  const text = await readText(lockfilePath);
+  if (!kind || text === null) return null;
+  const manifestPath = kind.manifest ? path.posix.join(path.posix.dirname(lockfilePath), kind.manifest) : null;
+  const manifestText = manifestPath ? await readText(manifestPath) : null;
+
+  let parsed;
+  try {
+    parsed = await kind.parse(text, manifestText);
+  } catch (e) {
+    return null;
+  }
+
+  const total = [...parsed.registry.packages.values()].reduce((sum, versions) => sum + versions.size, 0);
+  const duplicates = parsed.singleVersionBuild ? [] : [...parsed.registry.packages.entries()]
+    .filter(([, versions]) => versions.size > 1)
+    .sort(([a], [b]) => a.localeCompare(b));
+  // Types keep the manifest's order (prod before dev), names are sorted within a type
+  const typeOrder = [...new Set(parsed.direct.map(d => d.type))];
+  const direct = [...parsed.direct].sort((a, b) => typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) || a.name.localeCompare(b.name));
+
+  const summary = [`${direct.length} direct`, `${total.toLocaleString()} resolved packages`];
+  if (duplicates.length > 0) summary.push(`${duplicates.length} with several versions`);
+  const lines = [`[LOCKFILE SUMMARY: ${kind.ecosystem} (${parsed.format}) · ${summary.join(' · ')} — full lockfile omitted]`, ''];
+
+  if (direct.length > 0) {
+    lines.push('| Package | Requested | Resolved | Type |', '|---------|-----------|----------|------|');
+    for (const d of direct.slice(0, settings.maxRows)) {
+      lines.push(`| ${cell(d.name)} | ${cell(d.requested)} | ${cell(d.resolved)} | ${cell(d.type)} |`);
+    }
+    if (direct.length > settings.maxRows) lines.push('', `… ${direct.length - settings.maxRows} more direct dependencies`);
+  } else {
+    lines.push(manifestPath ? `No direct dependencies found in ${manifestPath}.` : 'No direct dependencies found.');
+  }
+
+  if (duplicates.length > 0) {
+    lines.push('', '⚠️ Installed in several versions:');
+    for (const [name, versions] of duplicates.slice(0, settings.maxDuplicates)) {
+      lines.push(`- ${name}: ${[...versions].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).join(', ')}`);
+    }
+    if (duplicates.length > settings.maxDuplicates) lines.push(`- … ${duplicates.length - settings.maxDuplicates} more`);
+  }
+  return lines.join('\n');
+}
@@ -0,0 +1,636 @@
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import { formatSize } from './fileUtils.js';
+
+/**
+ * Format-aware metadata for ML model files. Weights are never loaded: each parser reads only the
+ * structures that describe the model and renders them as compact tables.
+ *
+ * - safetensors: the JSON header after its 8-byte length prefix (tensors, dtypes, shapes)
+ * - GGUF: the key/value metadata (architecture, context length, quantization) and tensor infos
+ * - ONNX: ModelProto fields read as a protobuf stream (opsets, graph inputs and outputs, initializers)
+ * - PyTorch zip checkpoints (.pt, .pth, .bin, .ckpt): the tensors referenced by `data.pkl`
+ *
+ * Other files, or files that fail to parse, fall back to a printable preview of the first 4KB.
+ * Every rendering starts with `[ML MODEL`; eck_restore refuses such files.
+ */
+
+// Bump when the rendering changes, so cached renderings are dropped
+export const ML_METADATA_VERSION = 1;
+
+// Ref snapshots read blobs from git as a stream: only this much of the file is available to the parsers
+export const ML_REF_HEAD_BYTES = 32 * 1024 * 1024;
+
+const PREVIEW_BYTES = 4096;
+const BLOCK_SIZE = 1024 * 1024;
+const MAX_HEADER_BYTES = 100 * 1024 * 1024;
+const MAX_TENSOR_ROWS = 50;
+const MAX_PROPERTY_ROWS = 40;
+const MAX_VALUE_LENGTH = 80;
+
+/**
+ * Random access to a working-tree file.
+ */
+function fileReader(fileHandle, size) {
+  return {
+    size,
+    async read(offset, length) {
+      const buffer = Buffer.alloc(Math.max(0, Math.min(length, size - offset)));
+      const { bytesRead } = await fileHandle.read(buffer, 0, buffer.length, offset);
+      return buffer.subarray(0, bytesRead);
+    }
+  };
+}
+
+/**
+ * Random access to the leading bytes of a file (ref snapshots).
+ */
+function bufferReader(buffer, size) {
+  return {
+    size,
+    truncated: buffer.length < size ? `metadata extends past the first ${formatSize(buffer.length)} read from git` : null,
+    async read(offset, length) {
+      return buffer.subarray(offset, offset + length);
+    }
+  };
+}
+
+async function readExact(reader, offset, length) {
+  const buffer = await reader.read(offset, length);
+  if (buffer.length < length) throw new Error(reader.truncated || 'unexpected end of file');
+  return buffer;
+}
+
+/**
+ * Sequential reads with a block buffer, for formats that are parsed field by field.
+ */
+class Cursor {
+  constructor(reader, offset = 0) {
+    this.reader = reader;
+    this.offset = offset;
+    this.buffer = Buffer.alloc(0);
+    this.bufferStart = 0;
+  }
+
+  async take(length) {
+    const start = this.offset - this.bufferStart;
+    if (start < 0 || start + length > this.buffer.length) {
+      this.buffer = await readExact(this.reader, this.offset, Math.max(length, Math.min(BLOCK_SIZE, this.reader.size - this.offset)));
+      this.bufferStart = this.offset;
+      return this.take(length);
+    }
+    this.offset += length;
+    return this.buffer.subarray(start, start + length);
+  }
+
+  skip(length) {
+    this.offset += length;
+  }
+
+  async u32() {
+    return (await this.take(4)).readUInt32LE(0);
+  }
+
+  async u64() {
+    return Number((await this.take(8)).readBigUInt64LE(0));
+  }
+
+  async varint() {
+    let result = 0;
+    let factor = 1;
+    for (;;) {
+      const byte = (await this.take(1))[0];
+      result += (byte & 0x7f) * factor;
+      if (byte < 0x80) return result;
+      factor *= 128;
+    }
+  }
+}
+
+// --- safetensors ---
+
+async function parseSafetensors(reader) {
+  const headerLength = Number((await readExact(reader, 0, 8)).readBigUInt64LE(0));
+  if (headerLength === 0 || headerLength > MAX_HEADER_BYTES || 8 + headerLength > reader.size) {
+    throw new Error(`invalid header length ${headerLength}`);
+  }
+  const header = JSON.parse((await readExact(reader, 8, headerLength)).toString('utf8'));
+  const { __metadata__: metadata = {}, ...tensors } = header;
+  return {
+    format: 'safetensors',
+    properties: Object.entries(metadata).map(([key, value]) => [key, value]),
+    tensors: Object.entries(tensors).map(([name, tensor]) => ({ name, dtype: tensor.dtype, shape: tensor.shape }))
+  };
+}
+
+// --- GGUF ---
+
+const GGUF_TYPE_NAMES = ['uint8', 'int8', 'uint16', 'int16', 'uint32', 'int32', 'float32', 'bool', 'string', 'array', 'uint64', 'int64', 'float64'];
+const GGUF_FIXED_SIZES = { 0: 1, 1: 1, 2: 2, 3: 2, 4: 4, 5: 4, 6: 4, 7: 1, 10: 8, 11: 8, 12: 8 };
+const GGUF_SCALAR_READERS = {
+  0: b => b.readUInt8(0),
+  1: b => b.readInt8(0),
+  2: b => b.readUInt16LE(0),
+  3: b => b.readInt16LE(0),
+  4: b => b.readUInt32LE(0),
+  5: b => b.readInt32LE(0),
+  6: b => b.readFloatLE(0),
+  7: b => b[0] !== 0,
+  10: b => Number(b.readBigUInt64LE(0)),
+  11: b => Number(b.readBigInt64LE(0)),
+  12: b => b.readDoubleLE(0)
+};
+
+// ggml_type, indexed by value
+const GGML_TYPES = [
+  'F32', 'F16', 'Q4_0', 'Q4_1', 'Q4_2', 'Q4_3', 'Q5_0', 'Q5_1', 'Q8_0', 'Q8_1', 'Q2_K', 'Q3_K', 'Q4_K', 'Q5_K', 'Q6_K', 'Q8_K',
+  'IQ2_XXS', 'IQ2_XS', 'IQ3_XXS', 'IQ1_S', 'IQ4_NL', 'IQ3_S', 'IQ2_S', 'IQ4_XS', 'I8', 'I16', 'I32', 'I64', 'F64', 'IQ1_M', 'BF16'
+];
+
+// general.file_type (llama_ftype), indexed by value
+const GGUF_FILE_TYPES = [
+  'ALL_F32', 'MOSTLY_F16', 'MOSTLY_Q4_0', 'MOSTLY_Q4_1', 'MOSTLY_Q4_1_SOME_F16', 'MOSTLY_Q4_2', 'MOSTLY_Q4_3', 'MOSTLY_Q8_0',
+  'MOSTLY_Q5_0', 'MOSTLY_Q5_1', 'MOSTLY_Q2_K', 'MOSTLY_Q3_K_S', 'MOSTLY_Q3_K_M', 'MOSTLY_Q3_K_L', 'MOSTLY_Q4_K_S',
+  'MOSTLY_Q4_K_M', 'MOSTLY_Q5_K_S', 'MOSTLY_Q5_K_M', 'MOSTLY_Q6_K', 'MOSTLY_IQ2_XXS', 'MOSTLY_IQ2_XS', 'MOSTLY_Q2_K_S',
+  'MOSTLY_IQ3_XS', 'MOSTLY_IQ3_XXS', 'MOSTLY_IQ1_S', 'MOSTLY_IQ4_NL', 'MOSTLY_IQ3_S', 'MOSTLY_IQ3_M', 'MOSTLY_IQ2_S',
+  'MOSTLY_IQ2_M', 'MOSTLY_IQ4_XS', 'MOSTLY_IQ1_M', 'MOSTLY_BF16'
+];
+
+async function parseGguf(reader) {
+  const cursor = new Cursor(reader, 4);
+  const version = await cursor.u32();
+  // v1 used 32-bit counts and string lengths
+  const count = () => (version >= 2 ? cursor.u64() : cursor.u32());
+  const string = async () => (await cursor.take(await count())).toString('utf8');
+  const value = async (type) => {
+    if (type === 8) return string();
+    if (type === 9) {
+      const itemType = await cursor.u32();
+      const length = await count();
+      if (GGUF_FIXED_SIZES[itemType] !== undefined) {
+        cursor.skip(length * GGUF_FIXED_SIZES[itemType]);
+      } else {
+        // Strings and nested arrays have to be walked item by item (tokenizer vocabularies)
+        for (let i = 0; i < length; i++) await value(itemType);
+      }
+      return { arrayOf: GGUF_TYPE_NAMES[itemType] || `type ${itemType}`, length };
+    }
+    const readScalar = GGUF_SCALAR_READERS[type];
+    if (!readScalar) throw new Error(`unknown GGUF value type ${type}`);
+    return readScalar(await cursor.take(GGUF_FIXED_SIZES[type]));
+  };
+
+  const tensorCount = await count();
+  const kvCount = await count();
+  const metadata = new Map();
+  for (let i = 0; i < kvCount; i++) {
+    const key = await string();
+    metadata.set(key, await value(await cursor.u32()));
+  }
+
+  const tensors = [];
+  for (let i = 0; i < tensorCount; i++) {
+    const name = await string();
+    const dimensions = await cursor.u32();
+    const shape = [];
+    for (let d = 0; d < dimensions; d++) shape.push(await count());
+    const type = await cursor.u32();
+    await cursor.u64(); // Data offset
+    tensors.push({ name, dtype: GGML_TYPES[type] || `type ${type}`, shape });
+  }
+
+  if (metadata.has('general.file_type')) {
+    const fileType = metadata.get('general.file_type');
+    metadata.set('general.file_type', GGUF_FILE_TYPES[fileType] ? `${GGUF_FILE_TYPES[fileType]} (${fileType})` : fileType);
+  }
+  // Architecture facts first, then everything else in file order
+  const architecture = metadata.get('general.architecture');
+  const leading = ['general.architecture', 'general.name', 'general.file_type', `${architecture}.context_length`,
+    `${architecture}.embedding_length`, `${architecture}.block_count`, `${architecture}.attention.head_count`];
+  const keys = [...leading.filter(key => metadata.has(key)), ...[...metadata.keys()].filter(key => !leading.includes(key))];
+  const formatValue = (v) => (v && typeof v === 'object' ? `array of ${v.arrayOf} × ${v.length.toLocaleString()}` : v);
+
+  const summary = [architecture, metadata.has(`${architecture}.context_length`) ? `ctx ${metadata.get(`${architecture}.context_length`)}` : null];
+  return {
+    format: `GGUF v${version}`,
+    summary: summary.filter(Boolean),
+    properties: keys.map(key => [key, formatValue(metadata.get(key))]),
+    tensors
+  };
+}
+
+// --- ONNX ---
+
+const ONNX_ELEMENT_TYPES = [
+  'undefined', 'float', 'uint8', 'int8', 'uint16', 'int16', 'int32', 'int64', 'string', 'bool', 'float16', 'double',
+  'uint32', 'uint64', 'complex64', 'complex128', 'bfloat16', 'float8e4m3fn', 'float8e4m3fnuz', 'float8e5m2',
+  'float8e5m2fnuz', 'uint4', 'int4'
+];
+
+/**
+ * Iterates the fields of a protobuf message between the cursor and `end`.
+ * Length-delimited fields the caller does not read are skipped.
+ */
+async function* protobufFields(cursor, end) {
+  while (cursor.offset < end) {
+    const key = await cursor.varint();
+    const wireType = key % 8;
+    const field = { number: Math.floor(key / 8), wireType, value: null, end: null };
+    if (wireType === 0) field.value = await cursor.varint();
+    else if (wireType === 1) cursor.skip(8);
+    else if (wireType === 5) cursor.skip(4);
+    else if (wireType === 2) field.end = (await cursor.varint()) + cursor.offset;
+    else throw new Error(`unsupported protobuf wire type ${wireType}`);
+    yield field;
+    if (field.end !== null) cursor.offset = field.end;
+  }
+}
+
+async function protobufString(cursor, field) {
+  return (await cursor.take(field.end - cursor.offset)).toString('utf8');
+}
+
+async function parseOnnxValueInfo(cursor, end) {
+  const info = { name: '', dtype: '—', shape: [] };
+  for await (const field of protobufFields(cursor, end)) {
+    if (field.number === 1) info.name = await protobufString(cursor, field);
+    if (field.number !== 2) continue;
+    // TypeProto.tensor_type: elem_type, shape.dim[]: dim_value | dim_param
+    for await (const type of protobufFields(cursor, field.end)) {
+      if (type.number !== 1) continue;
+      for await (const tensor of protobufFields(cursor, type.end)) {
+        if (tensor.number === 1) info.dtype = ONNX_ELEMENT_TYPES[tensor.value] || `type ${tensor.value}`;
+        if (tensor.number !== 2) continue;
+        for await (const dim of protobufFields(cursor, tensor.end)) {
+          if (dim.number !== 1) continue;
+          let size = '?';
+          for await (const part of protobufFields(cursor, dim.end)) {
+            if (part.number === 1) size = part.value;
+            if (part.number === 2) size = await protobufString(cursor, part);
+          }
+          info.shape.push(size);
+        }
+      }
+    }
+  }
+  return info;
+}
+
+async function parseOnnxInitializer(cursor, end) {
+  const initializer = { name: '', shape: [] };
+  for await (const field of protobufFields(cursor, end)) {
+    if (field.number === 8) initializer.name = await protobufString(cursor, field);
+    if (field.number === 1 && field.wireType === 0) initializer.shape.push(field.value);
+    if (field.number === 1 && field.wireType === 2) {
+      while (cursor.offset < field.end) initializer.shape.push(await cursor.varint()); // Packed dims
+    }
+  }
+  return initializer;
+}
+
+async function parseOnnxGraph(cursor, end) {
+  const graph = { name: '', nodes: 0, operators: new Map(), inputs: [], outputs: [], initializers: [] };
+  for await (const field of protobufFields(cursor, end)) {
+    if (field.number === 1) {
+      graph.nodes++;
+      for await (const nodeField of protobufFields(cursor, field.end)) {
+        if (nodeField.number !== 4) continue;
+        const op = await protobufString(cursor, nodeField);
+        graph.operators.set(op, (graph.operators.get(op) || 0) + 1);
+      }
+    } else if (field.number === 2) {
+      graph.name = await protobufString(cursor, field);
+    } else if (field.number === 5) {
+      graph.initializers.push(await parseOnnxInitializer(cursor, field.end));
+    } else if (field.number === 11) {
+      graph.inputs.push(await parseOnnxValueInfo(cursor, field.end));
+    } else if (field.number === 12) {
+      graph.outputs.push(await parseOnnxValueInfo(cursor, field.end));
+    }
+  }
+  return graph;
+}
+
+async function parseOnnx(reader) {
+  const cursor = new Cursor(reader);
+  const model = { irVersion: null, producer: [], opsets: [], metadata: [], graph: null };
+  for await (const field of protobufFields(cursor, reader.size)) {
+    if (field.number === 1) model.irVersion = field.value;
+    else if (field.number === 2 || field.number === 3) model.producer.push(await protobufString(cursor, field));
+    else if (field.number === 7) model.graph = await parseOnnxGraph(cursor, field.end);
+    else if (field.number === 8 || field.number === 14) {
+      // OperatorSetIdProto { domain, version } and StringStringEntryProto { key, value }
+      const entry = {};
+      for await (const part of protobufFields(cursor, field.end)) {
+        if (part.number === 1) entry.key = await protobufString(cursor, part);
+        if (part.number === 2) entry.value = part.wireType === 0 ? part.value : await protobufString(cursor, part);
+      }
+      (field.number === 8 ? model.opsets : model.metadata).push(entry);
+    }
+  }
+  if (!model.graph) throw new Error('no graph found');
+
+  const { graph } = model;
+  // Older exporters list initializers among the graph inputs as well
+  const initializerNames = new Set(graph.initializers.map(i => i.name));
+  const inputs = graph.inputs.filter(input => !initializerNames.has(input.name));
+  const mainOpset = model.opsets.find(o => !o.key || o.key === 'ai.onnx');
+  const operators = [...graph.operators.entries()].sort((a, b) => b[1] - a[1]);
+  const ioRow = (kind) => (info) => [kind, info.name, info.dtype, formatShape(info.shape)];
+
+  return {
+    format: 'ONNX',
+    summary: [mainOpset ? `opset ${mainOpset.value}` : null, `${graph.nodes.toLocaleString()} nodes`].filter(Boolean),
+    parameters: graph.initializers.reduce((sum, i) => sum + i.shape.reduce((p, d) => p * d, 1), 0),
+    properties: [
+      ['ir_version', model.irVersion],
+      ['producer', model.producer.join(' ') || null],
+      ['opsets', model.opsets.map(o => `${o.key || 'ai.onnx'} ${o.value}`).join(', ')],
+      ['graph', graph.name || null],
+      ['initializers', graph.initializers.length.toLocaleString()],
+      ['operators', operators.slice(0, 10).map(([op, n]) => `${op} ×${n}`).join(', ') + (operators.length > 10 ? `, … ${operators.length - 10} more` : '')],
+      ...model.metadata.map(m => [m.key, m.value])
+    ].filter(([, v]) => v !== null && v !== ''),
+    tables: [{
+      columns: ['Direction', 'Name', 'Type', 'Shape'],
+      rows: [...inputs.map(ioRow('input')), ...graph.outputs.map(ioRow('output'))]
+    }]
+  };
+}
+
+// --- PyTorch zip checkpoints ---
+
+const TORCH_STORAGE_DTYPES = {
+  FloatStorage: 'float32', DoubleStorage: 'float64', HalfStorage: 'float16', BFloat16Storage: 'bfloat16',
+  LongStorage: 'int64', IntStorage: 'int32', ShortStorage: 'int16', CharStorage: 'int8', ByteStorage: 'uint8', BoolStorage: 'bool'
+};
+
+/**
+ * Reads one entry of a zip archive by walking the local file headers from the start.
+ * torch.save writes data.pkl first, so this stops long before the tensor data.
+ */
+async function readZipEntry(reader, matches) {
+  let offset = 0;
+  while (offset + 30 <= reader.size) {
+    const header = await readExact(reader, offset, 30);
+    if (header.readUInt32LE(0) !== 0x04034b50) break; // Central directory reached
+    const flags = header.readUInt16LE(6);
+    const method = header.readUInt16LE(8);
+    let compressedSize = header.readUInt32LE(18);
+    const nameLength = header.readUInt16LE(26);
+    const extraLength = header.readUInt16LE(28);
+    const name = (await readExact(reader, offset + 30, nameLength)).toString('utf8');
+    if (compressedSize === 0xffffffff) {
+      // ZIP64 extra field: uncompressed size, then compressed size
+      const extra = await readExact(reader, offset + 30 + nameLength, extraLength);
+      for (let i = 0; i + 4 <= extra.length; i += 4 + extra.readUInt16LE(i + 2)) {
+        if (extra.readUInt16LE(i) !== 1) continue;
+        const skipUncompressed = header.readUInt32LE(22) === 0xffffffff ? 8 : 0;
+        compressedSize = Number(extra.readBigUInt64LE(i + 4 + skipUncompressed));
+      }
+    }
+    if (flags & 0x08) throw new Error('zip entries with data descriptors are not supported');
+    const dataStart = offset + 30 + nameLength + extraLength;
+    if (matches(name)) {
+      const data = await readExact(reader, dataStart, compressedSize);
+      return method === 8 ? zlib.inflateRawSync(data) : data;
+    }
+    offset = dataStart + compressedSize;
+  }
+  return null;
+}
+
+/**
+ * Minimal unpickler for torch.save state: builds dicts, lists and tuples, and turns
+ * `torch._utils._rebuild_tensor*` calls into `{ tensor: true, dtype, shape }` without loading storages.
+ * Other objects become `{ object: 'module.Name', args }`.
+ */
+function unpickle(buffer) {
+  const stack = [];
+  const marks = [];
+  const memo = new Map();
+  let pos = 0;
+  const popMark = () => stack.splice(marks.pop());
+  const readLine = () => {
+    const end = buffer.indexOf(0x0a, pos);
+    const line = buffer.toString('latin1', pos, end);
+    pos = end + 1;
+    return line;
+  };
+  const bytes = (length) => {
+    const slice = buffer.subarray(pos, pos + length);
+    pos += length;
+    return slice;
+  };
+  const setItems = (target, items) => {
+    const map = target instanceof Map ? target : (target.items ??= new Map());
+    for (let i = 0; i + 1 < items.length; i += 2) map.set(items[i], items[i + 1]);
+  };
+  const reduce = (callable, args) => {
+    const name = callable?.global || '';
+    if (/^torch\._utils\._rebuild_tensor/.test(name) || name === 'torch._utils._rebuild_qtensor') {
+      return { tensor: true, dtype: args[0]?.storage || 'unknown', shape: Array.isArray(args[2]) ? args[2] : [] };
+    }
+    if (name.startsWith('torch._utils._rebuild_parameter')) return args[0];
+    if (/(?:^collections\.OrderedDict|Dict)$/.test(name)) return new Map();
+    return { object: name, args };
+  };
+
+  while (pos < buffer.length) {
+    const opcode = buffer[pos++];
+    switch (opcode) {
+      case 0x80: pos += 1; break; // PROTO
+      case 0x95: pos += 8; break; // FRAME
+      case 0x2e: return stack.pop(); // STOP
+      case 0x28: marks.push(stack.length); break; // MARK
+      case 0x7d: stack.push(new Map()); break; // EMPTY_DICT
+      case 0x5d: stack.push([]); break; // EMPTY_LIST
+      case 0x29: stack.push([]); break; // EMPTY_TUPLE
+      case 0x8f: stack.push([]); break; // EMPTY_SET
+      case 0x64: { const items = popMark(); const map = new Map(); setItems(map, items); stack.push(map); break; } // DICT
+      case 0x6c: case 0x74: case 0x91: stack.push(popMark()); break; // LIST, TUPLE, FROZENSET
+      case 0x85: stack.push(stack.splice(-1)); break; // TUPLE1
+      case 0x86: stack.push(stack.splice(-2)); break; // TUPLE2
+      case 0x87: stack.push(stack.splice(-3)); break; // TUPLE3
+      case 0x71: memo.set(buffer[pos++], stack.at(-1)); break; // BINPUT
+      case 0x72: memo.set(buffer.readUInt32LE(pos), stack.at(-1)); pos += 4; break; // LONG_BINPUT
+      case 0x94: memo.set(memo.size, stack.at(-1)); break; // MEMOIZE
+      case 0x68: stack.push(memo.get(buffer[pos++])); break; // BINGET
+      case 0x6a: stack.push(memo.get(buffer.readUInt32LE(pos))); pos += 4; break; // LONG_BINGET
+      case 0x58: { const n = buffer.readUInt32LE(pos); pos += 4; stack.push(bytes(n).toString('utf8')); break; } // BINUNICODE
+      case 0x8c: { const n = buffer[pos++]; stack.push(bytes(n).toString('utf8')); break; } // SHORT_BINUNICODE
+      case 0x8d: { const n = Number(buffer.readBigUInt64LE(pos)); pos += 8; stack.push(bytes(n).toString('utf8')); break; } // BINUNICODE8
+      case 0x55: case 0x43: { const n = buffer[pos++]; stack.push(bytes(n).toString('latin1')); break; } // SHORT_BINSTRING, SHORT_BINBYTES
+      case 0x54: case 0x42: { const n = buffer.readUInt32LE(pos); pos += 4; stack.push(bytes(n).toString('latin1')); break; } // BINSTRING, BINBYTES
+      case 0x63: { const module = readLine(); stack.push({ global: `${module}.${readLine()}` }); break; } // GLOBAL
+      case 0x93: { const [module, name] = stack.splice(-2); stack.push({ global: `${module}.${name}` }); break; } // STACK_GLOBAL
+      case 0x51: { // BINPERSID: ('storage', storage_type, key, location, numel)
+        const pid = stack.pop();
+        const storageType = (Array.isArray(pid) && pid[1]?.global || '').split('.').pop();
+        stack.push({ storage: TORCH_STORAGE_DTYPES[storageType] || storageType.replace(/Storage$/, '') || 'unknown' });
+        break;
+      }
+      case 0x4b: stack.push(buffer[pos++]); break; // BININT1
+      case 0x4d: stack.push(buffer.readUInt16LE(pos)); pos += 2; break; // BININT2
+      case 0x4a: stack.push(buffer.readInt32LE(pos)); pos += 4; break; // BININT
+      case 0x8a: { // LONG1
+        const n = buffer[pos++];
+        stack.push(n === 0 ? 0 : Number(buffer.readIntLE(pos, Math.min(n, 6))));
+        pos += n;
+        break;
+      }
+      case 0x47: stack.push(buffer.readDoubleBE(pos)); pos += 8; break; // BINFLOAT
+      case 0x88: stack.push(true); break; // NEWTRUE
+      case 0x89: stack.push(false); break; // NEWFALSE
+      case 0x4e: stack.push(null); break; // NONE
+      case 0x61: { const item = stack.pop(); const list = stack.at(-1); if (Array.isArray(list)) list.push(item); break; } // APPEND
+      case 0x65: case 0x90: { const items = popMark(); const list = stack.at(-1); if (Array.isArray(list)) list.push(...items); break; } // APPENDS, ADDITEMS
+      case 0x73: { const [key, value] = stack.splice(-2); setItems(stack.at(-1), [key, value]); break; } // SETITEM
+      case 0x75: { const items = popMark(); setItems(stack.at(-1), items); break; } // SETITEMS
+      case 0x52: { const [callable, args] = stack.splice(-2); stack.push(reduce(callable, args || [])); break; } // REDUCE
+      case 0x81: { const [cls, args] = stack.splice(-2); stack.push(reduce(cls, args || [])); break; } // NEWOBJ
+      case 0x92: { const [cls, args] = stack.splice(-3); stack.push(reduce(cls, args || [])); break; } // NEWOBJ_EX
+      case 0x62: stack.pop(); break; // BUILD: object state is not needed
+      case 0x30: stack.pop(); break; // POP
+      case 0x31: popMark(); break; // POP_MARK
+      case 0x32: stack.push(stack.at(-1)); break; // DUP
+      default:
+        throw new Error(`unsupported pickle opcode 0x${opcode.toString(16)}`);
+    }
+  }
+  throw new Error('pickle ended without STOP');
+}
+
+async function parseTorchZip(reader) {
+  const pickle = await readZipEntry(reader, name => name === 'data.pkl' || name.endsWith('/data.pkl'));
+  if (!pickle) throw new Error('no data.pkl entry');
+  const state = unpickle(pickle);
+
+  // Tensors anywhere in the state (plain state_dicts, or checkpoints nesting them under "model", "state_dict", …),
+  // plus scalar entries such as epoch or learning rate near the top
+  const tensors = [];
+  const properties = [];
+  const walk = (value, name, depth) => {
+    if (depth > 10 || value === null || value === undefined) return;
+    if (value.tensor) {
+      tensors.push({ name, dtype: value.dtype, shape: value.shape });
+    } else if (value instanceof Map || value.items instanceof Map) {
+      for (const [key, item] of (value instanceof Map ? value : value.items)) walk(item, name ? `${name}.${key}` : String(key), depth + 1);
+    } else if (Array.isArray(value)) {
+      value.forEach((item, i) => walk(item, name ? `${name}.${i}` : String(i), depth + 1));
+    } else if (typeof value !== 'object' && depth <= 2 && properties.length < MAX_PROPERTY_ROWS) {
+      properties.push([name, value]);
+    }
+  };
+  walk(state, '', 0);
+  return { format: 'PyTorch', properties, tensors };
+}
+
+// --- Rendering ---
+
+function formatShape(shape) {
+  return shape.length === 0 ? 'scalar' : shape.join(' × ');
+}
+
+function formatParameters(count) {
+  if (count >= 1e9) return `${(count / 1e9).toFixed(2)}B`;
+  if (count >= 1e6) return `${(count / 1e6).toFixed(1)}M`;
+  if (count >= 1e3) return `${(count / 1e3).toFixed(1)}K`;
+  return String(count);
+}
+
+function cell(value) {
+  const text = String(value ?? '—').replace(/\s*\n\s*/g, ' ⏎ ').replace(/\|/g, '\\|');
+  return text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text;
+}
+
+function renderTable(columns, rows, limit, noun) {
+  const lines = [`| ${columns.join(' | ')} |`, `|${columns.map(c => '-'.repeat(c.length + 2)).join('|')}|`];
+  for (const row of rows.slice(0, limit)) lines.push(`| ${row.map(cell).join(' | ')} |`);
+  if (rows.length > limit) lines.push('', `… ${(rows.length - limit).toLocaleString()} more ${noun}`);
+  return lines.join('\n');
+}
+
+function renderModel(model, totalSize) {
+  const tensors = model.tensors || [];
+  const parameters = model.parameters ?? tensors.reduce((sum, t) => sum + t.shape.reduce((p, d) => p * d, 1), 0);
+  const summary = [formatSize(totalSize), ...(model.summary || [])];
+  if (model.tensors) summary.push(`${tensors.length.toLocaleString()} tensors`);
+  if (parameters > 0) summary.push(`${formatParameters(parameters)} parameters`);
+
+  const properties = [...(model.properties || [])];
+  if (tensors.length > 0) {
+    const dtypes = new Map();
+    for (const t of tensors) dtypes.set(t.dtype, (dtypes.get(t.dtype) || 0) + 1);
+    properties.push(['tensor types', [...dtypes.entries()].sort((a, b) => b[1] - a[1]).map(([dtype, n]) => `${dtype} ×${n}`).join(', ')]);
+  }
+
+  const sections = [`[ML MODEL: ${model.format} · ${summary.join(' · ')} — weights omitted]`];
+  if (properties.length > 0) sections.push(renderTable(['Property', 'Value'], properties, MAX_PROPERTY_ROWS, 'properties'));
+  for (const table of model.tables || []) sections.push(renderTable(table.columns, table.rows, MAX_TENSOR_ROWS, 'rows'));
+  if (tensors.length > 0) {
+    sections.push(renderTable(['Tensor', 'DType', 'Shape'], tensors.map(t => [t.name, t.dtype, formatShape(t.shape)]), MAX_TENSOR_ROWS, 'tensors'));
+  }
+  return sections.join('\n\n');
+}
+
+function renderPreview(head, totalSize, reason) {
+  // Extract printable characters, keeping JSON structure intact, remove binary gibberish
+  let cleanText = head.toString('utf8').replace(/[^\x20-\x7E\n\r\t"{}\[\]:,]/g, '').trim();
+  if (cleanText.length > 2000) {
+    cleanText = cleanText.substring(0, 2000) + '\n...';
+  }
+  const note = reason ? `\nParser: ${reason}` : '';
+  return `[ML MODEL METADATA EXTRACTED]\nSize: ${formatSize(totalSize)}${note}\n\nHeader Preview:\n${cleanText}\n\n[... BINARY DATA TRUNCATED ...]`;
+}
+
+function pickParser(head, filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (head.subarray(0, 4).toString('latin1') === 'GGUF') return parseGguf;
+  if (head.readUInt32LE(0) === 0x04034b50) return parseTorchZip;
+  // safetensors has no magic number: a plausible header length followed by '{'
+  if (extension === '.safetensors' || (head.length > 8 && head[8] === 0x7b && head.readUInt32LE(4) === 0)) return parseSafetensors;
+  if (extension === '.onnx') return parseOnnx;
+  return null;
+}
+
+async function describeModel(reader, filePath) {
+  const head = await reader.read(0, PREVIEW_BYTES);
+  const parser = head.length >= 8 ? pickParser(head, filePath) : null;
+  if (!parser) return renderPreview(head, reader.size, null);
+  try {
+    return renderModel(await parser(reader), reader.size);
+  } catch (error) {
+    return renderPreview(head, reader.size, `could not read ${path.extname(filePath) || 'model'} metadata (${error.message})`);
+  }
+}
+
+/**
+ * Describes an ML model file in the working tree.
+ * @param {string} filePath - Absolute path of the model file
+ * @returns {Promise<string>} Snapshot body starting with `[ML MODEL`
+ */
+export async function readMlModelMetadata(filePath) {
+  let fileHandle;
+  try {
+    fileHandle = await fs.open(filePath, 'r');
+    const stats = await fileHandle.stat();
+    return await describeModel(fileReader(fileHandle, stats.size), filePath);
+  } catch (error) {
+    return `[ML MODEL - Could not extract metadata: ${error.message}]`;
+  } finally {
+    if (fileHandle) await fileHandle.close();
+  }
+}
+
+/**
+ * Describes an ML model from its leading bytes (ref snapshots read up to ML_REF_HEAD_BYTES from git).
+ * @param {Buffer} buffer - Leading bytes of the model file
+ * @param {number} totalSize - Full size of the model file in bytes
+ * @param {string} filePath - Repo-relative path, for the format guess
+ * @returns {Promise<string>}
+ */
+export async function formatMlModelMetadata(buffer, totalSize, filePath) {
+  return describeModel(bufferReader(buffer, totalSize), filePath);
+}
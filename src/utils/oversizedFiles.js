@@ -0,0 +1,162 @@
+import fs from 'fs';
+import readline from 'readline';
+import micromatch from 'micromatch';
+import { skeletonize } from '../core/skeletonizer.js';
+import { parseSize, formatSize } from './fileUtils.js';
+
+/**
+ * Policy for files above `maxFileSize`. Instead of dropping them, a snapshot can show:
+ * - `head-tail`: the first and last lines
+ * - `skeleton`: the skeleton of the whole file (read as a stream, up to `skeletonMaxSize`)
+ * - `outline`: only the declaration lines (functions, classes, headings) with their line numbers
+ * - `skip`: nothing, as before
+ *
+ * Every rendering starts with an `[OVERSIZED FILE: …]` line saying what was elided; eck_restore refuses such files.
+ */
+
+export const OVERSIZED_MODES = ['skip', 'head-tail', 'skeleton', 'outline'];
+
+const DEFAULT_POLICY = { mode: 'skip', headLines: 60, tailLines: 20, outlineEntries: 300, skeletonMaxSize: '50MB', rules: [] };
+
+// Minified one-liners would otherwise put megabytes into a single "line"
+const MAX_LINE_LENGTH = 1000;
+
+const OUTLINE_LINE = new RegExp([
+  // Top-level declarations and their exported forms (JS/TS, Python, Go, Rust, Java-likes)
+  /^(?:export\s+(?:default\s+)?)?(?:async\s+)?(?:function\*?|class|interface|type|enum|const|let|var|namespace|module)\s/.source,
+  /^\s{0,4}(?:async\s+def|def|class)\s/.source,
+  /^(?:func|type|package|impl|trait|struct|enum|mod|fn|pub(?:\([\w:]+\))?\s+(?:fn|struct|enum|trait|mod|type|const|static))\b/.source,
+  /^\s{0,4}(?:public|private|protected|internal)\s/.source,
+  // Markdown headings and section markers of data files
+  /^#{1,6}\s/.source,
+  /^\[[^\]]+\]\s*$/.source
+].join('|'));
+
+/**
+ * Effective policy: setup.json `oversizedFiles` < eck_snapshot `oversizedFiles` argument
+ * (a mode name or an object).
+ * @returns {object} { mode, headLines, tailLines, outlineEntries, skeletonMaxSize, rules: [{ pattern, mode }] }
+ */
+export function resolveOversizedPolicy(setupSettings = {}, argument) {
+  const { _comment, ...fromSetup } = setupSettings;
+  const fromArgument = typeof argument === 'string' ? { mode: argument } : (argument || {});
+  const policy = { ...DEFAULT_POLICY, ...fromSetup, ...fromArgument };
+  for (const mode of [policy.mode, ...policy.rules.map(r => r.mode)]) {
+    if (!OVERSIZED_MODES.includes(mode)) {
+      throw new Error(`Invalid oversizedFiles mode: "${mode}". Expected one of: ${OVERSIZED_MODES.join(', ')}.`);
+    }
+  }
+  return policy;
+}
+
+/**
+ * Mode for one file: the first rule whose glob matches, else the default mode.
+ */
+export function oversizedModeFor(filePath, policy) {
+  const rule = policy.rules.find(r => micromatch.isMatch(filePath, r.pattern));
+  return rule ? rule.mode : policy.mode;
+}
+
+/**
+ * Lines of a working-tree file, read as a stream.
+ * @returns {AsyncIterable<string>}
+ */
+export function linesOfFile(fullPath) {
+  return readline.createInterface({ input: fs.createReadStream(fullPath, { encoding: 'utf-8' }), crlfDelay: Infinity });
+}
+
+/**
+ * Lines of content already in memory (files read from a git ref).
+ * @returns {AsyncIterable<string>}
+ */
+export async function* linesOfText(text) {
+  yield* text.split('\n');
+}
+
+function clipLine(line) {
+  return line.length > MAX_LINE_LENGTH ? `${line.substring(0, MAX_LINE_LENGTH)} [... ${(line.length - MAX_LINE_LENGTH).toLocaleString()} chars]` : line;
+}
+
+async function renderHeadTail(lines, policy) {
+  const head = [];
+  const tail = [];
+  let total = 0;
+  for await (const line of lines) {
+    total++;
+    if (head.length < policy.headLines) {
+      head.push(clipLine(line));
+    } else {
+      tail.push(clipLine(line));
+      if (tail.length > policy.tailLines) tail.shift();
+    }
+  }
+  const elided = total - head.length - tail.length;
+  const bodyLines = [...head];
+  const lineMap = head.map((_, i) => i + 1);
+  if (elided > 0) {
+    bodyLines.push(`[... ${elided.toLocaleString()} lines elided ...]`);
+    lineMap.push(null);
+  }
+  bodyLines.push(...tail);
+  lineMap.push(...tail.map((_, i) => total - tail.length + i + 1));
+  const summary = elided > 0 ? `first ${head.length} and last ${tail.length} lines, ${elided.toLocaleString()} elided` : 'all lines';
+  return { lines: bodyLines, lineMap, total, summary };
+}
+
+async function renderOutline(lines, policy) {
+  const entries = [];
+  const lineMap = [];
+  let total = 0;
+  let declarations = 0;
+  for await (const line of lines) {
+    total++;
+    if (!OUTLINE_LINE.test(line)) continue;
+    declarations++;
+    if (entries.length < policy.outlineEntries) {
+      entries.push(clipLine(line.trimEnd()));
+      lineMap.push(total);
+    }
+  }
+  if (declarations > entries.length) {
+    entries.push(`[... ${(declarations - entries.length).toLocaleString()} more declarations ...]`);
+    lineMap.push(null);
+  }
+  return { lines: entries, lineMap, total, summary: `outline of ${declarations.toLocaleString()} declarations, other lines elided` };
+}
+
+async function renderSkeleton(lines, filePath, options) {
+  const collected = [];
+  for await (const line of lines) collected.push(line);
+  const text = collected.join('\n');
+  const skeleton = await skeletonize(text, filePath, { preserveDocs: options.preserveDocs, lineMap: true });
+  return { lines: skeleton.code.split('\n'), lineMap: skeleton.lineMap, total: collected.length, summary: 'skeleton, bodies elided' };
+}
+
+/**
+ * Renders an oversized file according to its mode.
+ * @param {AsyncIterable<string>} lines - From linesOfFile or linesOfText
+ * @param {string} filePath - Normalized repo-relative path
+ * @param {string} mode - head-tail, skeleton or outline (from oversizedModeFor)
+ * @param {object} policy - Result of resolveOversizedPolicy
+ * @param {object} options - { size, maxSize: bytes, preserveDocs: for skeleton mode }
+ * @returns {Promise<{body: string, lineMap: Array<number|null>, mode: string, totalLines: number}>}
+ *   lineMap[i] is the source line of body line i (null for the marker lines); mode is the snapshot file mode
+ */
+export async function renderOversizedFile(lines, filePath, mode, policy, options) {
+  // Skeletons need the whole file in memory; above skeletonMaxSize only an outline is affordable
+  const effectiveMode = mode === 'skeleton' && options.size > parseSize(policy.skeletonMaxSize) ? 'outline' : mode;
+  const rendered = effectiveMode === 'head-tail'
+    ? await renderHeadTail(lines, policy)
+    : effectiveMode === 'outline'
+      ? await renderOutline(lines, policy)
+      : await renderSkeleton(lines, filePath, options);
+
+  const header = `[OVERSIZED FILE: ${formatSize(options.size)} > ${formatSize(options.maxSize)} · ${rendered.total.toLocaleString()} lines · ${rendered.summary}]`;
+  const fileMode = effectiveMode === 'skeleton' ? (options.preserveDocs ? 'skeleton+docs' : 'skeleton') : effectiveMode;
+  return {
+    body: [header, ...rendered.lines].join('\n'),
+    lineMap: [null, ...rendered.lineMap],
+    mode: fileMode,
+    totalLines: rendered.total
+  };
+}
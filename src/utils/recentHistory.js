@@ -0,0 +1,140 @@
+import path from 'path';
+import { execa } from 'execa';
+import { formatAge } from './fileHistory.js';
+
+/**
+ * "Recent Commits" section of the snapshot header: the last commits with short stats and the
+ * directories that changed most over the last days. Agents often commit through eck_finish_task
+ * without a journal entry, so this is the only view of what actually happened.
+ *
+ * Only paths the snapshot would include count towards the stats.
+ */
+
+const DEFAULT_SETTINGS = { commits: 10, days: 14, topDirectories: 5 };
+
+/**
+ * Effective settings: setup.json `recentHistory` < eck_snapshot `recentHistory` argument
+ * (true to enable, a number for the commit count, or an object).
+ * @returns {object|null} null when the section is disabled
+ */
+export function resolveRecentHistorySettings(setupSettings = {}, argument) {
+  const { _comment, enabled, ...fromSetup } = setupSettings;
+  if (argument === false || (argument === undefined && !enabled)) return null;
+  const fromArgument = typeof argument === 'object' && argument !== null
+    ? argument
+    : Number.isFinite(parseInt(argument, 10)) ? { commits: parseInt(argument, 10) } : {};
+  return { ...DEFAULT_SETTINGS, ...fromSetup, ...fromArgument };
+}
+
+/**
+ * Parses `git log --format=%x00%h%x09%an%x09%at%x09%s --numstat` output.
+ */
+function parseNumstatLog(stdout, isIncluded) {
+  const commits = [];
+  for (const record of stdout.split('\0')) {
+    if (!record.trim()) continue;
+    const [commitLine, ...statLines] = record.split('\n');
+    const [hash, author, time, ...subject] = commitLine.split('\t');
+    const files = [];
+    for (const line of statLines) {
+      const [added, deleted, filePath] = line.split('\t');
+      if (!filePath || !isIncluded(filePath)) continue;
+      // Binary files report '-' instead of line counts
+      files.push({ path: filePath, insertions: parseInt(added, 10) || 0, deletions: parseInt(deleted, 10) || 0 });
+    }
+    commits.push({ hash, author, time: parseInt(time, 10), subject: subject.join('\t'), files });
+  }
+  return commits;
+}
+
+async function gitNumstatLog(repoPath, args, isIncluded) {
+  const { stdout } = await execa('git', [
+    '-c', 'core.quotepath=off',
+    'log', '--format=%x00%h%x09%an%x09%at%x09%s', '--numstat', '--no-renames', '--relative', ...args, '--'
+  ], { cwd: repoPath, maxBuffer: 64 * 1024 * 1024 });
+  return parseNumstatLog(stdout, isIncluded);
+}
+
+/**
+ * Collects the data for the "Recent Commits" header section.
+ * @param {string} repoPath
+ * @param {object} settings - { commits, days, topDirectories } from resolveRecentHistorySettings
+ * @param {object} [options]
+ * @param {function(string): boolean} [options.isIncluded] - Whether the snapshot includes a repo-relative path
+ * @param {string} [options.ref='HEAD'] - Commit the history ends at
+ * @param {boolean} [options.reproducible] - Measure ages from the ref's commit instead of the wall clock
+ * @returns {Promise<object|null>} null outside a git repository or without commits
+ */
+export async function loadRecentHistory(repoPath, settings, { isIncluded = () => true, ref = 'HEAD', reproducible = false } = {}) {
+  let recent;
+  let window;
+  let now;
+  try {
+    // Commits touching only ignored files (.eck/, build output) are skipped, so read a few extra
+    recent = await gitNumstatLog(repoPath, [`--max-count=${settings.commits * 5}`, ref], isIncluded);
+    if (recent.length === 0) return null;
+    // The directory window ends now; reproducible snapshots cannot read the clock and end it at the latest commit
+    now = reproducible ? recent[0].time : Math.floor(Date.now() / 1000);
+    window = await gitNumstatLog(repoPath, [`--since=${now - settings.days * 86400}`, ref], isIncluded);
+  } catch (e) {
+    return null; // Not a git repository, or no commits yet
+  }
+
+  const commits = recent
+    .filter(c => c.files.length > 0)
+    .slice(0, settings.commits)
+    .map(c => ({
+      hash: c.hash,
+      author: c.author,
+      age: formatAge(Math.max(0, now - c.time)),
+      subject: c.subject,
+      files: c.files.length,
+      insertions: c.files.reduce((sum, f) => sum + f.insertions, 0),
+      deletions: c.files.reduce((sum, f) => sum + f.deletions, 0)
+    }));
+
+  const directories = new Map();
+  for (const commit of window) {
+    const touched = new Set();
+    for (const file of commit.files) {
+      const dir = path.posix.dirname(file.path);
+      if (!directories.has(dir)) directories.set(dir, { path: dir, commits: 0, insertions: 0, deletions: 0 });
+      const entry = directories.get(dir);
+      entry.insertions += file.insertions;
+      entry.deletions += file.deletions;
+      if (!touched.has(dir)) {
+        touched.add(dir);
+        entry.commits++;
+      }
+    }
+  }
+  const topDirectories = [...directories.values()]
+    .sort((a, b) => b.commits - a.commits || (b.insertions + b.deletions) - (a.insertions + a.deletions) || a.path.localeCompare(b.path))
+    .slice(0, settings.topDirectories);
+
+  return { days: settings.days, fromLatestCommit: reproducible, commits, topDirectories };
+}
+
+/**
+ * Renders the history as a Markdown section for the snapshot header.
+ */
+export function formatRecentHistory(history) {
+  let section = `\n\n## 📜 Recent Commits\n\n`;
+  if (history.commits.length === 0) {
+    section += `No recent commits touch files included in this snapshot.\n`;
+  }
+  for (const c of history.commits) {
+    const files = `${c.files} file${c.files === 1 ? '' : 's'}`;
+    section += `- \`${c.hash}\` ${c.age} · ${c.author} · ${c.subject} (${files}, +${c.insertions} −${c.deletions})\n`;
+  }
+
+  if (history.topDirectories.length > 0) {
+    const window = history.fromLatestCommit ? `${history.days} days before the latest commit` : `last ${history.days} days`;
+    section += `\n**Most changed directories (${window}):**\n`;
+    for (const d of history.topDirectories) {
+      const dir = d.path === '.' ? './' : `${d.path}/`;
+      section += `- \`${dir}\` — ${d.commits} commit${d.commits === 1 ? '' : 's'}, +${d.insertions} −${d.deletions}\n`;
+    }
+  }
+  return section + '\n';
+}
@@ -0,0 +1,255 @@
+import fs from 'fs/promises';
+import path from 'path';
+import chalk from 'chalk';
+import { loadSetupConfig, loadProjectConfig } from '../config.js';
+import { parseSize, formatSize } from './fileUtils.js';
+import { listShadowAnchors, deleteShadowAnchors, getGitAnchor } from './gitUtils.js';
+import { readCatalog, parseSnapshotFilename } from './snapshotCatalog.js';
+
+/**
+ * Retention policy for generated files under .eck/ (snapshots, updates, scouts, links).
+ *
+ * Files are grouped into units: a snapshot with its `_partXofN` files and `.sha256.json`
+ * manifest is kept or deleted as a whole; anything else is a unit of its own. The newest unit of each kind and pinned units
+ * are never deleted. Old shadow anchor refs (refs/eck/anchors/<n>) are pruned as well.
+ */
+
+const RETENTION_DIRS = [
+  { dir: 'snapshots', kindOf: name => (/_up(?:\d+|custom)_/.test(name) ? 'update' : 'full') },
+  { dir: 'scouts', kindOf: () => 'scout' },
+  { dir: 'links', kindOf: () => 'link' }
+];
+const PINS_FILE = 'pinned.json';
+
+const DEFAULT_POLICY = {
+  auto: true,
+  keepLast: { full: 20, update: 50, scout: 20, link: 20 },
+  // Age and size pruning are opt-in, so upgrading never deletes existing snapshots by age or size
+  maxTotalSize: null,
+  maxAgeDays: null,
+  anchorRefs: 50
+};
+
+/**
+ * Retention policy: defaults < setup.json `retention` < .eck/config.json `retention`.
+ */
+export async function loadRetentionPolicy(repoPath) {
+  const setupConfig = await loadSetupConfig();
+  const projectConfig = await loadProjectConfig(repoPath);
+  const { _comment, ...fromSetup } = setupConfig.retention || {};
+  const fromProject = projectConfig.retention || {};
+  return {
+    ...DEFAULT_POLICY,
+    ...fromSetup,
+    ...fromProject,
+    keepLast: { ...DEFAULT_POLICY.keepLast, ...fromSetup.keepLast, ...fromProject.keepLast }
+  };
+}
+
+/**
+ * Unit id of a generated file. Only explicit part sets group: `..._abc1234_part2of3_110kb.md`
+ * and the split manifest `..._abc1234.sha256.json` share `snapshots/eckPROJ26-01-01_12-00_abc1234`,
+ * NotebookLM `_part0_BRAIN`/`_partN` files share their prefix, and a single-file manifest joins
+ * the snapshot it is named after. Every other file is its own unit, so two snapshots taken in the
+ * same minute at the same commit stay apart.
+ */
+export function retentionUnitId(relativePath) {
+  const dir = path.posix.dirname(relativePath.replace(/\\/g, '/'));
+  const name = path.posix.basename(relativePath.replace(/\\/g, '/'));
+  const key = name.endsWith('.sha256.json')
+    ? name.slice(0, -'.sha256.json'.length)
+    : name.replace(/_part\d+of\d+_\d+kb\.[^.]+$|_part(?:\d+|0_BRAIN)\.md$|\.[^.]+$/, '');
+  return `${dir}/${key}`;
+}
+
+async function collectUnits(eckDir) {
+  const units = new Map();
+  for (const { dir, kindOf } of RETENTION_DIRS) {
+    let names = [];
+    try {
+      names = await fs.readdir(path.join(eckDir, dir));
+    } catch (e) {
+      continue;
+    }
+    for (const name of names) {
+      if (name.startsWith('.')) continue;
+      const relativePath = `${dir}/${name}`;
+      const fileStats = await fs.stat(path.join(eckDir, relativePath)).catch(() => null);
+      if (!fileStats?.isFile()) continue;
+      const id = retentionUnitId(relativePath);
+      if (!units.has(id)) units.set(id, { id, kind: kindOf(name), files: [], size: 0, mtimeMs: 0 });
+      const unit = units.get(id);
+      unit.files.push(relativePath);
+      unit.size += fileStats.size;
+      unit.mtimeMs = Math.max(unit.mtimeMs, fileStats.mtimeMs);
+    }
+  }
+  return [...units.values()];
+}
+
+export async function loadPins(repoPath) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(repoPath, '.eck', PINS_FILE), 'utf-8'));
+  } catch (e) {
+    return [];
+  }
+}
+
+/**
+ * Pins or unpins the unit holding a generated file.
+ * @param {string} repoPath
+ * @param {string} filePath - Path of any file of the unit (absolute, or relative to repoPath)
+ * @param {boolean} pinned
+ * @returns {Promise<string>} Unit id
+ */
+export async function setPinned(repoPath, filePath, pinned) {
+  const eckDir = path.join(repoPath, '.eck');
+  const relativePath = path.relative(eckDir, path.resolve(repoPath, filePath));
+  if (relativePath.startsWith('..') || !RETENTION_DIRS.some(({ dir }) => relativePath.startsWith(dir + path.sep))) {
+    throw new Error(`${filePath} is not inside ${RETENTION_DIRS.map(({ dir }) => `.eck/${dir}/`).join(', ')}.`);
+  }
+  const id = retentionUnitId(relativePath);
+  const pins = new Set(await loadPins(repoPath));
+  if (pinned) pins.add(id);
+  else pins.delete(id);
+  await fs.writeFile(path.join(eckDir, PINS_FILE), JSON.stringify([...pins].sort(), null, 2) + '\n');
+  return id;
+}
+
+/**
+ * Decides which units to delete. Pure function of the units, policy and pins.
+ * @returns {{remove: Array<object>, keep: Array<object>}} Removed units carry a `reason`
+ */
+export function planRetention(units, policy, pins, now = Date.now()) {
+  const pinned = new Set(pins);
+  const protectedIds = new Set();
+  const remove = new Map();
+
+  const byKind = new Map();
+  for (const unit of units) {
+    if (!byKind.has(unit.kind)) byKind.set(unit.kind, []);
+    byKind.get(unit.kind).push(unit);
+  }
+
+  for (const [kind, kindUnits] of byKind) {
+    kindUnits.sort((a, b) => b.mtimeMs - a.mtimeMs);
+    const keepLast = policy.keepLast?.[kind];
+    kindUnits.forEach((unit, i) => {
+      if (pinned.has(unit.id) || i === 0) {
+        protectedIds.add(unit.id);
+        return;
+      }
+      const ageDays = (now - unit.mtimeMs) / 86400000;
+      if (keepLast > 0 && i >= keepLast) {
+        remove.set(unit.id, { ...unit, reason: `beyond the last ${keepLast} ${kind}` });
+      } else if (policy.maxAgeDays > 0 && ageDays > policy.maxAgeDays) {
+        remove.set(unit.id, { ...unit, reason: `older than ${policy.maxAgeDays} days` });
+      }
+    });
+  }
+
+  if (policy.maxTotalSize) {
+    const maxBytes = parseSize(String(policy.maxTotalSize));
+    let total = units.filter(u => !remove.has(u.id)).reduce((sum, u) => sum + u.size, 0);
+    const candidates = units
+      .filter(u => !remove.has(u.id) && !protectedIds.has(u.id))
+      .sort((a, b) => a.mtimeMs - b.mtimeMs);
+    for (const unit of candidates) {
+      if (total <= maxBytes) break;
+      remove.set(unit.id, { ...unit, reason: `over maxTotalSize ${policy.maxTotalSize}` });
+      total -= unit.size;
+    }
+  }
+
+  return {
+    remove: [...remove.values()].sort((a, b) => a.mtimeMs - b.mtimeMs),
+    keep: units.filter(u => !remove.has(u.id))
+  };
+}
+
+/**
+ * Commit hashes the retained units depend on: the hash in each filename, and the anchor and
+ * captured head recorded in the catalog (an `up-N` update diffs its anchor against its head).
+ */
+async function referencedHashes(repoPath, keep) {
+  const keptPaths = new Set(keep.flatMap(unit => unit.files.map(file => `.eck/${file}`)));
+  const hashes = new Set();
+  for (const file of keptPaths) {
+    const { anchor } = parseSnapshotFilename(path.posix.basename(file), file.split('/')[1]);
+    if (anchor) hashes.add(anchor);
+  }
+  for (const entry of await readCatalog(repoPath)) {
+    if (!keptPaths.has(entry.path)) continue;
+    if (entry.anchor) hashes.add(entry.anchor);
+    if (entry.head) hashes.add(entry.head);
+  }
+  return [...hashes];
+}
+
+async function planAnchorRefs(repoPath, policy, keep) {
+  if (!(policy.anchorRefs > 0)) return [];
+  let anchors;
+  try {
+    anchors = await listShadowAnchors(repoPath);
+  } catch (e) {
+    return []; // Not a git repository
+  }
+  // The anchor of the current snapshot is needed by eck_update, and retained snapshots need theirs as a base
+  const current = (await getGitAnchor(repoPath))?.trim();
+  const referenced = [...(current ? [current] : []), ...await referencedHashes(repoPath, keep)];
+  return anchors
+    .slice(policy.anchorRefs)
+    .filter(anchor => !referenced.some(hash => anchor.hash.startsWith(hash)))
+    .map(anchor => anchor.ref);
+}
+
+/**
+ * Applies the retention policy to .eck/snapshots, .eck/scouts and .eck/links.
+ * @param {string} repoPath
+ * @param {object} [options] - { dryRun }
+ * @returns {Promise<object>} { removed, kept, freedBytes, anchorRefs, policy }
+ */
+export async function applyRetention(repoPath, { dryRun = false } = {}) {
+  const eckDir = path.join(repoPath, '.eck');
+  const policy = await loadRetentionPolicy(repoPath);
+  const units = await collectUnits(eckDir);
+  const { remove, keep } = planRetention(units, policy, await loadPins(repoPath));
+  const anchorRefs = await planAnchorRefs(repoPath, policy, keep);
+
+  if (!dryRun) {
+    for (const unit of remove) {
+      for (const file of unit.files) await fs.rm(path.join(eckDir, file), { force: true });
+    }
+    await deleteShadowAnchors(repoPath, anchorRefs);
+  }
+
+  return {
+    removed: remove,
+    kept: keep,
+    freedBytes: remove.reduce((sum, u) => sum + u.size, 0),
+    anchorRefs,
+    policy
+  };
+}
+
+/**
+ * Runs the retention policy after a snapshot, update, scout or link is written.
+ * Never fails the command that triggered it.
+ * @param {string} repoPath
+ * @param {object} [options] - { quiet: true for commands whose stdout is JSON }
+ * @returns {Promise<object|null>} The applyRetention result, or null if skipped
+ */
+export async function enforceRetention(repoPath, { quiet = false } = {}) {
+  try {
+    const policy = await loadRetentionPolicy(repoPath);
+    if (policy.auto === false) return null;
+    const result = await applyRetention(repoPath);
+    if (!quiet && result.removed.length > 0) {
+      console.log(chalk.gray(`🗑️  Retention: removed ${result.removed.length} old snapshots (${formatSize(result.freedBytes)}). Preview with eck_gc { "dryRun": true }.`));
+      result.removed.forEach(unit => console.log(chalk.gray(`   - ${unit.id} (${unit.reason})`)));
+    }
+    return result;
+  } catch (e) {
+    return null;
+  }
+}
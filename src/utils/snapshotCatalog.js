@@ -0,0 +1,197 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { retentionUnitId } from './retention.js';
+import { getGitAnchor } from './gitUtils.js';
+
+/**
+ * Catalog of stored snapshots (.eck/catalog.json).
+ *
+ * Writers record full metadata when they create a snapshot. Files without a record
+ * (older versions, copies) are indexed from their filename and content, so the catalog
+ * always reflects what is actually on disk in .eck/snapshots, .eck/links and .eck/scouts.
+ */
+
+const CATALOG_FILE = path.join('.eck', 'catalog.json');
+const CATALOG_DIRS = ['snapshots', 'links', 'scouts'];
+const SNAPSHOT_EXTENSIONS = /\.(md|json|jsonl|xml)$/;
+
+/** References accepted wherever a base snapshot is expected (`eck_update --base`). */
+const LATEST_REFERENCE = /^latest(?:-(full|update|link|scout))?$/;
+const UPDATE_REFERENCE = /^up-?(\d+)$/;
+
+/**
+ * Recorded catalog entries, as written; files deleted since are not filtered out.
+ */
+export async function readCatalog(repoPath) {
+  try {
+    const catalog = JSON.parse(await fs.readFile(path.join(repoPath, CATALOG_FILE), 'utf-8'));
+    return Array.isArray(catalog.entries) ? catalog.entries : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+async function writeCatalog(repoPath, entries) {
+  await fs.mkdir(path.join(repoPath, '.eck'), { recursive: true });
+  await fs.writeFile(
+    path.join(repoPath, CATALOG_FILE),
+    JSON.stringify({ format: 'eck-snapshot/catalog', version: 1, entries }, null, 2) + '\n'
+  );
+}
+
+/**
+ * Records a snapshot written by eck_snapshot, eck_update, eck_scout or eck_fetch.
+ * Never fails the command that wrote the snapshot.
+ * @param {string} repoPath - Repository owning the .eck/ directory
+ * @param {object} entry - { path (absolute or repo-relative), kind, anchor, head, seq, profile, depth, files, tokens, format }
+ */
+export async function recordCatalogEntry(repoPath, entry) {
+  try {
+    const relativePath = path.relative(repoPath, path.resolve(repoPath, entry.path)).replace(/\\/g, '/');
+    const record = { createdAt: new Date().toISOString(), ...entry, path: relativePath };
+    const entries = (await readCatalog(repoPath)).filter(e => e.path !== relativePath);
+    entries.push(record);
+    await writeCatalog(repoPath, entries);
+  } catch (e) {
+    // Non-critical: the file is indexed from its name on the next eck_list_snapshots
+  }
+}
+
+/**
+ * Infers what the filename tells about a snapshot.
+ * @param {string} name - Basename, e.g. eckPROJ26-01-01_12-00_abc1234_up3_12kb.md
+ * @param {string} dir - catalog directory it was found in (snapshots, links, scouts)
+ */
+export function parseSnapshotFilename(name, dir = 'snapshots') {
+  const base = name.replace(SNAPSHOT_EXTENSIONS, '');
+  const seqMatch = base.match(/_up(\d+|custom)_/);
+  const depthMatch = base.match(/_d(\d)$/);
+  let kind = 'full';
+  if (name.startsWith('scout_data_')) kind = 'fetch';
+  else if (name.startsWith('scout_')) kind = 'scout';
+  else if (dir === 'links' || name.startsWith('link_')) kind = 'link';
+  else if (seqMatch) kind = 'update';
+  return {
+    kind,
+    anchor: base.match(/_([0-9a-f]{7,40})_/)?.[1] || null,
+    seq: seqMatch && seqMatch[1] !== 'custom' ? parseInt(seqMatch[1], 10) : null,
+    depth: depthMatch ? parseInt(depthMatch[1], 10) : null,
+    format: path.extname(name).slice(1)
+  };
+}
+
+/**
+ * Reads metadata that only the content knows: file count, token estimate and profile.
+ */
+async function inspectSnapshotContent(filePath) {
+  const content = await fs.readFile(filePath, 'utf-8');
+  let files;
+  if (filePath.endsWith('.jsonl')) {
+    files = content.split('\n').filter(Boolean).length;
+  } else if (filePath.endsWith('.json')) {
+    try {
+      files = (JSON.parse(content).files || []).length;
+    } catch (e) {
+      files = null;
+    }
+  } else if (filePath.endsWith('.xml')) {
+    files = (content.match(/<document index="/g) || []).length;
+  } else {
+    files = (content.match(/^--- File: \//gm) || []).length;
+  }
+  return {
+    files,
+    tokens: Math.round(content.length / 4),
+    profile: content.match(/\*\*Profile\(s\) Active:\*\* (.+)/)?.[1]?.trim() || null
+  };
+}
+
+/**
+ * Indexes .eck/snapshots, .eck/links and .eck/scouts, merging recorded metadata,
+ * and saves the result. Records of deleted files are dropped.
+ * @param {string} repoPath
+ * @returns {Promise<Array<object>>} Entries, newest first
+ */
+export async function buildSnapshotCatalog(repoPath) {
+  const recorded = new Map((await readCatalog(repoPath)).map(e => [retentionUnitId(e.path.replace(/^\.eck\//, '')), e]));
+  const units = new Map();
+
+  for (const dir of CATALOG_DIRS) {
+    let names = [];
+    try {
+      names = await fs.readdir(path.join(repoPath, '.eck', dir));
+    } catch (e) {
+      continue;
+    }
+    for (const name of names.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))) {
+      if (!SNAPSHOT_EXTENSIONS.test(name) || name.endsWith('.sha256.json')) continue;
+      const relativePath = `.eck/${dir}/${name}`;
+      const fileStats = await fs.stat(path.join(repoPath, relativePath)).catch(() => null);
+      if (!fileStats?.isFile()) continue;
+
+      // Parts of a split snapshot are listed once, under their first part
+      const unitId = retentionUnitId(`${dir}/${name}`);
+      if (units.has(unitId)) {
+        const unit = units.get(unitId);
+        unit.parts++;
+        if (unit.inferred) {
+          const extra = await inspectSnapshotContent(path.join(repoPath, relativePath));
+          unit.files += extra.files || 0;
+          unit.tokens += extra.tokens;
+        }
+        continue;
+      }
+
+      const entry = recorded.get(unitId) || {
+        path: relativePath,
+        ...parseSnapshotFilename(name, dir),
+        ...(await inspectSnapshotContent(path.join(repoPath, relativePath))),
+        createdAt: fileStats.mtime.toISOString(),
+        inferred: true
+      };
+      units.set(unitId, { ...entry, parts: 1 });
+    }
+  }
+
+  const entries = [...units.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  await writeCatalog(repoPath, entries);
+  return entries;
+}
+
+/**
+ * True if `ref` is a catalog reference such as `latest-full` or `up-2`.
+ */
+export function isCatalogReference(ref) {
+  return LATEST_REFERENCE.test(ref) || UPDATE_REFERENCE.test(ref);
+}
+
+/**
+ * Resolves a catalog reference to the commit an update should diff against:
+ * - `latest`, `latest-full`, `latest-update`, `latest-link`, `latest-scout`: newest snapshot of that kind
+ * - `up-N` / `upN`: update number N of the current anchor (newest match if the anchor is unknown)
+ * Full snapshots resolve to their anchor; updates to the commit they captured (`head`).
+ * @returns {Promise<{hash: string, entry: object}>}
+ */
+export async function resolveCatalogReference(repoPath, ref) {
+  const entries = await buildSnapshotCatalog(repoPath);
+  let entry;
+
+  const latest = ref.match(LATEST_REFERENCE);
+  if (latest) {
+    entry = entries.find(e => !latest[1] || e.kind === latest[1]);
+  } else {
+    const seq = parseInt(ref.match(UPDATE_REFERENCE)[1], 10);
+    const currentAnchor = (await getGitAnchor(repoPath))?.trim();
+    const updates = entries.filter(e => e.kind === 'update' && e.seq === seq);
+    entry = updates.find(e => currentAnchor && e.anchor && currentAnchor.startsWith(e.anchor.substring(0, 7))) || updates[0];
+  }
+
+  if (!entry) {
+    throw new Error(`No snapshot matches "${ref}". List stored snapshots with eck_list_snapshots.`);
+  }
+  const hash = entry.kind === 'update' ? (entry.head || entry.anchor) : entry.anchor;
+  if (!hash) {
+    throw new Error(`Snapshot ${path.basename(entry.path)} has no recorded commit, so "${ref}" cannot be used as a base.`);
+  }
+  return { hash, entry };
+}
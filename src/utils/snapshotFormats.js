@@ -0,0 +1,161 @@
+import path from 'path';
+
+/**
+ * Alternative output formats for snapshots (besides the default Markdown body):
+ * JSON/JSONL for tooling and XML documents for long-context prompts.
+ */
+
+const LANGUAGE_BY_EXTENSION = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript', '.mts': 'typescript', '.cts': 'typescript',
+  '.py': 'python', '.pyi': 'python',
+  '.rs': 'rust', '.go': 'go',
+  '.java': 'java', '.kt': 'kotlin', '.kts': 'kotlin', '.scala': 'scala', '.groovy': 'groovy', '.gradle': 'groovy',
+  '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.cc': 'cpp', '.hpp': 'cpp', '.cs': 'csharp', '.fs': 'fsharp',
+  '.swift': 'swift', '.m': 'objective-c', '.dart': 'dart', '.rb': 'ruby', '.php': 'php',
+  '.lua': 'lua', '.r': 'r', '.jl': 'julia', '.ex': 'elixir', '.exs': 'elixir', '.erl': 'erlang',
+  '.sh': 'shell', '.bash': 'shell', '.zsh': 'shell', '.ps1': 'powershell', '.bat': 'batch',
+  '.html': 'html', '.htm': 'html', '.css': 'css', '.scss': 'scss', '.less': 'less',
+  '.vue': 'vue', '.svelte': 'svelte',
+  '.json': 'json', '.yaml': 'yaml', '.yml': 'yaml', '.toml': 'toml', '.xml': 'xml', '.ini': 'ini',
+  '.md': 'markdown', '.mdx': 'markdown', '.rst': 'rst', '.txt': 'text',
+  '.sql': 'sql', '.graphql': 'graphql', '.proto': 'protobuf', '.ipynb': 'jupyter'
+};
+
+const LANGUAGE_BY_FILENAME = {
+  'dockerfile': 'dockerfile',
+  'makefile': 'makefile',
+  'cmakelists.txt': 'cmake',
+  'gemfile': 'ruby',
+  'rakefile': 'ruby'
+};
+
+/**
+ * Guesses the language of a file from its name.
+ * @param {string} filePath
+ * @returns {string} Language id, or 'text' when unknown
+ */
+export function detectLanguage(filePath) {
+  const base = path.basename(filePath).toLowerCase();
+  if (LANGUAGE_BY_FILENAME[base]) return LANGUAGE_BY_FILENAME[base];
+  return LANGUAGE_BY_EXTENSION[path.extname(base)] || 'text';
+}
+
+/**
+ * Converts processProjectFiles stats (which hold Maps) into plain JSON.
+ * Lists are sorted because files are processed concurrently and finish in any order.
+ */
+export function serializeStats(stats) {
+  return {
+    totalFiles: stats.totalFiles,
+    includedFiles: stats.includedFiles,
+    excludedFiles: stats.excludedFiles,
+    binaryFiles: stats.binaryFiles,
+    oversizedFiles: stats.oversizedFiles,
+    generatedFiles: stats.generatedFiles,
+    ignoredFiles: stats.ignoredFiles,
+    totalSize: stats.totalSize,
+    processedSize: stats.processedSize,
+    secretsRedacted: stats.secretsRedacted,
+    errors: [...stats.errors].sort(),
+    skippedFiles: Object.fromEntries(
+      [...(stats.skippedFilesDetails || [])]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([reason, files]) => [reason, [...files].sort()])
+    )
+  };
+}
+
+/**
+ * Builds one structured record per file. Tree-only files keep their record with null content.
+ * @param {Array<object>} fileObjects - { path, body, mode, originalSize, git } from processProjectFiles
+ * @returns {Array<object>}
+ */
+export function buildFileRecords(fileObjects) {
+  return fileObjects.map(f => ({
+    path: f.path,
+    language: detectLanguage(f.path),
+    size: f.originalSize,
+    tokens: f.body ? Math.round(f.body.length / 4) : 0,
+    mode: f.mode,
+    ...(f.git ? { git: f.git } : {}),
+    content: f.body ?? null
+  }));
+}
+
+/**
+ * JSON Lines: one record per file, no header.
+ */
+export function renderJsonl(fileObjects) {
+  return buildFileRecords(fileObjects).map(record => JSON.stringify(record)).join('\n') + '\n';
+}
+
+/**
+ * Single JSON bundle carrying the header, tree, stats and file records.
+ * @param {object} bundle - { repoName, gitHash, header, tree, stats, fileObjects, extra, reproducible }
+ */
+export function renderJsonBundle({ repoName, gitHash, header, tree, stats, fileObjects, extra = {}, reproducible = false }) {
+  const files = buildFileRecords(fileObjects);
+  return JSON.stringify({
+    format: 'eck-snapshot/json',
+    version: 1,
+    repoName,
+    gitHash: gitHash || null,
+    generatedAt: reproducible ? null : new Date().toISOString(),
+    header,
+    tree: tree || '',
+    stats: {
+      ...serializeStats(stats),
+      tokens: files.reduce((sum, f) => sum + f.tokens, 0)
+    },
+    ...extra,
+    files
+  }, null, 2) + '\n';
+}
+
+/**
+ * Wraps text in a CDATA section, splitting any embedded ']]>' terminator.
+ */
+export function toCdata(text) {
+  return `<![CDATA[${String(text).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Renders documents in the <document index="n"> layout used for long-context prompts.
+ * @param {Array<{path: string, content: string}>} documents
+ * @returns {string}
+ */
+export function renderXmlDocuments(documents) {
+  let xml = '<documents>\n';
+  documents.forEach((doc, i) => {
+    xml += `<document index="${i + 1}">\n`;
+    xml += `<source>${escapeXml(doc.path)}</source>\n`;
+    xml += `<document_content>${toCdata(doc.content)}</document_content>\n`;
+    xml += `</document>\n`;
+  });
+  return xml + '</documents>\n';
+}
+
+/**
+ * Full XML snapshot: header and tree in their own tagged sections, then the documents,
+ * all under one <snapshot> root so the file is well-formed XML.
+ * @param {object} params - { header, tree, fileObjects } where fileObjects carry { path, body }
+ */
+export function renderXmlSnapshot({ header, tree, fileObjects }) {
+  let xml = `<snapshot>\n<snapshot_header>\n${toCdata(header)}\n</snapshot_header>\n\n`;
+  if (tree) {
+    xml += `<directory_tree>\n${toCdata(tree)}\n</directory_tree>\n\n`;
+  }
+  const documents = fileObjects
+    .filter(f => f.body !== null && f.body !== undefined)
+    .map(f => ({ path: f.path, content: f.body }));
+  return xml + renderXmlDocuments(documents) + '</snapshot>\n';
+}
@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+
+/**
+ * Integrity manifests (`.sha256.json`) for reproducible snapshots.
+ * Each file gets the hash of its source (as read from disk or git) and the hash of the body
+ * embedded in the snapshot. The root hash covers all entries and names the snapshot.
+ */
+
+export const MANIFEST_SUFFIX = '.sha256.json';
+
+export function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Builds sorted manifest entries from processProjectFiles file objects.
+ * @param {Array<object>} fileObjects - { path, body, mode, sourceHash }
+ * @returns {Array<{path: string, source: string|null, content: string|null, mode: string}>}
+ */
+export function buildManifestEntries(fileObjects) {
+  return fileObjects
+    .map(f => ({
+      path: f.path,
+      source: f.sourceHash || null,
+      content: f.body !== null && f.body !== undefined ? sha256(f.body) : null,
+      mode: f.mode || 'tree'
+    }))
+    .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+/**
+ * Root hash over all entries: changes if any path, source or embedded body changes.
+ */
+export function computeRootHash(entries) {
+  return sha256(entries.map(e => `${e.path}\0${e.source || ''}\0${e.content || ''}`).join('\n'));
+}
+
+/**
+ * Builds the sidecar manifest for the written snapshot part(s).
+ * For Markdown, each body's character offset is recorded so verification never has to
+ * re-parse `--- File:` separators (which may also appear inside file contents).
+ * @param {object} params
+ * @param {Array<{fname: string, content: string, files: Array<object>}>} params.outputs - Written parts, with the files each holds in order
+ * @param {Array<object>} params.fileObjects - All file objects of the snapshot
+ * @param {string} params.format - md, json, jsonl or xml
+ * @param {string|null} params.gitHash
+ */
+export function buildSnapshotManifest({ outputs, fileObjects, format, gitHash }) {
+  const entries = buildManifestEntries(fileObjects);
+  const files = Object.fromEntries(entries.map(({ path: filePath, ...rest }) => [filePath, rest]));
+
+  if (format === 'md') {
+    outputs.forEach((output, part) => {
+      // File sections are always the tail of a part, so offsets follow from their lengths
+      let cursor = output.content.length - output.files.reduce((sum, f) => sum + f.content.length, 0);
+      for (const f of output.files) {
+        // A section is `<separator>\n\n<body>\n\n`; separators may carry metadata after the path
+        files[f.path] = { ...files[f.path], part, offset: cursor + f.content.length - f.body.length - 2, length: f.body.length };
+        cursor += f.content.length;
+      }
+    });
+  }
+
+  return {
+    format: 'eck-snapshot/manifest',
+    version: 1,
+    snapshotFormat: format,
+    gitHash: gitHash || null,
+    rootHash: computeRootHash(entries),
+    parts: outputs.map(o => ({ file: o.fname, sha256: sha256(o.content) })),
+    files
+  };
+}
+
+function decodeCdata(text) {
+  return text.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+}
+
+/**
+ * Extracts embedded file bodies from snapshot part contents, keyed by path.
+ * @param {object} manifest
+ * @param {string[]} partContents - Contents of the parts in manifest order (null if missing)
+ * @returns {Map<string, string>}
+ */
+export function extractEmbeddedBodies(manifest, partContents) {
+  const bodies = new Map();
+  const format = manifest.snapshotFormat;
+
+  if (format === 'md') {
+    for (const [filePath, entry] of Object.entries(manifest.files)) {
+      const content = partContents[entry.part];
+      if (entry.offset === undefined || content === null || content === undefined) continue;
+      bodies.set(filePath, content.slice(entry.offset, entry.offset + entry.length));
+    }
+    return bodies;
+  }
+
+  for (const content of partContents) {
+    if (content === null || content === undefined) continue;
+    if (format === 'xml') {
+      for (const match of content.matchAll(/<document index="\d+">\n<source>([\s\S]*?)<\/source>\n<document_content>([\s\S]*?)<\/document_content>\n<\/document>/g)) {
+        const source = match[1].replace(/&quot;/g, '"').replace(/&gt;/g, '>').replace(/&lt;/g, '<').replace(/&amp;/g, '&');
+        bodies.set(source, decodeCdata(match[2]));
+      }
+    } else {
+      try {
+        const records = format === 'jsonl'
+          ? content.split('\n').filter(Boolean).map(line => JSON.parse(line))
+          : JSON.parse(content).files;
+        for (const record of records) {
+          if (record.content !== null) bodies.set(record.path, record.content);
+        }
+      } catch (e) {
+        // Corrupt JSON: every file is reported as tampered
+      }
+    }
+  }
+  return bodies;
+}
@@ -0,0 +1,128 @@
+/**
+ * Line diff (Myers) and unified-diff hunks for comparing file bodies outside git.
+ */
+
+// Beyond this many edits the files are treated as rewritten: memory of the trace grows with edits²
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Shortest edit script between two line arrays.
+ * @returns {Array<{type: ' '|'-'|'+', line: string}>} Operations in order
+ */
+export function diffLines(oldLines, newLines) {
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const same = line => ({ type: ' ', line });
+  const middle = myers(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd));
+  return [...oldLines.slice(0, start).map(same), ...middle, ...oldLines.slice(oldEnd).map(same)];
+}
+
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) {
+    return [...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line }))];
+  }
+
+  const limit = Math.min(n + m, MAX_EDIT_DISTANCE);
+  const offset = limit + 1;
+  const v = new Int32Array(2 * limit + 3);
+  // trace[d] holds v for diagonals -d..d as it was before step d
+  const trace = [];
+  let found = false;
+
+  for (let d = 0; d <= limit && !found; d++) {
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+      if (x >= n && y >= m) {
+        found = true;
+        break;
+      }
+    }
+  }
+
+  if (!found) {
+    return [...a.map(line => ({ type: '-', line })), ...b.map(line => ({ type: '+', line }))];
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const snapshot = trace[d];
+    const at = k => snapshot[k + d + 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = d === 0 ? 0 : at(prevK);
+    const prevY = prevX - prevK;
+    while (x > prevX && y > prevY) {
+      ops.push({ type: ' ', line: a[--x] });
+      y--;
+    }
+    if (d > 0) {
+      if (x === prevX) ops.push({ type: '+', line: b[--y] });
+      else ops.push({ type: '-', line: a[--x] });
+    }
+  }
+  return ops.reverse();
+}
+
+/**
+ * Unified-diff hunks (`@@ -a,b +c,d @@`) between two texts.
+ * @param {string} oldText
+ * @param {string} newText
+ * @param {number} [context=3] - Unchanged lines shown around each change
+ * @returns {{hunks: string, added: number, removed: number}} hunks is '' when the texts are equal
+ */
+export function unifiedHunks(oldText, newText, context = 3) {
+  const toLines = text => (text === '' ? [] : text.split('\n'));
+  const ops = diffLines(toLines(oldText), toLines(newText));
+
+  // Line numbers of each operation in the old and new text
+  let oldLine = 0;
+  let newLine = 0;
+  const numbered = ops.map(op => {
+    const entry = { ...op, oldLine, newLine };
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+    return entry;
+  });
+
+  const changes = numbered.map((op, i) => (op.type === ' ' ? -1 : i)).filter(i => i !== -1);
+  const hunks = [];
+  let i = 0;
+  while (i < changes.length) {
+    const first = changes[i];
+    let last = first;
+    while (i + 1 < changes.length && changes[i + 1] - last <= 2 * context + 1) last = changes[++i];
+    i++;
+
+    const slice = numbered.slice(Math.max(0, first - context), Math.min(numbered.length, last + context + 1));
+    const oldCount = slice.filter(op => op.type !== '+').length;
+    const newCount = slice.filter(op => op.type !== '-').length;
+    // An empty side points at the line before the hunk, as in `diff -u`
+    const oldStart = oldCount === 0 ? slice[0].oldLine : slice[0].oldLine + 1;
+    const newStart = newCount === 0 ? slice[0].newLine : slice[0].newLine + 1;
+    hunks.push([`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`, ...slice.map(op => op.type + op.line)].join('\n'));
+  }
+
+  return {
+    hunks: hunks.join('\n'),
+    added: ops.filter(op => op.type === '+').length,
+    removed: ops.filter(op => op.type === '-').length
+  };
+}
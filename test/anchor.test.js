@@ -0,0 +1,75 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { execa } from 'execa';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { updateSnapshot } from '../src/cli/commands/updateSnapshot.js';
+import { listShadowAnchors } from '../src/utils/gitUtils.js';
+import { createTempRepo, removeDir, snapshotIn } from './helpers.js';
+
+const git = async (repo, ...args) => (await execa('git', args, { cwd: repo })).stdout.trim();
+const readEck = (repo, name) => fs.readFile(path.join(repo, '.eck', name), 'utf-8');
+
+describe('snapshot anchor and update counter', () => {
+  let repo;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    repo = await createTempRepo({ 'src/app.js': 'export const app = 1;\n' });
+    await git(repo, 'tag', 'v1');
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await removeDir(repo);
+  });
+
+  it('anchors uncommitted work in a shadow ref without touching HEAD or the index', async () => {
+    const head = await git(repo, 'rev-parse', 'HEAD');
+    await fs.writeFile(path.join(repo, 'src/app.js'), 'export const app = 2;\n');
+
+    await snapshotIn(repo);
+
+    const [anchor] = await listShadowAnchors(repo);
+    expect(await readEck(repo, 'anchor')).toBe(anchor.hash);
+    expect(anchor.hash).not.toBe(head);
+    expect(await readEck(repo, 'update_seq')).toBe(`${anchor.hash.substring(0, 7)}:0`);
+    expect(await git(repo, 'rev-parse', 'HEAD')).toBe(head);
+    expect(await git(repo, 'diff', '--cached', '--name-only')).toBe('');
+    expect(await git(repo, 'diff', '--name-only')).toBe('src/app.js');
+  });
+
+  it('numbers updates against the anchor', async () => {
+    await snapshotIn(repo);
+    const anchor = await readEck(repo, 'anchor');
+
+    await fs.writeFile(path.join(repo, 'src/app.js'), 'export const app = 2;\n');
+    await updateSnapshot(repo, { anchorMode: 'shadow' });
+    await fs.writeFile(path.join(repo, 'src/app.js'), 'export const app = 3;\n');
+    await updateSnapshot(repo, { anchorMode: 'shadow' });
+
+    const updates = (await fs.readdir(path.join(repo, '.eck', 'snapshots'))).filter(name => name.includes('_up'));
+    expect(updates.map(name => name.match(/_up(\d+)_/)[1]).sort()).toEqual(['1', '2']);
+    expect(await readEck(repo, 'update_seq')).toBe(`${anchor.substring(0, 7)}:2`);
+    expect(await readEck(repo, 'anchor')).toBe(anchor);
+  });
+
+  it('leaves the anchor, update counter and active snapshot alone for ref snapshots', async () => {
+    await fs.writeFile(path.join(repo, 'src/app.js'), 'export const app = 2;\n');
+    await git(repo, '-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qam', 'second');
+    await snapshotIn(repo);
+    const before = {
+      anchor: await readEck(repo, 'anchor'),
+      seq: await readEck(repo, 'update_seq'),
+      active: await fs.readdir(path.join(repo, '.eck', 'lastsnapshot'))
+    };
+
+    const written = await snapshotIn(repo, { ref: 'v1' });
+
+    const tagHash = await git(repo, 'rev-parse', 'v1');
+    expect(written.some(p => path.basename(p).includes(`_${tagHash.substring(0, 7)}_`))).toBe(true);
+    expect(await readEck(repo, 'anchor')).toBe(before.anchor);
+    expect(await readEck(repo, 'update_seq')).toBe(before.seq);
+    expect(await fs.readdir(path.join(repo, '.eck', 'lastsnapshot'))).toEqual(before.active);
+  });
+});
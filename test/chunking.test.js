@@ -0,0 +1,66 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { estimateTextTokens } from '../src/core/tokenBudget.js';
+import { createTempRepo, snapshotIn, removeDir } from './helpers.js';
+
+const MAX_CHUNK_TOKENS = 5000;
+
+// ~300 tokens per file plus one large file; `alpha/main.js` is an entry point importing `shared/z.js`, so dependency order differs from path order
+function fixtureFiles() {
+  const files = {};
+  for (const dir of ['alpha', 'beta', 'gamma', 'shared']) {
+    for (let i = 0; i < 8; i++) {
+      files[`${dir}/f${i}.js`] = `export const ${dir}${i} = ${JSON.stringify('x'.repeat(1150))};\n`;
+    }
+  }
+  // Fits an empty part, but not part 1 next to the header and tree
+  files['alpha/a-large.js'] = Array.from({ length: 350 }, (_, i) => `export const large${i} = 'value number ${i}';\n`).join('');
+  files['shared/z.js'] = 'export const z = 1;\n';
+  files['alpha/main.js'] = "import { z } from '../shared/z.js';\nexport const main = z;\n";
+  return files;
+}
+
+const separators = content => [...content.matchAll(/^--- File: \/(.+) ---$/gm)].map(m => m[1]);
+
+describe('maxChunkTokens', () => {
+  let repo;
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    repo = await createTempRepo(fixtureFiles());
+  });
+  afterAll(async () => {
+    vi.restoreAllMocks();
+    await removeDir(repo);
+  });
+
+  const freshSnapshot = async (options) => {
+    await fs.rm(path.join(repo, '.eck', 'snapshots'), { recursive: true, force: true });
+    const written = (await snapshotIn(repo, options)).filter(f => f.endsWith('.md'));
+    return Promise.all(written.map(f => fs.readFile(f, 'utf-8')));
+  };
+
+  it('keeps every part within the limit, including part 1 with the header', async () => {
+    const parts = await freshSnapshot({ maxChunkTokens: MAX_CHUNK_TOKENS });
+
+    expect(parts.length).toBeGreaterThan(1);
+    for (const part of parts) {
+      expect(estimateTextTokens(part)).toBeLessThanOrEqual(MAX_CHUNK_TOKENS);
+    }
+    const all = parts.flatMap(separators);
+    expect(new Set(all).size).toBe(all.length);
+    expect(all).toHaveLength(Object.keys(fixtureFiles()).length);
+  }, 60000);
+
+  it('keeps dependency order within each part', async () => {
+    const [whole] = await freshSnapshot({ order: 'deps' });
+    const depsOrder = separators(whole);
+    expect(depsOrder).not.toEqual([...depsOrder].sort());
+
+    const parts = await freshSnapshot({ order: 'deps', maxChunkTokens: MAX_CHUNK_TOKENS });
+    for (const part of parts) {
+      const inPart = separators(part);
+      expect(inPart).toEqual(depsOrder.filter(p => inPart.includes(p)));
+    }
+  }, 60000);
+});
@@ -0,0 +1,92 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getCacheStats, openContentCache, pruneContentCache, statCacheKey } from '../src/utils/contentCache.js';
+import { createTempRepo, removeDir, snapshotIn } from './helpers.js';
+
+describe('content cache', () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'eck-test-'));
+    await fs.writeFile(path.join(repo, 'a.js'), 'const a = 1;\n');
+  });
+
+  afterEach(async () => {
+    await removeDir(repo);
+  });
+
+  it('hits only for the same path and key', async () => {
+    const cache = await openContentCache(repo);
+    const key = statCacheKey(await fs.stat(path.join(repo, 'a.js')));
+
+    expect(await cache.get('a.js', key)).toBeNull();
+    await cache.set('a.js', key, { content: 'const a = 1;\n', variants: { skeleton: 'const a;' } });
+
+    expect(await cache.get('a.js', key)).toMatchObject({ content: 'const a = 1;\n', variants: { skeleton: 'const a;' } });
+    expect(await cache.get('a.js', '0:0')).toBeNull();
+    expect(await cache.get('b.js', key)).toBeNull();
+    expect({ hits: cache.hits, misses: cache.misses }).toEqual({ hits: 1, misses: 3 });
+  });
+
+  it('drops every entry when the fingerprint changes', async () => {
+    const cache = await openContentCache(repo);
+    await cache.set('a.js', 'blob:abc', { content: 'x' });
+    expect((await getCacheStats(repo)).upToDate).toBe(true);
+
+    const metaPath = path.join(repo, '.eck', 'cache', 'meta.json');
+    await fs.writeFile(metaPath, JSON.stringify({ fingerprint: 'older setup.json' }));
+    expect((await getCacheStats(repo)).upToDate).toBe(false);
+
+    const reopened = await openContentCache(repo);
+    expect(await reopened.get('a.js', 'blob:abc')).toBeNull();
+    expect(await getCacheStats(repo)).toMatchObject({ entries: 0, upToDate: true });
+  });
+
+  it('prunes entries of changed and deleted files, keeping blob entries of existing paths', async () => {
+    await fs.writeFile(path.join(repo, 'b.js'), 'const b = 1;\n');
+    await fs.writeFile(path.join(repo, 'c.js'), 'const c = 1;\n');
+    const cache = await openContentCache(repo);
+    await cache.set('a.js', statCacheKey(await fs.stat(path.join(repo, 'a.js'))), { content: 'a' });
+    await cache.set('b.js', statCacheKey(await fs.stat(path.join(repo, 'b.js'))), { content: 'b' });
+    await cache.set('c.js', 'blob:abc', { content: 'c' });
+    await cache.set('gone.js', 'blob:def', { content: 'gone' });
+
+    await fs.writeFile(path.join(repo, 'b.js'), 'const b = 22;\n');
+
+    expect(await pruneContentCache(repo)).toEqual({ removed: 2, kept: 2 });
+  });
+
+  describe('in snapshots', () => {
+    let project;
+    let log;
+
+    beforeEach(async () => {
+      log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      project = await createTempRepo({ 'src/a.js': 'export const a = 1;\n', 'src/b.js': 'export const b = 1;\n' });
+    });
+
+    afterEach(async () => {
+      vi.restoreAllMocks();
+      await removeDir(project);
+    });
+
+    const cacheLine = () => log.mock.calls.map(args => String(args[0])).filter(line => line.includes('Content cache:')).pop();
+
+    it('reuses unchanged files and re-processes edited ones', async () => {
+      await snapshotIn(project);
+      expect(cacheLine()).toContain('0 reused, 2 processed');
+
+      await snapshotIn(project);
+      expect(cacheLine()).toContain('2 reused, 0 processed');
+
+      await fs.writeFile(path.join(project, 'src/b.js'), 'export const b = 22;\n');
+      await snapshotIn(project);
+      expect(cacheLine()).toContain('1 reused, 1 processed');
+      const [active] = await fs.readdir(path.join(project, '.eck', 'lastsnapshot'));
+      expect(await fs.readFile(path.join(project, '.eck', 'lastsnapshot', active), 'utf-8')).toContain('export const b = 22;');
+    });
+  });
+});
@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { resolveDataSummarySettings, summarizeDataFile } from '../src/utils/dataSummary.js';
+
+const settings = resolveDataSummarySettings({}, true);
+const summarize = (name, text) => summarizeDataFile([text], name, Buffer.byteLength(text), settings);
+
+describe('summarizeDataFile', () => {
+  it('keeps stray quotes inside unquoted CSV fields as text', async () => {
+    const rows = ['id,item,note', '1,tv,"5"" screen"', '2,monitor,5" screen', ...Array.from({ length: 20 }, (_, i) => `${i + 3},item${i},ok`)];
+    const summary = await summarize('items.csv', rows.join('\n') + '\n');
+    expect(summary).toMatch(/^\[DATA SUMMARY: CSV · .+ · 22 rows · 3 columns/);
+    expect(summary).toContain('  id: integer');
+  });
+
+  it('reads quoted CSV fields across lines', async () => {
+    const summary = await summarize('notes.csv', 'id,note\n1,"two\nlines"\n2,"say ""hi"""\n');
+    expect(summary).toContain('2 rows · 2 columns');
+    expect(summary).toContain('1,"two\nlines"');
+  });
+
+  it('describes the JSON key tree with array lengths', async () => {
+    const summary = await summarize('users.json', JSON.stringify({ users: [{ id: 1, email: 'a@b.c' }, { id: 2, email: null }] }));
+    expect(summary).toMatch(/users: array\[2\] of object/);
+    expect(summary).toMatch(/email: string \| null|email: null \| string/);
+  });
+
+  it('returns null for files that do not parse', async () => {
+    expect(await summarize('broken.json', '{ "a": 1, // comment\n}')).toBeNull();
+  });
+});
@@ -0,0 +1,44 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { diffSnapshots } from '../src/cli/commands/diffSnapshots.js';
+import { removeDir } from './helpers.js';
+
+const snapshot = (header, files) => `${header}\n\n${Object.entries(files).map(([name, body]) => `--- File: /${name} ---\n\n${body}\n\n`).join('')}`;
+
+describe('diffSnapshots', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eck-test-'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await removeDir(dir);
+  });
+
+  it('reads depth markers from the header, not from file bodies', async () => {
+    // docs/budget.md quotes a budget table row and the skeleton marker
+    const quoted = '| `src/app.js` | 5 | skeleton |\n\nSKELETON MODE ACTIVE';
+    await fs.writeFile(path.join(dir, 'a.md'), snapshot('# Snapshot A', { 'docs/budget.md': quoted, 'src/app.js': 'const a = 1;' }));
+    await fs.writeFile(path.join(dir, 'b.md'), snapshot('# Snapshot B', { 'docs/budget.md': 'No table.', 'src/app.js': 'const a = 2;' }));
+
+    const report = await diffSnapshots(dir, { a: 'a.md', b: 'b.md', output: 'diff.md' });
+
+    expect(report.modified).toEqual(['docs/budget.md', 'src/app.js']);
+    expect(report.depthChanged).toEqual([]);
+  });
+
+  it('marks files the header budget table downgraded', async () => {
+    const budgetHeader = '# Snapshot B\n\n| File | Depth | Mode |\n|------|-------|------|\n| `src/app.js` | 5 | skeleton |';
+    await fs.writeFile(path.join(dir, 'a.md'), snapshot('# Snapshot A', { 'src/app.js': 'const a = 1;' }));
+    await fs.writeFile(path.join(dir, 'b.md'), snapshot(budgetHeader, { 'src/app.js': 'const a;' }));
+
+    const report = await diffSnapshots(dir, { a: 'a.md', b: 'b.md', output: 'diff.md' });
+
+    expect(report.depthChanged).toEqual([{ path: 'src/app.js', from: 'full', to: 'skeleton' }]);
+  });
+});
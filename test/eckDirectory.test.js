@@ -0,0 +1,31 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createTempRepo, removeDir, snapshotIn } from './helpers.js';
+
+const directoryTree = content => content.match(/## Directory Structure\n\n```\n([\s\S]*?)```/)[1];
+
+describe('.eck in the directory tree', () => {
+  let repo;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    repo = await createTempRepo({ 'src/app.js': 'export const app = 1;\n' });
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await removeDir(repo);
+  });
+
+  it('shows snapshots/ but leaves the content cache out', async () => {
+    await snapshotIn(repo);
+    const paths = await snapshotIn(repo);
+    const content = await fs.readFile(paths.filter(p => p.endsWith('.md')).pop(), 'utf-8');
+
+    await fs.access(path.join(repo, '.eck', 'cache'));
+    expect(directoryTree(content)).toContain('snapshots/');
+    expect(directoryTree(content)).not.toContain('cache/');
+  });
+});
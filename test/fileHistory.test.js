@@ -0,0 +1,60 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { execa } from 'execa';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { describeFileHistory, formatFileHistory, loadFileHistory } from '../src/utils/fileHistory.js';
+import { createTempRepo, removeDir } from './helpers.js';
+
+async function commit(repo, file, content, subject) {
+  await fs.writeFile(path.join(repo, file), content);
+  await execa('git', ['add', '.'], { cwd: repo });
+  await execa('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', subject], { cwd: repo });
+}
+
+describe('loadFileHistory', () => {
+  let repo;
+
+  beforeEach(async () => {
+    // old.js is only touched by the first commit, hot.js by every one
+    repo = await createTempRepo({ 'old.js': 'export const old = 1;\n', 'hot.js': 'export let hot = 0;\n' });
+    for (let i = 1; i <= 3; i++) await commit(repo, 'hot.js', `export let hot = ${i};\n`, `hot ${i}`);
+    await fs.writeFile(path.join(repo, 'new.js'), 'export const fresh = 1;\n');
+  });
+
+  afterEach(async () => {
+    await removeDir(repo);
+  });
+
+  it('counts churn over the whole history when it fits the window', async () => {
+    const history = await loadFileHistory(repo, { paths: ['old.js', 'hot.js', 'new.js'] });
+
+    expect(history.truncated).toBe(false);
+    expect(history.files.get('hot.js').commits).toBe(4);
+    expect(history.files.get('old.js').commits).toBe(1);
+    expect(formatFileHistory(describeFileHistory(history, 'hot.js', 'x\n', history.headTime))).toMatch(/ · 4 commits · 1 line\]$/);
+    expect(formatFileHistory(describeFileHistory(history, 'new.js', 'x\n', history.headTime))).toBe('[uncommitted · 1 line]');
+  });
+
+  it('reads past the window only until every tracked file has its last commit', async () => {
+    const history = await loadFileHistory(repo, { paths: ['old.js', 'hot.js', 'new.js'], maxCommits: 2 });
+    const [first] = (await execa('git', ['rev-list', '--max-parents=0', 'HEAD'], { cwd: repo })).stdout.split('\n');
+
+    expect(history.truncated).toBe(true);
+    expect(history.files.get('hot.js').commits).toBe(2);
+    expect(history.files.get('old.js').commit).toBe(first.substring(0, 7));
+    expect(formatFileHistory(describeFileHistory(history, 'hot.js', 'x\n', history.headTime))).toMatch(/ · 2\+ commits · /);
+  });
+
+  it('stops at the window when no files are named', async () => {
+    const history = await loadFileHistory(repo, { maxCommits: 2 });
+
+    expect(history.truncated).toBe(true);
+    expect([...history.files.keys()]).toEqual(['hot.js']);
+  });
+
+  it('is empty outside a git repository', async () => {
+    await removeDir(path.join(repo, '.git'));
+    expect(await loadFileHistory(repo, { paths: ['old.js'] })).toEqual({ files: new Map(), headTime: null, truncated: false });
+    expect((await loadFileHistory(repo)).files.size).toBe(0);
+  });
+});
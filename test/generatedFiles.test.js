@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { detectGeneratedFile, formatGeneratedStub, isKeptGeneratedFile, resolveGeneratedFilesPolicy } from '../src/utils/generatedFiles.js';
+
+describe('detectGeneratedFile', () => {
+  it('recognizes generator file names', () => {
+    expect(detectGeneratedFile('web/vendor.min.js', 'x')).toEqual({ generator: 'minifier', evidence: 'file name' });
+    expect(detectGeneratedFile('api/user_pb2.py', 'x')?.generator).toBe('protoc');
+    expect(detectGeneratedFile('pkg/apis/zz_generated.deepcopy.go', 'x')?.generator).toBe('Kubernetes code generator');
+    expect(detectGeneratedFile('lib/model.g.dart', 'x')?.generator).toBe('build_runner');
+  });
+
+  it('reads header markers and the generator they name', () => {
+    expect(detectGeneratedFile('api/types.go', '// Code generated by stringer; DO NOT EDIT.\n\npackage api\n')).toEqual({
+      generator: 'stringer',
+      evidence: 'Code generated by stringer; DO NOT EDIT'
+    });
+    expect(detectGeneratedFile('schema.ts', '/**\n * @generated by graphql-codegen\n */\nexport type A = 1;\n')?.generator).toBe('graphql-codegen');
+    expect(detectGeneratedFile('Form.cs', '// <auto-generated>\n//   This code was generated by a tool.\n// </auto-generated>\n')?.generator).toBe('C# tool');
+    expect(detectGeneratedFile('config.py', '# This file is automatically generated by setup.py\nVERSION = 1\n')?.generator).toBe('setup.py');
+  });
+
+  it('ignores markers outside the leading comment lines', () => {
+    const inString = 'export const warning = "DO NOT EDIT this value";\n';
+    const late = Array.from({ length: 30 }, (_, i) => `const a${i} = ${i};`).join('\n') + '\n// @generated\n';
+
+    expect(detectGeneratedFile('src/warning.js', inString)).toBeNull();
+    expect(detectGeneratedFile('src/late.js', late)).toBeNull();
+  });
+
+  it('flags minified bundles by line length but not prose or a single long literal', () => {
+    const bundle = Array.from({ length: 10 }, () => 'var a=1;'.repeat(60)).join('\n');
+    const prose = Array.from({ length: 10 }, () => 'A long unwrapped paragraph. '.repeat(20)).join('\n');
+    const normal = Array.from({ length: 200 }, (_, i) => `const a${i} = ${i};`).join('\n') + `\nconst blob = "${'x'.repeat(3000)}";\n`;
+
+    expect(detectGeneratedFile('dist/app.js', bundle)).toEqual({ generator: 'minifier', evidence: 'average line length 481' });
+    expect(detectGeneratedFile('docs/guide.md', prose)).toBeNull();
+    expect(detectGeneratedFile('src/blob.js', normal)).toBeNull();
+  });
+});
+
+describe('generatedFiles policy', () => {
+  it('merges setup.json with the argument and rejects unknown actions', () => {
+    expect(resolveGeneratedFilesPolicy({ _comment: 'x', keep: ['api/**'] }, 'stub')).toEqual({ action: 'stub', keep: ['api/**'] });
+    expect(() => resolveGeneratedFilesPolicy({}, 'drop')).toThrow('Invalid generatedFiles action: "drop"');
+  });
+
+  it('keeps matching files and stubs the rest', () => {
+    const policy = resolveGeneratedFilesPolicy({ keep: ['api/**'] });
+    expect(isKeptGeneratedFile('api/user_pb2.py', policy)).toBe(true);
+    expect(isKeptGeneratedFile('web/vendor.min.js', policy)).toBe(false);
+    expect(formatGeneratedStub({ generator: 'protoc', evidence: 'file name' }, 'a\nb\n')).toBe('[GENERATED FILE: protoc · 2 lines · file name — content omitted]');
+  });
+});
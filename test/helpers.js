@@ -0,0 +1,52 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execa } from 'execa';
+import { createRepoSnapshot } from '../src/cli/commands/createSnapshot.js';
+
+/**
+ * Creates a committed git repository in a temp directory.
+ * @param {Object<string, string>} files - Repo-relative path → content
+ */
+export async function createTempRepo(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eck-test-'));
+  for (const [filePath, content] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(dir, filePath)), { recursive: true });
+    await fs.writeFile(path.join(dir, filePath), content);
+  }
+  await execa('git', ['init', '-q'], { cwd: dir });
+  await execa('git', ['add', '.'], { cwd: dir });
+  await execa('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', 'init'], { cwd: dir });
+  return dir;
+}
+
+/**
+ * Runs eck_snapshot inside `dir` (snapshots are written relative to the working directory).
+ * @returns {Promise<string[]>} Paths of the snapshot files written, sorted
+ */
+export async function snapshotIn(dir, options = {}) {
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    await createRepoSnapshot(dir, { anchorMode: 'shadow', ...options });
+  } finally {
+    process.chdir(cwd);
+  }
+  const snapshotsDir = path.join(dir, '.eck', 'snapshots');
+  return (await fs.readdir(snapshotsDir)).sort().map(name => path.join(snapshotsDir, name));
+}
+
+/**
+ * Lists files under `dir` as sorted repo-relative paths.
+ */
+export async function listFiles(dir, prefix = '') {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const nested = await Promise.all(entries.map(entry => (entry.isDirectory()
+    ? listFiles(path.join(dir, entry.name), `${prefix}${entry.name}/`)
+    : [`${prefix}${entry.name}`])));
+  return nested.flat().sort();
+}
+
+export async function removeDir(dir) {
+  await fs.rm(dir, { recursive: true, force: true });
+}
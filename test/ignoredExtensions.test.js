@@ -0,0 +1,61 @@
+import fs from 'fs/promises';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createTempRepo, removeDir, snapshotIn } from './helpers.js';
+
+const rows = count => ['id,name,score', ...Array.from({ length: count }, (_, i) => `${i},user${i},${i % 100}`)].join('\n') + '\n';
+
+// 1×1 PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==', 'base64');
+
+const FILES = {
+  'src/app.js': 'export const app = 1;\n',
+  'assets/logo.png': PNG,
+  'data/small.csv': rows(10),
+  'data/large.csv': rows(20000)
+};
+
+const directoryTree = content => content.match(/## Directory Structure\n\n```\n([\s\S]*?)```/)[1];
+
+async function snapshotContent(dir, options) {
+  const paths = await snapshotIn(dir, options);
+  const snapshotPath = paths.find(p => p.endsWith('.md'));
+  const content = await fs.readFile(snapshotPath, 'utf-8');
+  await Promise.all(paths.map(p => fs.rm(p)));
+  return content;
+}
+
+describe('extensionsToIgnore', () => {
+  let repo;
+
+  beforeEach(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    repo = await createTempRepo(FILES);
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await removeDir(repo);
+  });
+
+  it('summarizes large ignored data files only while data summaries are on', async () => {
+    const withSummaries = await snapshotContent(repo);
+    expect(withSummaries).toMatch(/^--- File: \/data\/large\.csv ---$/m);
+    expect(withSummaries).toContain('[DATA SUMMARY: CSV');
+    expect(withSummaries).not.toMatch(/^--- File: \/data\/small\.csv ---$/m);
+    expect(directoryTree(withSummaries)).not.toMatch(/small\.csv|large\.csv/);
+
+    const withoutSummaries = await snapshotContent(repo, { dataSummaries: false });
+    expect(withoutSummaries).not.toMatch(/^--- File: \/data\/(?:small|large)\.csv ---$/m);
+  });
+
+  it('lists ignored images in the asset inventory only while it is on', async () => {
+    const withInventory = await snapshotContent(repo);
+    expect(withInventory).toContain('Asset Inventory');
+    expect(withInventory).toMatch(/\| logo\.png \| .+ \| image\/png \| 1×1 \|/);
+    expect(directoryTree(withInventory)).not.toContain('logo.png');
+
+    const withoutInventory = await snapshotContent(repo, { assetInventory: false });
+    expect(withoutInventory).not.toContain('logo.png');
+  });
+});
@@ -0,0 +1,166 @@
+import { describe, expect, it } from 'vitest';
+import { findLockfiles, resolveLockfileSettings, summarizeLockfile } from '../src/utils/lockfileSummary.js';
+
+const settings = resolveLockfileSettings({}, true);
+const summarize = (lockfilePath, files) => summarizeLockfile(lockfilePath, async file => files[file] ?? null, settings);
+
+const packageJson = JSON.stringify({ dependencies: { lodash: '^4.17.0' }, devDependencies: { vitest: '^2.0.0' } });
+
+describe('summarizeLockfile', () => {
+  it('reads npm v3 lockfiles, with duplicates from nested installs', async () => {
+    const lock = JSON.stringify({
+      lockfileVersion: 3,
+      packages: {
+        '': { dependencies: { lodash: '^4.17.0' }, devDependencies: { vitest: '^2.0.0' } },
+        'node_modules/lodash': { version: '4.17.21' },
+        'node_modules/vitest': { version: '2.1.9' },
+        'node_modules/vitest/node_modules/lodash': { version: '3.10.1' },
+        'packages/app': { version: '1.0.0' },
+        'node_modules/app': { link: true }
+      }
+    });
+    const summary = await summarize('package-lock.json', { 'package-lock.json': lock });
+
+    expect(summary).toMatch(/^\[LOCKFILE SUMMARY: npm \(lockfileVersion 3\) · 2 direct · 3 resolved packages · 1 with several versions/);
+    expect(summary).toContain('| lodash | ^4.17.0 | 4.17.21 | prod |\n| vitest | ^2.0.0 | 2.1.9 | dev |');
+    expect(summary).toContain('- lodash: 3.10.1, 4.17.21');
+  });
+
+  it('reads npm v1 dependency trees with the manifest next to the lockfile', async () => {
+    const lock = JSON.stringify({ lockfileVersion: 1, dependencies: { lodash: { version: '4.17.21' }, vitest: { version: '2.1.9', dependencies: { tinypool: { version: '1.0.0' } } } } });
+    const summary = await summarize('web/package-lock.json', { 'web/package-lock.json': lock, 'web/package.json': packageJson });
+
+    expect(summary).toContain('npm (lockfileVersion 1) · 2 direct · 3 resolved packages');
+    expect(summary).toContain('| lodash | ^4.17.0 | 4.17.21 | prod |');
+  });
+
+  it('reads yarn classic and berry entries with several specifiers', async () => {
+    const classic = [
+      '# yarn lockfile v1',
+      '',
+      '"lodash@^4.17.0", lodash@^4.17.20:',
+      '  version "4.17.21"',
+      '',
+      'vitest@^2.0.0:',
+      '  version "2.1.9"',
+      ''
+    ].join('\n');
+    const berry = [
+      '__metadata:',
+      '  version: 6',
+      '',
+      '"lodash@npm:^4.17.0":',
+      '  version: 4.17.21',
+      '',
+      '"vitest@npm:^2.0.0":',
+      '  version: 2.1.9',
+      '',
+      '"app@workspace:.":',
+      '  version: 0.0.0-use.local',
+      ''
+    ].join('\n');
+
+    expect(await summarize('yarn.lock', { 'yarn.lock': classic, 'package.json': packageJson })).toMatch(/yarn \(v1\) · 2 direct · 2 resolved[\s\S]*\| lodash \| \^4\.17\.0 \| 4\.17\.21 \| prod \|/);
+    expect(await summarize('yarn.lock', { 'yarn.lock': berry, 'package.json': packageJson })).toMatch(/yarn \(berry\) · 2 direct · 2 resolved[\s\S]*\| vitest \| \^2\.0\.0 \| 2\.1\.9 \| dev \|/);
+  });
+
+  it('reads pnpm v9 importers and strips peer suffixes', async () => {
+    const lock = [
+      "lockfileVersion: '9.0'",
+      'importers:',
+      '  .:',
+      '    dependencies:',
+      '      react-dom:',
+      '        specifier: ^18.0.0',
+      '        version: 18.3.1(react@18.3.1)',
+      '  packages/ui:',
+      '    devDependencies:',
+      '      react:',
+      '        specifier: ^18.0.0',
+      '        version: 18.3.1',
+      'packages:',
+      '  react@18.3.1: {}',
+      '  react-dom@18.3.1(react@18.3.1): {}',
+      '  \'@types/react@18.3.3\': {}'
+    ].join('\n');
+    const summary = await summarize('pnpm-lock.yaml', { 'pnpm-lock.yaml': lock });
+
+    expect(summary).toContain('pnpm (lockfileVersion 9.0) · 2 direct · 3 resolved packages');
+    expect(summary).toContain('| react-dom | ^18.0.0 | 18.3.1 | prod |');
+    expect(summary).toContain('| react | ^18.0.0 | 18.3.1 | dev · packages/ui |');
+  });
+
+  it('reads Cargo.lock workspaces, leaving member path dependencies out', async () => {
+    const lock = [
+      'version = 3',
+      '',
+      '[[package]]',
+      'name = "app"',
+      'version = "0.1.0"',
+      'dependencies = [',
+      ' "core",',
+      ' "serde 1.0.200",',
+      ']',
+      '',
+      '[[package]]',
+      'name = "core"',
+      'version = "0.1.0"',
+      'dependencies = ["serde 1.0.200"]',
+      '',
+      '[[package]]',
+      'name = "serde"',
+      'version = "1.0.200"',
+      'source = "registry+https://github.com/rust-lang/crates.io-index"'
+    ].join('\n');
+    const summary = await summarize('Cargo.lock', { 'Cargo.lock': lock });
+
+    expect(summary).toContain('cargo (v3) · 1 direct · 1 resolved packages');
+    expect(summary).toContain('| serde | — | 1.0.200 | core |');
+    expect(summary).not.toMatch(/^\| core \|/m);
+  });
+
+  it('reads poetry.lock against Poetry and PEP 621 pyproject tables', async () => {
+    const lock = '[[package]]\nname = "Requests"\nversion = "2.32.3"\n\n[[package]]\nname = "pytest"\nversion = "8.2.0"\n\n[metadata]\nlock-version = "2.0"\n';
+    const poetry = '[tool.poetry.dependencies]\npython = "^3.11"\nrequests = "^2.31"\n\n[tool.poetry.group.test.dependencies]\npytest = { version = "^8.0" }\n';
+    const pep621 = '[project]\nname = "demo"\ndependencies = ["requests[socks]>=2.31; python_version > \'3.8\'"]\n';
+
+    const fromPoetry = await summarize('poetry.lock', { 'poetry.lock': lock, 'pyproject.toml': poetry });
+    expect(fromPoetry).toContain('poetry (lock-version 2.0) · 2 direct · 2 resolved packages');
+    expect(fromPoetry).toContain('| requests | ^2.31 | 2.32.3 | main |\n| pytest | ^8.0 | 8.2.0 | test |');
+
+    const fromPep621 = await summarize('poetry.lock', { 'poetry.lock': lock, 'pyproject.toml': pep621 });
+    expect(fromPep621).toContain('| requests | >=2.31 | 2.32.3 | main |');
+  });
+
+  it('reads go.sum without reporting superseded versions as duplicates', async () => {
+    const sum = [
+      'github.com/pkg/errors v0.9.0 h1:a=',
+      'github.com/pkg/errors v0.9.0/go.mod h1:b=',
+      'github.com/pkg/errors v0.9.1 h1:c=',
+      'golang.org/x/sys v0.20.0/go.mod h1:d='
+    ].join('\n');
+    const mod = 'module example.com/app\n\ngo 1.22\n\nrequire (\n\tgithub.com/pkg/errors v0.9.1\n\tgolang.org/x/sys v0.20.0 // indirect\n)\n';
+    const summary = await summarize('go.sum', { 'go.sum': sum, 'go.mod': mod });
+
+    expect(summary).toContain('go (go 1.22) · 1 direct · 2 resolved packages — full lockfile omitted');
+    expect(summary).toContain('| github.com/pkg/errors | v0.9.1 | v0.9.1 | require |');
+    expect(summary).not.toContain('several versions');
+  });
+
+  it('returns null for lockfiles that do not parse', async () => {
+    expect(await summarize('package-lock.json', { 'package-lock.json': '{ not json' })).toBeNull();
+  });
+});
+
+describe('findLockfiles', () => {
+  it('skips vendored, hidden and ignored directories', () => {
+    const files = ['package-lock.json', 'web/yarn.lock', 'node_modules/x/package-lock.json', 'vendor/go.sum', '.cache/Cargo.lock', 'dist/poetry.lock', 'src/lock.js'];
+    expect(findLockfiles(files, ['dist/'])).toEqual(['package-lock.json', 'web/yarn.lock']);
+  });
+
+  it('follows setup.json and the argument', () => {
+    expect(resolveLockfileSettings({ enabled: false })).toBeNull();
+    expect(resolveLockfileSettings({ enabled: false }, true)).toMatchObject({ maxRows: 200 });
+    expect(resolveLockfileSettings({}, false)).toBeNull();
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, expect, it } from 'vitest';
+import { minify } from '../src/core/minifier.js';
+
+const lines = (...rows) => rows.join('\n') + '\n';
+
+describe('minify', () => {
+  it('keeps comment markers inside JS strings, templates and regex literals', async () => {
+    const source = lines(
+      "const url = 'http://example.com'; // trailing note",
+      'const tpl = `/* not a comment */ ${url}`;',
+      'const re = /\\/\\*+/g;',
+      '/* block comment */',
+      'const x = 1;'
+    );
+    const { code, lineMap } = await minify(source, 'src/a.js');
+
+    expect(code).toBe(lines(
+      "const url = 'http://example.com';",
+      'const tpl = `/* not a comment */ ${url}`;',
+      'const re = /\\/\\*+/g;',
+      'const x = 1;'
+    ));
+    expect(lineMap).toEqual([1, 2, 3, 5]);
+  });
+
+  it('drops license headers but keeps shebangs, doc comments and directives', async () => {
+    const source = lines(
+      '#!/usr/bin/env node',
+      '/*',
+      ' * Copyright 2026 Example Corp. MIT License.',
+      ' */',
+      '',
+      '/** Adds two numbers. */',
+      'export function add(a, b) {',
+      '  // eslint-disable-next-line no-console',
+      '  // just thinking out loud',
+      '  return a + b;',
+      '}'
+    );
+    const { code } = await minify(source, 'src/add.js');
+
+    expect(code).toBe(lines(
+      '#!/usr/bin/env node',
+      '',
+      '/** Adds two numbers. */',
+      'export function add(a, b) {',
+      '  // eslint-disable-next-line no-console',
+      '  return a + b;',
+      '}'
+    ));
+  });
+
+  it('drops debug statements only where removing them leaves valid code', async () => {
+    const source = lines(
+      'function f(x) {',
+      '  console.log(x);',
+      '  if (x) console.log(x);',
+      '  console.error(x);',
+      '  return x;',
+      '}'
+    );
+
+    expect((await minify(source, 'f.js')).code).toBe(source);
+    expect((await minify(source, 'f.js', { dropDebug: true })).code).toBe(lines(
+      'function f(x) {',
+      '  if (x) console.log(x);',
+      '  console.error(x);',
+      '  return x;',
+      '}'
+    ));
+  });
+
+  it('keeps # inside shell strings and parameter expansions', async () => {
+    const source = lines(
+      '# setup script',
+      'echo "# not a comment" # real comment',
+      'count=${#args[@]}',
+      "echo 'it''s' $#"
+    );
+    const { code } = await minify(source, 'setup.sh');
+
+    expect(code).toBe(lines(
+      'echo "# not a comment"',
+      'count=${#args[@]}',
+      "echo 'it''s' $#"
+    ));
+  });
+
+  it('reads Rust lifetimes as apostrophes, not strings', async () => {
+    const source = lines(
+      "fn first<'a>(s: &'a str) -> &'a str { // borrow",
+      '    s',
+      '}'
+    );
+
+    expect((await minify(source, 'lib.rs')).code).toBe(lines("fn first<'a>(s: &'a str) -> &'a str {", '    s', '}'));
+  });
+
+  it('keeps Go doc comments on declarations only', async () => {
+    const source = lines(
+      'package main',
+      '',
+      '// Handler serves http://example.com requests.',
+      'func Handler() {',
+      '    // inline note',
+      '    url := "http://example.com"',
+      '    _ = url',
+      '}'
+    );
+
+    expect((await minify(source, 'main.go')).code).toBe(lines(
+      'package main',
+      '',
+      '// Handler serves http://example.com requests.',
+      'func Handler() {',
+      '    url := "http://example.com"',
+      '    _ = url',
+      '}'
+    ));
+  });
+
+  it('drops Python prints unless a block would end up empty', async () => {
+    const source = lines(
+      'def f(x):',
+      '    print(x)',
+      '    return x',
+      '',
+      'def g(x):',
+      '    print(x)',
+      '',
+      'text = "# kept"  # dropped'
+    );
+
+    expect((await minify(source, 'app.py', { dropDebug: true })).code).toBe(lines(
+      'def f(x):',
+      '    return x',
+      '',
+      'def g(x):',
+      '    print(x)',
+      '',
+      'text = "# kept"'
+    ));
+  });
+});
@@ -0,0 +1,94 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { formatMlModelMetadata, readMlModelMetadata } from '../src/utils/mlMetadata.js';
+import { removeDir } from './helpers.js';
+
+function safetensors(header, dataBytes = 64) {
+  const json = Buffer.from(JSON.stringify(header));
+  const length = Buffer.alloc(8);
+  length.writeBigUInt64LE(BigInt(json.length));
+  return Buffer.concat([length, json, Buffer.alloc(dataBytes)]);
+}
+
+// Little-endian GGUF v3 writer for the few value types the tests need
+const u32 = n => { const b = Buffer.alloc(4); b.writeUInt32LE(n); return b; };
+const u64 = n => { const b = Buffer.alloc(8); b.writeBigUInt64LE(BigInt(n)); return b; };
+const str = s => Buffer.concat([u64(Buffer.byteLength(s)), Buffer.from(s)]);
+
+function gguf() {
+  const kv = [
+    Buffer.concat([str('general.name'), u32(8), str('Tiny Llama')]),
+    Buffer.concat([str('tokenizer.ggml.tokens'), u32(9), u32(8), u64(3), str('<s>'), str('</s>'), str('hi')]),
+    Buffer.concat([str('general.architecture'), u32(8), str('llama')]),
+    Buffer.concat([str('llama.context_length'), u32(4), u32(4096)]),
+    Buffer.concat([str('general.file_type'), u32(4), u32(15)]),
+    Buffer.concat([str('tokenizer.ggml.scores'), u32(9), u32(6), u64(3), Buffer.alloc(12)])
+  ];
+  const tensors = [
+    Buffer.concat([str('token_embd.weight'), u32(2), u64(64), u64(32), u32(12), u64(0)]),
+    Buffer.concat([str('output_norm.weight'), u32(1), u64(64), u32(0), u64(4096)])
+  ];
+  return Buffer.concat([Buffer.from('GGUF'), u32(3), u64(tensors.length), u64(kv.length), ...kv, ...tensors, Buffer.alloc(256)]);
+}
+
+describe('ML model metadata', () => {
+  it('reads safetensors tensors and __metadata__ from the JSON header', async () => {
+    const model = safetensors({
+      __metadata__: { format: 'pt' },
+      'model.embed.weight': { dtype: 'F16', shape: [1000, 64], data_offsets: [0, 128000] },
+      'model.norm.bias': { dtype: 'F32', shape: [64], data_offsets: [128000, 128256] }
+    });
+    const text = await formatMlModelMetadata(model, model.length, 'weights/model.safetensors');
+
+    expect(text).toMatch(/^\[ML MODEL: safetensors · .+ · 2 tensors · 64\.1K parameters — weights omitted\]/);
+    expect(text).toContain('| format | pt |');
+    expect(text).toContain('| tensor types | F16 ×1, F32 ×1 |');
+    expect(text).toContain('| model.embed.weight | F16 | 1000 × 64 |');
+  });
+
+  it('falls back to a preview when the safetensors header is cut off or invalid', async () => {
+    const model = safetensors({ 'w': { dtype: 'F32', shape: [4], data_offsets: [0, 16] } });
+    const head = model.subarray(0, 20);
+
+    expect(await formatMlModelMetadata(head, model.length, 'model.safetensors')).toMatch(/^\[ML MODEL METADATA EXTRACTED\][\s\S]*metadata extends past the first/);
+    const broken = Buffer.concat([u64(2 ** 40), Buffer.alloc(16)]);
+    expect(await formatMlModelMetadata(broken, broken.length, 'model.safetensors')).toContain('Parser: could not read .safetensors metadata (invalid header length');
+  });
+
+  it('reads GGUF metadata, skipping arrays, and lists architecture facts first', async () => {
+    const model = gguf();
+    const text = await formatMlModelMetadata(model, model.length, 'models/tiny.gguf');
+    const properties = [...text.matchAll(/^\| (\w+\.[\w.]+) \|/gm)].map(m => m[1]);
+
+    expect(text).toMatch(/^\[ML MODEL: GGUF v3 · .+ · llama · ctx 4096 · 2 tensors · 2\.1K parameters — weights omitted\]/);
+    expect(properties.slice(0, 4)).toEqual(['general.architecture', 'general.name', 'general.file_type', 'llama.context_length']);
+    expect(text).toContain('| general.file_type | MOSTLY_Q4_K_M (15) |');
+    expect(text).toContain('| tokenizer.ggml.tokens | array of string × 3 |');
+    expect(text).toContain('| tokenizer.ggml.scores | array of float32 × 3 |');
+    expect(text).toContain('| token_embd.weight | Q4_K | 64 × 32 |');
+    expect(text).toContain('| output_norm.weight | F32 | 64 |');
+  });
+
+  describe('working-tree files', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'eck-test-'));
+    });
+
+    afterEach(async () => {
+      await removeDir(dir);
+    });
+
+    it('detects GGUF by its magic number whatever the extension', async () => {
+      await fs.writeFile(path.join(dir, 'model.bin'), gguf());
+      expect(await readMlModelMetadata(path.join(dir, 'model.bin'))).toMatch(/^\[ML MODEL: GGUF v3 /);
+    });
+
+    it('reports files it cannot open', async () => {
+      expect(await readMlModelMetadata(path.join(dir, 'missing.gguf'))).toMatch(/^\[ML MODEL - Could not extract metadata: ENOENT/);
+    });
+  });
+});
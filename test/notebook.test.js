@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import { convertNotebook, resolveNotebookSettings } from '../src/core/notebook.js';
+
+const notebook = (cells, metadata = { kernelspec: { language: 'python' } }) => JSON.stringify({ nbformat: 4, metadata, cells });
+
+const CELLS = [
+  { cell_type: 'markdown', source: ['# Analysis\n', 'Load the data.'] },
+  {
+    cell_type: 'code',
+    execution_count: 1,
+    source: ['%matplotlib inline\n', '!pip install pandas\n', 'import pandas as pd\n', 'df = pd.read_csv("data.csv")\n', 'df.head()'],
+    outputs: [
+      { output_type: 'stream', name: 'stdout', text: ['Collecting pandas\n'] },
+      { output_type: 'execute_result', data: { 'text/plain': ['   a  b\n', '0  1  2'], 'text/html': ['<table></table>'] } }
+    ]
+  },
+  { cell_type: 'code', source: '%%bash\necho hi', outputs: [{ output_type: 'display_data', data: { 'image/png': 'iVBORw0KGgo=' } }] },
+  { cell_type: 'code', source: '1 / 0', outputs: [{ output_type: 'error', ename: 'ZeroDivisionError', evalue: 'division by zero', traceback: ['…'] }] }
+];
+
+describe('convertNotebook', () => {
+  it('comments out magics and shell escapes and strips outputs by default', async () => {
+    const { body, cells } = await convertNotebook(notebook(CELLS), resolveNotebookSettings());
+
+    expect(cells).toBe(4);
+    expect(body).toBe([
+      '[NOTEBOOK: python · 4 cells (3 code, 1 markdown/raw) · 4 outputs stripped]',
+      '# %% [markdown]\n# # Analysis\n# Load the data.',
+      '# %% [code]\n# %matplotlib inline\n# !pip install pandas\nimport pandas as pd\ndf = pd.read_csv("data.csv")\ndf.head()',
+      '# %% [code]\n# %%bash\n# echo hi',
+      '# %% [code]\n1 / 0'
+    ].join('\n\n'));
+    expect(body).not.toContain('iVBORw0KGgo');
+  });
+
+  it('keeps text outputs as comments, capped at maxOutputLines', async () => {
+    const { body } = await convertNotebook(notebook(CELLS), resolveNotebookSettings({}, { outputs: 'text', maxOutputLines: 2 }));
+
+    expect(body).toContain('df.head()\n# [output]\n# Collecting pandas\n#    a  b\n# [... 1 more output lines]');
+    expect(body).toContain('# echo hi\n# [output]\n# [image/png omitted]');
+    expect(body).toContain('1 / 0\n# [output]\n# ZeroDivisionError: division by zero');
+    expect(body).toMatch(/^\[NOTEBOOK: .+ · text outputs up to 2 lines\]/);
+  });
+
+  it('uses the kernel language for comments and leaves non-Python code alone', async () => {
+    const { body } = await convertNotebook(notebook([{ cell_type: 'code', source: '!important;\nconsole.log(1)', outputs: [] }], { language_info: { name: 'JavaScript' } }), resolveNotebookSettings());
+
+    expect(body).toBe('[NOTEBOOK: javascript · 1 cells (1 code, 0 markdown/raw) · no outputs]\n\n// %% [code]\n!important;\nconsole.log(1)');
+  });
+
+  it('reads nbformat 3 worksheets and heading cells', async () => {
+    const v3 = JSON.stringify({ nbformat: 3, worksheets: [{ cells: [{ cell_type: 'heading', level: 2, source: 'Setup' }, { cell_type: 'code', input: 'x = 1', outputs: [] }] }] });
+    const { body } = await convertNotebook(v3, resolveNotebookSettings());
+
+    expect(body).toContain('# %% [markdown]\n# ## Setup\n\n# %% [code]\nx = 1');
+  });
+
+  it('returns null for files that are not notebooks', async () => {
+    expect(await convertNotebook('{ not json', resolveNotebookSettings())).toBeNull();
+    expect(await convertNotebook('{"cells": "none"}', resolveNotebookSettings())).toBeNull();
+  });
+
+  it('rejects unknown output modes and can be switched off', () => {
+    expect(() => resolveNotebookSettings({}, 'html')).toThrow('Invalid notebooks outputs mode: "html"');
+    expect(resolveNotebookSettings({}, false)).toBeNull();
+    expect(resolveNotebookSettings({ enabled: false })).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execa } from 'execa';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { formatRecentHistory, loadRecentHistory, resolveRecentHistorySettings } from '../src/utils/recentHistory.js';
+import { removeDir } from './helpers.js';
+
+const DAY = 86400;
+
+async function commitAt(repo, file, content, subject, time) {
+  await fs.mkdir(path.dirname(path.join(repo, file)), { recursive: true });
+  await fs.writeFile(path.join(repo, file), content);
+  await execa('git', ['add', '.'], { cwd: repo });
+  const date = `@${time} +0000`;
+  await execa('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', 'commit', '-qm', subject], {
+    cwd: repo,
+    env: { GIT_AUTHOR_DATE: date, GIT_COMMITTER_DATE: date }
+  });
+}
+
+describe('loadRecentHistory', () => {
+  let repo;
+  const settings = resolveRecentHistorySettings({}, true);
+
+  beforeEach(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'eck-test-'));
+    await execa('git', ['init', '-q'], { cwd: repo });
+    // A repository idle for 100 days
+    const lastCommit = Math.floor(Date.now() / 1000) - 100 * DAY;
+    await commitAt(repo, 'src/app.js', 'v1\n', 'Add app', lastCommit - 2 * DAY);
+    await commitAt(repo, 'src/app.js', 'v2\n', 'Tweak app', lastCommit);
+    await commitAt(repo, '.eck/notes.md', 'x\n', 'Only ignored files', lastCommit);
+  });
+
+  afterEach(async () => {
+    await removeDir(repo);
+  });
+
+  it('lists the last commits that touch included files', async () => {
+    const history = await loadRecentHistory(repo, settings, { isIncluded: file => !file.startsWith('.eck/') });
+    expect(history.commits.map(c => c.subject)).toEqual(['Tweak app', 'Add app']);
+    expect(history.commits[0]).toMatchObject({ files: 1, insertions: 1, deletions: 1 });
+  });
+
+  it('measures the directory window back from now', async () => {
+    const history = await loadRecentHistory(repo, settings);
+    expect(history.topDirectories).toEqual([]);
+    expect(formatRecentHistory(history)).not.toContain('Most changed directories');
+  });
+
+  it('ends the window at the latest commit for reproducible snapshots, and says so', async () => {
+    const history = await loadRecentHistory(repo, settings, { isIncluded: file => !file.startsWith('.eck/'), reproducible: true });
+    expect(history.topDirectories).toEqual([{ path: 'src', commits: 2, insertions: 2, deletions: 1 }]);
+    expect(formatRecentHistory(history)).toContain(`**Most changed directories (${settings.days} days before the latest commit):**`);
+  });
+});
@@ -0,0 +1,48 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { createTempRepo, snapshotIn, removeDir } from './helpers.js';
+
+describe('reproducible snapshots', () => {
+  let repo;
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    repo = await createTempRepo({
+      'src/index.js': "import { helper } from './helper.js';\nconsole.log(helper());\n",
+      'src/helper.js': 'export function helper() {\n  return 42;\n}\n',
+      'README.md': '# Fixture\n'
+    });
+  });
+  afterAll(async () => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    await removeDir(repo);
+  });
+
+  // Each run happens at a different wall-clock time; the output must not notice
+  const snapshotAt = async (isoTime) => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date(isoTime));
+    await fs.rm(path.join(repo, '.eck', 'snapshots'), { recursive: true, force: true });
+    try {
+      const written = await snapshotIn(repo, { reproducible: true });
+      return Object.fromEntries(await Promise.all(written.map(async f => [path.basename(f), await fs.readFile(f)])));
+    } finally {
+      vi.useRealTimers();
+    }
+  };
+
+  it('writes byte-identical files for the same tree', async () => {
+    // The first run in a fresh repo scaffolds .eck/, CLAUDE.md and .gitignore, changing the tree
+    await snapshotAt('2025-12-31T23:59:00Z');
+    const first = await snapshotAt('2026-01-01T08:00:00Z');
+    const second = await snapshotAt('2026-06-15T17:45:30Z');
+
+    expect(Object.keys(first).some(name => name.endsWith('.md'))).toBe(true);
+    expect(Object.keys(first).some(name => name.endsWith('.sha256.json'))).toBe(true);
+    expect(Object.keys(second)).toEqual(Object.keys(first));
+    for (const name of Object.keys(first)) {
+      expect(second[name].equals(first[name]), name).toBe(true);
+    }
+  }, 60000);
+});
@@ -0,0 +1,63 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { parseSnapshotContent } from '../src/utils/fileUtils.js';
+import { restoreSnapshot } from '../src/cli/commands/restoreSnapshot.js';
+import { createTempRepo, snapshotIn, listFiles, removeDir } from './helpers.js';
+
+const FILES = {
+  'src/app.js': 'export function add(a, b) {\n  return a + b;\n}\n',
+  'docs/guide.md': '# Guide\n\nQuote: `--- File: /not/a/file ---`\n',
+  'notes.txt': 'plain text\n'
+};
+
+describe('parseSnapshotContent', () => {
+  it('only treats whole-line separators as file boundaries', () => {
+    const content = [
+      '# Header',
+      'Files are demarcated by `--- File: /path/to/file ---` headers.',
+      '',
+      '--- File: /src/a.js ---',
+      '',
+      'const a = 1;',
+      '',
+      '--- File: /src/b.js --- [abc1234 · dev · 2d ago · 3 commits · 10 lines]',
+      '',
+      'const b = "--- File: /inline ---";',
+      '',
+      ''
+    ].join('\n');
+    expect(parseSnapshotContent(content)).toEqual([
+      { path: 'src/a.js', content: 'const a = 1;' },
+      { path: 'src/b.js', content: 'const b = "--- File: /inline ---";' }
+    ]);
+  });
+});
+
+describe('restoreSnapshot round trip', () => {
+  let repo;
+  beforeAll(async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    repo = await createTempRepo(FILES);
+  });
+  afterAll(async () => {
+    vi.restoreAllMocks();
+    await removeDir(repo);
+  });
+
+  it.each([
+    ['plain', {}],
+    ['gitMeta', { gitMeta: true }]
+  ])('writes exactly the snapshotted files (%s)', async (label, options) => {
+    await fs.rm(path.join(repo, '.eck', 'snapshots'), { recursive: true, force: true });
+    const [snapshot] = (await snapshotIn(repo, options)).filter(f => f.endsWith('.md'));
+    const target = path.join(repo, '.eck', `restored-${label}`);
+
+    await restoreSnapshot(repo, { snapshot, target });
+
+    expect(await listFiles(target)).toEqual(Object.keys(FILES).sort());
+    for (const [filePath, content] of Object.entries(FILES)) {
+      expect(await fs.readFile(path.join(target, filePath), 'utf-8')).toBe(content);
+    }
+  }, 60000);
+});
@@ -0,0 +1,118 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { applyRetention, loadRetentionPolicy, retentionUnitId, setPinned } from '../src/utils/retention.js';
+import { recordCatalogEntry } from '../src/utils/snapshotCatalog.js';
+import { createShadowAnchor, listShadowAnchors } from '../src/utils/gitUtils.js';
+import { createTempRepo, removeDir } from './helpers.js';
+
+// Three snapshots taken in the same minute at the same commit
+const BASE = 'eckDEMO26-10-19_12-00_abc1234';
+const section = name => `--- File: /${name} ---\n\nconsole.log('${name}');\n\n`;
+const SNAPSHOTS = {
+  [`${BASE}_17kb.md`]: section('a.js') + section('b.js'),
+  [`${BASE}_17kb.sha256.json`]: '{}\n',
+  [`${BASE}_part1of2_9kb.md`]: section('a.js'),
+  [`${BASE}_part2of2_8kb.md`]: section('b.js') + section('c.js'),
+  [`${BASE}.sha256.json`]: '{}\n',
+  [`${BASE}_21kb.json`]: JSON.stringify({ files: [{ path: 'a.js' }] })
+};
+
+describe('retentionUnitId', () => {
+  it('groups only explicit part sets and their manifests', () => {
+    expect(retentionUnitId(`snapshots/${BASE}_part1of2_9kb.md`)).toBe(`snapshots/${BASE}`);
+    expect(retentionUnitId(`snapshots/${BASE}_part2of2_8kb.md`)).toBe(`snapshots/${BASE}`);
+    expect(retentionUnitId(`snapshots/${BASE}.sha256.json`)).toBe(`snapshots/${BASE}`);
+    expect(retentionUnitId(`snapshots/${BASE}_17kb.md`)).toBe(`snapshots/${BASE}_17kb`);
+    expect(retentionUnitId(`snapshots/${BASE}_17kb.sha256.json`)).toBe(`snapshots/${BASE}_17kb`);
+    expect(retentionUnitId(`snapshots/${BASE}_21kb.json`)).toBe(`snapshots/${BASE}_21kb`);
+    expect(retentionUnitId('snapshots/eck_DEMO_full_part0_BRAIN.md')).toBe('snapshots/eck_DEMO_full');
+    expect(retentionUnitId('snapshots/eck_DEMO_full_part3.md')).toBe('snapshots/eck_DEMO_full');
+  });
+});
+
+describe('same-minute, same-hash snapshots', () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'eck-test-'));
+    const snapshotsDir = path.join(repo, '.eck', 'snapshots');
+    await fs.mkdir(snapshotsDir, { recursive: true });
+    await fs.writeFile(path.join(repo, '.eck', 'config.json'), JSON.stringify({ retention: { keepLast: { full: 1 }, maxAgeDays: 0, maxTotalSize: null } }));
+    // Oldest first: the single snapshot, the chunked one, then the JSON one
+    const order = [`${BASE}_17kb`, `${BASE}_part`, `${BASE}.sha256`, `${BASE}_21kb`];
+    for (const [name, content] of Object.entries(SNAPSHOTS)) {
+      await fs.writeFile(path.join(snapshotsDir, name), content);
+      const time = new Date(Date.UTC(2026, 9, 19, 12, 0, order.findIndex(prefix => name.startsWith(prefix))));
+      await fs.utimes(path.join(snapshotsDir, name), time, time);
+    }
+  });
+
+  afterEach(async () => {
+    await removeDir(repo);
+  });
+
+  it('pins and prunes each snapshot separately', async () => {
+    const id = await setPinned(repo, `.eck/snapshots/${BASE}_17kb.md`, true);
+    expect(id).toBe(`snapshots/${BASE}_17kb`);
+
+    const result = await applyRetention(repo, { dryRun: true });
+    expect(result.removed.map(u => u.id)).toEqual([`snapshots/${BASE}`]);
+    expect(result.removed[0].files.sort()).toEqual([
+      `snapshots/${BASE}.sha256.json`,
+      `snapshots/${BASE}_part1of2_9kb.md`,
+      `snapshots/${BASE}_part2of2_8kb.md`
+    ]);
+    expect(result.kept.map(u => u.id).sort()).toEqual([`snapshots/${BASE}_17kb`, `snapshots/${BASE}_21kb`]);
+  });
+});
+
+describe('retention defaults and anchors', () => {
+  let repo;
+
+  beforeEach(async () => {
+    repo = await createTempRepo({ 'src/app.js': 'export const app = 0;\n' });
+    await fs.mkdir(path.join(repo, '.eck', 'snapshots'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    await removeDir(repo);
+  });
+
+  const writeSnapshot = async (name, time) => {
+    const filePath = path.join(repo, '.eck', 'snapshots', name);
+    await fs.writeFile(filePath, section('src/app.js'));
+    await fs.utimes(filePath, time, time);
+    return filePath;
+  };
+
+  it('does not prune by age or size unless configured', async () => {
+    const policy = await loadRetentionPolicy(repo);
+    expect(policy.maxAgeDays).toBeNull();
+    expect(policy.maxTotalSize).toBeNull();
+
+    await writeSnapshot('eckDEMO20-01-01_12-00_abc1234_1kb.md', new Date(Date.UTC(2020, 0, 1)));
+    await writeSnapshot('eckDEMO20-01-02_12-00_abc1234_1kb.md', new Date(Date.UTC(2020, 0, 2)));
+    const result = await applyRetention(repo, { dryRun: true });
+    expect(result.removed).toEqual([]);
+  });
+
+  it('keeps shadow anchors that retained snapshots were taken at or diff against', async () => {
+    await fs.writeFile(path.join(repo, '.eck', 'config.json'), JSON.stringify({ retention: { anchorRefs: 1 } }));
+    for (let i = 1; i <= 4; i++) {
+      await fs.writeFile(path.join(repo, 'src/app.js'), `export const app = ${i};\n`);
+      await createShadowAnchor(repo);
+    }
+    // Newest first: anchors/4 is kept by anchorRefs, anchors/1 by the full snapshot's filename
+    // and anchors/2 by the update recorded against it; anchors/3 is referenced by nothing
+    const [fourth, third, second, first] = await listShadowAnchors(repo);
+    await writeSnapshot(`eckDEMO26-10-19_12-00_${first.hash.substring(0, 7)}_1kb.md`, new Date());
+    const update = await writeSnapshot(`eckDEMO26-10-19_12-05_${first.hash.substring(0, 7)}_up1_1kb.md`, new Date());
+    await recordCatalogEntry(repo, { path: update, kind: 'update', anchor: first.hash, head: second.hash, seq: 1 });
+
+    const result = await applyRetention(repo, { dryRun: true });
+    expect(result.anchorRefs).toEqual([third.ref]);
+    expect(fourth.ref).toBe('refs/eck/anchors/4');
+  });
+});
@@ -0,0 +1,85 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { buildSnapshotCatalog, isCatalogReference, recordCatalogEntry, resolveCatalogReference } from '../src/utils/snapshotCatalog.js';
+import { removeDir } from './helpers.js';
+
+const section = name => `--- File: /${name} ---\n\nconsole.log('${name}');\n\n`;
+
+describe('snapshot catalog', () => {
+  let repo;
+
+  const writeSnapshot = async (name, content, minute = 0) => {
+    const filePath = path.join(repo, '.eck', 'snapshots', name);
+    await fs.writeFile(filePath, content);
+    const time = new Date(Date.UTC(2026, 9, 19, 12, minute));
+    await fs.utimes(filePath, time, time);
+    return filePath;
+  };
+
+  beforeEach(async () => {
+    repo = await fs.mkdtemp(path.join(os.tmpdir(), 'eck-test-'));
+    await fs.mkdir(path.join(repo, '.eck', 'snapshots'), { recursive: true });
+  });
+
+  afterEach(async () => {
+    await removeDir(repo);
+  });
+
+  it('catalogs same-minute, same-hash snapshots separately', async () => {
+    const base = 'eckDEMO26-10-19_12-00_abc1234';
+    await writeSnapshot(`${base}_17kb.md`, section('a.js') + section('b.js'));
+    await writeSnapshot(`${base}_17kb.sha256.json`, '{}\n');
+    await writeSnapshot(`${base}_part1of2_9kb.md`, section('a.js'));
+    await writeSnapshot(`${base}_part2of2_8kb.md`, section('b.js') + section('c.js'));
+    await writeSnapshot(`${base}.sha256.json`, '{}\n');
+    await writeSnapshot(`${base}_21kb.json`, JSON.stringify({ files: [{ path: 'a.js' }] }));
+
+    const entries = await buildSnapshotCatalog(repo);
+    const byPath = Object.fromEntries(entries.map(e => [path.basename(e.path), e]));
+
+    expect(Object.keys(byPath).sort()).toEqual([`${base}_17kb.md`, `${base}_21kb.json`, `${base}_part1of2_9kb.md`]);
+    expect(byPath[`${base}_17kb.md`]).toMatchObject({ parts: 1, files: 2 });
+    expect(byPath[`${base}_part1of2_9kb.md`]).toMatchObject({ parts: 2, files: 3 });
+    expect(byPath[`${base}_21kb.json`]).toMatchObject({ parts: 1, files: 1 });
+  });
+
+  describe('resolveCatalogReference', () => {
+    const OLD_ANCHOR = 'b'.repeat(40);
+    const ANCHOR = 'a'.repeat(40);
+    const OLD_HEAD = 'd'.repeat(40);
+    const HEAD = 'c'.repeat(40);
+
+    beforeEach(async () => {
+      // An older full snapshot known only from its filename, then a recorded one with an update each
+      await writeSnapshot('eckDEMO26-10-18_12-00_bbbbbbb_1kb.md', section('a.js'), 0);
+      await writeSnapshot('eckDEMO26-10-18_12-30_bbbbbbb_up1_1kb.md', section('a.js'), 1);
+      const full = await writeSnapshot('eckDEMO26-10-19_12-00_aaaaaaa_1kb.md', section('a.js'), 2);
+      const update = await writeSnapshot('eckDEMO26-10-19_12-30_aaaaaaa_up1_1kb.md', section('a.js'), 3);
+      await recordCatalogEntry(repo, { path: full, kind: 'full', anchor: ANCHOR, createdAt: '2026-10-19T12:02:00.000Z' });
+      await recordCatalogEntry(repo, { path: path.join(repo, '.eck/snapshots/eckDEMO26-10-18_12-30_bbbbbbb_up1_1kb.md'), kind: 'update', anchor: OLD_ANCHOR, head: OLD_HEAD, seq: 1, createdAt: '2026-10-19T12:01:00.000Z' });
+      await recordCatalogEntry(repo, { path: update, kind: 'update', anchor: ANCHOR, head: HEAD, seq: 1, createdAt: '2026-10-19T12:03:00.000Z' });
+    });
+
+    it('resolves full snapshots to their anchor and updates to the commit they captured', async () => {
+      expect((await resolveCatalogReference(repo, 'latest-full')).hash).toBe(ANCHOR);
+      expect((await resolveCatalogReference(repo, 'latest')).hash).toBe(HEAD);
+      expect((await resolveCatalogReference(repo, 'latest-update')).entry.path).toBe('.eck/snapshots/eckDEMO26-10-19_12-30_aaaaaaa_up1_1kb.md');
+    });
+
+    it('picks update N of the current anchor', async () => {
+      await fs.writeFile(path.join(repo, '.eck', 'anchor'), ANCHOR);
+      expect((await resolveCatalogReference(repo, 'up-1')).hash).toBe(HEAD);
+      await fs.writeFile(path.join(repo, '.eck', 'anchor'), OLD_ANCHOR);
+      expect((await resolveCatalogReference(repo, 'up1')).hash).toBe(OLD_HEAD);
+    });
+
+    it('rejects references no snapshot matches', async () => {
+      expect(isCatalogReference('latest-full')).toBe(true);
+      expect(isCatalogReference('newest')).toBe(false);
+      await expect(resolveCatalogReference(repo, 'latest-scout')).rejects.toThrow('No snapshot matches "latest-scout"');
+      await expect(resolveCatalogReference(repo, 'up-7')).rejects.toThrow('No snapshot matches "up-7"');
+    });
+  });
+});
@@ -0,0 +1,62 @@
+import fs from 'fs/promises';
+import { afterEach, beforeEach, describe, it, expect, vi } from 'vitest';
+import { renderJsonl, renderXmlSnapshot } from '../src/utils/snapshotFormats.js';
+import { createTempRepo, removeDir, snapshotIn } from './helpers.js';
+
+describe('renderXmlSnapshot', () => {
+  it('wraps header, tree and documents in a single <snapshot> root', () => {
+    const xml = renderXmlSnapshot({
+      header: '# Header',
+      tree: 'src/\n└── a.js\n',
+      fileObjects: [{ path: 'src/a.js', body: 'if (a < b && c) {}' }, { path: 'skipped.bin', body: null }]
+    });
+
+    expect(xml.startsWith('<snapshot>\n<snapshot_header>')).toBe(true);
+    expect(xml.endsWith('</documents>\n</snapshot>\n')).toBe(true);
+    expect(xml.match(/<snapshot>/g)).toHaveLength(1);
+    expect(xml).toContain('<directory_tree>');
+    expect(xml).toContain('<source>src/a.js</source>');
+    expect(xml).not.toContain('skipped.bin');
+  });
+});
+
+describe('renderJsonl', () => {
+  it('writes one record per file with path, language, size, tokens, mode and content', () => {
+    const jsonl = renderJsonl([
+      { path: 'src/a.js', originalSize: 120, body: 'const a = 1;\n', mode: 'full', git: { commit: 'abc1234', commits: 2 } },
+      { path: 'Dockerfile', originalSize: 40, body: null, mode: 'tree' }
+    ]);
+    const records = jsonl.trimEnd().split('\n').map(line => JSON.parse(line));
+
+    expect(jsonl.endsWith('\n')).toBe(true);
+    expect(records).toEqual([
+      { path: 'src/a.js', language: 'javascript', size: 120, tokens: 3, mode: 'full', git: { commit: 'abc1234', commits: 2 }, content: 'const a = 1;\n' },
+      { path: 'Dockerfile', language: 'dockerfile', size: 40, tokens: 0, mode: 'tree', content: null }
+    ]);
+  });
+
+  describe('jsonl snapshots', () => {
+    let repo;
+
+    beforeEach(async () => {
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      repo = await createTempRepo({ 'src/app.js': 'export const app = 1;\n', 'README.md': '# Demo\n' });
+    });
+
+    afterEach(async () => {
+      vi.restoreAllMocks();
+      await removeDir(repo);
+    });
+
+    it('holds only file records, with git metadata when asked', async () => {
+      const [snapshotPath] = (await snapshotIn(repo, { format: 'jsonl', gitMeta: true })).filter(p => p.endsWith('.jsonl'));
+      const records = (await fs.readFile(snapshotPath, 'utf-8')).trimEnd().split('\n').map(line => JSON.parse(line));
+      const app = records.find(r => r.path === 'src/app.js');
+
+      expect(records.every(r => Object.keys(r).includes('path') && Object.keys(r).includes('content'))).toBe(true);
+      expect(app).toMatchObject({ language: 'javascript', size: 22, mode: 'full', content: 'export const app = 1;\n' });
+      expect(app.git).toMatchObject({ author: 'test', commits: 1, lines: 1 });
+    });
+  });
+});
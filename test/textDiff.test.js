@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest';
+import { diffLines, unifiedHunks } from '../src/utils/textDiff.js';
+
+const numberedLines = count => Array.from({ length: count }, (_, i) => `line ${i + 1}`);
+
+describe('diffLines', () => {
+  it('finds a shortest edit script', () => {
+    const ops = diffLines('abcabba'.split(''), 'cbabac'.split(''));
+    expect(ops.filter(op => op.type !== ' ')).toHaveLength(5);
+    expect(ops.filter(op => op.type !== '+').map(op => op.line).join('')).toBe('abcabba');
+    expect(ops.filter(op => op.type !== '-').map(op => op.line).join('')).toBe('cbabac');
+  });
+});
+
+describe('unifiedHunks', () => {
+  it('returns no hunks for equal texts', () => {
+    expect(unifiedHunks('a\nb', 'a\nb')).toEqual({ hunks: '', added: 0, removed: 0 });
+  });
+
+  it('shows a change with its context lines', () => {
+    const { hunks, added, removed } = unifiedHunks('a\nb\nc\nd\ne', 'a\nb\nX\nd\ne', 1);
+    expect(hunks).toBe('@@ -2,3 +2,3 @@\n b\n-c\n+X\n d');
+    expect({ added, removed }).toEqual({ added: 1, removed: 1 });
+  });
+
+  it('points an empty side at the line before the hunk', () => {
+    expect(unifiedHunks('', 'x\ny').hunks).toBe('@@ -0,0 +1,2 @@\n+x\n+y');
+    expect(unifiedHunks('x', '').hunks).toBe('@@ -1,1 +0,0 @@\n-x');
+    expect(unifiedHunks('a\nb', 'a\nnew\nb', 0).hunks).toBe('@@ -1,0 +2,1 @@\n+new');
+  });
+
+  it('merges changes whose context overlaps and splits distant ones', () => {
+    const old = numberedLines(20);
+    const near = old.map((line, i) => (i === 1 || i === 7 ? `${line} changed` : line));
+    expect(unifiedHunks(old.join('\n'), near.join('\n')).hunks.match(/^@@ .+ @@$/gm)).toEqual(['@@ -1,11 +1,11 @@']);
+
+    const far = old.map((line, i) => (i === 1 || i === 18 ? `${line} changed` : line));
+    expect(unifiedHunks(old.join('\n'), far.join('\n')).hunks.match(/^@@ .+ @@$/gm)).toEqual(['@@ -1,5 +1,5 @@', '@@ -16,5 +16,5 @@']);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { applyTokenBudget, estimateTextTokens, formatBudgetReport, scoreFileImportance } from '../src/core/tokenBudget.js';
+
+// 600 lines: 100 documented functions of six lines each
+const source = name => Array.from({ length: 100 }, (_, i) =>
+  `/** Doc for ${name} ${i}. */\nexport function ${name}${i}(value) {\n  const doubled = value * 2;\n  const tripled = value * 3;\n  return doubled + tripled + ${i};\n}`
+).join('\n');
+
+const fileObject = (filePath, name) => {
+  const rawContent = source(name);
+  const content = `--- File: /${filePath} ---\n\n${rawContent}\n\n`;
+  return { path: filePath, rawContent, content, body: rawContent, mode: 'full', size: content.length };
+};
+
+const files = () => [
+  fileObject('src/index.js', 'main'),
+  fileObject('src/utils/helper.js', 'helper'),
+  fileObject('test/helper.test.js', 'testHelper')
+];
+
+const total = objects => objects.reduce((sum, f) => sum + estimateTextTokens(f.content), 0);
+const depths = report => Object.fromEntries(report.degraded.map(d => [d.path, d.depth]));
+
+describe('applyTokenBudget', () => {
+  it('ranks entry points above nested code, docs and tests', () => {
+    expect(scoreFileImportance('src/index.js')).toBeGreaterThan(scoreFileImportance('src/utils/helper.js'));
+    expect(scoreFileImportance('src/utils/helper.js')).toBeGreaterThan(scoreFileImportance('README.md'));
+    expect(scoreFileImportance('README.md')).toBeGreaterThan(scoreFileImportance('test/helper.test.js'));
+  });
+
+  it('leaves everything alone when the snapshot fits', async () => {
+    const objects = files();
+    const report = await applyTokenBudget(objects, total(objects));
+
+    expect(report).toMatchObject({ fits: true, degraded: [], usedSkeleton: false });
+    expect(formatBudgetReport(report)).toContain('All files are included at their requested depth.');
+  });
+
+  it('downgrades the least important file first', async () => {
+    const objects = files();
+    const report = await applyTokenBudget(objects, total(objects) - 10);
+
+    expect(report.fits).toBe(true);
+    expect(depths(report)).toEqual({ 'test/helper.test.js': 7 });
+    expect(objects[0].content).toBe(fileObject('src/index.js', 'main').content);
+    expect(objects[2].content).toContain('[... truncated 100 lines ...]');
+  });
+
+  it('takes every file one rung down before any file a second rung', async () => {
+    const objects = files();
+    const allCompact = total(objects) * 5 / 6;
+    const report = await applyTokenBudget(objects, Math.floor(allCompact) - 10);
+
+    expect(report.fits).toBe(true);
+    expect(depths(report)).toEqual({ 'test/helper.test.js': 6, 'src/utils/helper.js': 7, 'src/index.js': 7 });
+    expect(report.usedSkeleton).toBe(true);
+    expect(objects[2].mode).toBe('skeleton+docs');
+  });
+
+  it('never downgrades focus files and reports a budget it cannot meet', async () => {
+    const objects = files();
+    const report = await applyTokenBudget(objects, 1, { overheadTokens: 100, focus: 'src/index.js' });
+
+    expect(report.fits).toBe(false);
+    expect(depths(report)).toEqual({ 'src/utils/helper.js': 0, 'test/helper.test.js': 0 });
+    expect(objects[1].content).toBe('');
+    expect(objects[0].mode).toBe('full');
+    expect(formatBudgetReport(report)).toMatch(/still over budget[\s\S]*\| `src\/utils\/helper\.js` \| 0 \| Tree only \|/);
+  });
+});